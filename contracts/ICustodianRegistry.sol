@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ICustodianRegistry
+ * @dev Subset of CustodianRegistry consulted by T3Token to enforce its KYC policy.
+ */
+interface ICustodianRegistry {
+    /**
+     * @dev Returns the custodian FI of `userAddress`, or address(0) if not registered.
+     */
+    function getCustodian(address userAddress) external view returns (address);
+
+    /**
+     * @dev Returns true if `userAddress` has KYC validated and not expired.
+     */
+    function isKYCValid(address userAddress) external view returns (bool);
+
+    /**
+     * @dev Returns true if `account` has been granted `role` (e.g. CUSTODIAN_ROLE).
+     */
+    function hasRole(bytes32 role, address account) external view returns (bool);
+}
@@ -1,112 +1,59 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-// Using ERC20Pausable and AccessControl
-import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
-import "@openzeppelin/contracts/access/AccessControl.sol";
+// Using ERC20Pausable and AccessControl (inherited through T3TokenBase)
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "./T3TokenBase.sol";
 // import "hardhat/console.sol"; // Logging disabled
 
 /**
  * @title T3Token (T3USD)
  * @dev Pausable ERC20 token with HalfLife, Reversals, Tiered Fees, Interbank Liability Tracking,
  * AccessControl, and Pausing capabilities. Inherits ERC20Pausable for integrated pausing.
+ * State and events live in T3TokenBase; less frequent operations run in T3TokenExtension, reversals
+ * and signed authorizations in T3TokenAuthorization, and the initializer and ADMIN_ROLE operations in
+ * T3TokenAdmin, all through delegatecall.
+ * Deployed behind an ERC-1967 proxy (UUPS): the proxy holds the state and calls initialize once;
+ * UPGRADER_ROLE moves it to a new implementation (scripts/upgrade.js).
  */
-// Inherit ERC20Pausable (includes ERC20 and Pausable) and AccessControl
-contract T3Token is ERC20Pausable, AccessControl {
-
-    // --- Roles ---
-    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
-    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
-    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE"); // May or may not be needed depending on flow
-    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
-    // Add other roles as needed (e.g., CUSTODIAN_ROLE for registry)
-
-    // --- Fee Structure Constants ---
-    uint256 private constant BASIS_POINTS = 10000;
-    uint256 private constant TIER_MULTIPLIER = 10;
-    uint256 private constant BASE_FEE_PERCENT = 1000 * BASIS_POINTS; // 1000%
-    // *** UPDATED Fee Constants ***
-    // Min fee requested: 0.00001% -> Interpreted as 0.00001 T3USD = 1 * 10**13 wei (assuming 18 decimals)
-    uint256 private constant MIN_FEE_WEI = 10**13;
-    // Max fee requested: 10% -> 1000 Basis Points
-    uint256 private constant MAX_FEE_PERCENT = 1000;
-    // *****************************
-
-    // --- HalfLife Constants ---
-    uint256 public halfLifeDuration = 3600;
-    uint256 public minHalfLifeDuration = 600;
-    uint256 public maxHalfLifeDuration = 86400;
-    uint256 public inactivityResetPeriod = 30 days;
-
-    // --- Addresses ---
-    address public treasuryAddress;
-
-    // --- Data Structures ---
-    struct TransferMetadata {
-        uint256 commitWindowEnd;
-        uint256 halfLifeDuration;
-        address originator;
-        uint256 transferCount;
-        bytes32 reversalHash;
-        uint256 feeAmount; // Fee paid *after* credits/bounds
-        bool isReversed;
-    }
-    struct RollingAverage {
-        uint256 totalAmount;
-        uint256 count;
-        uint256 lastUpdated;
-    }
-    struct WalletRiskProfile {
-        uint256 reversalCount;
-        uint256 lastReversal;
-        uint256 creationTime;
-        uint256 abnormalTxCount;
-    }
-    struct IncentiveCredits {
-        uint256 amount;
-        uint256 lastUpdated;
-    }
+contract T3Token is T3TokenBase, UUPSUpgradeable {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // Modules deployed beforehand (embedding their creation code would exceed the EIP-3860 initcode limit);
+    // they share the proxy's storage when delegatecalled. Immutables live in this implementation's code,
+    // so a new module means a new implementation and an upgrade.
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _extension;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _authorization;
+    /// @custom:oz-upgrades-unsafe-allow state-variable-immutable
+    address private immutable _admin;
 
-    // --- Mappings ---
-    mapping(address => TransferMetadata) public transferData;
-    mapping(address => RollingAverage) public rollingAverages;
-    mapping(address => mapping(address => uint256)) public transactionCountBetween;
-    mapping(address => WalletRiskProfile) public walletRiskProfiles;
-    mapping(address => IncentiveCredits) public incentiveCredits;
-    // Added Minter/Liability tracking
-    mapping(address => uint256) public mintedByMinter;
-    mapping(address => mapping(address => uint256)) public interbankLiability;
-
-    // --- Events ---
-    event TransferWithFee(address indexed from, address indexed to, uint256 amount, uint256 fee);
-    event TransferReversed(address indexed from, address indexed to, uint256 amount);
-    event HalfLifeExpired(address indexed wallet, uint256 timestamp);
-    event LoyaltyRefundProcessed(address indexed wallet, uint256 amount);
-    event RiskFactorUpdated(address indexed wallet, uint256 newRiskFactor);
-    // Added Interbank Liability and Mint events
-    event InterbankLiabilityRecorded(address indexed debtor, address indexed creditor, uint256 amount);
-    event InterbankLiabilityCleared(address indexed debtor, address indexed creditor, uint256 amountCleared);
-    event TokensMinted(address indexed minter, address indexed recipient, uint256 amount);
-
-
-    /**
-     * @dev Constructor
-     * Grants ADMIN_ROLE, PAUSER_ROLE and DEFAULT_ADMIN_ROLE to the deployer.
-     */
-    constructor(address initialAdmin, address _treasuryAddress) ERC20("T3 Stablecoin", "T3") {
-        require(_treasuryAddress != address(0), "Treasury address cannot be zero");
-        treasuryAddress = _treasuryAddress;
-
-        // Grant necessary roles to the deployer/initial admin
-        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
-        _grantRole(ADMIN_ROLE, initialAdmin);
-        _grantRole(PAUSER_ROLE, initialAdmin);
-
-        // Mint initial supply to admin (or designated address)
-        _mint(initialAdmin, 1000000 * 10**decimals());
-        walletRiskProfiles[initialAdmin].creationTime = block.timestamp;
+    /**
+     * @dev Implementation constructor, given deployed T3TokenExtension, T3TokenAuthorization and T3TokenAdmin
+     * modules, which run with the proxy's storage and roles. The implementation itself can never be initialized.
+     * @custom:oz-upgrades-unsafe-allow constructor
+     */
+    constructor(address extension, address authorization, address admin) {
+        require(extension.code.length > 0, "Extension must be a contract");
+        require(authorization.code.length > 0, "Authorization module must be a contract");
+        require(admin.code.length > 0, "Admin module must be a contract");
+        _extension = extension;
+        _authorization = authorization;
+        _admin = admin;
+        _disableInitializers();
     }
 
+    /**
+     * @dev Initializes the proxy's state; replaces the constructor of non-upgradeable deployments.
+     * Grants DEFAULT_ADMIN_ROLE, ADMIN_ROLE, PAUSER_ROLE and UPGRADER_ROLE to `initialAdmin`, puts fee
+     * schedule version 1 in force and mints the initial supply to `initialAdmin`. Runs in T3TokenAdmin, which
+     * calls the parent initializers.
+     * @custom:oz-upgrades-unsafe-allow missing-initializer-call
+     */
+    function initialize(address /*initialAdmin*/, address /*_treasuryAddress*/) external { _delegateToAdmin(); }
+
     // --- ERC20 Overrides and T3 Logic ---
 
     /**
@@ -123,316 +70,358 @@ contract T3Token is ERC20Pausable, AccessControl {
     }
 
     /**
-     * @dev Override transferFrom function. Pausing handled by ERC20Pausable.
+     * @dev Override transferFrom function. Same profile init and T3 logic as transfer, with `from` as the
+     * sender. Pausing handled by ERC20Pausable.
      */
     function transferFrom(address from, address to, uint256 amount) public override returns (bool) {
         address spender = _msgSender();
         _spendAllowance(from, spender, amount);
-        // Initialize profiles if needed (optional here)
-        // updateWalletRiskProfile(from, false, false);
-        // updateWalletRiskProfile(to, false, false);
+        // Initialize profiles like transfer() does, so wallets first touched via allowance get the new-wallet surcharge
+        updateWalletRiskProfile(from, false, false);
+        updateWalletRiskProfile(to, false, false);
         // Call internal function which includes T3 logic AND calls super._update (which has pause check)
         _transferWithT3Logic(from, to, amount);
         return true;
     }
 
     /**
-     * @dev Internal transfer function incorporating T3 logic before calling the pausable _update.
+     * @dev EIP-2612: approves `spender` for `value` of `owner`'s tokens with an EIP-712 signature by `owner`
+     * over its current nonces(owner), so the owner needs no ETH for the approval. Reverts past `deadline`.
      */
-    function _transferWithT3Logic(address sender, address recipient, uint256 amount) internal {
-        require(recipient != address(0), "Transfer to zero address");
-        require(amount > 0, "Transfer amount must be greater than zero");
+    function permit(address /*owner*/, address /*spender*/, uint256 /*value*/, uint256 /*deadline*/, uint8 /*v*/, bytes32 /*r*/, bytes32 /*s*/) external { _delegateToAuthorization(); }
 
-        if (transferData[sender].commitWindowEnd > block.timestamp &&
-            transferData[sender].originator != recipient) {
-            revert("Cannot transfer during HalfLife period except back to originator");
-        }
-
-        // --- Fee Calculation Pipeline ---
-        uint256 feeBeforeAdjustments = calculateTieredFee(amount);
-        uint256 feeAfterRisk = applyRiskAdjustments(feeBeforeAdjustments, sender, recipient);
-        uint256 feeAfterCredits = applyCredits(sender, feeAfterRisk);
-        uint256 finalFee = feeAfterCredits;
+    /**
+     * @dev ERC-3009 style: moves `value` from `from` to `to` through the same HalfLife, fee and risk path as
+     * transfer(), on an EIP-712 signature by `from`, so any relayer can submit it. Valid strictly between
+     * `validAfter` and `validBefore`; each `nonce` (random bytes32) is usable once per authorizer.
+     */
+    function transferWithAuthorization(address /*from*/, address /*to*/, uint256 /*value*/, uint256 /*validAfter*/, uint256 /*validBefore*/, bytes32 /*nonce*/, uint8 /*v*/, bytes32 /*r*/, bytes32 /*s*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev reversePartial on an EIP-712 signature by the transfer's recipient, with the same validity window
+     * and nonce rules as transferWithAuthorization. An `amount` of 0 reverses everything still reversible.
+     */
+    function reverseWithAuthorization(uint256 /*transferId*/, bytes32 /*reversalHash*/, uint256 /*amount*/, uint256 /*validAfter*/, uint256 /*validBefore*/, bytes32 /*nonce*/, uint8 /*v*/, bytes32 /*r*/, bytes32 /*s*/) external { _delegateToAuthorization(); }
+    /** @dev Burns an unused authorization nonce of `authorizer`, on their EIP-712 signature. */
+    function cancelAuthorization(address /*authorizer*/, bytes32 /*nonce*/, uint8 /*v*/, bytes32 /*r*/, bytes32 /*s*/) external { _delegateToAuthorization(); }
 
-        // Apply Max Bound (Now 10%)
-        uint256 maxFeeAmount = (amount * MAX_FEE_PERCENT) / BASIS_POINTS; // MAX_FEE_PERCENT is now 1000
-        if (finalFee > maxFeeAmount) { finalFee = maxFeeAmount; }
+    // --- Reversal & Expiry Functions (Add whenNotPaused) ---
+    /**
+     * @dev Sends what is left of transfer `transferId` back to its originator.
+     * Callable by the recipient while the transfer's HalfLife window is open. `reversalHash` must
+     * match the recorded keccak256(abi.encodePacked(originator, recipient, amount)). The recipient must
+     * still hold every amount locked or frozen on it, this transfer's included, so a reversal never pays
+     * out funds held for another transfer.
+     */
+    function reverseTransfer(uint256 /*transferId*/, bytes32 /*reversalHash*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Like reverseTransfer, but sends back only `amount`, which must not exceed what is
+     * left to reverse. The transfer stays open until fully reversed, settled or disputed.
+     */
+    function reversePartial(uint256 /*transferId*/, bytes32 /*reversalHash*/, uint256 /*amount*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Originator asks the recipient to send transfer `transferId` back, e.g. after
+     * paying the wrong address. The received funds stay locked until the recipient accepts or contests.
+     */
+    function requestReversal(uint256 /*transferId*/, string calldata /*reason*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Recipient accepts a pending reversal request; everything not yet reversed goes back to the originator.
+     */
+    function acceptReversal(uint256 /*transferId*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Recipient contests a pending reversal request. The hold is released and the
+     * transfer settles normally once its window ends.
+     */
+    function contestReversal(uint256 /*transferId*/, string calldata /*reason*/) external { _delegateToAuthorization(); }
 
-        // Apply Min Bound (Now 10**13 wei)
-        uint256 minFeeCheck = MIN_FEE_WEI; // Use the updated constant
-        if (finalFee < minFeeCheck && amount > minFeeCheck) { finalFee = minFeeCheck; }
+    // --- Dispute Arbitration ---
+    /**
+     * @dev Opens a dispute on transfer `transferId`, freezing its unreversed amount on the recipient
+     * (capped at the part of its balance no other dispute or open transfer holds). Works during and after the HalfLife
+     * window, even once settled.
+     */
+    function openDispute(uint256 /*transferId*/, bytes32 /*reasonCode*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Resolves an open dispute in favour of the originator: the frozen amount is sent back
+     * and the recipient's risk profile records both a reversal and an abnormal transaction. The transfer
+     * is only closed once fully reversed; a remainder the dispute could not freeze stays reversible and
+     * settles with the transfer's window.
+     */
+    function forceReversal(uint256 /*transferId*/, bytes32 /*resolutionCode*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Resolves an open dispute in favour of the recipient: the frozen amount is released and
+     * the transfer continues as if undisputed. No penalty is recorded against either party.
+     */
+    function releaseDispute(uint256 /*transferId*/, bytes32 /*resolutionCode*/) external { _delegateToAuthorization(); }
+    /**
+     * @dev Settles transfer `transferId` once its HalfLife window has ended,
+     * paying loyalty refunds to both parties.
+     */
+    function checkHalfLifeExpiry(uint256 /*transferId*/) external { _delegateToExtension(); }
+    /**
+     * @dev Settles every transfer received by `wallet` whose HalfLife window has ended,
+     * skipping those held by a pending reversal request or an open dispute.
+     * @return settled Number of transfers settled.
+     */
+    function settleExpiredTransfers(address /*wallet*/) external returns (uint256 /*settled*/) { _delegateToExtension(); }
+    /**
+     * @dev Settles the expired windows of many wallets at once, e.g. for cleanup by a keeper. Wallets with
+     * nothing to settle are skipped. Transfers and reversals already settle the windows of their parties.
+     * @return settled Number of transfers settled.
+     */
+    function checkHalfLifeExpiryBatch(address[] calldata /*wallets*/) external returns (uint256 /*settled*/) { _delegateToExtension(); }
 
-        // Apply Amount Cap
-        if (finalFee > amount) { finalFee = amount; }
-        // --- End Fee Pipeline ---
+    // --- Incentive Credits ---
+    /**
+     * @dev Redeems `credits` of the caller for T3 at creditRedemptionRateBps, paid by the treasury.
+     * The treasury funds redemptions through its allowance to this contract, which caps the total paid out.
+     */
+    function redeemCredits(uint256 /*credits*/) external returns (uint256 /*payout*/) { _delegateToExtension(); }
+    /** @dev Writes off the expired credits of `wallet`, reducing totalIncentiveCredits. Callable by anyone. */
+    function expireCredits(address /*wallet*/) external returns (uint256 /*expired*/) { _delegateToExtension(); }
 
-        uint256 netAmount = amount - finalFee;
+    // --- View Functions ---
+    /**
+     * @dev Quotes a transfer of `amount` from `sender` to `recipient` as it would execute now:
+     * tiered fee, risk multiplier, credits consumed, bound applied, net amount and HalfLife duration.
+     * Balance, HalfLife locks and the KYC policy are not checked, nor whether the recipient has a window left.
+     */
+    function previewTransfer(address sender, address recipient, uint256 amount) external view returns (TransferQuote memory) {
+        require(recipient != address(0), "Transfer to zero address");
+        require(amount > 0, "Transfer amount must be greater than zero");
+        return _quoteTransfer(sender, recipient, amount);
+    }
+    /** @dev Components of calculateRiskFactor(`wallet`), with reversal and abnormal counts net of decay. */
+    function getRiskBreakdown(address wallet) external view returns (RiskBreakdown memory) { return _riskBreakdown(wallet); }
+    /** @dev Balance of `wallet` received in transfers whose HalfLife window is still open. */
+    function lockedBalanceOf(address wallet) public view returns (uint256) { return _lockedBalance(wallet); }
+    /** @dev Balance of `wallet` that can be transferred or burnt right now. */
+    function spendableBalanceOf(address wallet) external view returns (uint256) {
+        uint256 balance = balanceOf(wallet);
+        uint256 locked = lockedBalanceOf(wallet);
+        return balance > locked ? balance - locked : 0;
+    }
+    /** @dev Number of open (neither reversed nor settled) transfers received by `wallet`. */
+    function openTransferCount(address wallet) external view returns (uint256) { return _openTransfers[wallet].length(); }
+    /** @dev IDs of the open transfers received by `wallet`, in no particular order. */
+    function getOpenTransferIds(address wallet) external view returns (uint256[] memory) { return _openTransfers[wallet].values(); }
+    /** @dev Full records of the open transfers received by `wallet`. */
+    function getOpenTransfers(address wallet) external view returns (TransferMetadata[] memory open) {
+        uint256[] memory ids = _openTransfers[wallet].values();
+        open = new TransferMetadata[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) { open[i] = transfers[ids[i]]; }
+    }
 
-        // Calls the pausable _update from ERC20Pausable
-        _update(sender, recipient, netAmount);
+    // --- NEW: Minting and Burning Functions ---
+    /**
+     * @dev Mints `amount` (wei) to `recipient`.
+     * Requires MINTER_ROLE. Intended to be called based on verified off-chain fiat deposits.
+     * Records the amount minted against the minter, whose outstanding issuance may not exceed
+     * its mint allowance when one is set.
+     */
+    function mint(address /*recipient*/, uint256 /*amount*/) external { _delegateToExtension(); }
 
-        // --- Post-transfer actions ---
-        if (finalFee > 0) {
-            processFee(sender, recipient, amount, finalFee);
-        }
-        transactionCountBetween[sender][recipient]++;
-        uint256 adaptiveHalfLife = calculateAdaptiveHalfLife(sender, recipient, amount);
-        transferData[recipient] = TransferMetadata({
-            commitWindowEnd: block.timestamp + adaptiveHalfLife,
-            halfLifeDuration: adaptiveHalfLife,
-            originator: sender,
-            transferCount: transferData[recipient].transferCount + 1,
-            reversalHash: keccak256(abi.encodePacked(sender, recipient, amount)),
-            feeAmount: finalFee,
-            isReversed: false
-        });
-        updateRollingAverage(recipient, amount);
-        emit TransferWithFee(sender, recipient, netAmount, finalFee);
-    }
+    /**
+     * @dev Burns `amount` (wei) from `account` for a fiat redemption paid by the calling minter, and
+     * deducts it from that minter's outstanding issuance. `account` is the minter itself or one of its
+     * customers, whose allowance to the minter is spent as with burnFrom. Requires MINTER_ROLE.
+     */
+    function redeem(address /*account*/, uint256 /*amount*/) external { _delegateToExtension(); }
 
-    // --- Core Logic Functions (Visibility adjusted) ---
-    // Implementations are assumed to be the corrected versions from previous steps
-
-    function calculateTieredFee(uint256 amount) internal view returns (uint256) {
-        if (amount == 0) return 0;
-        uint256 _decimals = decimals();
-        uint256 remainingAmount = amount;
-        uint256 totalFee = 0;
-        uint256 tierCeiling = 1 * (10**_decimals);
-        uint256 tierFloor = 0;
-        uint256 currentFeePercent = BASE_FEE_PERCENT;
-        while (remainingAmount > 0) {
-            uint256 amountInTier;
-            uint256 tierSize = tierCeiling - tierFloor;
-            if (tierCeiling < tierFloor) break;
-            if (tierSize == 0) break;
-            if (remainingAmount > tierSize) {
-                amountInTier = tierSize; remainingAmount -= amountInTier;
-            } else {
-                amountInTier = remainingAmount; remainingAmount = 0;
-            }
-            uint256 tierFee = (amountInTier * currentFeePercent) / BASIS_POINTS;
-            totalFee += tierFee;
-            tierFloor = tierCeiling;
-             uint256 nextTierCeiling = tierCeiling * TIER_MULTIPLIER;
-             if (TIER_MULTIPLIER != 0 && nextTierCeiling / TIER_MULTIPLIER != tierCeiling && tierCeiling > 0) {
-                 if (remainingAmount > 0) {
-                    tierFee = (remainingAmount * currentFeePercent) / BASIS_POINTS;
-                    totalFee += tierFee; remainingAmount = 0;
-                 }
-                 break;
-             }
-             tierCeiling = nextTierCeiling;
-            currentFeePercent = currentFeePercent / TIER_MULTIPLIER;
-            if (currentFeePercent == 0) { break; }
-        }
-        return totalFee;
-     }
-    function applyRiskAdjustments(uint256 baseFee, address sender, address recipient) internal view returns (uint256) {
-        uint256 senderRiskFactor = calculateRiskFactor(sender);
-        uint256 recipientRiskFactor = calculateRiskFactor(recipient);
-        uint256 riskFactor = senderRiskFactor > recipientRiskFactor ? senderRiskFactor : recipientRiskFactor;
-        return (baseFee * riskFactor) / BASIS_POINTS;
-     }
-    function calculateRiskFactor(address wallet) public view returns (uint256) { // Kept public for easier testing/querying
-        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
-        uint256 riskFactor = BASIS_POINTS;
-        if (profile.creationTime > 0 && block.timestamp - profile.creationTime < 7 days) { riskFactor += 5000; }
-        if (profile.lastReversal > 0 && block.timestamp - profile.lastReversal < 30 days) { riskFactor += 10000; }
-        riskFactor += profile.reversalCount * 1000;
-        riskFactor += profile.abnormalTxCount * 500;
-        return riskFactor;
-     }
-    function applyCredits(address wallet, uint256 fee) internal returns (uint256) {
-        IncentiveCredits storage credits = incentiveCredits[wallet];
-        if (credits.amount == 0) { return fee; }
-        if (credits.amount >= fee) {
-            credits.amount -= fee;
-            credits.lastUpdated = block.timestamp;
-            return 0;
-        } else {
-            uint256 remainingFee = fee - credits.amount;
-            credits.amount = 0;
-            credits.lastUpdated = block.timestamp;
-            return remainingFee;
-        }
-     }
-    function processFee(address sender, address recipient, uint256 /*amount*/, uint256 feeAmount) internal {
-        uint256 treasuryShare = feeAmount / 2;
-        if (treasuryShare > 0) { _mint(treasuryAddress, treasuryShare); }
-        uint256 senderShare = feeAmount / 4;
-        incentiveCredits[sender].amount += senderShare;
-        incentiveCredits[sender].lastUpdated = block.timestamp;
-        uint256 recipientShare = feeAmount - treasuryShare - senderShare; // Corrected logic
-        incentiveCredits[recipient].amount += recipientShare;
-        incentiveCredits[recipient].lastUpdated = block.timestamp;
-     }
-    function calculateAdaptiveHalfLife(address sender, address recipient, uint256 amount) internal view returns (uint256) {
-        uint256 duration = halfLifeDuration;
-        uint256 txCount = transactionCountBetween[sender][recipient];
-        if (txCount > 0) {
-            uint256 reduction = (txCount * 10 > 90) ? 90 : txCount * 10;
-            duration = duration * (100 - reduction) / 100;
-        }
-        RollingAverage storage avg = rollingAverages[sender];
-        if (avg.count > 0) {
-             if (avg.totalAmount > 0) {
-                uint256 avgAmount = avg.totalAmount / avg.count;
-                if (amount > avgAmount * 10) { duration = duration * 2; }
-             }
-        }
-        if (duration < minHalfLifeDuration) { duration = minHalfLifeDuration; }
-        else if (duration > maxHalfLifeDuration) { duration = maxHalfLifeDuration; }
-        return duration;
-     }
-    function updateRollingAverage(address wallet, uint256 amount) internal {
-         RollingAverage storage avg = rollingAverages[wallet];
-        if (avg.lastUpdated > 0 && block.timestamp - avg.lastUpdated > inactivityResetPeriod) {
-            avg.totalAmount = 0; avg.count = 0;
-        }
-        avg.totalAmount += amount; avg.count++; avg.lastUpdated = block.timestamp;
-     }
-    function updateWalletRiskProfile(address wallet, bool isReversal, bool /*isSuccessfulCompletion*/) internal {
-        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
-        if (profile.creationTime == 0) {
-            profile.creationTime = block.timestamp;
-        }
-        if (isReversal) {
-            profile.reversalCount++;
-            profile.lastReversal = block.timestamp;
-        }
-        emit RiskFactorUpdated(wallet, calculateRiskFactor(wallet));
-     }
+    /**
+     * @dev Caps the outstanding issuance of a MINTER_ROLE holder; 0 removes the cap. An allowance
+     * below what is already outstanding blocks new mints until redemptions bring it under.
+     * Requires ADMIN_ROLE.
+     */
+    function setMintAllowance(address /*minter*/, uint256 /*allowance*/) external { _delegateToExtension(); }
 
-    // --- Reversal & Expiry Functions (Add whenNotPaused) ---
-    function reverseTransfer(address from, address to, uint256 amount) external whenNotPaused {
-        require(msg.sender == from , "Only receiver can initiate reversal");
-        TransferMetadata storage meta = transferData[from];
-        require(block.timestamp < meta.commitWindowEnd, "HalfLife expired");
-        require(to == meta.originator, "Reversal must go back to originator");
-        require(balanceOf(from) >= amount, "Insufficient balance to reverse");
-        require(!meta.isReversed, "Transfer already reversed");
-        meta.isReversed = true;
-        updateWalletRiskProfile(from, true, false);
-        updateWalletRiskProfile(to, true, false);
-        _transfer(from, to, amount); // Calls internal _update hook
-        delete transferData[from];
-        emit TransferReversed(from, to, amount);
-     }
-    function checkHalfLifeExpiry(address wallet) external whenNotPaused {
-        TransferMetadata storage meta = transferData[wallet];
-        require(meta.commitWindowEnd > 0, "No active transfer data");
-        require(block.timestamp >= meta.commitWindowEnd, "HalfLife not expired yet");
-        require(!meta.isReversed, "Transfer was reversed");
-        uint256 feePaid = meta.feeAmount;
-        if (feePaid > 0) {
-            uint256 refundAmount = feePaid / 8;
-            if (refundAmount > 0) {
-                incentiveCredits[meta.originator].amount += refundAmount;
-                incentiveCredits[meta.originator].lastUpdated = block.timestamp;
-                incentiveCredits[wallet].amount += refundAmount;
-                incentiveCredits[wallet].lastUpdated = block.timestamp;
-                emit LoyaltyRefundProcessed(meta.originator, refundAmount);
-                emit LoyaltyRefundProcessed(wallet, refundAmount);
-            }
-        }
-        updateWalletRiskProfile(wallet, false, true);
-        updateWalletRiskProfile(meta.originator, false, true);
-        delete transferData[wallet];
-        emit HalfLifeExpired(wallet, block.timestamp);
-     }
+    /**
+     * @dev Escrows `amount` (wei) of the caller's spendable balance on this contract and asks `custodian`
+     * (a MINTER_ROLE holder, or an FI with CUSTODIAN_ROLE on custodianRegistry) to pay it out in fiat.
+     * `referenceId` is a unique, non-zero reference carried by every event of the request so the FI's
+     * core banking system can match the payout. Returns the redemption ID.
+     */
+    function requestRedemption(uint256 /*amount*/, address /*custodian*/, bytes32 /*referenceId*/) external returns (uint256 /*redemptionId*/) { _delegateToExtension(); }
 
-    // --- View Functions ---
-    function getAvailableCredits(address wallet) external view returns (uint256) { return incentiveCredits[wallet].amount; }
+    /**
+     * @dev Called by the named custodian once the fiat payout is made: burns the escrow and deducts it,
+     * up to the custodian's outstanding issuance, from what the custodian minted.
+     */
+    function confirmRedemption(uint256 /*redemptionId*/) external { _delegateToExtension(); }
 
-    // --- NEW: Minting and Burning Functions (Add whenNotPaused) ---
     /**
-     * @dev Mints tokens to a recipient address.
-     * Requires MINTER_ROLE. Intended to be called based on verified off-chain fiat deposits.
-     * Records the amount minted against the minter.
-     * @param recipient The address to receive the minted tokens.
-     * @param amount The amount of tokens to mint (in wei).
-     */
-    function mint(address recipient, uint256 amount) external whenNotPaused onlyRole(MINTER_ROLE) {
-        require(recipient != address(0), "Mint to the zero address");
-        require(amount > 0, "Mint amount must be positive");
-        address minter = _msgSender(); // The FI calling this function
-        _mint(recipient, amount); // Calls internal _update hook
-        mintedByMinter[minter] += amount;
-        emit TokensMinted(minter, recipient, amount);
+     * @dev Called by the named custodian to refuse a payout: returns the escrow to the holder with a reason code.
+     * A holder frozen since filing still gets it back, and it stays frozen there.
+     */
+    function rejectRedemption(uint256 /*redemptionId*/, bytes32 /*rejectionCode*/) external { _delegateToExtension(); }
+
+    /** @dev Tokens issued by `minter` and not yet redeemed through it. */
+    function outstandingIssuance(address minter) public view returns (uint256) { return mintedByMinter[minter] - redeemedByMinter[minter]; }
+    /** @dev Minted, redeemed and outstanding amounts of `minter`, with its allowance and what it can still mint. */
+    function getMinterIssuance(address minter) external view returns (MinterIssuance memory issuance) {
+        issuance.minted = mintedByMinter[minter];
+        issuance.redeemed = redeemedByMinter[minter];
+        issuance.outstanding = issuance.minted - issuance.redeemed;
+        issuance.allowance = mintAllowance[minter];
+        if (issuance.allowance == 0) { issuance.available = type(uint256).max; }
+        else if (issuance.allowance > issuance.outstanding) { issuance.available = issuance.allowance - issuance.outstanding; }
     }
+    /** @dev Every minter that has minted or been given an allowance, including those whose role was revoked since. */
+    function getMinters() external view returns (address[] memory) { return _minters.values(); }
 
      /**
-      * @dev Destroys `amount` tokens from the caller's account.
+      * @dev Destroys `amount` tokens (wei) from the caller's account.
       * Standard burn function, callable by any token holder.
-      * @param amount The amount of tokens to burn (in wei).
       */
-     function burn(uint256 amount) external whenNotPaused {
-         require(amount > 0, "Burn amount must be positive");
-         _burn(_msgSender(), amount); // Calls internal _update hook
-     }
+     function burn(uint256 /*amount*/) external { _delegateToExtension(); }
 
      /**
       * @dev Destroys `amount` tokens from `account`, reducing the caller's
       * allowance. Standard ERC20 burnFrom.
       * Requires allowance. Callable by anyone with sufficient allowance.
-      * @param account The account whose tokens will be burnt.
-      * @param amount The amount of tokens to burn (in wei).
       */
-     function burnFrom(address account, uint256 amount) external whenNotPaused {
-         require(amount > 0, "Burn amount must be positive");
-         _spendAllowance(account, _msgSender(), amount);
-         _burn(account, amount); // Calls internal _update hook
-     }
+     function burnFrom(address /*account*/, uint256 /*amount*/) external { _delegateToExtension(); }
 
     // --- NEW: Interbank Liability Functions ---
     /**
      * @dev Records a liability owed by a debtor bank to a creditor bank.
      * Requires ADMIN_ROLE.
      */
-    function recordInterbankLiability(address debtor, address creditor, uint256 amount) external onlyRole(ADMIN_ROLE) {
-        require(debtor != address(0), "Debtor cannot be zero address");
-        require(creditor != address(0), "Creditor cannot be zero address");
-        require(debtor != creditor, "Debtor cannot be creditor");
-        require(amount > 0, "Amount must be positive");
-        interbankLiability[debtor][creditor] += amount;
-        emit InterbankLiabilityRecorded(debtor, creditor, amount);
-     }
+    function recordInterbankLiability(address /*debtor*/, address /*creditor*/, uint256 /*amount*/) external { _delegateToAdmin(); }
     /**
      * @dev Clears (reduces) a liability owed by a debtor bank to a creditor bank.
      * Requires ADMIN_ROLE.
      */
-    function clearInterbankLiability(address debtor, address creditor, uint256 amountToClear) external onlyRole(ADMIN_ROLE) {
-        require(debtor != address(0), "Debtor cannot be zero address");
-        require(creditor != address(0), "Creditor cannot be zero address");
-        require(debtor != creditor, "Debtor cannot be creditor");
-        require(amountToClear > 0, "Amount to clear must be positive");
-        uint256 currentLiability = interbankLiability[debtor][creditor];
-        require(amountToClear <= currentLiability, "Amount to clear exceeds outstanding liability");
-        interbankLiability[debtor][creditor] = currentLiability - amountToClear;
-        emit InterbankLiabilityCleared(debtor, creditor, amountToClear);
-     }
+    function clearInterbankLiability(address /*debtor*/, address /*creditor*/, uint256 /*amountToClear*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Clears a whole netting cycle atomically under `settlementId`: each (debtor, creditor, amount)
+     * entry is cleared as by clearInterbankLiability, and the cycle reverts as a whole if any entry fails.
+     * Requires ADMIN_ROLE.
+     */
+    function settleInterbankCycle(bytes32 /*settlementId*/, address[] calldata /*debtors*/, address[] calldata /*creditors*/, uint256[] calldata /*amounts*/) external { _delegateToAdmin(); }
 
     // --- Admin / Role Management Functions (Using AccessControl) ---
     /**
      * @dev Flags a transaction associated with a wallet as abnormal.
      * Requires ADMIN_ROLE.
      */
-    function flagAbnormalTransaction(address wallet) external onlyRole(ADMIN_ROLE) {
-        updateWalletRiskProfile(wallet, false, false); // Ensure profile exists
-        walletRiskProfiles[wallet].abnormalTxCount++;
-        // Event emitted within updateWalletRiskProfile
-     }
-    /** @dev Sets the treasury address. Requires ADMIN_ROLE. */
-    function setTreasuryAddress(address _treasuryAddress) external onlyRole(ADMIN_ROLE) { require(_treasuryAddress != address(0), "Treasury address cannot be zero"); treasuryAddress = _treasuryAddress; }
+    function flagAbnormalTransaction(address /*wallet*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Removes one abnormal flag still counted against `wallet`, e.g. one set by mistake.
+     * `reasonCode` is a bytes32 label for the audit trail, like dispute codes. Requires ADMIN_ROLE.
+     */
+    function clearAbnormalFlag(address /*wallet*/, bytes32 /*reasonCode*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Clears the reversal and abnormal-flag penalties of `wallet`; its age, and so the new-wallet
+     * component, is kept. Requires ADMIN_ROLE and a non-zero `reasonCode`.
+     */
+    function resetRiskProfile(address /*wallet*/, bytes32 /*reasonCode*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Sets how long it takes for one reversal / one abnormal flag to stop counting towards the risk
+     * factor, measured from the wallet's latest one (0 = never). Requires ADMIN_ROLE.
+     */
+    function setRiskDecay(uint256 /*_reversalPenaltyDecay*/, uint256 /*_abnormalPenaltyDecay*/) external { _delegateToAdmin(); }
+
+    // --- Wallet Freezes ---
+    /**
+     * @dev Freezes `wallet` under the case `caseReference` (a bytes32 label, e.g. a court order number):
+     * it can no longer send, receive, reverse or burn tokens. The treasury, the token contract and the
+     * recovery address cannot be frozen. Requires COMPLIANCE_ROLE.
+     */
+    function freezeWallet(address /*wallet*/, bytes32 /*caseReference*/) external { _delegateToExtension(); }
+    /** @dev Lifts the freeze of `wallet`, recording `caseReference`. Requires COMPLIANCE_ROLE. */
+    function unfreezeWallet(address /*wallet*/, bytes32 /*caseReference*/) external { _delegateToExtension(); }
+    /**
+     * @dev Moves `amount` from a frozen `wallet` to recoveryAddress under `caseReference`, regardless of
+     * HalfLife locks. Open transfers whose funds are gone are closed (`HalfLifeExpired`) and open disputes are
+     * capped at what is left. The wallet stays frozen. Requires COMPLIANCE_ROLE.
+     */
+    function seizeFrozenFunds(address /*wallet*/, uint256 /*amount*/, bytes32 /*caseReference*/) external { _delegateToExtension(); }
+    /** @dev Sets the address receiving seized funds; it cannot be frozen. Requires ADMIN_ROLE. */
+    function setRecoveryAddress(address /*recovery*/) external { _delegateToExtension(); }
+    /** @dev Every wallet currently frozen. */
+    function getFrozenWallets() external view returns (address[] memory) { return _frozenWallets.values(); }
+
+    // --- KYC Policy ---
+    /**
+     * @dev Sets the CustodianRegistry consulted by the KYC policy and for interbank liabilities. The zero address
+     * unlinks it, which requires the policy to be Disabled first. Requires ADMIN_ROLE.
+     */
+    function setCustodianRegistry(address /*registry*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Puts a KYC policy in force on transfer, transferFrom and mint: Disabled, Strict (both parties custodied
+     * and KYC-valid) or Threshold (like Strict, but unregistered recipients may receive amounts below
+     * `_unregisteredRecipientLimit`). Any policy but Disabled needs a custodian registry. Requires ADMIN_ROLE.
+     */
+    function setKYCPolicy(KYCPolicy /*policy*/, uint256 /*_unregisteredRecipientLimit*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Exempts `account` (e.g. the treasury or another system address) from the KYC policy, or lifts the
+     * exemption. Requires ADMIN_ROLE.
+     */
+    function setKYCExempt(address /*account*/, bool /*exempt*/) external { _delegateToAdmin(); }
+
+    // --- Fee Schedule ---
+    /**
+     * @dev Puts a new fee schedule in force under the next version; transfers from now on are charged against it.
+     * Requires ADMIN_ROLE.
+     */
+    function setFeeSchedule(FeeSchedule calldata /*schedule*/) external { _delegateToAdmin(); }
+    /** @dev Returns fee schedule `version` (0 = the one in force). */
+    function getFeeSchedule(uint256 version) external view returns (FeeSchedule memory) {
+        if (version == 0) { version = feeScheduleVersion; }
+        require(version <= feeScheduleVersion, "Unknown fee schedule version");
+        return _feeSchedules[version];
+    }
+    /**
+     * @dev Sets credit expiry and redemption terms. Requires ADMIN_ROLE.
+     * Credits expire `expiryPeriod` after their wallet last gained or spent any (0 = never). Redemption pays
+     * `redemptionRateBps` of T3 per credit (0 disables it), for at most `maxRedemption` credits per call (0 = uncapped).
+     */
+    function setCreditPolicy(uint256 /*expiryPeriod*/, uint256 /*redemptionRateBps*/, uint256 /*maxRedemption*/) external { _delegateToExtension(); }
+
+    /** @dev Sets the treasury address, which receives the treasury share of fees; cannot be zero. Requires ADMIN_ROLE. */
+    function setTreasuryAddress(address /*_treasuryAddress*/) external { _delegateToAdmin(); }
     /** @dev Sets the default HalfLife duration. Requires ADMIN_ROLE. */
-    function setHalfLifeDuration(uint256 _halfLifeDuration) external onlyRole(ADMIN_ROLE) { require(_halfLifeDuration >= minHalfLifeDuration, "Below minimum"); require(_halfLifeDuration <= maxHalfLifeDuration, "Above maximum"); halfLifeDuration = _halfLifeDuration; }
+    function setHalfLifeDuration(uint256 /*_halfLifeDuration*/) external { _delegateToAdmin(); }
     /** @dev Sets the minimum HalfLife duration. Requires ADMIN_ROLE. */
-    function setMinHalfLifeDuration(uint256 _minHalfLifeDuration) external onlyRole(ADMIN_ROLE) { require(_minHalfLifeDuration > 0, "Min must be positive"); require(_minHalfLifeDuration <= halfLifeDuration, "Min exceeds default"); minHalfLifeDuration = _minHalfLifeDuration; }
+    function setMinHalfLifeDuration(uint256 /*_minHalfLifeDuration*/) external { _delegateToAdmin(); }
     /** @dev Sets the maximum HalfLife duration. Requires ADMIN_ROLE. */
-    function setMaxHalfLifeDuration(uint256 _maxHalfLifeDuration) external onlyRole(ADMIN_ROLE) { require(_maxHalfLifeDuration >= halfLifeDuration, "Max below default"); maxHalfLifeDuration = _maxHalfLifeDuration; }
+    function setMaxHalfLifeDuration(uint256 /*_maxHalfLifeDuration*/) external { _delegateToAdmin(); }
     /** @dev Sets the inactivity reset period. Requires ADMIN_ROLE. */
-    function setInactivityResetPeriod(uint256 _inactivityResetPeriod) external onlyRole(ADMIN_ROLE) { require(_inactivityResetPeriod > 0, "Period must be positive"); inactivityResetPeriod = _inactivityResetPeriod; }
+    function setInactivityResetPeriod(uint256 /*_inactivityResetPeriod*/) external { _delegateToAdmin(); }
+    /**
+     * @dev Sets the smallest net amount that gets a HalfLife window; smaller transfers settle at once and
+     * cannot be reversed, so dust cannot take a recipient's MAX_OPEN_TRANSFERS windows. Requires ADMIN_ROLE.
+     */
+    function setMinLockableAmount(uint256 /*_minLockableAmount*/) external { _delegateToAdmin(); }
+
+    // --- Modules ---
+    /**
+     * @dev Runs the current call on a module with delegatecall and ends it with the module's
+     * return data or revert reason. Used by the functions the modules implement.
+     */
+    function _delegateToExtension() private {
+        _delegateTo(_extension);
+    }
+    function _delegateToAuthorization() private {
+        _delegateTo(_authorization);
+    }
+    function _delegateToAdmin() private {
+        _delegateTo(_admin);
+    }
+    /// @custom:oz-upgrades-unsafe-allow delegatecall
+    function _delegateTo(address module) private {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /** @dev UUPS upgrade guard: only UPGRADER_ROLE can point the proxy at a new implementation. */
+    function _authorizeUpgrade(address /*newImplementation*/) internal override onlyRole(UPGRADER_ROLE) {}
 
     // --- Pausing Functions ---
     /** @dev Pauses the contract. Requires PAUSER_ROLE. */
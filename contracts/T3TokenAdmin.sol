@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenAdmin
+ * @dev Initializer and ADMIN_ROLE operations of T3Token: interbank liabilities, risk profile overrides and
+ * configuration setters. T3Token delegatecalls it from same-signature functions, which carry the
+ * documentation. Its own storage can never be initialized.
+ */
+contract T3TokenAdmin is T3TokenBase {
+    constructor() {
+        _disableInitializers();
+    }
+
+    // --- Initialization ---
+    function initialize(address initialAdmin, address _treasuryAddress) external initializer {
+        require(_treasuryAddress != address(0), "Treasury address cannot be zero");
+        __T3TokenBase_init();
+        treasuryAddress = _treasuryAddress;
+
+        // Grant necessary roles to the deployer/initial admin
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(ADMIN_ROLE, initialAdmin);
+        _grantRole(PAUSER_ROLE, initialAdmin);
+        _grantRole(UPGRADER_ROLE, initialAdmin);
+        _setFeeSchedule(_defaultFeeSchedule());
+
+        // Mint initial supply to admin (or designated address)
+        _mint(initialAdmin, 1000000 * 10**decimals());
+        walletRiskProfiles[initialAdmin].creationTime = block.timestamp;
+    }
+
+    // Version 1: tiers of x10 width from 1 T3, each charging a tenth of the previous rate; 50/25/25 split
+    function _defaultFeeSchedule() internal view returns (FeeSchedule memory schedule) {
+        schedule.tiers = new FeeTier[](DEFAULT_FEE_TIERS);
+        uint256 upTo = 10**decimals();
+        uint256 rate = BASE_FEE_PERCENT;
+        for (uint256 i = 0; i < DEFAULT_FEE_TIERS; i++) {
+            schedule.tiers[i] = FeeTier(upTo, rate);
+            upTo *= TIER_MULTIPLIER;
+            rate /= TIER_MULTIPLIER;
+        }
+        schedule.minFee = MIN_FEE_WEI;
+        schedule.maxFeeBps = MAX_FEE_PERCENT;
+        schedule.treasuryShareBps = 5000;
+        schedule.senderShareBps = 2500;
+        schedule.recipientShareBps = 2500;
+    }
+
+    // --- Interbank Liability Functions ---
+    function recordInterbankLiability(address debtor, address creditor, uint256 amount) external onlyRole(ADMIN_ROLE) {
+        require(debtor != address(0), "Debtor cannot be zero address");
+        require(creditor != address(0), "Creditor cannot be zero address");
+        require(debtor != creditor, "Debtor cannot be creditor");
+        require(amount > 0, "Amount must be positive");
+        interbankLiability[debtor][creditor] += amount;
+        emit InterbankLiabilityRecorded(debtor, creditor, amount);
+     }
+    function clearInterbankLiability(address debtor, address creditor, uint256 amountToClear) external onlyRole(ADMIN_ROLE) {
+        _clearInterbankLiability(debtor, creditor, amountToClear);
+     }
+    function settleInterbankCycle(bytes32 settlementId, address[] calldata debtors, address[] calldata creditors, uint256[] calldata amounts) external onlyRole(ADMIN_ROLE) {
+        require(settlementId != bytes32(0), "Settlement ID cannot be zero");
+        require(settlementCycles[settlementId].settledAt == 0, "Settlement cycle already settled");
+        require(debtors.length > 0, "Settlement cycle is empty");
+        require(debtors.length == creditors.length && debtors.length == amounts.length, "Settlement arrays length mismatch");
+        uint256 grossAmount = 0;
+        for (uint256 i = 0; i < debtors.length; i++) {
+            _clearInterbankLiability(debtors[i], creditors[i], amounts[i]);
+            grossAmount += amounts[i];
+        }
+        settlementCycles[settlementId] = SettlementCycle(block.timestamp, debtors.length, grossAmount);
+        emit InterbankSettlementCycleSettled(settlementId, debtors.length, grossAmount);
+     }
+    function _clearInterbankLiability(address debtor, address creditor, uint256 amountToClear) internal {
+        require(debtor != address(0), "Debtor cannot be zero address");
+        require(creditor != address(0), "Creditor cannot be zero address");
+        require(debtor != creditor, "Debtor cannot be creditor");
+        require(amountToClear > 0, "Amount to clear must be positive");
+        uint256 currentLiability = interbankLiability[debtor][creditor];
+        require(amountToClear <= currentLiability, "Amount to clear exceeds outstanding liability");
+        interbankLiability[debtor][creditor] = currentLiability - amountToClear;
+        emit InterbankLiabilityCleared(debtor, creditor, amountToClear);
+     }
+
+    // --- Admin Functions ---
+    function flagAbnormalTransaction(address wallet) external onlyRole(ADMIN_ROLE) {
+        _flagAbnormal(wallet);
+        updateWalletRiskProfile(wallet, false, false); // Ensures the profile exists and emits the new factor
+     }
+    function clearAbnormalFlag(address wallet, bytes32 reasonCode) external onlyRole(ADMIN_ROLE) {
+        require(reasonCode != bytes32(0), "Reason code required");
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        uint256 counted = _decayedCount(profile.abnormalTxCount, profile.lastAbnormalFlag, abnormalPenaltyDecay);
+        require(counted > 0, "No abnormal flag to clear");
+        // Decay still runs from the last flag, so dropping one stored flag drops one counted flag
+        profile.abnormalTxCount--;
+        emit AbnormalFlagCleared(wallet, msg.sender, reasonCode, counted - 1);
+        emit RiskFactorUpdated(wallet, calculateRiskFactor(wallet));
+     }
+    function resetRiskProfile(address wallet, bytes32 reasonCode) external onlyRole(ADMIN_ROLE) {
+        require(reasonCode != bytes32(0), "Reason code required");
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        // The wallet's age is a fact, not a penalty, and is kept
+        profile.reversalCount = 0;
+        profile.lastReversal = 0;
+        profile.abnormalTxCount = 0;
+        profile.lastAbnormalFlag = 0;
+        emit RiskProfileReset(wallet, msg.sender, reasonCode);
+        emit RiskFactorUpdated(wallet, calculateRiskFactor(wallet));
+     }
+    function setRiskDecay(uint256 _reversalPenaltyDecay, uint256 _abnormalPenaltyDecay) external onlyRole(ADMIN_ROLE) {
+        reversalPenaltyDecay = _reversalPenaltyDecay;
+        abnormalPenaltyDecay = _abnormalPenaltyDecay;
+        emit RiskDecayUpdated(_reversalPenaltyDecay, _abnormalPenaltyDecay);
+     }
+    function setCustodianRegistry(address registry) external onlyRole(ADMIN_ROLE) {
+        require(registry != address(0) || kycPolicy == KYCPolicy.Disabled, "Disable KYC policy first");
+        custodianRegistry = ICustodianRegistry(registry);
+        emit CustodianRegistryUpdated(registry);
+    }
+    function setKYCPolicy(KYCPolicy policy, uint256 _unregisteredRecipientLimit) external onlyRole(ADMIN_ROLE) {
+        require(policy == KYCPolicy.Disabled || address(custodianRegistry) != address(0), "Custodian registry not set");
+        kycPolicy = policy;
+        unregisteredRecipientLimit = _unregisteredRecipientLimit;
+        emit KYCPolicyUpdated(policy, _unregisteredRecipientLimit);
+    }
+    function setKYCExempt(address account, bool exempt) external onlyRole(ADMIN_ROLE) {
+        require(account != address(0), "Account cannot be zero address");
+        kycExempt[account] = exempt;
+        emit KYCExemptionUpdated(account, exempt);
+    }
+    function setFeeSchedule(FeeSchedule memory schedule) external onlyRole(ADMIN_ROLE) {
+        _setFeeSchedule(schedule);
+    }
+    function setTreasuryAddress(address _treasuryAddress) external onlyRole(ADMIN_ROLE) { require(_treasuryAddress != address(0), "Treasury address cannot be zero"); require(!isFrozen(_treasuryAddress), "Treasury address is frozen"); treasuryAddress = _treasuryAddress; }
+    function setHalfLifeDuration(uint256 _halfLifeDuration) external onlyRole(ADMIN_ROLE) { require(_halfLifeDuration >= minHalfLifeDuration, "Below minimum"); require(_halfLifeDuration <= maxHalfLifeDuration, "Above maximum"); halfLifeDuration = _halfLifeDuration; }
+    function setMinHalfLifeDuration(uint256 _minHalfLifeDuration) external onlyRole(ADMIN_ROLE) { require(_minHalfLifeDuration > 0, "Min must be positive"); require(_minHalfLifeDuration <= halfLifeDuration, "Min exceeds default"); minHalfLifeDuration = _minHalfLifeDuration; }
+    function setMaxHalfLifeDuration(uint256 _maxHalfLifeDuration) external onlyRole(ADMIN_ROLE) { require(_maxHalfLifeDuration >= halfLifeDuration, "Max below default"); maxHalfLifeDuration = _maxHalfLifeDuration; }
+    function setInactivityResetPeriod(uint256 _inactivityResetPeriod) external onlyRole(ADMIN_ROLE) { require(_inactivityResetPeriod > 0, "Period must be positive"); inactivityResetPeriod = _inactivityResetPeriod; }
+    function setMinLockableAmount(uint256 _minLockableAmount) external onlyRole(ADMIN_ROLE) { minLockableAmount = _minLockableAmount; }
+}
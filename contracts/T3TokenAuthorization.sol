@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenAuthorization
+ * @dev Reversals of T3Token (by the recipient, on request of the originator or through dispute arbitration),
+ * EIP-2612 permits and signed (ERC-3009 style) transfers and reversals, which let a relayer submit
+ * transactions for wallets that hold no ETH. Deployed before T3Token, which delegatecalls it from
+ * same-signature functions carrying the documentation. Called directly, it only acts on its own empty storage.
+ */
+contract T3TokenAuthorization is T3TokenBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    // --- Recipient Reversals ---
+    function reverseTransfer(uint256 transferId, bytes32 reversalHash) external whenNotPaused {
+        _checkReversal(transferId, reversalHash, msg.sender);
+        _executeReversal(transferId, reversibleAmountOf(transferId));
+    }
+    function reversePartial(uint256 transferId, bytes32 reversalHash, uint256 amount) external whenNotPaused {
+        _checkReversal(transferId, reversalHash, msg.sender);
+        require(amount > 0, "Reversal amount must be positive");
+        require(amount <= reversibleAmountOf(transferId), "Amount exceeds reversible amount");
+        _executeReversal(transferId, amount);
+    }
+    function acceptReversal(uint256 transferId) external whenNotPaused {
+        TransferMetadata storage meta = transfers[transferId];
+        require(_isReversalRequested(transferId), "No pending reversal request");
+        require(msg.sender == meta.recipient, "Only receiver can answer reversal request");
+        require(!_isDisputed(transferId), "Transfer under dispute");
+        _executeReversal(transferId, reversibleAmountOf(transferId));
+    }
+
+    // --- Reversal Requests ---
+    function requestReversal(uint256 transferId, string calldata reason) external whenNotPaused {
+        TransferMetadata storage meta = transfers[transferId];
+        require(meta.recipient != address(0), "Unknown transfer");
+        require(msg.sender == meta.originator, "Only originator can request reversal");
+        require(!meta.isReversed, "Transfer already reversed");
+        require(block.timestamp < meta.commitWindowEnd, "HalfLife expired");
+        ReversalRequest storage request = reversalRequests[transferId];
+        require(request.status == ReversalRequestStatus.None, "Reversal already requested");
+        request.status = ReversalRequestStatus.Requested;
+        request.requestedAt = block.timestamp;
+        emit ReversalRequested(transferId, meta.originator, meta.recipient, reason);
+     }
+    function contestReversal(uint256 transferId, string calldata reason) external whenNotPaused {
+        TransferMetadata storage meta = transfers[transferId];
+        require(_isReversalRequested(transferId), "No pending reversal request");
+        require(msg.sender == meta.recipient, "Only receiver can answer reversal request");
+        ReversalRequest storage request = reversalRequests[transferId];
+        request.status = ReversalRequestStatus.Contested;
+        request.resolvedAt = block.timestamp;
+        emit ReversalRequestContested(transferId, meta.recipient, reason);
+     }
+
+    // --- Dispute Arbitration ---
+    function openDispute(uint256 transferId, bytes32 reasonCode) external whenNotPaused onlyRole(ARBITER_ROLE) {
+        TransferMetadata storage meta = transfers[transferId];
+        require(meta.recipient != address(0), "Unknown transfer");
+        require(!meta.isReversed, "Transfer already reversed");
+        Dispute storage dispute = disputes[transferId];
+        require(dispute.status == DisputeStatus.None, "Dispute already opened");
+        // Funds frozen by other disputes or locked for other transfers cannot be frozen for this one
+        _settleExpiredTransfers(meta.recipient);
+        uint256 reversible = reversibleAmountOf(transferId);
+        uint256 ownLock = _openTransfers[meta.recipient].contains(transferId) ? reversible : 0;
+        uint256 held = disputedBalanceOf[meta.recipient] + _lockedTotal[meta.recipient] - ownLock;
+        uint256 balance = balanceOf(meta.recipient);
+        uint256 available = balance > held ? balance - held : 0;
+        uint256 frozen = reversible < available ? reversible : available;
+        dispute.status = DisputeStatus.Open;
+        dispute.arbiter = msg.sender;
+        dispute.amount = frozen;
+        dispute.openedAt = block.timestamp;
+        dispute.reasonCode = reasonCode;
+        disputedBalanceOf[meta.recipient] += frozen;
+        _openDisputes[meta.recipient].add(transferId);
+        // The dispute holds the funds instead of the HalfLife lock until it is resolved
+        if (_openTransfers[meta.recipient].contains(transferId)) { _unlock(meta, reversible); }
+        emit DisputeOpened(transferId, msg.sender, reasonCode, frozen);
+     }
+    function forceReversal(uint256 transferId, bytes32 resolutionCode) external whenNotPaused onlyRole(ARBITER_ROLE) {
+        Dispute storage dispute = _resolveDispute(transferId, DisputeStatus.Reversed, resolutionCode);
+        TransferMetadata storage meta = transfers[transferId];
+        address from = meta.recipient;
+        meta.reversedAmount += dispute.amount;
+        if (meta.reversedAmount == meta.netAmount) {
+            _markReversed(transferId);
+        } else if (_openTransfers[from].contains(transferId)) {
+            // Frozen below its amount: the rest stays reversible and goes back under its HalfLife lock
+            _lock(meta, meta.netAmount - meta.reversedAmount);
+        }
+        _flagAbnormal(from);
+        updateWalletRiskProfile(from, true, false);
+        _unwindTransferLiability(transferId, dispute.amount);
+        _transfer(from, meta.originator, dispute.amount);
+        emit TransferReversed(transferId, from, meta.originator, dispute.amount);
+        emit DisputeResolved(transferId, msg.sender, resolutionCode, true, dispute.amount);
+     }
+    function releaseDispute(uint256 transferId, bytes32 resolutionCode) external whenNotPaused onlyRole(ARBITER_ROLE) {
+        Dispute storage dispute = _resolveDispute(transferId, DisputeStatus.Released, resolutionCode);
+        TransferMetadata storage meta = transfers[transferId];
+        // Back under its HalfLife lock, which the next settlement releases if the window has ended
+        if (_openTransfers[meta.recipient].contains(transferId)) { _lock(meta, reversibleAmountOf(transferId)); }
+        updateWalletRiskProfile(meta.recipient, false, true);
+        emit DisputeResolved(transferId, msg.sender, resolutionCode, false, dispute.amount);
+     }
+    function _resolveDispute(uint256 transferId, DisputeStatus outcome, bytes32 resolutionCode) internal returns (Dispute storage dispute) {
+        require(_isDisputed(transferId), "No open dispute");
+        dispute = disputes[transferId];
+        dispute.status = outcome;
+        dispute.resolvedAt = block.timestamp;
+        dispute.resolutionCode = resolutionCode;
+        address recipient = transfers[transferId].recipient;
+        disputedBalanceOf[recipient] -= dispute.amount;
+        _openDisputes[recipient].remove(transferId);
+     }
+
+    // --- EIP-2612 Permit ---
+    function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        require(block.timestamp <= deadline, "Permit expired");
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, owner, spender, value, _useNonce(owner), deadline));
+        address signer = ECDSA.recover(_hashTypedDataV4(structHash), v, r, s);
+        require(signer == owner, "Invalid permit signature");
+        _approve(owner, spender, value);
+    }
+
+    // --- Signed Authorizations ---
+    function transferWithAuthorization(
+        address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s
+    ) external whenNotPaused {
+        bytes32 structHash = keccak256(abi.encode(TRANSFER_WITH_AUTHORIZATION_TYPEHASH, from, to, value, validAfter, validBefore, nonce));
+        _useAuthorization(from, nonce, validAfter, validBefore, structHash, v, r, s);
+        // Same path as transfer(), with the signer as the sender
+        updateWalletRiskProfile(from, false, false);
+        updateWalletRiskProfile(to, false, false);
+        _transferWithT3Logic(from, to, value);
+    }
+    function reverseWithAuthorization(
+        uint256 transferId, bytes32 reversalHash, uint256 amount, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s
+    ) external whenNotPaused {
+        address recipient = transfers[transferId].recipient;
+        _checkReversal(transferId, reversalHash, recipient);
+        bytes32 structHash = keccak256(abi.encode(REVERSE_WITH_AUTHORIZATION_TYPEHASH, transferId, reversalHash, amount, validAfter, validBefore, nonce));
+        _useAuthorization(recipient, nonce, validAfter, validBefore, structHash, v, r, s);
+        // A signed amount of 0 reverses everything still reversible, as reverseTransfer() does
+        uint256 reversible = reversibleAmountOf(transferId);
+        if (amount == 0) {
+            amount = reversible;
+        } else {
+            require(amount <= reversible, "Amount exceeds reversible amount");
+        }
+        _executeReversal(transferId, amount);
+    }
+    function cancelAuthorization(address authorizer, bytes32 nonce, uint8 v, bytes32 r, bytes32 s) external {
+        require(!authorizationState[authorizer][nonce], "Authorization used or canceled");
+        bytes32 structHash = keccak256(abi.encode(CANCEL_AUTHORIZATION_TYPEHASH, authorizer, nonce));
+        require(ECDSA.recover(_hashTypedDataV4(structHash), v, r, s) == authorizer, "Invalid authorization signature");
+        authorizationState[authorizer][nonce] = true;
+        emit AuthorizationCanceled(authorizer, nonce);
+    }
+    function _useAuthorization(
+        address authorizer, bytes32 nonce, uint256 validAfter, uint256 validBefore, bytes32 structHash, uint8 v, bytes32 r, bytes32 s
+    ) internal {
+        require(block.timestamp > validAfter, "Authorization not yet valid");
+        require(block.timestamp < validBefore, "Authorization expired");
+        require(!authorizationState[authorizer][nonce], "Authorization used or canceled");
+        require(ECDSA.recover(_hashTypedDataV4(structHash), v, r, s) == authorizer, "Invalid authorization signature");
+        authorizationState[authorizer][nonce] = true;
+        emit AuthorizationUsed(authorizer, nonce);
+    }
+}
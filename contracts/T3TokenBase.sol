@@ -0,0 +1,786 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts-upgradeable/token/ERC20/extensions/ERC20PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./ICustodianRegistry.sol";
+
+/**
+ * @title T3TokenBase
+ * @dev Storage layout, events and shared internal logic of T3Token. T3Token and its modules (T3TokenExtension,
+ * T3TokenAuthorization, T3TokenAdmin) all inherit it, so the modules run against T3Token's storage when
+ * delegatecalled. Derived contracts must not declare state variables of their own.
+ *
+ * T3Token is deployed behind a UUPS proxy. The OpenZeppelin parents keep their state in ERC-7201 namespaces,
+ * so the variables below start at slot 0; upgrades may only append to them (test/storageLayout.test.js).
+ */
+abstract contract T3TokenBase is ERC20PausableUpgradeable, AccessControlUpgradeable, EIP712Upgradeable, NoncesUpgradeable {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // --- Roles ---
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+    bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE"); // May or may not be needed depending on flow
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant ARBITER_ROLE = keccak256("ARBITER_ROLE"); // Compliance: disputes and forced reversals
+    bytes32 public constant COMPLIANCE_ROLE = keccak256("COMPLIANCE_ROLE"); // Wallet freezes and court-ordered seizures
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE"); // Points the proxy at a new implementation
+    // Add other roles as needed (e.g., CUSTODIAN_ROLE for registry)
+    bytes32 internal constant REGISTRY_CUSTODIAN_ROLE = keccak256("CUSTODIAN_ROLE"); // Held on custodianRegistry
+
+    // --- Fee Structure Constants ---
+    // Defaults of fee schedule version 1; later versions are set by ADMIN_ROLE through setFeeSchedule
+    uint256 internal constant BASIS_POINTS = 10000;
+    uint256 internal constant TIER_MULTIPLIER = 10;
+    uint256 internal constant BASE_FEE_PERCENT = 1000 * BASIS_POINTS; // 1000%
+    uint256 internal constant DEFAULT_FEE_TIERS = 8; // Down to a 1 bps rate; amounts above 10**7 T3 pay no tiered fee
+    // *** UPDATED Fee Constants ***
+    // Min fee requested: 0.00001% -> Interpreted as 0.00001 T3USD = 1 * 10**13 wei (assuming 18 decimals)
+    uint256 internal constant MIN_FEE_WEI = 10**13;
+    // Max fee requested: 10% -> 1000 Basis Points
+    uint256 internal constant MAX_FEE_PERCENT = 1000;
+    // *****************************
+    uint256 public constant MAX_FEE_SCHEDULE_TIERS = 16;
+    // Bounds the settlement loop run on every transfer, burn and reversal of a wallet; transfers to a wallet
+    // with every window taken settle at once instead
+    uint256 public constant MAX_OPEN_TRANSFERS = 64;
+
+    // --- HalfLife Settings (defaults set by __T3TokenBase_init) ---
+    uint256 public halfLifeDuration;
+    uint256 public minHalfLifeDuration;
+    uint256 public maxHalfLifeDuration;
+    uint256 public inactivityResetPeriod;
+
+    // --- Addresses ---
+    address public treasuryAddress;
+
+    // --- Wallet Freezes ---
+    // Frozen wallets can neither send, receive, reverse nor burn; COMPLIANCE_ROLE seizes their balance to recoveryAddress
+    EnumerableSet.AddressSet internal _frozenWallets;
+    address public recoveryAddress;
+
+    // --- KYC Policy ---
+    // Disabled: no checks. Strict: both parties custodied and KYC-valid.
+    // Threshold: like Strict, but unregistered recipients may receive amounts below unregisteredRecipientLimit.
+    enum KYCPolicy { Disabled, Strict, Threshold }
+    ICustodianRegistry public custodianRegistry;
+    KYCPolicy public kycPolicy;
+    uint256 public unregisteredRecipientLimit;
+    mapping(address => bool) public kycExempt; // Treasury / system addresses skipped by the policy
+
+    // --- Data Structures ---
+    struct TransferMetadata {
+        uint256 commitWindowEnd;
+        uint256 halfLifeDuration;
+        address originator;
+        address recipient;
+        uint256 amount; // Gross amount sent (basis of reversalHash)
+        uint256 netAmount; // Amount credited to the recipient
+        uint256 reversedAmount; // Sent back so far through (partial) reversals
+        uint256 transferCount; // Nth incoming transfer of the recipient
+        bytes32 reversalHash;
+        uint256 feeAmount; // Fee paid *after* credits/bounds
+        uint256 feeScheduleVersion; // Schedule the fee was computed against
+        bool isReversed;
+        bool isExpired; // HalfLife window settled
+    }
+    // Sender-initiated reversal: Requested holds the funds until the recipient accepts or contests
+    enum ReversalRequestStatus { None, Requested, Accepted, Contested }
+    struct ReversalRequest {
+        ReversalRequestStatus status;
+        uint256 requestedAt;
+        uint256 resolvedAt;
+    }
+    // Arbitration: Open freezes the disputed amount until an arbiter reverses or releases it
+    enum DisputeStatus { None, Open, Reversed, Released }
+    struct Dispute {
+        DisputeStatus status;
+        address arbiter;
+        uint256 amount; // Frozen on the recipient, capped at its balance when opened
+        uint256 openedAt;
+        uint256 resolvedAt;
+        bytes32 reasonCode;
+        bytes32 resolutionCode;
+    }
+    // Liability between the custodians of the two parties, created by the transfer and unwound by its reversal
+    struct TransferLiability {
+        address debtor; // Custodian of the originator
+        address creditor; // Custodian of the recipient
+        uint256 amount; // Still attributed to this transfer
+    }
+    // Netting cycle cleared in one batch by settleInterbankCycle
+    struct SettlementCycle {
+        uint256 settledAt;
+        uint256 pairCount; // Bilateral liabilities cleared
+        uint256 grossAmount; // Sum of the amounts cleared
+    }
+    // Marginal rate charged on the part of an amount between the previous tier's upTo and this one
+    struct FeeTier {
+        uint256 upTo; // Upper boundary (exclusive of the next tier), strictly increasing
+        uint256 rateBps;
+    }
+    struct FeeSchedule {
+        FeeTier[] tiers; // Amounts above the last boundary pay no tiered fee
+        uint256 minFee; // Floor, applied when the amount exceeds it
+        uint256 maxFeeBps; // Cap as a share of the amount
+        // Split of each fee: minted to the treasury, credited to sender and recipient; sums to BASIS_POINTS
+        uint256 treasuryShareBps;
+        uint256 senderShareBps;
+        uint256 recipientShareBps;
+    }
+    // Fee bound that set the final fee of a transfer quote, if any
+    enum FeeBound { None, Max, Min, Amount }
+    struct TransferQuote {
+        uint256 tieredFee; // Before risk adjustment
+        uint256 riskFactor; // Riskier party's factor, basis points
+        uint256 riskAdjustedFee;
+        uint256 creditsUsed; // Sender incentive credits consumed
+        FeeBound boundApplied;
+        uint256 fee; // Charged after credits and bounds
+        uint256 netAmount; // Credited to the recipient
+        uint256 halfLifeDuration; // Lock duration of the received amount
+        uint256 feeScheduleVersion;
+    }
+    struct RollingAverage {
+        uint256 totalAmount;
+        uint256 count;
+        uint256 lastUpdated;
+    }
+    struct WalletRiskProfile {
+        uint256 reversalCount;
+        uint256 lastReversal;
+        uint256 creationTime;
+        uint256 abnormalTxCount;
+        uint256 lastAbnormalFlag;
+    }
+    // Components of calculateRiskFactor, basis points; counts are net of decay
+    struct RiskBreakdown {
+        uint256 base;
+        uint256 newWallet; // First 7 days of the wallet
+        uint256 recentReversal; // 30 days after its last reversal
+        uint256 reversalPenalty; // Per reversal still counted
+        uint256 abnormalPenalty; // Per abnormal flag still counted
+        uint256 reversalCount;
+        uint256 abnormalCount;
+        uint256 total;
+    }
+    // Issuance of one minter (FI), reconciled against its fiat reserves
+    struct MinterIssuance {
+        uint256 minted;
+        uint256 redeemed;
+        uint256 outstanding; // minted - redeemed
+        uint256 allowance; // Cap on outstanding; 0 = uncapped
+        uint256 available; // What the minter can still mint; type(uint256).max when uncapped
+    }
+    // Fiat redemption: Requested escrows the tokens on this contract until the custodian confirms the payout
+    // (the escrow is burnt) or rejects it (the escrow goes back to the holder)
+    enum RedemptionStatus { None, Requested, Confirmed, Rejected }
+    struct RedemptionRequest {
+        RedemptionStatus status;
+        address holder;
+        address custodian; // FI paying out the fiat
+        uint256 amount;
+        bytes32 referenceId; // Matches the payout in the custodian's core banking system
+        uint256 requestedAt;
+        uint256 resolvedAt;
+        bytes32 rejectionCode;
+    }
+    enum CreditSource { FeeShare, LoyaltyRefund }
+    struct IncentiveCredits {
+        uint256 amount;
+        uint256 lastUpdated;
+    }
+
+    // --- Mappings ---
+    // Every transfer gets its own record; IDs start at 1 so 0 means "no transfer"
+    uint256 public lastTransferId;
+    mapping(uint256 => TransferMetadata) public transfers;
+    // Transfers received by a wallet that are neither reversed nor expired
+    mapping(address => EnumerableSet.UintSet) internal _openTransfers;
+    mapping(address => uint256) public incomingTransferCount;
+    mapping(uint256 => ReversalRequest) public reversalRequests;
+    mapping(uint256 => Dispute) public disputes;
+    // Sum of amounts frozen by open disputes, per recipient
+    mapping(address => uint256) public disputedBalanceOf;
+    mapping(address => RollingAverage) public rollingAverages;
+    mapping(address => mapping(address => uint256)) public transactionCountBetween;
+    mapping(address => WalletRiskProfile) public walletRiskProfiles;
+    // Each full period since a wallet's last reversal / abnormal flag forgives one of them; 0 = never
+    uint256 public reversalPenaltyDecay;
+    uint256 public abnormalPenaltyDecay;
+    mapping(address => IncentiveCredits) public incentiveCredits;
+    // Credits outstanding across all wallets, i.e. the liability they represent (expired credits count until realized)
+    uint256 public totalIncentiveCredits;
+    uint256 public creditExpiryPeriod; // Credits expire this long after their wallet's lastUpdated; 0 = never
+    uint256 public creditRedemptionRateBps; // T3 paid per credit redeemed; 0 disables redemption
+    uint256 public maxCreditRedemption; // Cap on the credits redeemed per call; 0 = uncapped
+    // Added Minter/Liability tracking
+    mapping(address => uint256) public mintedByMinter;
+    mapping(address => uint256) public redeemedByMinter;
+    // Cap on a minter's outstanding issuance (minted - redeemed), set by ADMIN_ROLE; 0 = uncapped
+    mapping(address => uint256) public mintAllowance;
+    // Sum of every minter's outstanding issuance; the initial supply and fee mints are not attributed
+    uint256 public totalOutstandingIssuance;
+    // Minters that have minted or been given an allowance
+    EnumerableSet.AddressSet internal _minters;
+    // Redemption IDs start at 1; each reference ID can only be used once
+    uint256 public lastRedemptionId;
+    mapping(uint256 => RedemptionRequest) public redemptionRequests;
+    mapping(bytes32 => uint256) public redemptionIdByReference;
+    uint256 public totalRedemptionEscrow; // Held by this contract for pending requests
+    mapping(address => mapping(address => uint256)) public interbankLiability;
+    mapping(uint256 => TransferLiability) public transferLiabilities;
+    mapping(bytes32 => SettlementCycle) public settlementCycles;
+    // Every schedule ever set stays readable by version; feeScheduleVersion is the one in force
+    uint256 public feeScheduleVersion;
+    mapping(uint256 => FeeSchedule) internal _feeSchedules;
+    // ERC-3009 style: each signed authorization carries a random nonce, usable (or cancelled) once per authorizer
+    mapping(address => mapping(bytes32 => bool)) public authorizationState;
+    // Unreversed net amount of each wallet's open transfers outside open disputes, kept in step as transfers
+    // open, settle, are reversed or disputed, so spending checks never iterate _openTransfers
+    mapping(address => uint256) internal _lockedTotal;
+    // Smaller net amounts get no HalfLife window: they settle at once and cannot be reversed
+    uint256 public minLockableAmount;
+    // Part of _lockedTotal[recipient] received from each originator, exempt when sending back to it
+    mapping(address => mapping(address => uint256)) internal _lockedFrom;
+    // Transfers received by a wallet under an open dispute, settled or not, so a seizure can cap what they freeze
+    mapping(address => EnumerableSet.UintSet) internal _openDisputes;
+
+    // --- Events ---
+    event TransferWithFee(address indexed from, address indexed to, uint256 amount, uint256 fee);
+    event TransferRecorded(uint256 indexed transferId, address indexed originator, address indexed recipient, uint256 netAmount, uint256 commitWindowEnd);
+    event TransferReversed(uint256 indexed transferId, address indexed from, address indexed to, uint256 amount);
+    event ReversalRequested(uint256 indexed transferId, address indexed originator, address indexed recipient, string reason);
+    event ReversalRequestAccepted(uint256 indexed transferId, address indexed recipient);
+    event ReversalRequestContested(uint256 indexed transferId, address indexed recipient, string reason);
+    event DisputeOpened(uint256 indexed transferId, address indexed arbiter, bytes32 indexed reasonCode, uint256 frozenAmount);
+    event DisputeResolved(uint256 indexed transferId, address indexed arbiter, bytes32 indexed resolutionCode, bool reversed, uint256 amount);
+    event HalfLifeExpired(uint256 indexed transferId, address indexed wallet, uint256 timestamp);
+    event LoyaltyRefundProcessed(address indexed wallet, uint256 amount);
+    event IncentiveCreditsGranted(address indexed wallet, uint256 amount, CreditSource source);
+    event IncentiveCreditsSpent(address indexed wallet, uint256 amount);
+    event IncentiveCreditsExpired(address indexed wallet, uint256 amount);
+    event IncentiveCreditsRedeemed(address indexed wallet, uint256 credits, uint256 payout);
+    event CreditPolicyUpdated(uint256 expiryPeriod, uint256 redemptionRateBps, uint256 maxRedemption);
+    event RiskFactorUpdated(address indexed wallet, uint256 newRiskFactor);
+    event RiskDecayUpdated(uint256 reversalPenaltyDecay, uint256 abnormalPenaltyDecay);
+    event AbnormalFlagCleared(address indexed wallet, address indexed admin, bytes32 indexed reasonCode, uint256 remaining);
+    event RiskProfileReset(address indexed wallet, address indexed admin, bytes32 indexed reasonCode);
+    // Added Interbank Liability and Mint events
+    event InterbankLiabilityRecorded(address indexed debtor, address indexed creditor, uint256 amount);
+    event InterbankLiabilityCleared(address indexed debtor, address indexed creditor, uint256 amountCleared);
+    event InterbankSettlementCycleSettled(bytes32 indexed settlementId, uint256 pairCount, uint256 grossAmount);
+    event TokensMinted(address indexed minter, address indexed recipient, uint256 amount);
+    event TokensRedeemed(address indexed minter, address indexed account, uint256 amount, uint256 outstanding);
+    event MintAllowanceUpdated(address indexed minter, uint256 allowance);
+    event RedemptionRequested(uint256 indexed redemptionId, address indexed holder, address indexed custodian, uint256 amount, bytes32 referenceId);
+    event RedemptionConfirmed(uint256 indexed redemptionId, address indexed custodian, bytes32 indexed referenceId, uint256 amount);
+    event RedemptionRejected(uint256 indexed redemptionId, address indexed custodian, bytes32 indexed referenceId, bytes32 rejectionCode);
+    event WalletFrozen(address indexed wallet, address indexed officer, bytes32 indexed caseReference);
+    event WalletUnfrozen(address indexed wallet, address indexed officer, bytes32 indexed caseReference);
+    event FundsSeized(address indexed wallet, address indexed recoveryAddress, bytes32 indexed caseReference, uint256 amount);
+    event RecoveryAddressUpdated(address indexed recoveryAddress);
+    event CustodianRegistryUpdated(address indexed registry);
+    event KYCPolicyUpdated(KYCPolicy policy, uint256 unregisteredRecipientLimit);
+    event KYCExemptionUpdated(address indexed account, bool exempt);
+    event FeeScheduleUpdated(uint256 indexed version, FeeSchedule schedule);
+    event AuthorizationUsed(address indexed authorizer, bytes32 indexed nonce);
+    event AuthorizationCanceled(address indexed authorizer, bytes32 indexed nonce);
+
+    // Initializes the parents and the defaults of the settings above; called once, from T3Token.initialize
+    function __T3TokenBase_init() internal onlyInitializing {
+        __ERC20_init("T3 Stablecoin", "T3");
+        __ERC20Pausable_init();
+        __AccessControl_init();
+        __EIP712_init("T3 Stablecoin", "1");
+        __Nonces_init();
+        halfLifeDuration = 3600;
+        minHalfLifeDuration = 600;
+        maxHalfLifeDuration = 86400;
+        inactivityResetPeriod = 30 days;
+        reversalPenaltyDecay = 90 days;
+        abnormalPenaltyDecay = 180 days;
+        minLockableAmount = 10**16; // 0.01 T3
+    }
+
+    // --- EIP-2612 Permit ---
+    bytes32 internal constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+    /** @dev EIP-712 domain separator signed by permit(); binds signatures to this token and chain. */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) { return _domainSeparatorV4(); }
+
+    // --- Signed Authorizations ---
+    bytes32 internal constant TRANSFER_WITH_AUTHORIZATION_TYPEHASH =
+        keccak256("TransferWithAuthorization(address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce)");
+    bytes32 internal constant REVERSE_WITH_AUTHORIZATION_TYPEHASH =
+        keccak256("ReverseWithAuthorization(uint256 transferId,bytes32 reversalHash,uint256 amount,uint256 validAfter,uint256 validBefore,bytes32 nonce)");
+    bytes32 internal constant CANCEL_AUTHORIZATION_TYPEHASH = keccak256("CancelAuthorization(address authorizer,bytes32 nonce)");
+
+    // --- Wallet Freezes ---
+    /** @dev True while `wallet` is frozen by COMPLIANCE_ROLE. */
+    function isFrozen(address wallet) public view returns (bool) { return _frozenWallets.contains(wallet); }
+    /**
+     * @dev Every balance change (transfers, reversals, mints, burns and escrows) goes through here,
+     * so a frozen wallet is blocked on all of them. Seizures and refunds of rejected redemptions
+     * bypass this check.
+     */
+    function _update(address from, address to, uint256 value) internal virtual override {
+        require(!isFrozen(from), "Sender wallet is frozen");
+        require(!isFrozen(to), "Recipient wallet is frozen");
+        super._update(from, to, value);
+    }
+
+    // --- Risk Profiles ---
+    function calculateRiskFactor(address wallet) public view returns (uint256) { // Kept public for easier testing/querying
+        return _riskBreakdown(wallet).total;
+     }
+    function _riskBreakdown(address wallet) internal view returns (RiskBreakdown memory risk) {
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        risk.base = BASIS_POINTS;
+        if (profile.creationTime > 0 && block.timestamp - profile.creationTime < 7 days) { risk.newWallet = 5000; }
+        if (profile.lastReversal > 0 && block.timestamp - profile.lastReversal < 30 days) { risk.recentReversal = 10000; }
+        risk.reversalCount = _decayedCount(profile.reversalCount, profile.lastReversal, reversalPenaltyDecay);
+        risk.abnormalCount = _decayedCount(profile.abnormalTxCount, profile.lastAbnormalFlag, abnormalPenaltyDecay);
+        risk.reversalPenalty = risk.reversalCount * 1000;
+        risk.abnormalPenalty = risk.abnormalCount * 500;
+        risk.total = risk.base + risk.newWallet + risk.recentReversal + risk.reversalPenalty + risk.abnormalPenalty;
+     }
+    // `count` less one per full `period` elapsed since `since`
+    function _decayedCount(uint256 count, uint256 since, uint256 period) internal view returns (uint256) {
+        if (period == 0 || since == 0) { return count; }
+        uint256 forgiven = (block.timestamp - since) / period;
+        return forgiven >= count ? 0 : count - forgiven;
+     }
+    function updateWalletRiskProfile(address wallet, bool isReversal, bool /*isSuccessfulCompletion*/) internal {
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        if (profile.creationTime == 0) {
+            profile.creationTime = block.timestamp;
+        }
+        if (isReversal) {
+            // Settle the decay so far before restarting it from this reversal
+            profile.reversalCount = _decayedCount(profile.reversalCount, profile.lastReversal, reversalPenaltyDecay) + 1;
+            profile.lastReversal = block.timestamp;
+        }
+        emit RiskFactorUpdated(wallet, calculateRiskFactor(wallet));
+     }
+    function _flagAbnormal(address wallet) internal {
+        WalletRiskProfile storage profile = walletRiskProfiles[wallet];
+        profile.abnormalTxCount = _decayedCount(profile.abnormalTxCount, profile.lastAbnormalFlag, abnormalPenaltyDecay) + 1;
+        profile.lastAbnormalFlag = block.timestamp;
+     }
+
+    // --- Incentive Credits ---
+    /** @dev Credits `wallet` can spend or redeem; 0 once they have expired, even before expireCredits realizes it. */
+    function getAvailableCredits(address wallet) public view returns (uint256) { return _creditsExpired(wallet) ? 0 : incentiveCredits[wallet].amount; }
+    function _grantCredits(address wallet, uint256 amount, CreditSource source) internal {
+        if (amount == 0) { return; }
+        _expireCredits(wallet); // Granting refreshes lastUpdated, which must not revive expired credits
+        IncentiveCredits storage credits = incentiveCredits[wallet];
+        credits.amount += amount;
+        credits.lastUpdated = block.timestamp;
+        totalIncentiveCredits += amount;
+        emit IncentiveCreditsGranted(wallet, amount, source);
+     }
+    function _expireCredits(address wallet) internal returns (uint256 expired) {
+        if (!_creditsExpired(wallet)) { return 0; }
+        expired = incentiveCredits[wallet].amount;
+        incentiveCredits[wallet].amount = 0;
+        totalIncentiveCredits -= expired;
+        emit IncentiveCreditsExpired(wallet, expired);
+     }
+    function _creditsExpired(address wallet) internal view returns (bool) {
+        IncentiveCredits storage credits = incentiveCredits[wallet];
+        return creditExpiryPeriod > 0 && credits.amount > 0 && block.timestamp >= credits.lastUpdated + creditExpiryPeriod;
+     }
+
+    // --- Transfer Pipeline ---
+    // Shared by T3Token's transfer paths and the modules it delegatecalls
+    /**
+     * @dev Internal transfer function incorporating T3 logic before calling the pausable _update.
+     */
+    function _transferWithT3Logic(address sender, address recipient, uint256 amount) internal {
+        require(recipient != address(0), "Transfer to zero address");
+        require(amount > 0, "Transfer amount must be greater than zero");
+        _checkKYC(sender, recipient, amount);
+
+        TransferQuote memory quote = _quoteTransfer(sender, recipient, amount);
+        consumeCredits(sender, quote.creditsUsed);
+        uint256 finalFee = quote.fee;
+        uint256 netAmount = quote.netAmount;
+        uint256 adaptiveHalfLife = quote.halfLifeDuration;
+        // Funds still inside a HalfLife window stay put, except when sent back to their originator
+        _requireUnlocked(sender, netAmount, recipient);
+        // Windows of the recipient that ended settle first, paying their loyalty refunds and freeing room
+        _settleExpiredTransfers(recipient);
+        // Reverting here would let anyone block payments to a wallet by filling its windows: the overflow is taken
+        // without a window instead, as dust is
+        if (_openTransfers[recipient].length() >= MAX_OPEN_TRANSFERS) { adaptiveHalfLife = 0; }
+
+        // Calls the pausable _update from ERC20Pausable
+        _update(sender, recipient, netAmount);
+        _releaseReturnedLocks(sender, recipient);
+
+        // --- Post-transfer actions ---
+        if (finalFee > 0) {
+            processFee(sender, recipient, finalFee, _feeSchedules[quote.feeScheduleVersion]);
+        }
+        transactionCountBetween[sender][recipient]++;
+        uint256 transferId = ++lastTransferId;
+        transfers[transferId] = TransferMetadata({
+            commitWindowEnd: block.timestamp + adaptiveHalfLife,
+            halfLifeDuration: adaptiveHalfLife,
+            originator: sender,
+            recipient: recipient,
+            amount: amount,
+            netAmount: netAmount,
+            reversedAmount: 0,
+            transferCount: ++incomingTransferCount[recipient],
+            reversalHash: keccak256(abi.encodePacked(sender, recipient, amount)),
+            feeAmount: finalFee,
+            feeScheduleVersion: quote.feeScheduleVersion,
+            isReversed: false,
+            isExpired: false
+        });
+        _openTransfers[recipient].add(transferId);
+        _lock(transfers[transferId], netAmount);
+        _recordTransferLiability(transferId, sender, recipient, netAmount);
+        updateRollingAverage(recipient, amount);
+        emit TransferWithFee(sender, recipient, netAmount, finalFee);
+        emit TransferRecorded(transferId, sender, recipient, netAmount, block.timestamp + adaptiveHalfLife);
+        // Below minLockableAmount or past MAX_OPEN_TRANSFERS: no window to wait for
+        if (adaptiveHalfLife == 0) { _settleExpiredTransfer(transferId); }
+    }
+
+    /**
+     * @dev Runs the fee pipeline and HalfLife calculation of a transfer without touching state.
+     * _transferWithT3Logic charges exactly this quote, so previewTransfer cannot drift from it.
+     */
+    function _quoteTransfer(address sender, address recipient, uint256 amount) internal view returns (TransferQuote memory quote) {
+        // --- Fee Calculation Pipeline ---
+        quote.feeScheduleVersion = feeScheduleVersion;
+        FeeSchedule storage schedule = _feeSchedules[quote.feeScheduleVersion];
+        quote.tieredFee = calculateTieredFee(schedule, amount);
+        quote.riskFactor = pairRiskFactor(sender, recipient);
+        quote.riskAdjustedFee = (quote.tieredFee * quote.riskFactor) / BASIS_POINTS;
+        uint256 credits = getAvailableCredits(sender);
+        quote.creditsUsed = credits < quote.riskAdjustedFee ? credits : quote.riskAdjustedFee;
+        uint256 finalFee = quote.riskAdjustedFee - quote.creditsUsed;
+
+        // Apply Max Bound
+        uint256 maxFeeAmount = (amount * schedule.maxFeeBps) / BASIS_POINTS;
+        if (finalFee > maxFeeAmount) { finalFee = maxFeeAmount; quote.boundApplied = FeeBound.Max; }
+
+        // Apply Min Bound
+        uint256 minFee = schedule.minFee;
+        if (finalFee < minFee && amount > minFee) { finalFee = minFee; quote.boundApplied = FeeBound.Min; }
+
+        // Apply Amount Cap
+        if (finalFee > amount) { finalFee = amount; quote.boundApplied = FeeBound.Amount; }
+        // --- End Fee Pipeline ---
+
+        quote.fee = finalFee;
+        quote.netAmount = amount - finalFee;
+        quote.halfLifeDuration = quote.netAmount < minLockableAmount ? 0 : calculateAdaptiveHalfLife(sender, recipient, amount);
+    }
+
+    /**
+     * @dev Enforces kycPolicy on a transfer or mint (`sender` is address(0) for mints).
+     * Reversals only return funds to their originator and are not checked.
+     */
+    function _checkKYC(address sender, address recipient, uint256 amount) internal view {
+        if (kycPolicy == KYCPolicy.Disabled) return;
+        if (sender != address(0) && !kycExempt[sender]) {
+            require(custodianRegistry.getCustodian(sender) != address(0), "Sender not custodied");
+            require(custodianRegistry.isKYCValid(sender), "Sender KYC not valid");
+        }
+        if (kycExempt[recipient]) return;
+        if (custodianRegistry.getCustodian(recipient) == address(0)) {
+            require(kycPolicy == KYCPolicy.Threshold, "Recipient not custodied");
+            require(amount < unregisteredRecipientLimit, "Amount exceeds unregistered recipient limit");
+            return;
+        }
+        require(custodianRegistry.isKYCValid(recipient), "Recipient KYC not valid");
+    }
+
+    /**
+     * @dev Records `interbankLiability[debtorFI][creditorFI]` for a transfer between wallets held by
+     * different custodians in custodianRegistry. Same-custodian or uncustodied transfers create none.
+     */
+    function _recordTransferLiability(uint256 transferId, address sender, address recipient, uint256 netAmount) internal {
+        if (address(custodianRegistry) == address(0)) return;
+        address debtor = custodianRegistry.getCustodian(sender);
+        address creditor = custodianRegistry.getCustodian(recipient);
+        if (debtor == address(0) || creditor == address(0) || debtor == creditor) return;
+        transferLiabilities[transferId] = TransferLiability(debtor, creditor, netAmount);
+        interbankLiability[debtor][creditor] += netAmount;
+        emit InterbankLiabilityRecorded(debtor, creditor, netAmount);
+    }
+
+    function calculateTieredFee(FeeSchedule storage schedule, uint256 amount) internal view returns (uint256 totalFee) {
+        FeeTier[] storage tiers = schedule.tiers;
+        uint256 tierFloor = 0;
+        for (uint256 i = 0; i < tiers.length && amount > tierFloor; i++) {
+            uint256 tierCeiling = tiers[i].upTo;
+            uint256 amountInTier = (amount < tierCeiling ? amount : tierCeiling) - tierFloor;
+            totalFee += (amountInTier * tiers[i].rateBps) / BASIS_POINTS;
+            tierFloor = tierCeiling;
+        }
+     }
+    // The riskier of both parties sets the fee multiplier, in basis points
+    function pairRiskFactor(address sender, address recipient) internal view returns (uint256) {
+        uint256 senderRiskFactor = calculateRiskFactor(sender);
+        uint256 recipientRiskFactor = calculateRiskFactor(recipient);
+        return senderRiskFactor > recipientRiskFactor ? senderRiskFactor : recipientRiskFactor;
+     }
+    function consumeCredits(address wallet, uint256 amount) internal {
+        if (amount == 0) { return; }
+        IncentiveCredits storage credits = incentiveCredits[wallet];
+        credits.amount -= amount;
+        credits.lastUpdated = block.timestamp;
+        totalIncentiveCredits -= amount;
+        emit IncentiveCreditsSpent(wallet, amount);
+     }
+    function processFee(address sender, address recipient, uint256 feeAmount, FeeSchedule storage schedule) internal {
+        uint256 treasuryShare = (feeAmount * schedule.treasuryShareBps) / BASIS_POINTS;
+        if (treasuryShare > 0) { _mint(treasuryAddress, treasuryShare); }
+        uint256 senderShare = (feeAmount * schedule.senderShareBps) / BASIS_POINTS;
+        _grantCredits(sender, senderShare, CreditSource.FeeShare);
+        uint256 recipientShare = feeAmount - treasuryShare - senderShare; // Rounding dust goes to the recipient
+        _grantCredits(recipient, recipientShare, CreditSource.FeeShare);
+     }
+    // Counts the transfer being quoted among the transactions between sender and recipient
+    function calculateAdaptiveHalfLife(address sender, address recipient, uint256 amount) internal view returns (uint256) {
+        uint256 duration = halfLifeDuration;
+        uint256 txCount = transactionCountBetween[sender][recipient] + 1;
+        if (txCount > 0) {
+            uint256 reduction = (txCount * 10 > 90) ? 90 : txCount * 10;
+            duration = duration * (100 - reduction) / 100;
+        }
+        RollingAverage storage avg = rollingAverages[sender];
+        if (avg.count > 0) {
+             if (avg.totalAmount > 0) {
+                uint256 avgAmount = avg.totalAmount / avg.count;
+                if (amount > avgAmount * 10) { duration = duration * 2; }
+             }
+        }
+        if (duration < minHalfLifeDuration) { duration = minHalfLifeDuration; }
+        else if (duration > maxHalfLifeDuration) { duration = maxHalfLifeDuration; }
+        return duration;
+     }
+    function updateRollingAverage(address wallet, uint256 amount) internal {
+         RollingAverage storage avg = rollingAverages[wallet];
+        if (avg.lastUpdated > 0 && block.timestamp - avg.lastUpdated > inactivityResetPeriod) {
+            avg.totalAmount = 0; avg.count = 0;
+        }
+        avg.totalAmount += amount; avg.count++; avg.lastUpdated = block.timestamp;
+     }
+
+
+    // --- HalfLife Locks ---
+    /**
+     * @dev Sum of the net amounts `wallet` received in transfers still inside their
+     * HalfLife window or held by a pending reversal request, plus everything frozen by open disputes.
+     * Unlike _lockedTotal, leaves out windows that ended but are not settled yet; for views.
+     */
+    function _lockedBalance(address wallet) internal view returns (uint256 locked) {
+        EnumerableSet.UintSet storage open = _openTransfers[wallet];
+        uint256 count = open.length();
+        for (uint256 i = 0; i < count; i++) {
+            uint256 transferId = open.at(i);
+            TransferMetadata storage meta = transfers[transferId];
+            if (_isDisputed(transferId)) continue; // Counted in disputedBalanceOf
+            if (meta.commitWindowEnd > block.timestamp || _isReversalRequested(transferId)) {
+                locked += meta.netAmount - meta.reversedAmount;
+            }
+        }
+        locked += disputedBalanceOf[wallet];
+    }
+
+    /**
+     * @dev Reverts if debiting `amount` from `wallet` would dip into locked funds. Settles the wallet's ended
+     * windows first, so that _lockedTotal only holds running windows and pending reversal requests.
+     * Wallets without locked funds fall through to the standard ERC20 balance checks.
+     */
+    function _requireUnlocked(address wallet, uint256 amount, address exemptOriginator) internal {
+        _settleExpiredTransfers(wallet);
+        uint256 locked = _lockedTotal[wallet] + disputedBalanceOf[wallet];
+        if (exemptOriginator != address(0)) { locked -= _lockedFrom[wallet][exemptOriginator]; }
+        if (locked > 0) {
+            require(balanceOf(wallet) >= locked + amount, "Amount exceeds spendable balance during HalfLife");
+        }
+    }
+
+    // Adds `amount` of the transfer `meta` to the HalfLife locks of its recipient, or removes it
+    function _lock(TransferMetadata storage meta, uint256 amount) internal {
+        _lockedTotal[meta.recipient] += amount;
+        _lockedFrom[meta.recipient][meta.originator] += amount;
+    }
+    function _unlock(TransferMetadata storage meta, uint256 amount) internal {
+        _lockedTotal[meta.recipient] -= amount;
+        _lockedFrom[meta.recipient][meta.originator] -= amount;
+    }
+
+    /**
+     * @dev After `wallet` paid `originator`, releases the locks of the originator's transfers the payment dipped
+     * into (the exemption of _requireUnlocked): those funds went back where they came from, so the transfers
+     * count them as reversed instead of holding funds the wallet no longer has.
+     */
+    function _releaseReturnedLocks(address wallet, address originator) internal {
+        uint256 held = _lockedTotal[wallet] + disputedBalanceOf[wallet];
+        uint256 balance = balanceOf(wallet);
+        if (held <= balance) return;
+        uint256 returned = held - balance;
+        EnumerableSet.UintSet storage open = _openTransfers[wallet];
+        // Iterate backwards: a fully returned transfer leaves the set
+        for (uint256 i = open.length(); i > 0 && returned > 0; i--) {
+            uint256 transferId = open.at(i - 1);
+            TransferMetadata storage meta = transfers[transferId];
+            if (meta.originator != originator || _isDisputed(transferId)) continue;
+            uint256 remaining = meta.netAmount - meta.reversedAmount;
+            uint256 cut = returned < remaining ? returned : remaining;
+            meta.reversedAmount += cut;
+            _unlock(meta, cut);
+            returned -= cut;
+            if (meta.reversedAmount == meta.netAmount) { _markReversed(transferId); }
+            emit TransferReversed(transferId, wallet, originator, cut);
+        }
+    }
+
+    // --- Reversals, Disputes and Settlement ---
+    /** @dev Net amount of transfer `transferId` that has not been reversed yet. */
+    function reversibleAmountOf(uint256 transferId) public view returns (uint256) {
+        TransferMetadata storage meta = transfers[transferId];
+        return meta.isReversed ? 0 : meta.netAmount - meta.reversedAmount;
+     }
+    function _isReversalRequested(uint256 transferId) internal view returns (bool) {
+        return reversalRequests[transferId].status == ReversalRequestStatus.Requested;
+    }
+    function _isDisputed(uint256 transferId) internal view returns (bool) {
+        return disputes[transferId].status == DisputeStatus.Open;
+     }
+    function _markReversed(uint256 transferId) internal {
+        TransferMetadata storage meta = transfers[transferId];
+        meta.isReversed = true;
+        _openTransfers[meta.recipient].remove(transferId);
+        if (_isReversalRequested(transferId)) {
+            ReversalRequest storage request = reversalRequests[transferId];
+            request.status = ReversalRequestStatus.Accepted;
+            request.resolvedAt = block.timestamp;
+            emit ReversalRequestAccepted(transferId, meta.recipient);
+        }
+     }
+    function _checkReversal(uint256 transferId, bytes32 reversalHash, address recipient) internal view {
+        TransferMetadata storage meta = transfers[transferId];
+        require(meta.recipient != address(0), "Unknown transfer");
+        require(recipient == meta.recipient, "Only receiver can initiate reversal");
+        require(!meta.isReversed, "Transfer already reversed");
+        require(!_isDisputed(transferId), "Transfer under dispute");
+        // A pending request holds the funds past the window until the recipient answers it
+        require(block.timestamp < meta.commitWindowEnd || _isReversalRequested(transferId), "HalfLife expired");
+        require(reversalHash == meta.reversalHash, "Reversal hash mismatch");
+     }
+    function _executeReversal(uint256 transferId, uint256 amount) internal {
+        TransferMetadata storage meta = transfers[transferId];
+        address from = meta.recipient;
+        address to = meta.originator;
+        _settleExpiredTransfers(from);
+        // This transfer is still locked, so its own lock is part of _lockedTotal: the amount must come on top of
+        // every other lock and dispute, or the reversal would take funds held for another transfer
+        require(balanceOf(from) >= _lockedTotal[from] - reversibleAmountOf(transferId) + disputedBalanceOf[from] + amount, "Insufficient balance to reverse");
+        meta.reversedAmount += amount;
+        _unlock(meta, amount); // Never disputed here
+        if (meta.reversedAmount == meta.netAmount) {
+            _markReversed(transferId);
+        }
+        updateWalletRiskProfile(from, true, false);
+        updateWalletRiskProfile(to, true, false);
+        _unwindTransferLiability(transferId, amount);
+        _transfer(from, to, amount); // Calls internal _update hook
+        emit TransferReversed(transferId, from, to, amount);
+        _settleExpiredTransfers(to);
+     }
+    /**
+     * @dev Unwinds the liability of transfer `transferId` by the reversed `amount`. Whatever the
+     * custodians already cleared is owed back by the creditor FI instead.
+     */
+    function _unwindTransferLiability(uint256 transferId, uint256 amount) internal {
+        TransferLiability storage liability = transferLiabilities[transferId];
+        if (liability.amount == 0) return;
+        if (amount > liability.amount) { amount = liability.amount; }
+        liability.amount -= amount;
+        address debtor = liability.debtor;
+        address creditor = liability.creditor;
+        uint256 outstanding = interbankLiability[debtor][creditor];
+        uint256 cleared = amount < outstanding ? amount : outstanding;
+        if (cleared > 0) {
+            interbankLiability[debtor][creditor] = outstanding - cleared;
+            emit InterbankLiabilityCleared(debtor, creditor, cleared);
+        }
+        if (amount > cleared) {
+            interbankLiability[creditor][debtor] += amount - cleared;
+            emit InterbankLiabilityRecorded(creditor, debtor, amount - cleared);
+        }
+    }
+    /**
+     * @dev Settles every transfer received by `wallet` whose HalfLife window has ended,
+     * skipping those held by a pending reversal request or an open dispute.
+     */
+    function _settleExpiredTransfers(address wallet) internal returns (uint256 settled) {
+        EnumerableSet.UintSet storage open = _openTransfers[wallet];
+        // Iterate backwards: settling removes the ID from the set
+        for (uint256 i = open.length(); i > 0; i--) {
+            uint256 transferId = open.at(i - 1);
+            if (block.timestamp >= transfers[transferId].commitWindowEnd && !_isReversalRequested(transferId) && !_isDisputed(transferId)) {
+                _settleExpiredTransfer(transferId);
+                settled++;
+            }
+        }
+    }
+    function _settleExpiredTransfer(uint256 transferId) internal {
+        TransferMetadata storage meta = transfers[transferId];
+        address wallet = meta.recipient;
+        uint256 feePaid = meta.feeAmount;
+        if (feePaid > 0) {
+            uint256 refundAmount = feePaid / 8;
+            if (refundAmount > 0) {
+                _grantCredits(meta.originator, refundAmount, CreditSource.LoyaltyRefund);
+                _grantCredits(wallet, refundAmount, CreditSource.LoyaltyRefund);
+                emit LoyaltyRefundProcessed(meta.originator, refundAmount);
+                emit LoyaltyRefundProcessed(wallet, refundAmount);
+            }
+        }
+        meta.isExpired = true;
+        _openTransfers[wallet].remove(transferId);
+        _unlock(meta, meta.netAmount - meta.reversedAmount); // Never disputed here
+        updateWalletRiskProfile(wallet, false, true);
+        updateWalletRiskProfile(meta.originator, false, true);
+        emit HalfLifeExpired(transferId, wallet, block.timestamp);
+     }
+
+    // --- Fee Schedule ---
+    function _setFeeSchedule(FeeSchedule memory schedule) internal {
+        uint256 tierCount = schedule.tiers.length;
+        require(tierCount > 0, "Fee schedule needs a tier");
+        require(tierCount <= MAX_FEE_SCHEDULE_TIERS, "Too many fee tiers");
+        require(schedule.maxFeeBps <= BASIS_POINTS, "Max fee above 100%");
+        require(schedule.treasuryShareBps + schedule.senderShareBps + schedule.recipientShareBps == BASIS_POINTS, "Fee split must total 100%");
+        uint256 version = ++feeScheduleVersion;
+        FeeSchedule storage stored = _feeSchedules[version];
+        uint256 previousUpTo = 0;
+        for (uint256 i = 0; i < tierCount; i++) {
+            require(schedule.tiers[i].upTo > previousUpTo, "Tier boundaries must increase");
+            previousUpTo = schedule.tiers[i].upTo;
+            stored.tiers.push(schedule.tiers[i]);
+        }
+        stored.minFee = schedule.minFee;
+        stored.maxFeeBps = schedule.maxFeeBps;
+        stored.treasuryShareBps = schedule.treasuryShareBps;
+        stored.senderShareBps = schedule.senderShareBps;
+        stored.recipientShareBps = schedule.recipientShareBps;
+        emit FeeScheduleUpdated(version, schedule);
+    }
+}
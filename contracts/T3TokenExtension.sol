@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./T3TokenBase.sol";
+
+/**
+ * @title T3TokenExtension
+ * @dev Less frequent operations of T3Token (settlement, credits, issuance, redemptions and freezes), kept out
+ * of its bytecode to stay below the EIP-170 contract size limit. One instance is deployed first and passed to
+ * T3Token's constructor; T3Token delegatecalls it from same-signature functions, which carry the documentation.
+ * Called directly, it only acts on its own empty storage.
+ */
+contract T3TokenExtension is T3TokenBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    // --- HalfLife Settlement ---
+    function checkHalfLifeExpiry(uint256 transferId) external whenNotPaused {
+        TransferMetadata storage meta = transfers[transferId];
+        require(meta.commitWindowEnd > 0, "No active transfer data");
+        require(block.timestamp >= meta.commitWindowEnd, "HalfLife not expired yet");
+        require(!meta.isReversed, "Transfer was reversed");
+        require(!meta.isExpired, "HalfLife already settled");
+        require(!_isReversalRequested(transferId), "Reversal request pending");
+        require(!_isDisputed(transferId), "Transfer under dispute");
+        _settleExpiredTransfer(transferId);
+     }
+    function settleExpiredTransfers(address wallet) external whenNotPaused returns (uint256 settled) {
+        require(_openTransfers[wallet].length() > 0, "No active transfer data");
+        settled = _settleExpiredTransfers(wallet);
+        require(settled > 0, "HalfLife not expired yet");
+     }
+    function checkHalfLifeExpiryBatch(address[] calldata wallets) external whenNotPaused returns (uint256 settled) {
+        for (uint256 i = 0; i < wallets.length; i++) {
+            settled += _settleExpiredTransfers(wallets[i]);
+        }
+     }
+
+    // --- Incentive Credits ---
+    function redeemCredits(uint256 credits) external whenNotPaused returns (uint256 payout) {
+        require(creditRedemptionRateBps > 0, "Credit redemption disabled");
+        require(credits > 0, "Credits must be positive");
+        require(maxCreditRedemption == 0 || credits <= maxCreditRedemption, "Exceeds max credit redemption");
+        _expireCredits(msg.sender);
+        IncentiveCredits storage balance = incentiveCredits[msg.sender];
+        require(credits <= balance.amount, "Insufficient credits");
+        payout = (credits * creditRedemptionRateBps) / BASIS_POINTS;
+        require(payout > 0, "Redemption payout is zero");
+        balance.amount -= credits;
+        balance.lastUpdated = block.timestamp;
+        totalIncentiveCredits -= credits;
+        _spendAllowance(treasuryAddress, address(this), payout);
+        _transfer(treasuryAddress, msg.sender, payout);
+        emit IncentiveCreditsRedeemed(msg.sender, credits, payout);
+    }
+    function expireCredits(address wallet) external returns (uint256 expired) {
+        expired = _expireCredits(wallet);
+        require(expired > 0, "No expired credits");
+    }
+    function setCreditPolicy(uint256 expiryPeriod, uint256 redemptionRateBps, uint256 maxRedemption) external onlyRole(ADMIN_ROLE) {
+        require(redemptionRateBps <= BASIS_POINTS, "Redemption rate above 100%");
+        creditExpiryPeriod = expiryPeriod;
+        creditRedemptionRateBps = redemptionRateBps;
+        maxCreditRedemption = maxRedemption;
+        emit CreditPolicyUpdated(expiryPeriod, redemptionRateBps, maxRedemption);
+    }
+
+    // --- Issuance ---
+    function mint(address recipient, uint256 amount) external whenNotPaused onlyRole(MINTER_ROLE) {
+        require(recipient != address(0), "Mint to the zero address");
+        require(amount > 0, "Mint amount must be positive");
+        _checkKYC(address(0), recipient, amount);
+        address minter = msg.sender; // The FI calling this function
+        uint256 allowance = mintAllowance[minter];
+        require(allowance == 0 || mintedByMinter[minter] - redeemedByMinter[minter] + amount <= allowance, "Mint exceeds minter allowance");
+        _mint(recipient, amount); // Calls internal _update hook
+        mintedByMinter[minter] += amount;
+        totalOutstandingIssuance += amount;
+        _minters.add(minter);
+        emit TokensMinted(minter, recipient, amount);
+    }
+    function burn(uint256 amount) external whenNotPaused {
+        require(amount > 0, "Burn amount must be positive");
+        _requireUnlocked(msg.sender, amount, address(0));
+        _burn(msg.sender, amount); // Calls internal _update hook
+    }
+    function burnFrom(address account, uint256 amount) external whenNotPaused {
+        require(amount > 0, "Burn amount must be positive");
+        _requireUnlocked(account, amount, address(0));
+        _spendAllowance(account, msg.sender, amount);
+        _burn(account, amount); // Calls internal _update hook
+    }
+    function redeem(address account, uint256 amount) external whenNotPaused onlyRole(MINTER_ROLE) {
+        require(amount > 0, "Redemption amount must be positive");
+        address minter = msg.sender;
+        uint256 outstanding = mintedByMinter[minter] - redeemedByMinter[minter];
+        require(amount <= outstanding, "Redemption exceeds outstanding issuance");
+        _requireUnlocked(account, amount, address(0));
+        if (account != minter) { _spendAllowance(account, minter, amount); }
+        _burn(account, amount);
+        redeemedByMinter[minter] += amount;
+        totalOutstandingIssuance -= amount;
+        emit TokensRedeemed(minter, account, amount, outstanding - amount);
+    }
+    function setMintAllowance(address minter, uint256 allowance) external onlyRole(ADMIN_ROLE) {
+        require(hasRole(MINTER_ROLE, minter), "Account is not a minter");
+        mintAllowance[minter] = allowance;
+        _minters.add(minter);
+        emit MintAllowanceUpdated(minter, allowance);
+    }
+
+    // --- Fiat Redemption Requests ---
+    function requestRedemption(uint256 amount, address custodian, bytes32 referenceId) external whenNotPaused returns (uint256 redemptionId) {
+        require(amount > 0, "Redemption amount must be positive");
+        require(referenceId != bytes32(0), "Reference ID required");
+        require(redemptionIdByReference[referenceId] == 0, "Reference ID already used");
+        require(hasRole(MINTER_ROLE, custodian) || (address(custodianRegistry) != address(0) && custodianRegistry.hasRole(REGISTRY_CUSTODIAN_ROLE, custodian)), "Not a redemption custodian");
+        _requireUnlocked(msg.sender, amount, address(0));
+        redemptionId = ++lastRedemptionId;
+        RedemptionRequest storage request = redemptionRequests[redemptionId];
+        request.status = RedemptionStatus.Requested;
+        request.holder = msg.sender;
+        request.custodian = custodian;
+        request.amount = amount;
+        request.referenceId = referenceId;
+        request.requestedAt = block.timestamp;
+        redemptionIdByReference[referenceId] = redemptionId;
+        totalRedemptionEscrow += amount;
+        _transfer(msg.sender, address(this), amount);
+        emit RedemptionRequested(redemptionId, msg.sender, custodian, amount, referenceId);
+    }
+    function confirmRedemption(uint256 redemptionId) external whenNotPaused {
+        RedemptionRequest storage request = _resolveRedemption(redemptionId, RedemptionStatus.Confirmed);
+        uint256 amount = request.amount;
+        _burn(address(this), amount);
+        // A custodian that also mints has the payout deducted from its outstanding issuance
+        uint256 outstanding = mintedByMinter[msg.sender] - redeemedByMinter[msg.sender];
+        uint256 attributed = amount < outstanding ? amount : outstanding;
+        if (attributed > 0) {
+            redeemedByMinter[msg.sender] += attributed;
+            totalOutstandingIssuance -= attributed;
+            emit TokensRedeemed(msg.sender, request.holder, attributed, outstanding - attributed);
+        }
+        emit RedemptionConfirmed(redemptionId, msg.sender, request.referenceId, amount);
+    }
+    function rejectRedemption(uint256 redemptionId, bytes32 rejectionCode) external whenNotPaused {
+        require(rejectionCode != bytes32(0), "Reason code required");
+        RedemptionRequest storage request = _resolveRedemption(redemptionId, RedemptionStatus.Rejected);
+        request.rejectionCode = rejectionCode;
+        // Skips the freeze check of _update: a holder frozen since filing gets the escrow back under the freeze,
+        // where compliance can seize it, instead of leaving it stuck on this contract
+        ERC20PausableUpgradeable._update(address(this), request.holder, request.amount);
+        emit RedemptionRejected(redemptionId, msg.sender, request.referenceId, rejectionCode);
+    }
+    function _resolveRedemption(uint256 redemptionId, RedemptionStatus outcome) internal returns (RedemptionRequest storage request) {
+        request = redemptionRequests[redemptionId];
+        require(request.status == RedemptionStatus.Requested, "Redemption not pending");
+        require(msg.sender == request.custodian, "Only the named custodian can resolve");
+        request.status = outcome;
+        request.resolvedAt = block.timestamp;
+        totalRedemptionEscrow -= request.amount;
+    }
+
+    // --- Wallet Freezes ---
+    function freezeWallet(address wallet, bytes32 caseReference) external onlyRole(COMPLIANCE_ROLE) {
+        require(wallet != address(0), "Wallet cannot be zero address");
+        // Fees are minted to the treasury and seizures paid to the recovery address: freezing either would halt them
+        require(wallet != treasuryAddress && wallet != address(this) && wallet != recoveryAddress, "Wallet cannot be frozen");
+        require(caseReference != bytes32(0), "Case reference required");
+        require(_frozenWallets.add(wallet), "Wallet already frozen");
+        emit WalletFrozen(wallet, msg.sender, caseReference);
+    }
+    function unfreezeWallet(address wallet, bytes32 caseReference) external onlyRole(COMPLIANCE_ROLE) {
+        require(caseReference != bytes32(0), "Case reference required");
+        require(_frozenWallets.remove(wallet), "Wallet not frozen");
+        emit WalletUnfrozen(wallet, msg.sender, caseReference);
+    }
+    function seizeFrozenFunds(address wallet, uint256 amount, bytes32 caseReference) external whenNotPaused onlyRole(COMPLIANCE_ROLE) {
+        require(caseReference != bytes32(0), "Case reference required");
+        require(isFrozen(wallet), "Wallet not frozen");
+        address recovery = recoveryAddress;
+        require(recovery != address(0), "Recovery address not set");
+        require(amount > 0, "Seizure amount must be positive");
+        // Skips the freeze check of _update; HalfLife locks and disputes do not hold funds against a court order
+        ERC20PausableUpgradeable._update(wallet, recovery, amount);
+        _releaseSeizedHolds(wallet);
+        emit FundsSeized(wallet, recovery, caseReference, amount);
+    }
+    /**
+     * @dev After a seizure, the open transfers and disputes of `wallet` may hold more than its balance. Closes
+     * its HalfLife locks, then caps its disputes, starting from the last in each set, until what they hold fits.
+     */
+    function _releaseSeizedHolds(address wallet) internal {
+        uint256 balance = balanceOf(wallet);
+        uint256 held = _lockedTotal[wallet] + disputedBalanceOf[wallet];
+        EnumerableSet.UintSet storage open = _openTransfers[wallet];
+        // Iterate backwards: closing removes the ID from the set
+        for (uint256 i = open.length(); i > 0 && held > balance; i--) {
+            uint256 transferId = open.at(i - 1);
+            if (_isDisputed(transferId)) continue; // Capped below
+            held -= reversibleAmountOf(transferId);
+            _closeSeizedTransfer(transferId);
+        }
+        EnumerableSet.UintSet storage disputed = _openDisputes[wallet];
+        for (uint256 i = disputed.length(); i > 0 && held > balance; i--) {
+            uint256 transferId = disputed.at(i - 1);
+            Dispute storage dispute = disputes[transferId];
+            uint256 cut = held - balance < dispute.amount ? held - balance : dispute.amount;
+            dispute.amount -= cut;
+            disputedBalanceOf[wallet] -= cut;
+            held -= cut;
+            // Resolving the dispute must not lock the seized funds of the transfer again
+            if (open.contains(transferId)) { _closeSeizedTransfer(transferId); }
+        }
+    }
+    // Ends the window of a transfer whose funds were seized: it can no longer be reversed, requested or settled
+    function _closeSeizedTransfer(uint256 transferId) internal {
+        TransferMetadata storage meta = transfers[transferId];
+        if (!_isDisputed(transferId)) { _unlock(meta, reversibleAmountOf(transferId)); }
+        meta.isExpired = true;
+        meta.commitWindowEnd = block.timestamp;
+        _openTransfers[meta.recipient].remove(transferId);
+        if (_isReversalRequested(transferId)) {
+            ReversalRequest storage request = reversalRequests[transferId];
+            request.status = ReversalRequestStatus.Contested;
+            request.resolvedAt = block.timestamp;
+            emit ReversalRequestContested(transferId, meta.recipient, "Funds seized");
+        }
+        emit HalfLifeExpired(transferId, meta.recipient, block.timestamp);
+    }
+    function setRecoveryAddress(address recovery) external onlyRole(ADMIN_ROLE) {
+        require(recovery != address(0), "Recovery address cannot be zero");
+        require(!isFrozen(recovery), "Recovery address is frozen");
+        recoveryAddress = recovery;
+        emit RecoveryAddressUpdated(recovery);
+    }
+}
@@ -1,7 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
 import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol"; // Optional: for tracking custodians
 
 /**
@@ -11,13 +12,17 @@ import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol"; // Optional: f
  * Uses AccessControl:
  * - ADMIN_ROLE: Can grant/revoke CUSTODIAN_ROLE to FIs.
  * - CUSTODIAN_ROLE: Granted to FIs, allows them to register/update wallets they custody.
+ * - UPGRADER_ROLE: Can upgrade the registry's UUPS proxy to a new implementation (scripts/upgrade.js).
+ * Deployed behind an ERC-1967 proxy. AccessControl keeps its state in an ERC-7201 namespace, so the
+ * variables below start at slot 0; upgrades may only append to them (test/storageLayout.test.js).
  */
-contract CustodianRegistry is AccessControl {
+contract CustodianRegistry is AccessControlUpgradeable, UUPSUpgradeable {
     using EnumerableSet for EnumerableSet.AddressSet;
 
     // --- Roles ---
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant CUSTODIAN_ROLE = keccak256("CUSTODIAN_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
 
     // --- Data Structures ---
     struct CustodyData {
@@ -38,12 +43,20 @@ contract CustodianRegistry is AccessControl {
     event WalletUnregistered(address indexed userAddress, address indexed custodian);
     event KYCStatusUpdated(address indexed userAddress, address indexed custodian, uint256 kycValidatedTimestamp, uint256 kycExpiresTimestamp);
 
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
     /**
-     * @dev Constructor. Grants ADMIN_ROLE and DEFAULT_ADMIN_ROLE to deployer.
+     * @dev Initializes the proxy's state. Grants ADMIN_ROLE, DEFAULT_ADMIN_ROLE and UPGRADER_ROLE to `initialAdmin`.
      */
-    constructor(address initialAdmin) {
+    function initialize(address initialAdmin) external initializer {
+        __AccessControl_init();
+        __UUPSUpgradeable_init();
         _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
         _grantRole(ADMIN_ROLE, initialAdmin);
+        _grantRole(UPGRADER_ROLE, initialAdmin);
     }
 
     // --- Role Management (by Admin) ---
@@ -194,11 +207,14 @@ contract CustodianRegistry is AccessControl {
         return _custodians.at(index);
     }
 
+    /** @dev UUPS upgrade guard: only UPGRADER_ROLE can point the proxy at a new implementation. */
+    function _authorizeUpgrade(address /*newImplementation*/) internal override onlyRole(UPGRADER_ROLE) {}
+
     // --- AccessControl Setup ---
     /**
      * @dev See {IERC165-supportsInterface}.
      */
-    function supportsInterface(bytes4 interfaceId) public view virtual override(AccessControl) returns (bool) {
+    function supportsInterface(bytes4 interfaceId) public view virtual override(AccessControlUpgradeable) returns (bool) {
         return super.supportsInterface(interfaceId);
     }
 }
@@ -1,8 +1,13 @@
 // hardhat.config.js
 require("@nomicfoundation/hardhat-toolbox");
+require("@openzeppelin/hardhat-upgrades"); // UUPS proxy deployment, upgrades and storage layout validation
 require("dotenv").config(); // Loads variables from .env into process.env
 require("hardhat-gas-reporter"); // <--- Added gas reporter plugin
 
+// T3 operations tasks (t3:*, registry:*)
+require("./tasks/t3");
+require("./tasks/registry");
+
 // Ensure required environment variables are present
 const sepoliaRpcUrl = process.env.SEPOLIA_RPC_URL;
 const wallet1PrivateKey = process.env.WALLET1_PRIVATE_KEY;
@@ -26,7 +31,7 @@ if (!coinMarketCapApiKey) {
 
 module.exports = {
   solidity: {
-    version: "0.8.20", // Use your specific version
+    version: "0.8.22", // OpenZeppelin 5 proxy contracts (ERC1967Utils, UUPSUpgradeable) need >= 0.8.22
     settings: {
       optimizer: {
         enabled: true,
@@ -1,45 +1,46 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
+const hre = require("hardhat");
+const { deploySystem } = require("./lib/deploySystem");
+const { writeDeployment, deploymentPath } = require("../sdk");
 require("dotenv").config();
 
-async function main() {
-	const [deployer] = await ethers.getSigners();
-	console.log(`🚀 Deploying T3Token with: ${deployer.address}`);
-
-	/*
-	  const name = "T3 Stablecoin";
-	  const symbol = "T3";
-	  const initialSupply = ethers.parseUnits("1000000", 18); // 1,000,000 T3
-	  const initialOwner = deployer.address;
-	*/
-
-	const T3Token = await ethers.getContractFactory("T3Token");
-	const t3 = await T3Token.deploy(deployer.address);
- /*
- const t3 = await T3Token.deploy(name, symbol, initialSupply, initialOwner);
- */ 
-	await t3.waitForDeployment();
+// Comma-separated address lists, e.g. T3_MINTERS=0xabc...,0xdef...
+function addressList(name) {
+	return (process.env[name] || "").split(",").map((a) => a.trim()).filter(Boolean);
+}
 
-	const newAddress = await t3.getAddress();
-	console.log(`✅ T3Token deployed at: ${newAddress}`);
-
-	// Update .env file with new contract address
-	const envPath = ".env";
-	let envContent = fs.existsSync(envPath) ? fs.readFileSync(envPath, "utf8") : "";
+async function main() {
+	const { ethers, network } = hre;
+	const signers = await ethers.getSigners();
 
-	if (envContent.includes("T3_CONTRACT_ADDRESS=")) 
-	{
-		envContent = envContent.replace(/T3_CONTRACT_ADDRESS=.*/g, `T3_CONTRACT_ADDRESS=${newAddress}`);
-	} else 
-	{
-		envContent += `\nT3_CONTRACT_ADDRESS=${newAddress}`;
+	// Treasury: T3_TREASURY_ADDRESS, or Wallet 4 (index 3) on local networks
+	let treasury = process.env.T3_TREASURY_ADDRESS;
+	if (!treasury && ["hardhat", "localhost"].includes(network.name) && signers.length > 3) {
+		treasury = signers[3].address;
+	}
+	if (!treasury) {
+		throw new Error("T3_TREASURY_ADDRESS must be set for this network");
 	}
 
-	fs.writeFileSync(envPath, envContent.trim());
-		console.log("📝 Updated .env with new contract address");
+	const { deployment } = await deploySystem(hre, {
+		admin: process.env.T3_ADMIN_ADDRESS,
+		treasury,
+		minters: addressList("T3_MINTERS"),
+		pausers: addressList("T3_PAUSERS"),
+		arbiters: addressList("T3_ARBITERS"),
+		compliance: addressList("T3_COMPLIANCE"),
+		custodians: addressList("T3_CUSTODIANS"),
+	});
+
+	if (network.name === "hardhat") {
+		console.log("ℹ️ In-process hardhat network: manifest not written (use --network localhost)");
+		return;
 	}
+	const { chainId } = await ethers.provider.getNetwork();
+	const manifest = writeDeployment(chainId, deployment);
+	console.log(`📝 Wrote deployment manifest v${manifest.version} to ${deploymentPath(chainId)}`);
+}
 
 main().catch((error) => {
-  console.error("❌ Deployment failed:", error);
-  process.exitCode = 1;
+	console.error("❌ Deployment failed:", error);
+	process.exitCode = 1;
 });
@@ -0,0 +1,202 @@
+// scripts/lib/deploySystem.js
+// Deploys T3Token (with its modules) + CustodianRegistry behind UUPS proxies, links them and wires initial roles.
+// Shared by scripts/deploy.js, scripts/upgrade.js and the tests.
+
+// T3Token's delegatecalled modules, in the order of its constructor arguments. Deployed separately to keep
+// T3Token's initcode under the EIP-3860 limit; every T3Token upgrade deploys a fresh set.
+const T3_MODULES = ["T3TokenExtension", "T3TokenAuthorization", "T3TokenAdmin"];
+
+// Deploys `contractName` and returns the contract plus a manifest entry for it
+async function deployContract(hre, deployer, contractName, constructorArgs, log) {
+    const factory = await hre.ethers.getContractFactory(contractName, deployer);
+    const contract = await factory.deploy(...constructorArgs);
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+    log(`✅ ${contractName} deployed at: ${address} (block ${receipt.blockNumber})`);
+    return {
+        contract,
+        entry: { address, txHash: receipt.hash, blockNumber: receipt.blockNumber, constructorArgs },
+    };
+}
+
+// Deploys an implementation of `contractName` and a UUPS proxy calling initialize(...initializerArgs) on it
+async function deployProxy(hre, deployer, contractName, initializerArgs, constructorArgs, log) {
+    const factory = await hre.ethers.getContractFactory(contractName, deployer);
+    const contract = await hre.upgrades.deployProxy(factory, initializerArgs, { kind: "uups", constructorArgs });
+    const receipt = await contract.deploymentTransaction().wait();
+    const address = await contract.getAddress();
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+    log(`✅ ${contractName} proxy deployed at: ${address} (implementation ${implementation}, block ${receipt.blockNumber})`);
+    return {
+        contract,
+        entry: { address, implementation, txHash: receipt.hash, blockNumber: receipt.blockNumber, constructorArgs, initializerArgs },
+    };
+}
+
+// Points the UUPS proxy at `proxy` to a new implementation of `contractName`. The plugin first checks the new
+// storage layout against the current implementation's and refuses incompatible ones.
+async function upgradeProxy(hre, signer, proxy, contractName, constructorArgs, log) {
+    const factory = await hre.ethers.getContractFactory(contractName, signer);
+    const contract = await hre.upgrades.upgradeProxy(proxy, factory, { kind: "uups", constructorArgs });
+    const receipt = await contract.deployTransaction.wait();
+    const address = await contract.getAddress();
+    const implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+    log(`⬆️ ${contractName} proxy ${address} upgraded to implementation ${implementation} (block ${receipt.blockNumber})`);
+    return {
+        contract,
+        entry: { address, implementation, txHash: receipt.hash, blockNumber: receipt.blockNumber, constructorArgs },
+    };
+}
+
+async function deployModules(hre, deployer, log) {
+    const modules = {};
+    for (const name of T3_MODULES) {
+        modules[name] = (await deployContract(hre, deployer, name, [], log)).entry;
+    }
+    return modules;
+}
+
+async function requireUpgrader(contract, contractName, signer) {
+    const role = await contract.UPGRADER_ROLE();
+    if (!(await contract.hasRole(role, signer.address))) {
+        throw new Error(`${signer.address} does not hold UPGRADER_ROLE on ${contractName}`);
+    }
+}
+
+/**
+ * Deploys T3Token's modules and T3Token behind a UUPS proxy, initialized for `admin` and `treasury`.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} options
+ * @param {string} [options.admin] Initial admin, defaults to the deployer.
+ * @param {string} options.treasury Treasury address.
+ * @param {object} [options.deployer] Signer paying for the deployment, defaults to the first signer.
+ * @param {Function} [options.log] Progress logger, silent by default.
+ * @returns {Promise<{token, contracts}>} The token (at the proxy address) and manifest entries of the modules and T3Token.
+ */
+async function deployT3Token(hre, { admin, treasury, deployer, log = () => {} }) {
+    deployer ||= (await hre.ethers.getSigners())[0];
+    const modules = await deployModules(hre, deployer, log);
+    const moduleAddresses = T3_MODULES.map((name) => modules[name].address);
+    const token = await deployProxy(hre, deployer, "T3Token", [admin || deployer.address, treasury], moduleAddresses, log);
+    return { token: token.contract, contracts: { ...modules, T3Token: token.entry } };
+}
+
+/**
+ * Deploys CustodianRegistry behind a UUPS proxy, initialized for `admin`.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options] `admin` (defaults to the deployer), `deployer` and `log` as for deployT3Token.
+ * @returns {Promise<{registry, contracts}>} The registry (at the proxy address) and its manifest entry.
+ */
+async function deployCustodianRegistry(hre, { admin, deployer, log = () => {} } = {}) {
+    deployer ||= (await hre.ethers.getSigners())[0];
+    const registry = await deployProxy(hre, deployer, "CustodianRegistry", [admin || deployer.address], [], log);
+    return { registry: registry.contract, contracts: { CustodianRegistry: registry.entry } };
+}
+
+/**
+ * Upgrades the T3Token proxy at `proxy` to a new implementation built on a fresh set of modules. The proxy
+ * address, balances and transfer records stay as they are.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string} proxy T3Token proxy address.
+ * @param {object} [options]
+ * @param {object} [options.signer] Holder of UPGRADER_ROLE on T3Token, defaults to the first signer.
+ * @param {string} [options.contractName] Implementation to upgrade to, defaults to "T3Token".
+ * @param {Function} [options.log] Progress logger, silent by default.
+ * @returns {Promise<{token, contracts}>} The token and manifest entries of the new modules and implementation.
+ */
+async function upgradeT3Token(hre, proxy, { signer, contractName = "T3Token", log = () => {} } = {}) {
+    signer ||= (await hre.ethers.getSigners())[0];
+    await requireUpgrader(await hre.ethers.getContractAt("T3Token", proxy, signer), "T3Token", signer);
+    const modules = await deployModules(hre, signer, log);
+    const moduleAddresses = T3_MODULES.map((name) => modules[name].address);
+    const token = await upgradeProxy(hre, signer, proxy, contractName, moduleAddresses, log);
+    return { token: token.contract, contracts: { ...modules, T3Token: token.entry } };
+}
+
+/**
+ * Upgrades the CustodianRegistry proxy at `proxy` to a new implementation; options as for upgradeT3Token.
+ * @returns {Promise<{registry, contracts}>}
+ */
+async function upgradeCustodianRegistry(hre, proxy, { signer, contractName = "CustodianRegistry", log = () => {} } = {}) {
+    signer ||= (await hre.ethers.getSigners())[0];
+    await requireUpgrader(await hre.ethers.getContractAt("CustodianRegistry", proxy, signer), "CustodianRegistry", signer);
+    const registry = await upgradeProxy(hre, signer, proxy, contractName, [], log);
+    return { registry: registry.contract, contracts: { CustodianRegistry: registry.entry } };
+}
+
+/**
+ * Deploys the T3 system and grants the initial roles.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {object} [options]
+ * @param {string} [options.admin] Initial admin of both contracts, defaults to the deployer.
+ * @param {string} options.treasury Treasury address passed to T3Token.
+ * @param {string[]} [options.minters] Accounts granted MINTER_ROLE on T3Token.
+ * @param {string[]} [options.pausers] Accounts granted PAUSER_ROLE on T3Token.
+ * @param {string[]} [options.arbiters] Compliance accounts granted ARBITER_ROLE on T3Token.
+ * @param {string[]} [options.compliance] Compliance officers granted COMPLIANCE_ROLE on T3Token (wallet freezes and seizures).
+ * @param {string[]} [options.custodians] FIs granted CUSTODIAN_ROLE on CustodianRegistry.
+ * @param {Function} [options.log] Progress logger, defaults to console.log.
+ * @returns {Promise<{token, registry, deployment}>} Contract instances and the manifest body.
+ */
+async function deploySystem(hre, { admin, treasury, minters = [], pausers = [], arbiters = [], compliance = [], custodians = [], log = console.log } = {}) {
+    const [deployer] = await hre.ethers.getSigners();
+    const initialAdmin = admin || deployer.address;
+    if (!treasury) throw new Error("Treasury address is required");
+
+    const deployerIsAdmin = initialAdmin.toLowerCase() === deployer.address.toLowerCase();
+    const hasRoleWiring = minters.length + pausers.length + arbiters.length + compliance.length + custodians.length > 0;
+    if (hasRoleWiring && !deployerIsAdmin) {
+        throw new Error("Role wiring requires the deployer to be the initial admin");
+    }
+
+    log(`🚀 Deploying T3 system with: ${deployer.address} (admin ${initialAdmin}, treasury ${treasury})`);
+    const token = await deployT3Token(hre, { admin: initialAdmin, treasury, deployer, log });
+    const registry = await deployCustodianRegistry(hre, { admin: initialAdmin, deployer, log });
+    const registryAddress = registry.contracts.CustodianRegistry.address;
+
+    // The KYC policy stays Disabled until an admin enables it (t3:kyc-policy); linking only sets the reference
+    if (deployerIsAdmin) {
+        await (await token.token.setCustodianRegistry(registryAddress)).wait();
+        await (await token.token.setKYCExempt(treasury, true)).wait();
+        log(`🔗 Linked CustodianRegistry to T3Token (treasury exempt from KYC policy)`);
+    } else {
+        log(`ℹ️ Admin ${initialAdmin} must call setCustodianRegistry(${registryAddress}) on T3Token`);
+    }
+
+    const roles = [];
+    async function grant(contractName, role, account, send) {
+        const receipt = await (await send()).wait();
+        roles.push({ contract: contractName, role, account, txHash: receipt.hash, blockNumber: receipt.blockNumber });
+        log(`🔑 Granted ${role} on ${contractName} to ${account}`);
+    }
+    const MINTER_ROLE = await token.token.MINTER_ROLE();
+    const PAUSER_ROLE = await token.token.PAUSER_ROLE();
+    const ARBITER_ROLE = await token.token.ARBITER_ROLE();
+    const COMPLIANCE_ROLE = await token.token.COMPLIANCE_ROLE();
+    for (const account of minters) {
+        await grant("T3Token", "MINTER_ROLE", account, () => token.token.grantRole(MINTER_ROLE, account));
+    }
+    for (const account of pausers) {
+        await grant("T3Token", "PAUSER_ROLE", account, () => token.token.grantRole(PAUSER_ROLE, account));
+    }
+    for (const account of arbiters) {
+        await grant("T3Token", "ARBITER_ROLE", account, () => token.token.grantRole(ARBITER_ROLE, account));
+    }
+    for (const account of compliance) {
+        await grant("T3Token", "COMPLIANCE_ROLE", account, () => token.token.grantRole(COMPLIANCE_ROLE, account));
+    }
+    for (const account of custodians) {
+        await grant("CustodianRegistry", "CUSTODIAN_ROLE", account, () => registry.registry.grantCustodianRole(account));
+    }
+
+    const deployment = {
+        network: hre.network.name,
+        deployedAt: new Date().toISOString(),
+        deployer: deployer.address,
+        contracts: { ...token.contracts, ...registry.contracts },
+        roles,
+    };
+    return { token: token.token, registry: registry.registry, deployment };
+}
+
+module.exports = { T3_MODULES, deploySystem, deployT3Token, deployCustodianRegistry, upgradeT3Token, upgradeCustodianRegistry };
@@ -1,31 +1,23 @@
 const { ethers } = require("hardhat");
+const { T3Client } = require("../sdk");
 require("dotenv").config();
 
-const wallet1 = new ethers.Wallet(process.env.WALLET1_PRIVATE_KEY, ethers.provider);
-const wallet2 = new ethers.Wallet(process.env.WALLET2_PRIVATE_KEY, ethers.provider);
-const contractAddress = process.env.T3_CONTRACT_ADDRESS;
 const amount = ethers.parseEther("1000");
 
 async function main() {
-  const T3Token1 = await ethers.getContractFactory("T3Token", wallet1);
-  const t3FromWallet1 = T3Token1.attach(contractAddress);
+  const sender = await T3Client.fromDeployment({ keyVar: "WALLET1_PRIVATE_KEY", provider: ethers.provider });
+  const recipient = await T3Client.fromDeployment({ keyVar: "WALLET2_PRIVATE_KEY", provider: ethers.provider });
 
   console.log("🔁 1. Transferring from Wallet1 to Wallet2...");
-  const tx1 = await t3FromWallet1.transfer(wallet2.address, amount);
-  await tx1.wait();
+  const transfer = await sender.transfer(await recipient.runner.getAddress(), amount);
   console.log("✅ Transfer complete");
 
-  const hash = ethers.solidityPackedKeccak256(["uint256", "address"], [amount, wallet2.address]);
-
   console.log("\n🔁 2. Attempting reversal from Wallet2 (recipient) back to Wallet1...");
-  const T3Token2 = await ethers.getContractFactory("T3Token", wallet2);
-  const t3FromWallet2 = T3Token2.attach(contractAddress);
-  const tx2 = await t3FromWallet2.reverseTransfer(wallet2.address, amount, hash);
-  await tx2.wait();
+  await recipient.reverse({ transferId: transfer.transferId });
   console.log("✅ Reversal from recipient successful!");
 }
 
 main().catch((error) => {
-  console.error("❌ Error:", error);
+  console.error("❌ Error:", error.message);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
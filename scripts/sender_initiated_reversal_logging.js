@@ -1,39 +1,46 @@
 const { ethers } = require("hardhat");
+const { T3Client, formatT3, formatTransfer } = require("../sdk");
 require("dotenv").config();
 
-const wallet1 = new ethers.Wallet(process.env.WALLET1_PRIVATE_KEY, ethers.provider);
-const wallet2 = new ethers.Wallet(process.env.WALLET2_PRIVATE_KEY, ethers.provider);
-const contractAddress = process.env.T3_CONTRACT_ADDRESS;
 const amount = ethers.parseEther("1000");
 
 async function main() {
-  const T3Token1 = await ethers.getContractFactory("T3Token", wallet1);
-  const t3FromWallet1 = T3Token1.attach(contractAddress);
+  const sender = await T3Client.fromDeployment({ keyVar: "WALLET1_PRIVATE_KEY", provider: ethers.provider });
+  const recipient = await T3Client.fromDeployment({ keyVar: "WALLET2_PRIVATE_KEY", provider: ethers.provider });
+  const senderAddress = await sender.runner.getAddress();
+  const recipientAddress = await recipient.runner.getAddress();
 
   console.log("🔁 1. Transferring from Wallet1 to Wallet2...");
-  const tx1 = await t3FromWallet1.transfer(wallet2.address, amount);
-  await tx1.wait();
+  const transfer = await sender.transfer(recipientAddress, amount);
   console.log("✅ Transfer complete");
 
-  let metadata = await t3FromWallet1.transferData(wallet2.address);
-  console.log("📦 Transfer Metadata:", metadata);
-  console.log("  - Recipient Balance:", ethers.formatEther(await t3FromWallet1.balanceOf(wallet2.address)));
-  console.log("  - Sender Balance:", ethers.formatEther(await t3FromWallet1.balanceOf(wallet1.address)));
-  console.log("  - Total Supply:", ethers.formatEther(await t3FromWallet1.totalSupply()));
-  console.log("  - Contract Address:", t3FromWallet1.target);
-
-  const hash = ethers.solidityPackedKeccak256(["uint256", "address"], [amount, wallet2.address]);
-
-  console.log("\n🔁 2. Attempting reversal from Wallet1 (sender)...");
-  const tx2 = await t3FromWallet1.reverseTransfer(wallet2.address, amount, hash);
-  await tx2.wait();
-  console.log("✅ Reversal from sender successful!");
-
-  console.log("  - Recipient Balance After Reversal:", ethers.formatEther(await t3FromWallet1.balanceOf(wallet2.address)));
-  console.log("  - Sender Balance After Reversal:", ethers.formatEther(await t3FromWallet1.balanceOf(wallet1.address)));
+  console.log("📦 Transfer Metadata:");
+  console.log(formatTransfer(await sender.getTransfer(transfer.transferId)));
+  console.log("  - Recipient Balance:", formatT3(await sender.balanceOf(recipientAddress)));
+  console.log("  - Sender Balance:", formatT3(await sender.balanceOf(senderAddress)));
+  console.log("  - Total Supply:", formatT3(await sender.token.totalSupply()));
+  console.log("  - Contract Address:", sender.token.target);
+
+  // Only the recipient can move the funds back, so the sender files a request the recipient answers
+  console.log("\n📨 2. Wallet1 (sender) requests a reversal...");
+  const request = await sender.requestReversal({ transferId: transfer.transferId, reason: "sent to the wrong address" });
+  console.log("✅ Reversal requested:", request.reason);
+  console.log("  - Request Status:", (await sender.getReversalRequest(transfer.transferId)).status);
+  console.log("  - Held For Request:", formatT3(await sender.getLockedBalance(recipientAddress)));
+
+  console.log("\n🔁 3. Wallet2 (recipient) accepts the request...");
+  try {
+    await recipient.acceptReversal(transfer.transferId);
+    console.log("✅ Sender-initiated reversal successful!");
+  } catch (err) {
+    console.log("🚫 Reversal request not accepted:", err.message);
+  }
+
+  console.log("  - Recipient Balance After Reversal:", formatT3(await sender.balanceOf(recipientAddress)));
+  console.log("  - Sender Balance After Reversal:", formatT3(await sender.balanceOf(senderAddress)));
 }
 
 main().catch((error) => {
-  console.error("❌ Error:", error);
+  console.error("❌ Error:", error.message);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
@@ -1,68 +1,57 @@
 const { ethers } = require("hardhat");
+const { T3Client, formatT3, formatTimestamp, formatTransfer, computeReversalHash } = require("../sdk");
 require("dotenv").config();
 
-const wallet1 = new ethers.Wallet(process.env.WALLET1_PRIVATE_KEY, ethers.provider);
-const wallet2 = new ethers.Wallet(process.env.WALLET2_PRIVATE_KEY, ethers.provider);
-const wallet3 = new ethers.Wallet(process.env.WALLET3_PRIVATE_KEY, ethers.provider);
-const contractAddress = process.env.T3_CONTRACT_ADDRESS;
 const amount = ethers.parseEther("1000");
 
 async function main() {
-  const T3Token1 = await ethers.getContractFactory("T3Token", wallet1);
-  const t3FromWallet1 = T3Token1.attach(contractAddress);
+  const client1 = await T3Client.fromDeployment({ keyVar: "WALLET1_PRIVATE_KEY", provider: ethers.provider });
+  const client2 = await T3Client.fromDeployment({ keyVar: "WALLET2_PRIVATE_KEY", provider: ethers.provider });
+  const wallet1 = await client1.runner.getAddress();
+  const wallet2 = await client2.runner.getAddress();
+  const wallet3 = new ethers.Wallet(process.env.WALLET3_PRIVATE_KEY.trim()).address;
 
   console.log("🔁 1. Transferring from Wallet1 to Wallet2...");
-  const tx1 = await t3FromWallet1.transfer(wallet2.address, amount);
-  await tx1.wait();
+  const transfer = await client1.transfer(wallet2, amount);
   console.log("✅ Transfer complete");
-  const balance = await t3.balanceOf(wallet2);
-  console.log("  - Recipient Balance:", ethers.formatEther(balance));
-  console.log("  - Sender Balance:", ethers.formatEther(await t3.balanceOf(wallet1.address)));
-  console.log("  - Total Supply:", ethers.formatEther(await t3.totalSupply()));
-  console.log("  - Contract Address:", t3.target); // ✅
-  console.log("  - Transfer Data:", metadata);
+  console.log("  - Recipient Balance:", formatT3(await client1.balanceOf(wallet2)));
+  console.log("  - Sender Balance:", formatT3(await client1.balanceOf(wallet1)));
+  console.log("  - Total Supply:", formatT3(await client1.token.totalSupply()));
+  console.log("  - Contract Address:", client1.token.target);
+  console.log("  - Transfer Data:");
+  console.log(formatTransfer(await client1.getTransfer(transfer.transferId)));
 
-  const metadata = await t3FromWallet1.transferData(wallet2.address);
-  const unlockTime = Number(metadata.commitWindowEnd) * 1000;
-  console.log("🔒 HalfLife Lock Until:", new Date(unlockTime).toISOString());
+  const lock = await client1.getLockStatus(wallet2);
+  console.log("🔒 HalfLife Lock Until:", formatTimestamp(lock.lockedUntil));
 
   console.log("\n🚫 2. Attempting forward transfer from Wallet2 to Wallet3 (should fail)...");
-  const T3Token2 = await ethers.getContractFactory("T3Token", wallet2);
-  const t3FromWallet2 = T3Token2.attach(contractAddress);
   try {
-    const tx2 = await t3FromWallet2.transfer(wallet3.address, amount);
-    await tx2.wait();
+    await client2.transfer(wallet3, transfer.netAmount);
     console.log("❌ Unexpected: Forward transfer succeeded (this should not happen)");
   } catch (err) {
-    console.log("✅ Forward transfer correctly failed due to HalfLife lock.");
+    console.log("✅ Forward transfer correctly failed:", err.message);
   }
 
-const hash = ethers.solidityPackedKeccak256(["uint256", "address"], [amount, wallet2.address]);
-
-//  const hash = ethers.keccak256(
-//    ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "address"], [amount, wallet2.address])
-//  );
-
+  // Only the recipient can reverse; the sender attempt is expected to revert
   console.log("\n🔁 3. Attempting reversal transfer from Wallet1 (sender)...");
   try {
-    const tx3 = await t3FromWallet1.reverseTransfer(wallet2.address, amount, hash);
-    await tx3.wait();
+    const tx = await client1.token.reverseTransfer(transfer.transferId, computeReversalHash(wallet1, wallet2, amount));
+    await tx.wait();
     console.log("✅ Reversal from sender successful!");
   } catch (err) {
-    console.error("❌ Reversal failed from sender:", err);
+    console.log("🚫 Reversal failed from sender:", client1.decodeError(err).message);
   }
 
   console.log("\n🔁 4. Attempting reversal from Wallet2 (recipient) back to Wallet1...");
   try {
-    const tx4 = await t3FromWallet2.reverseTransfer(wallet2.address, amount, hash);
-    await tx4.wait();
+    await client2.reverse({ transferId: transfer.transferId });
     console.log("✅ Reversal from recipient successful!");
   } catch (err) {
-    console.error("❌ Reversal failed from recipient:", err);
+    console.error("❌ Reversal failed from recipient:", err.message);
   }
 }
 
 main().catch((error) => {
-  console.error("❌ Error:", error);
+  console.error("❌ Error:", error.message);
   process.exitCode = 1;
-});
\ No newline at end of file
+});
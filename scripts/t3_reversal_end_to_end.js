@@ -1,85 +1,73 @@
 require("dotenv").config();
 const { ethers } = require("hardhat");
+const { T3Client, formatT3, formatTransfer } = require("../sdk");
 
 //async function logBalances function in footer
 
 async function main() {
-  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-  const wallet1 = new ethers.Wallet(process.env.WALLET1_PRIVATE_KEY, provider);
-  const wallet2 = new ethers.Wallet(process.env.WALLET2_PRIVATE_KEY, provider);
-  const wallet3 = new ethers.Wallet(process.env.WALLET3_PRIVATE_KEY, provider);
-
-  const t3 = await ethers.getContractAt("T3Token", process.env.T3_CONTRACT_ADDRESS, wallet1);
+  const client1 = await T3Client.fromDeployment({ keyVar: "WALLET1_PRIVATE_KEY" });
+  const client2 = await T3Client.fromDeployment({ keyVar: "WALLET2_PRIVATE_KEY" });
+  const client3 = await T3Client.fromDeployment({ keyVar: "WALLET3_PRIVATE_KEY" });
+  const wallet1 = await client1.runner.getAddress();
+  const wallet2 = await client2.runner.getAddress();
+  const wallet3 = await client3.runner.getAddress();
   const amount = ethers.parseUnits("1000", 18);
 
-  console.log(`\n🔁 1. Transferring from Wallet1 (${wallet1.address}) to Wallet2 (${wallet2.address})...`);
-  const tx = await t3.connect(wallet1).transfer(wallet2.address, amount);
-  await tx.wait();
+  console.log(`\n🔁 1. Transferring from Wallet1 (${wallet1}) to Wallet2 (${wallet2})...`);
+  const transfer = await client1.transfer(wallet2, amount);
   console.log("✅ Transfer complete");
 
-  const metadata = await t3.transferData(wallet2.address);
   console.log("\n📦 Transfer Metadata:");
-  console.log("  - HalfLife Duration (s):", metadata.halfLifeDuration.toString());
-  const unlockTime = Number(metadata.commitWindowEnd) * 1000;
-  console.log("  - Commit Window End:", new Date(unlockTime).toISOString());
-  console.log("  - Originator:", metadata.originator);
-  console.log("  - Transfer Count:", metadata.transferCount.toString());
-  console.log("🔑 Reversal Hash:", metadata.reversalHash);
+  console.log(formatTransfer(await client1.getTransfer(transfer.transferId)));
 
-  await logBalances(t3, wallet1, "wallet1", "After attempted Wallet1 ➡️ Wallet2",wallet2, "wallet2");
+  await logBalances(client1, wallet1, "wallet1", "After attempted Wallet1 ➡️ Wallet2", wallet2, "wallet2");
 
-  console.log(`\n🚫 2. Attempting forward transfer from Wallet2 ➡️ Wallet3 (${wallet3.address})...`);
+  console.log(`\n🚫 2. Attempting forward transfer from Wallet2 ➡️ Wallet3 (${wallet3})...`);
   try {
-    const failTx = await t3.connect(wallet2).transfer(wallet3.address, amount.div(2));
-    await failTx.wait();
+    await client2.transfer(wallet3, transfer.netAmount / 2n);
     console.error("❌ Unexpected: Forward transfer succeeded.");
   } catch (err) {
-    console.log("✅ Forward transfer blocked by HalfLife rule.");
+    console.log("✅ Forward transfer blocked by HalfLife rule:", err.message);
   }
 
-  await logBalances(t3, wallet2, "wallet2", "After attempted Wallet2 ➡️ Wallet3",wallet3, "wallet3");
+  await logBalances(client1, wallet2, "wallet2", "After attempted Wallet2 ➡️ Wallet3", wallet3, "wallet3");
 
-  console.log(`\n🔁 3. Reversing transfer from Wallet2 ➡️ Wallet1 (${wallet1.address})...`);
+  console.log(`\n🔁 3. Reversing transfer from Wallet2 ➡️ Wallet1 (${wallet1})...`);
   try {
-    const reversal = await t3.connect(wallet2).reverseTransfer(wallet2.address, wallet1.address, amount);
-    await reversal.wait();
+    await client2.reverse({ transferId: transfer.transferId });
     console.log("✅ Reversal succeeded.");
   } catch (err) {
-    console.error("❌ Reversal failed:", err.message.split("\n")[0]);
+    console.error("❌ Reversal failed:", err.message);
   }
 
-  console.log(`\n🔁 4. Reversing transfer from Wallet1 ➡️ Wallet2 (${wallet1.address})...`);
-	try 
-		{
-			const reversal = await t3.connect(wallet1).reverseTransfer(wallet1.address, wallet2.address, amount);
-			await reversal.wait();
-			console.log("❌ Reversal succeed (should not be able to re-reverse)");
-		} 
-	catch (err) 
-		{
-			console.error("✅ Reversal failed (should not be able to re-reverse): ", err.message.split("\n")[0]);
-		}
+  console.log(`\n🔁 4. Reversing transfer from Wallet1 ➡️ Wallet2 (${wallet1})...`);
+  try {
+    await client1.reverse({ transferId: transfer.transferId });
+    console.log("❌ Reversal succeed (should not be able to re-reverse)");
+  } catch (err) {
+    console.error("✅ Reversal failed (should not be able to re-reverse): ", err.message);
+  }
 
-  await logBalances(t3, wallet1, "wallet1", "Final Wallet1");
-  await logBalances(t3, wallet2, "wallet2", "Final Wallet2");
-  await logBalances(t3, wallet3, "wallet3", "Final Wallet3");
+  await logBalances(client1, wallet1, "wallet1", "Final Wallet1");
+  await logBalances(client1, wallet2, "wallet2", "Final Wallet2");
+  await logBalances(client1, wallet3, "wallet3", "Final Wallet3");
 }
 
 //THIS IS THE FUNCTION THAT RETURNS MY BALANCES
-async function logBalances(t3, w1, w1_label, transaction_label, w2 = null, w2_label = "Wallet 2") {
-  const b1 = await t3.balanceOf(w1.address);
-  const total = await t3.totalSupply();
+async function logBalances(client, w1, w1_label, transaction_label, w2 = null, w2_label = "Wallet 2") {
+  const b1 = await client.balanceOf(w1);
+  const total = await client.token.totalSupply();
 
   console.log(`\n🔍 ${transaction_label}:`);
-  console.log(` ${w1_label}: - ${w1.address.substring(0, 10)}...: ${ethers.formatEther(b1)} T3`);
+  console.log(` ${w1_label}: - ${w1.substring(0, 10)}...: ${formatT3(b1)}`);
 
-  if (w2) 
+  if (w2)
   {
-    const b2 = await t3.balanceOf(w2.address);
-    console.log(` ${w2_label}: - ${w2.address.substring(0, 10)}...: ${ethers.formatEther(b2)} T3`);
+    const b2 = await client.balanceOf(w2);
+    console.log(` ${w2_label}: - ${w2.substring(0, 10)}...: ${formatT3(b2)}`);
   }
 
-  console.log(`  - Total Supply: ${ethers.formatEther(total)} T3\n`);
+  console.log(`  - Total Supply: ${formatT3(total)}\n`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,53 @@
+const hre = require("hardhat");
+const { upgradeT3Token, upgradeCustodianRegistry } = require("./lib/deploySystem");
+const { loadDeployment, writeDeployment, deploymentPath, resolveAddresses } = require("../sdk");
+require("dotenv").config();
+
+// Upgrades the T3Token and/or CustodianRegistry proxies in place; their addresses do not change.
+// UPGRADE_CONTRACTS: comma-separated list, defaults to T3Token. The signer must hold UPGRADER_ROLE on each.
+// Proxies come from the deployment manifest, else T3_CONTRACT_ADDRESS / CUSTODIAN_REGISTRY_ADDRESS.
+const UPGRADERS = {
+	T3Token: { address: "token", upgrade: upgradeT3Token },
+	CustodianRegistry: { address: "registry", upgrade: upgradeCustodianRegistry },
+};
+
+async function main() {
+	const { ethers, network } = hre;
+	const [signer] = await ethers.getSigners();
+	const { chainId } = await ethers.provider.getNetwork();
+	const names = (process.env.UPGRADE_CONTRACTS || "T3Token").split(",").map((name) => name.trim()).filter(Boolean);
+	const unknown = names.filter((name) => !UPGRADERS[name]);
+	if (unknown.length > 0) {
+		throw new Error(`Cannot upgrade ${unknown.join(", ")}; expected T3Token and/or CustodianRegistry`);
+	}
+
+	const addresses = resolveAddresses(chainId);
+	const contracts = {};
+	console.log(`⬆️ Upgrading ${names.join(" and ")} on ${network.name} with: ${signer.address}`);
+	for (const name of names) {
+		const proxy = addresses[UPGRADERS[name].address];
+		if (!proxy) throw new Error(`No ${name} address for chain ${chainId}`);
+		Object.assign(contracts, (await UPGRADERS[name].upgrade(hre, proxy, { signer, log: console.log })).contracts);
+	}
+
+	if (network.name === "hardhat") {
+		console.log("ℹ️ In-process hardhat network: manifest not written (use --network localhost)");
+		return;
+	}
+	// Contracts that were not upgraded keep their entries; the previous version moves to the manifest's history
+	const { schema, version, chainId: previousChainId, history, ...previous } = loadDeployment(chainId) || {};
+	const manifest = writeDeployment(chainId, {
+		...previous,
+		network: network.name,
+		deployedAt: new Date().toISOString(),
+		deployer: signer.address,
+		contracts: { ...previous.contracts, ...contracts },
+		roles: previous.roles || [],
+	});
+	console.log(`📝 Wrote deployment manifest v${manifest.version} to ${deploymentPath(chainId)}`);
+}
+
+main().catch((error) => {
+	console.error("❌ Upgrade failed:", error);
+	process.exitCode = 1;
+});
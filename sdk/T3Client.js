@@ -0,0 +1,1425 @@
+// sdk/T3Client.js
+const path = require("path");
+const { Contract, Wallet, JsonRpcProvider, Signature, ZeroAddress, ZeroHash, hexlify, randomBytes, isHexString, encodeBytes32String, decodeBytes32String } = require("ethers");
+const { T3ClientError, decodeError } = require("./errors");
+const { resolveAddresses } = require("./deployments");
+const { computeReversalHash } = require("./hashes");
+const { replayLiabilityEvents, computeSettlementCycle } = require("./netting");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+const ARTIFACT_PATHS = {
+    T3Token: path.join(ARTIFACTS_DIR, "T3Token.sol", "T3Token.json"),
+    CustodianRegistry: path.join(ARTIFACTS_DIR, "custodian-registry.sol", "CustodianRegistry.json"),
+};
+
+/**
+ * Loads a contract ABI from the Hardhat artifacts (run `npx hardhat compile` first).
+ * @param {"T3Token"|"CustodianRegistry"} contractName
+ */
+function loadAbi(contractName) {
+    const artifactPath = ARTIFACT_PATHS[contractName];
+    if (!artifactPath) throw new T3ClientError(`Unknown contract: ${contractName}`, { code: "INVALID_ARGUMENT" });
+    try {
+        return require(artifactPath).abi;
+    } catch (err) {
+        throw new T3ClientError(`Artifact for ${contractName} not found, run "npx hardhat compile"`, { code: "MISSING_ARTIFACT", cause: err });
+    }
+}
+
+// Returns every log emitted by `contract` with the given event name in a receipt
+function findEvents(contract, receipt, eventName) {
+    const events = [];
+    for (const log of receipt.logs) {
+        if (log.address.toLowerCase() !== contract.target.toLowerCase()) continue;
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === eventName) events.push(parsed);
+    }
+    return events;
+}
+
+// Finds the first log emitted by `contract` with the given event name in a receipt
+function findEvent(contract, receipt, eventName) {
+    return findEvents(contract, receipt, eventName)[0] || null;
+}
+
+// Maps a TransferMetadata struct to the plain object returned by the client
+function toTransfer(transferId, meta) {
+    return {
+        transferId: BigInt(transferId),
+        originator: meta.originator,
+        recipient: meta.recipient,
+        amount: meta.amount,
+        netAmount: meta.netAmount,
+        reversedAmount: meta.reversedAmount,
+        commitWindowEnd: Number(meta.commitWindowEnd),
+        halfLifeDuration: Number(meta.halfLifeDuration),
+        transferCount: Number(meta.transferCount),
+        reversalHash: meta.reversalHash,
+        feeAmount: meta.feeAmount,
+        feeScheduleVersion: Number(meta.feeScheduleVersion),
+        isReversed: meta.isReversed,
+        isExpired: meta.isExpired,
+    };
+}
+
+// Mirrors T3Token.ReversalRequestStatus
+const REVERSAL_REQUEST_STATUS = ["None", "Requested", "Accepted", "Contested"];
+
+// Mirrors T3Token.DisputeStatus
+const DISPUTE_STATUS = ["None", "Open", "Reversed", "Released"];
+
+// Mirrors T3Token.RedemptionStatus
+const REDEMPTION_STATUS = ["None", "Requested", "Confirmed", "Rejected"];
+
+// Dispute reason codes are bytes32 on-chain; short labels like "FRAUD" are encoded as bytes32 strings
+function toReasonCode(code) {
+    if (!code) return ZeroHash;
+    if (isHexString(code, 32)) return code;
+    try {
+        return encodeBytes32String(code);
+    } catch (err) {
+        throw new T3ClientError(`Reason code "${code}" is longer than 31 bytes`, { code: "INVALID_ARGUMENT", cause: err });
+    }
+}
+
+// Decodes a bytes32 reason code back to its label, leaving non-string codes as hex
+function fromReasonCode(code) {
+    if (code === ZeroHash) return "";
+    try {
+        return decodeBytes32String(code);
+    } catch {
+        return code;
+    }
+}
+
+// Maps a T3Token.FeeSchedule struct to a plain object; setFeeSchedule accepts the same shape
+function toFeeSchedule(version, schedule) {
+    return {
+        version: Number(version),
+        tiers: schedule.tiers.map((tier) => ({ upTo: tier.upTo, rateBps: Number(tier.rateBps) })),
+        minFee: schedule.minFee,
+        maxFeeBps: Number(schedule.maxFeeBps),
+        split: {
+            treasuryBps: Number(schedule.treasuryShareBps),
+            senderBps: Number(schedule.senderShareBps),
+            recipientBps: Number(schedule.recipientShareBps),
+        },
+    };
+}
+
+// Mirrors T3Token.FeeBound
+const FEE_BOUNDS = ["None", "Max", "Min", "Amount"];
+
+// Mirrors T3Token.CreditSource
+const CREDIT_SOURCES = ["FeeShare", "LoyaltyRefund"];
+
+// Mirrors T3Token.KYCPolicy
+const KYC_POLICIES = ["Disabled", "Strict", "Threshold"];
+
+// EIP-2612 Permit struct signed by signPermit; the domain comes from the token's eip712Domain()
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+// ERC-3009 style authorizations, one types object per primary type as signTypedData expects;
+// same domain as permits. Exported for relayers verifying signatures off-chain.
+const AUTHORIZATION_TYPES = {
+    TransferWithAuthorization: {
+        TransferWithAuthorization: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "validAfter", type: "uint256" },
+            { name: "validBefore", type: "uint256" },
+            { name: "nonce", type: "bytes32" },
+        ],
+    },
+    ReverseWithAuthorization: {
+        ReverseWithAuthorization: [
+            { name: "transferId", type: "uint256" },
+            { name: "reversalHash", type: "bytes32" },
+            { name: "amount", type: "uint256" },
+            { name: "validAfter", type: "uint256" },
+            { name: "validBefore", type: "uint256" },
+            { name: "nonce", type: "bytes32" },
+        ],
+    },
+    CancelAuthorization: {
+        CancelAuthorization: [
+            { name: "authorizer", type: "address" },
+            { name: "nonce", type: "bytes32" },
+        ],
+    },
+};
+
+// Accepts "minter", "MINTER" or "MINTER_ROLE" and returns the contract getter name
+function normalizeRoleName(roleName) {
+    const upper = String(roleName).toUpperCase().replace(/-/g, "_");
+    return upper.endsWith("_ROLE") ? upper : `${upper}_ROLE`;
+}
+
+/**
+ * Thin client over T3Token and CustodianRegistry.
+ * Amounts are returned as bigint (wei), timestamps and durations as numbers (seconds).
+ * All failures surface as T3ClientError with the decoded revert reason.
+ */
+class T3Client {
+    /**
+     * @param {object} options
+     * @param {string} options.token T3Token address.
+     * @param {string} [options.registry] CustodianRegistry address, required for custody queries.
+     * @param {import("ethers").ContractRunner} options.runner Signer (for transactions) or provider (read-only).
+     * @param {Array} [options.tokenAbi] Overrides the T3Token ABI loaded from artifacts.
+     * @param {Array} [options.registryAbi] Overrides the CustodianRegistry ABI loaded from artifacts.
+     */
+    constructor({ token, registry = null, runner, tokenAbi, registryAbi }) {
+        if (!token) throw new T3ClientError("T3Token address is required", { code: "INVALID_ARGUMENT" });
+        if (!runner) throw new T3ClientError("A signer or provider is required", { code: "INVALID_ARGUMENT" });
+        this.runner = runner;
+        this._tokenAbi = tokenAbi || loadAbi("T3Token");
+        this._registryAbi = registry ? registryAbi || loadAbi("CustodianRegistry") : registryAbi;
+        this.token = new Contract(token, this._tokenAbi, runner);
+        this.registry = registry ? new Contract(registry, this._registryAbi, runner) : null;
+    }
+
+    /**
+     * Builds a client from the environment variables used across scripts/:
+     * RPC_URL, T3_CONTRACT_ADDRESS, CUSTODIAN_REGISTRY_ADDRESS and the given private key variable.
+     * @param {object} [options]
+     * @param {string} [options.keyVar] Name of the env var holding the signer's private key (e.g. "WALLET1_PRIVATE_KEY").
+     * @param {import("ethers").Provider} [options.provider] Defaults to a JsonRpcProvider on RPC_URL.
+     */
+    static fromEnv({ keyVar, provider } = {}) {
+        const env = process.env;
+        const rpcProvider = provider || new JsonRpcProvider(env.RPC_URL);
+        let runner = rpcProvider;
+        if (keyVar) {
+            if (!env[keyVar]) throw new T3ClientError(`${keyVar} is not set`, { code: "INVALID_ARGUMENT" });
+            runner = new Wallet(env[keyVar].trim(), rpcProvider);
+        }
+        return new T3Client({ token: env.T3_CONTRACT_ADDRESS, registry: env.CUSTODIAN_REGISTRY_ADDRESS || null, runner });
+    }
+
+    /**
+     * Like fromEnv, but resolves contract addresses from deployments/<chainId>.json first,
+     * falling back to T3_CONTRACT_ADDRESS / CUSTODIAN_REGISTRY_ADDRESS.
+     */
+    static async fromDeployment({ keyVar, provider } = {}) {
+        const client = T3Client.fromEnv({ keyVar, provider });
+        const { chainId } = await (client.runner.provider || client.runner).getNetwork();
+        const { token, registry } = resolveAddresses(chainId);
+        return new T3Client({ token, registry, runner: client.runner });
+    }
+
+    /** Returns a client for the same contracts bound to another signer. */
+    connect(runner) {
+        return new T3Client({
+            token: this.token.target,
+            registry: this.registry ? this.registry.target : null,
+            runner,
+            tokenAbi: this._tokenAbi,
+            registryAbi: this._registryAbi,
+        });
+    }
+
+    /** Converts any ethers error into a T3ClientError decoded against both contract ABIs. */
+    decodeError(err) {
+        const interfaces = [this.token.interface];
+        if (this.registry) interfaces.push(this.registry.interface);
+        return decodeError(err, interfaces);
+    }
+
+    async _send(contract, method, args, overrides = {}) {
+        try {
+            const tx = await contract[method](...args, overrides);
+            return await tx.wait();
+        } catch (err) {
+            throw this.decodeError(err);
+        }
+    }
+
+    async _call(promise) {
+        try {
+            return await promise;
+        } catch (err) {
+            throw this.decodeError(err);
+        }
+    }
+
+    _requireRegistry() {
+        if (!this.registry) throw new T3ClientError("CustodianRegistry address not configured", { code: "INVALID_ARGUMENT" });
+        return this.registry;
+    }
+
+    async _signerAddress() {
+        if (!this.runner.getAddress) throw new T3ClientError("A signer is required to send transactions", { code: "INVALID_ARGUMENT" });
+        return this.runner.getAddress();
+    }
+
+    async _latestTimestamp() {
+        const provider = this.runner.provider || this.runner;
+        const block = await provider.getBlock("latest");
+        return block.timestamp;
+    }
+
+    // --- Token Operations ---
+
+    /**
+     * Transfers `amount` to `to`, applying T3 fee and HalfLife logic.
+     * `liability` is the interbank liability created when both parties are held by different custodians, else null.
+     * @returns {Promise<{hash, blockNumber, transferId, from, to, amount, netAmount, fee, commitWindowEnd, liability}>}
+     */
+    async transfer(to, amount, overrides) {
+        const receipt = await this._send(this.token, "transfer", [to, amount], overrides);
+        return this._transferResult(receipt, amount);
+    }
+
+    /**
+     * Spends the signer's allowance from `from` to transfer `amount` to `to`. Fees, risk profiles and
+     * HalfLife apply exactly as for transfer, with `from` as the sender.
+     * @returns {Promise<{hash, blockNumber, transferId, from, to, amount, netAmount, fee, commitWindowEnd, liability}>}
+     */
+    async transferFrom(from, to, amount, overrides) {
+        const receipt = await this._send(this.token, "transferFrom", [from, to, amount], overrides);
+        return this._transferResult(receipt, amount);
+    }
+
+    _transferResult(receipt, amount) {
+        const fee = findEvent(this.token, receipt, "TransferWithFee");
+        const recorded = findEvent(this.token, receipt, "TransferRecorded");
+        const liability = findEvent(this.token, receipt, "InterbankLiabilityRecorded");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: recorded.args.transferId,
+            from: recorded.args.originator,
+            to: recorded.args.recipient,
+            amount: BigInt(amount),
+            netAmount: recorded.args.netAmount,
+            fee: fee.args.fee,
+            commitWindowEnd: Number(recorded.args.commitWindowEnd),
+            liability: liability
+                ? { debtor: liability.args.debtor, creditor: liability.args.creditor, amount: liability.args.amount }
+                : null,
+        };
+    }
+
+    /** EIP-712 domain of T3Token, signed by permits and authorizations. */
+    async getEip712Domain() {
+        const domain = await this._call(this.token.eip712Domain());
+        return { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract };
+    }
+
+    /**
+     * Signs an EIP-2612 permit approving `spender` for `value` of the signer's tokens, so the approval can be
+     * submitted by someone else (see permit) and the owner needs no ETH.
+     * @param {object} params
+     * @param {string} params.spender
+     * @param {bigint} params.value
+     * @param {number} params.deadline Unix timestamp after which the permit is rejected.
+     * @returns {Promise<{owner, spender, value: bigint, nonce: bigint, deadline: number, signature: string}>}
+     */
+    async signPermit({ spender, value, deadline } = {}) {
+        if (deadline === undefined || deadline === null) {
+            throw new T3ClientError("deadline is required", { code: "INVALID_ARGUMENT" });
+        }
+        const owner = await this._signerAddress();
+        const [domain, nonce] = await Promise.all([this.getEip712Domain(), this._call(this.token.nonces(owner))]);
+        const message = { owner, spender, value: BigInt(value), nonce, deadline: BigInt(deadline) };
+        const signature = await this.runner.signTypedData(domain, PERMIT_TYPES, message);
+        return { owner, spender, value: message.value, nonce, deadline: Number(deadline), signature };
+    }
+
+    /**
+     * Submits a permit signed with signPermit; any signer can send it.
+     * @param {object} params Fields returned by signPermit.
+     * @returns {Promise<{hash, blockNumber, owner, spender, value}>}
+     */
+    async permit({ owner, spender, value, deadline, signature } = {}, overrides) {
+        const { v, r, s } = Signature.from(signature);
+        const receipt = await this._send(this.token, "permit", [owner, spender, value, deadline, v, r, s], overrides);
+        const event = findEvent(this.token, receipt, "Approval");
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, owner: event.args.owner, spender: event.args.spender, value: event.args.value };
+    }
+
+    async _signAuthorization(primaryType, message) {
+        const domain = await this.getEip712Domain();
+        return this.runner.signTypedData(domain, AUTHORIZATION_TYPES[primaryType], message);
+    }
+
+    _authorizationWindow({ validAfter = 0, validBefore, nonce } = {}) {
+        if (validBefore === undefined || validBefore === null) {
+            throw new T3ClientError("validBefore is required", { code: "INVALID_ARGUMENT" });
+        }
+        if (nonce !== undefined && !isHexString(nonce, 32)) {
+            throw new T3ClientError("nonce must be a 0x-prefixed bytes32", { code: "INVALID_ARGUMENT" });
+        }
+        return { validAfter: BigInt(validAfter), validBefore: BigInt(validBefore), nonce: nonce || hexlify(randomBytes(32)) };
+    }
+
+    /**
+     * Signs an authorization for anyone (typically a relayer, see transferWithAuthorization) to transfer `value`
+     * of the signer's tokens to `to`, so the signer needs no ETH. Fees, risk profiles and HalfLife apply as for transfer.
+     * @param {object} params
+     * @param {string} params.to
+     * @param {bigint} params.value
+     * @param {number} [params.validAfter] Unix timestamp the authorization becomes valid after, defaults to 0.
+     * @param {number} params.validBefore Unix timestamp from which it is rejected.
+     * @param {string} [params.nonce] bytes32; random by default. Each nonce can be used or cancelled once.
+     * @returns {Promise<{from, to, value: bigint, validAfter: number, validBefore: number, nonce: string, signature: string}>}
+     */
+    async signTransferAuthorization({ to, value, ...window } = {}) {
+        const { validAfter, validBefore, nonce } = this._authorizationWindow(window);
+        const from = await this._signerAddress();
+        const message = { from, to, value: BigInt(value), validAfter, validBefore, nonce };
+        const signature = await this._signAuthorization("TransferWithAuthorization", message);
+        return { ...message, validAfter: Number(validAfter), validBefore: Number(validBefore), signature };
+    }
+
+    /**
+     * Submits a transfer signed with signTransferAuthorization; any signer can send it and pays the gas.
+     * @param {object} params Fields returned by signTransferAuthorization.
+     * @returns {Promise<{hash, blockNumber, transferId, from, to, amount, netAmount, fee, commitWindowEnd, liability}>}
+     */
+    async transferWithAuthorization({ from, to, value, validAfter, validBefore, nonce, signature } = {}, overrides) {
+        const { v, r, s } = Signature.from(signature);
+        const receipt = await this._send(this.token, "transferWithAuthorization", [from, to, value, validAfter, validBefore, nonce, v, r, s], overrides);
+        return this._transferResult(receipt, value);
+    }
+
+    /**
+     * Recipient side: signs an authorization for anyone to reverse transfer `transferId`, as reverse() would.
+     * The reversal hash is computed from the transfer record.
+     * @param {object} params
+     * @param {bigint} params.transferId
+     * @param {bigint} [params.amount] Partial amount to send back; omit (or 0) for everything not yet reversed when submitted.
+     * @param {number} [params.validAfter]
+     * @param {number} params.validBefore
+     * @param {string} [params.nonce]
+     * @returns {Promise<{authorizer, transferId: bigint, reversalHash, amount: bigint, validAfter: number, validBefore: number, nonce: string, signature: string}>}
+     */
+    async signReversalAuthorization({ transferId, amount = 0n, ...window } = {}) {
+        if (transferId === undefined || transferId === null) {
+            throw new T3ClientError("transferId is required", { code: "INVALID_ARGUMENT" });
+        }
+        const { validAfter, validBefore, nonce } = this._authorizationWindow(window);
+        const [authorizer, transfer] = await Promise.all([this._signerAddress(), this.getTransfer(transferId)]);
+        if (!transfer) throw new T3ClientError(`Unknown transfer ${transferId}`, { code: "UNKNOWN_TRANSFER" });
+        const reversalHash = computeReversalHash(transfer.originator, transfer.recipient, transfer.amount);
+        const message = { transferId: BigInt(transferId), reversalHash, amount: BigInt(amount), validAfter, validBefore, nonce };
+        const signature = await this._signAuthorization("ReverseWithAuthorization", message);
+        return { authorizer, ...message, validAfter: Number(validAfter), validBefore: Number(validBefore), signature };
+    }
+
+    /**
+     * Submits a reversal signed with signReversalAuthorization; any signer can send it.
+     * @param {object} params Fields returned by signReversalAuthorization.
+     * @returns {Promise<{hash, blockNumber, transferId, from, to, amount}>}
+     */
+    async reverseWithAuthorization({ transferId, reversalHash, amount, validAfter, validBefore, nonce, signature } = {}, overrides) {
+        const { v, r, s } = Signature.from(signature);
+        const receipt = await this._send(this.token, "reverseWithAuthorization", [transferId, reversalHash, amount, validAfter, validBefore, nonce, v, r, s], overrides);
+        const event = findEvent(this.token, receipt, "TransferReversed");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            from: event.args.from,
+            to: event.args.to,
+            amount: event.args.amount,
+        };
+    }
+
+    /**
+     * Signs the cancellation of the signer's unused authorization `nonce`, to be sent with cancelAuthorization.
+     * @returns {Promise<{authorizer, nonce, signature}>}
+     */
+    async signCancelAuthorization(nonce) {
+        if (!isHexString(nonce, 32)) throw new T3ClientError("nonce must be a 0x-prefixed bytes32", { code: "INVALID_ARGUMENT" });
+        const authorizer = await this._signerAddress();
+        const signature = await this._signAuthorization("CancelAuthorization", { authorizer, nonce });
+        return { authorizer, nonce, signature };
+    }
+
+    /**
+     * Submits a cancellation signed with signCancelAuthorization; any signer can send it.
+     * @returns {Promise<{hash, blockNumber, authorizer, nonce}>}
+     */
+    async cancelAuthorization({ authorizer, nonce, signature } = {}, overrides) {
+        const { v, r, s } = Signature.from(signature);
+        const receipt = await this._send(this.token, "cancelAuthorization", [authorizer, nonce, v, r, s], overrides);
+        const event = findEvent(this.token, receipt, "AuthorizationCanceled");
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, authorizer: event.args.authorizer, nonce: event.args.nonce };
+    }
+
+    /** True once `authorizer`'s authorization `nonce` has been used or cancelled. */
+    async getAuthorizationState(authorizer, nonce) {
+        return this._call(this.token.authorizationState(authorizer, nonce));
+    }
+
+    /**
+     * Sends transfer `transferId` back to its originator. Must be called by the transfer's recipient.
+     * The reversal hash is computed from the transfer record, binding the call to that transfer.
+     * @param {object} params
+     * @param {bigint} params.transferId Transfer to reverse.
+     * @param {bigint} [params.amount] Partial amount to send back; omit to reverse everything not yet reversed.
+     */
+    async reverse({ transferId, amount } = {}, overrides) {
+        if (transferId === undefined || transferId === null) {
+            throw new T3ClientError("transferId is required", { code: "INVALID_ARGUMENT" });
+        }
+        const transfer = await this.getTransfer(transferId);
+        if (!transfer) throw new T3ClientError(`Unknown transfer ${transferId}`, { code: "UNKNOWN_TRANSFER" });
+        const reversalHash = computeReversalHash(transfer.originator, transfer.recipient, transfer.amount);
+        const receipt = amount === undefined
+            ? await this._send(this.token, "reverseTransfer", [transferId, reversalHash], overrides)
+            : await this._send(this.token, "reversePartial", [transferId, reversalHash, amount], overrides);
+        const event = findEvent(this.token, receipt, "TransferReversed");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            from: event.args.from,
+            to: event.args.to,
+            amount: event.args.amount,
+        };
+    }
+
+    /**
+     * Settles transfer `transferId` once its HalfLife window has ended, paying loyalty refunds.
+     * @returns {Promise<{hash, blockNumber, settled: bigint[], refunds: Array<{wallet, amount}>}>}
+     */
+    async expire(transferId, overrides) {
+        const receipt = await this._send(this.token, "checkHalfLifeExpiry", [transferId], overrides);
+        return this._settlementResult(receipt);
+    }
+
+    /**
+     * Settles every transfer received by `wallet` whose HalfLife window has ended.
+     * @returns {Promise<{hash, blockNumber, settled: bigint[], refunds: Array<{wallet, amount}>}>}
+     */
+    async expireAll(wallet, overrides) {
+        const receipt = await this._send(this.token, "settleExpiredTransfers", [wallet], overrides);
+        return this._settlementResult(receipt);
+    }
+
+    /**
+     * Settles the expired HalfLife windows of many wallets in one transaction, e.g. from a keeper.
+     * Wallets with nothing to settle are skipped, so `settled` may be empty.
+     * @returns {Promise<{hash, blockNumber, settled: bigint[], refunds: Array<{wallet, amount}>}>}
+     */
+    async expireBatch(wallets, overrides) {
+        const receipt = await this._send(this.token, "checkHalfLifeExpiryBatch", [wallets], overrides);
+        return this._settlementResult(receipt);
+    }
+
+    /**
+     * Originator side: asks the recipient of `transferId` to send it back. Holds the received funds
+     * until the recipient accepts or contests.
+     * @returns {Promise<{hash, blockNumber, transferId, originator, recipient, reason}>}
+     */
+    async requestReversal({ transferId, reason = "" } = {}, overrides) {
+        const receipt = await this._send(this.token, "requestReversal", [transferId, reason], overrides);
+        const event = findEvent(this.token, receipt, "ReversalRequested");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            originator: event.args.originator,
+            recipient: event.args.recipient,
+            reason: event.args.reason,
+        };
+    }
+
+    /**
+     * Recipient side: accepts a pending reversal request, sending the net amount back.
+     * @returns {Promise<{hash, blockNumber, transferId, from, to, amount}>}
+     */
+    async acceptReversal(transferId, overrides) {
+        const receipt = await this._send(this.token, "acceptReversal", [transferId], overrides);
+        const event = findEvent(this.token, receipt, "TransferReversed");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            from: event.args.from,
+            to: event.args.to,
+            amount: event.args.amount,
+        };
+    }
+
+    /**
+     * Recipient side: contests a pending reversal request, releasing the hold on the funds.
+     * @returns {Promise<{hash, blockNumber, transferId, recipient, reason}>}
+     */
+    async contestReversal({ transferId, reason = "" } = {}, overrides) {
+        const receipt = await this._send(this.token, "contestReversal", [transferId, reason], overrides);
+        const event = findEvent(this.token, receipt, "ReversalRequestContested");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            recipient: event.args.recipient,
+            reason: event.args.reason,
+        };
+    }
+
+    /**
+     * Arbiter: opens a dispute on `transferId`, freezing the received amount even past HalfLife expiry.
+     * Requires ARBITER_ROLE.
+     * @param {object} params
+     * @param {bigint} params.transferId
+     * @param {string} params.reasonCode Short label (e.g. "FRAUD") or a bytes32 hex code.
+     * @returns {Promise<{hash, blockNumber, transferId, arbiter, reasonCode, frozenAmount}>}
+     */
+    async openDispute({ transferId, reasonCode } = {}, overrides) {
+        const receipt = await this._send(this.token, "openDispute", [transferId, toReasonCode(reasonCode)], overrides);
+        const event = findEvent(this.token, receipt, "DisputeOpened");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            arbiter: event.args.arbiter,
+            reasonCode: fromReasonCode(event.args.reasonCode),
+            frozenAmount: event.args.frozenAmount,
+        };
+    }
+
+    /**
+     * Arbiter: resolves an open dispute, either forcing the reversal to the originator
+     * (`outcome: "reverse"`) or releasing the frozen funds (`outcome: "release"`).
+     * @returns {Promise<{hash, blockNumber, transferId, arbiter, resolutionCode, reversed, amount}>}
+     */
+    async resolveDispute({ transferId, outcome, resolutionCode } = {}, overrides) {
+        const methods = { reverse: "forceReversal", release: "releaseDispute" };
+        if (!methods[outcome]) throw new T3ClientError(`outcome must be "reverse" or "release", got ${outcome}`, { code: "INVALID_ARGUMENT" });
+        const receipt = await this._send(this.token, methods[outcome], [transferId, toReasonCode(resolutionCode)], overrides);
+        const event = findEvent(this.token, receipt, "DisputeResolved");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            transferId: event.args.transferId,
+            arbiter: event.args.arbiter,
+            resolutionCode: fromReasonCode(event.args.resolutionCode),
+            reversed: event.args.reversed,
+            amount: event.args.amount,
+        };
+    }
+
+    _settlementResult(receipt) {
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            settled: findEvents(this.token, receipt, "HalfLifeExpired").map((e) => e.args.transferId),
+            refunds: findEvents(this.token, receipt, "LoyaltyRefundProcessed").map((e) => ({ wallet: e.args.wallet, amount: e.args.amount })),
+        };
+    }
+
+    /**
+     * Mints `amount` to `to`. Requires MINTER_ROLE on the connected signer.
+     * @returns {Promise<{hash, blockNumber, minter, recipient, amount}>}
+     */
+    async mint(to, amount, overrides) {
+        const receipt = await this._send(this.token, "mint", [to, amount], overrides);
+        const event = findEvent(this.token, receipt, "TokensMinted");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            minter: event.args.minter,
+            recipient: event.args.recipient,
+            amount: event.args.amount,
+        };
+    }
+
+    /**
+     * Burns `amount` from `account` for a fiat redemption paid by the connected minter, deducting it
+     * from the minter's outstanding issuance. A customer `account` must first approve the minter.
+     * @returns {Promise<{hash, blockNumber, minter, account, amount, outstanding}>}
+     */
+    async redeem({ account, amount } = {}, overrides) {
+        const receipt = await this._send(this.token, "redeem", [account, amount], overrides);
+        const event = findEvent(this.token, receipt, "TokensRedeemed");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            minter: event.args.minter,
+            account: event.args.account,
+            amount: event.args.amount,
+            outstanding: event.args.outstanding,
+        };
+    }
+
+    /**
+     * Caps the outstanding issuance of a MINTER_ROLE holder; `allowance` 0 removes the cap. Requires ADMIN_ROLE.
+     * @returns {Promise<{hash, blockNumber, minter, allowance}>}
+     */
+    async setMintAllowance({ minter, allowance = 0n } = {}, overrides) {
+        const receipt = await this._send(this.token, "setMintAllowance", [minter, allowance], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, minter, allowance: BigInt(allowance) };
+    }
+
+    // --- Fiat Redemption ---
+
+    /**
+     * Holder side: escrows `amount` and asks `custodian` to pay it out in fiat. `referenceId` is a unique
+     * label (max 31 chars) or bytes32 hex that the custodian's core banking system matches the payout with.
+     * @returns {Promise<{hash, blockNumber, redemptionId, holder, custodian, amount, referenceId}>}
+     */
+    async requestRedemption({ amount, custodian, referenceId } = {}, overrides) {
+        const receipt = await this._send(this.token, "requestRedemption", [amount, custodian, toReasonCode(referenceId)], overrides);
+        const event = findEvent(this.token, receipt, "RedemptionRequested");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            redemptionId: event.args.redemptionId,
+            holder: event.args.holder,
+            custodian: event.args.custodian,
+            amount: event.args.amount,
+            referenceId: fromReasonCode(event.args.referenceId),
+        };
+    }
+
+    /**
+     * Custodian side: confirms the fiat payout of a redemption, burning its escrow.
+     * @returns {Promise<{hash, blockNumber, redemptionId, custodian, referenceId, amount}>}
+     */
+    async confirmRedemption(redemptionId, overrides) {
+        const receipt = await this._send(this.token, "confirmRedemption", [redemptionId], overrides);
+        const event = findEvent(this.token, receipt, "RedemptionConfirmed");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            redemptionId: event.args.redemptionId,
+            custodian: event.args.custodian,
+            referenceId: fromReasonCode(event.args.referenceId),
+            amount: event.args.amount,
+        };
+    }
+
+    /**
+     * Custodian side: refuses a redemption, returning the escrow to the holder. `rejectionCode` is required.
+     * @returns {Promise<{hash, blockNumber, redemptionId, custodian, referenceId, rejectionCode}>}
+     */
+    async rejectRedemption({ redemptionId, rejectionCode } = {}, overrides) {
+        const receipt = await this._send(this.token, "rejectRedemption", [redemptionId, toReasonCode(rejectionCode)], overrides);
+        const event = findEvent(this.token, receipt, "RedemptionRejected");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            redemptionId: event.args.redemptionId,
+            custodian: event.args.custodian,
+            referenceId: fromReasonCode(event.args.referenceId),
+            rejectionCode: fromReasonCode(event.args.rejectionCode),
+        };
+    }
+
+    /**
+     * Grants a role by name (e.g. "MINTER", "PAUSER") on T3Token or, with `contract: "registry"`,
+     * on CustodianRegistry. CUSTODIAN on the registry goes through grantCustodianRole so it is tracked.
+     * @returns {Promise<{hash, blockNumber, contract, role, account}>}
+     */
+    async grantRole(roleName, account, { contract = "token" } = {}, overrides) {
+        const target = contract === "registry" ? this._requireRegistry() : this.token;
+        const role = normalizeRoleName(roleName);
+        let receipt;
+        if (contract === "registry" && role === "CUSTODIAN_ROLE") {
+            receipt = await this._send(target, "grantCustodianRole", [account], overrides);
+        } else {
+            if (typeof target[role] !== "function") {
+                throw new T3ClientError(`Unknown role ${roleName} on ${contract}`, { code: "INVALID_ARGUMENT" });
+            }
+            const roleHash = await this._call(target[role]());
+            receipt = await this._send(target, "grantRole", [roleHash, account], overrides);
+        }
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, contract, role, account };
+    }
+
+    // --- KYC Policy (ADMIN_ROLE) ---
+
+    /** Points T3Token at a CustodianRegistry for KYC checks. */
+    async setCustodianRegistry(registry, overrides) {
+        const receipt = await this._send(this.token, "setCustodianRegistry", [registry], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, registry };
+    }
+
+    /**
+     * Sets the KYC policy enforced on transfer, transferFrom and mint.
+     * @param {object} params
+     * @param {"Disabled"|"Strict"|"Threshold"} params.policy Case-insensitive.
+     * @param {bigint} [params.unregisteredRecipientLimit] Threshold policy: unregistered recipients may receive amounts below this.
+     */
+    async setKYCPolicy({ policy, unregisteredRecipientLimit = 0n } = {}, overrides) {
+        const index = KYC_POLICIES.findIndex((name) => name.toLowerCase() === String(policy).toLowerCase());
+        if (index < 0) throw new T3ClientError(`Unknown KYC policy ${policy}, expected one of ${KYC_POLICIES.join(", ")}`, { code: "INVALID_ARGUMENT" });
+        const receipt = await this._send(this.token, "setKYCPolicy", [index, unregisteredRecipientLimit], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, policy: KYC_POLICIES[index], unregisteredRecipientLimit: BigInt(unregisteredRecipientLimit) };
+    }
+
+    /** Adds or removes `account` (treasury, system addresses) from the KYC exemption list. */
+    async setKYCExempt(account, exempt = true, overrides) {
+        const receipt = await this._send(this.token, "setKYCExempt", [account, exempt], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, account, exempt };
+    }
+
+    // --- Fee Schedule (ADMIN_ROLE) ---
+
+    /**
+     * Puts a new fee schedule in force under the next version. Each tier charges `rateBps` on the part
+     * of the amount below `upTo` (wei) and above the previous tier; the split must total 10000 bps.
+     * @param {object} schedule
+     * @param {Array<{upTo: bigint, rateBps: number}>} schedule.tiers Strictly increasing boundaries, at most 16.
+     * @param {bigint} schedule.minFee Fee floor in wei.
+     * @param {number} schedule.maxFeeBps Fee cap as a share of the amount.
+     * @param {{treasuryBps: number, senderBps: number, recipientBps: number}} schedule.split
+     * @returns {Promise<{hash, blockNumber, version}>}
+     */
+    async setFeeSchedule({ tiers = [], minFee = 0n, maxFeeBps, split = {} } = {}, overrides) {
+        if ([maxFeeBps, split.treasuryBps, split.senderBps, split.recipientBps].includes(undefined)) {
+            throw new T3ClientError("maxFeeBps and split.{treasuryBps,senderBps,recipientBps} are required", { code: "INVALID_ARGUMENT" });
+        }
+        const schedule = {
+            tiers: tiers.map((tier) => ({ upTo: tier.upTo, rateBps: tier.rateBps })),
+            minFee,
+            maxFeeBps,
+            treasuryShareBps: split.treasuryBps,
+            senderShareBps: split.senderBps,
+            recipientShareBps: split.recipientBps,
+        };
+        const receipt = await this._send(this.token, "setFeeSchedule", [schedule], overrides);
+        const event = findEvent(this.token, receipt, "FeeScheduleUpdated");
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, version: Number(event.args.version) };
+    }
+
+    /**
+     * Returns fee schedule `version`, or the one in force when omitted.
+     * @returns {Promise<{version, tiers: Array<{upTo, rateBps}>, minFee, maxFeeBps, split: {treasuryBps, senderBps, recipientBps}}>}
+     */
+    async getFeeSchedule(version) {
+        const resolved = version || Number(await this._call(this.token.feeScheduleVersion()));
+        const schedule = await this._call(this.token.getFeeSchedule(resolved));
+        return toFeeSchedule(resolved, schedule);
+    }
+
+    // --- Incentive Credits ---
+
+    /**
+     * Redeems `credits` of the connected signer for T3 at the credit policy rate, paid by the treasury
+     * out of its allowance to T3Token.
+     * @returns {Promise<{hash, blockNumber, wallet, credits, payout}>}
+     */
+    async redeemCredits(credits, overrides) {
+        const receipt = await this._send(this.token, "redeemCredits", [credits], overrides);
+        const event = findEvent(this.token, receipt, "IncentiveCreditsRedeemed");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            wallet: event.args.wallet,
+            credits: event.args.credits,
+            payout: event.args.payout,
+        };
+    }
+
+    /**
+     * Writes off the expired credits of `wallet`, reducing the outstanding total. Anyone can call it.
+     * @returns {Promise<{hash, blockNumber, wallet, expired}>}
+     */
+    async expireCredits(wallet, overrides) {
+        const receipt = await this._send(this.token, "expireCredits", [wallet], overrides);
+        const event = findEvent(this.token, receipt, "IncentiveCreditsExpired");
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, wallet: event.args.wallet, expired: event.args.amount };
+    }
+
+    /**
+     * Sets credit expiry and redemption terms (ADMIN_ROLE). Omitted terms are 0: credits never expire,
+     * redemption is disabled, redemptions are uncapped.
+     * @param {object} policy
+     * @param {number} [policy.expiryPeriod] Seconds after a wallet's last credit change before its credits expire.
+     * @param {number} [policy.redemptionRateBps] T3 paid per credit redeemed, 10000 = 1:1.
+     * @param {bigint} [policy.maxRedemption] Cap on the credits redeemed per call.
+     * @returns {Promise<{hash, blockNumber, expiryPeriod, redemptionRateBps, maxRedemption}>}
+     */
+    async setCreditPolicy({ expiryPeriod = 0, redemptionRateBps = 0, maxRedemption = 0n } = {}, overrides) {
+        const receipt = await this._send(this.token, "setCreditPolicy", [expiryPeriod, redemptionRateBps, maxRedemption], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, expiryPeriod, redemptionRateBps, maxRedemption: BigInt(maxRedemption) };
+    }
+
+    /**
+     * Returns the credit policy and the liability it covers: credits outstanding across all wallets
+     * (expired ones count until written off) and what the treasury has approved for redemptions.
+     * @returns {Promise<{expiryPeriod, redemptionRateBps, maxRedemption, totalOutstanding, treasury, treasuryAllowance}>}
+     */
+    async getCreditPolicy() {
+        const [expiryPeriod, redemptionRateBps, maxRedemption, totalOutstanding, treasury] = await this._call(Promise.all([
+            this.token.creditExpiryPeriod(),
+            this.token.creditRedemptionRateBps(),
+            this.token.maxCreditRedemption(),
+            this.token.totalIncentiveCredits(),
+            this.token.treasuryAddress(),
+        ]));
+        const treasuryAllowance = await this._call(this.token.allowance(treasury, this.token.target));
+        return {
+            expiryPeriod: Number(expiryPeriod),
+            redemptionRateBps: Number(redemptionRateBps),
+            maxRedemption,
+            totalOutstanding,
+            treasury,
+            treasuryAllowance,
+        };
+    }
+
+    /**
+     * Returns the credits of `wallet`: `amount` as recorded, `available` to spend or redeem now, and
+     * `expiresAt` (0 = never under the current policy).
+     * @returns {Promise<{wallet, amount, available, lastUpdated, expiresAt}>}
+     */
+    async getCredits(wallet) {
+        const [credits, available, expiryPeriod] = await this._call(Promise.all([
+            this.token.incentiveCredits(wallet),
+            this.token.getAvailableCredits(wallet),
+            this.token.creditExpiryPeriod(),
+        ]));
+        const lastUpdated = Number(credits.lastUpdated);
+        const expires = expiryPeriod > 0n && credits.amount > 0n;
+        return { wallet, amount: credits.amount, available, lastUpdated, expiresAt: expires ? lastUpdated + Number(expiryPeriod) : 0 };
+    }
+
+    /**
+     * Returns every grant, spend, expiry and redemption of `wallet`'s credits, oldest first.
+     * `source` is set on grants ("FeeShare" or "LoyaltyRefund"), `payout` on redemptions.
+     * @param {object} [options]
+     * @param {number} [options.fromBlock] Deployment block of T3Token; earlier blocks hold no events.
+     * @param {number|string} [options.toBlock] Defaults to "latest".
+     * @returns {Promise<Array<{type: "Granted"|"Spent"|"Expired"|"Redeemed", amount, source?, payout?, blockNumber, hash}>>}
+     */
+    async getCreditHistory(wallet, { fromBlock = 0, toBlock = "latest" } = {}) {
+        const filters = this.token.filters;
+        const logs = await this._call(Promise.all([
+            this.token.queryFilter(filters.IncentiveCreditsGranted(wallet), fromBlock, toBlock),
+            this.token.queryFilter(filters.IncentiveCreditsSpent(wallet), fromBlock, toBlock),
+            this.token.queryFilter(filters.IncentiveCreditsExpired(wallet), fromBlock, toBlock),
+            this.token.queryFilter(filters.IncentiveCreditsRedeemed(wallet), fromBlock, toBlock),
+        ]));
+        return logs.flat()
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+            .map((log) => {
+                const entry = { type: log.fragment.name.replace("IncentiveCredits", ""), blockNumber: log.blockNumber, hash: log.transactionHash };
+                if (entry.type === "Granted") return { ...entry, amount: log.args.amount, source: CREDIT_SOURCES[Number(log.args.source)] };
+                if (entry.type === "Redeemed") return { ...entry, amount: log.args.credits, payout: log.args.payout };
+                return { ...entry, amount: log.args.amount };
+            });
+    }
+
+    // --- Risk Profiles (ADMIN_ROLE) ---
+
+    /**
+     * Flags an abnormal transaction on `wallet`, adding 500 bps to its risk factor until decayed or cleared.
+     * @returns {Promise<{hash, blockNumber, wallet, riskFactor}>}
+     */
+    async flagAbnormal(wallet, overrides) {
+        const receipt = await this._send(this.token, "flagAbnormalTransaction", [wallet], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, wallet, riskFactor: this._riskFactorIn(receipt, wallet) };
+    }
+
+    /**
+     * Removes one abnormal flag still counted against `wallet`.
+     * @param {object} params
+     * @param {string} params.wallet
+     * @param {string} params.reasonCode Short label (e.g. "FLAGGED_IN_ERROR") or a bytes32 hex code; required.
+     * @returns {Promise<{hash, blockNumber, wallet, admin, reasonCode, remaining: number, riskFactor}>}
+     */
+    async clearAbnormalFlag({ wallet, reasonCode } = {}, overrides) {
+        const receipt = await this._send(this.token, "clearAbnormalFlag", [wallet, toReasonCode(reasonCode)], overrides);
+        const event = findEvent(this.token, receipt, "AbnormalFlagCleared");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            wallet: event.args.wallet,
+            admin: event.args.admin,
+            reasonCode: fromReasonCode(event.args.reasonCode),
+            remaining: Number(event.args.remaining),
+            riskFactor: this._riskFactorIn(receipt, wallet),
+        };
+    }
+
+    /**
+     * Clears every reversal and abnormal-flag penalty of `wallet`; the new-wallet component stays.
+     * @returns {Promise<{hash, blockNumber, wallet, admin, reasonCode, riskFactor}>}
+     */
+    async resetRiskProfile({ wallet, reasonCode } = {}, overrides) {
+        const receipt = await this._send(this.token, "resetRiskProfile", [wallet, toReasonCode(reasonCode)], overrides);
+        const event = findEvent(this.token, receipt, "RiskProfileReset");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            wallet: event.args.wallet,
+            admin: event.args.admin,
+            reasonCode: fromReasonCode(event.args.reasonCode),
+            riskFactor: this._riskFactorIn(receipt, wallet),
+        };
+    }
+
+    /**
+     * Sets how long one reversal / one abnormal flag keeps counting, from the wallet's latest one.
+     * Omitted periods are 0: that penalty never decays.
+     * @returns {Promise<{hash, blockNumber, reversalPeriod, abnormalPeriod}>}
+     */
+    async setRiskDecay({ reversalPeriod = 0, abnormalPeriod = 0 } = {}, overrides) {
+        const receipt = await this._send(this.token, "setRiskDecay", [reversalPeriod, abnormalPeriod], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, reversalPeriod, abnormalPeriod };
+    }
+
+    /** Decay periods of the reversal and abnormal-flag penalties, in seconds (0 = never). */
+    async getRiskDecay() {
+        const [reversalPeriod, abnormalPeriod] = await this._call(Promise.all([this.token.reversalPenaltyDecay(), this.token.abnormalPenaltyDecay()]));
+        return { reversalPeriod: Number(reversalPeriod), abnormalPeriod: Number(abnormalPeriod) };
+    }
+
+    // Risk factor of `wallet` emitted by the transaction
+    _riskFactorIn(receipt, wallet) {
+        const updates = findEvents(this.token, receipt, "RiskFactorUpdated").filter((e) => e.args.wallet.toLowerCase() === wallet.toLowerCase());
+        return updates.length ? updates[updates.length - 1].args.newRiskFactor : null;
+    }
+
+    // --- Wallet Freezes (COMPLIANCE_ROLE) ---
+    // Case references are bytes32 like reason codes: a label such as "COURT-2024-117" or a bytes32 hex value
+
+    /**
+     * Freezes `wallet`: it can no longer send, receive, reverse or burn until unfrozen.
+     * @param {object} params
+     * @param {string} params.wallet
+     * @param {string} params.caseReference Case or court order reference; required.
+     * @returns {Promise<{hash, blockNumber, wallet, officer, caseReference}>}
+     */
+    async freezeWallet({ wallet, caseReference } = {}, overrides) {
+        const receipt = await this._send(this.token, "freezeWallet", [wallet, toReasonCode(caseReference)], overrides);
+        return this._freezeResult(receipt, "WalletFrozen");
+    }
+
+    /**
+     * Lifts the freeze of `wallet`.
+     * @returns {Promise<{hash, blockNumber, wallet, officer, caseReference}>}
+     */
+    async unfreezeWallet({ wallet, caseReference } = {}, overrides) {
+        const receipt = await this._send(this.token, "unfreezeWallet", [wallet, toReasonCode(caseReference)], overrides);
+        return this._freezeResult(receipt, "WalletUnfrozen");
+    }
+
+    /**
+     * Seizes `amount` of a frozen wallet's balance to the recovery address, HalfLife locks included.
+     * Omit `amount` to seize the whole balance.
+     * @returns {Promise<{hash, blockNumber, wallet, recoveryAddress, caseReference, amount}>}
+     */
+    async seizeFrozenFunds({ wallet, amount, caseReference } = {}, overrides) {
+        const seized = amount === undefined || amount === null ? await this.balanceOf(wallet) : amount;
+        const receipt = await this._send(this.token, "seizeFrozenFunds", [wallet, seized, toReasonCode(caseReference)], overrides);
+        const event = findEvent(this.token, receipt, "FundsSeized");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            wallet: event.args.wallet,
+            recoveryAddress: event.args.recoveryAddress,
+            caseReference: fromReasonCode(event.args.caseReference),
+            amount: event.args.amount,
+        };
+    }
+
+    /**
+     * Sets the address receiving seized funds. Requires ADMIN_ROLE.
+     * @returns {Promise<{hash, blockNumber, recoveryAddress}>}
+     */
+    async setRecoveryAddress(recoveryAddress, overrides) {
+        const receipt = await this._send(this.token, "setRecoveryAddress", [recoveryAddress], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, recoveryAddress };
+    }
+
+    _freezeResult(receipt, eventName) {
+        const event = findEvent(this.token, receipt, eventName);
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            wallet: event.args.wallet,
+            officer: event.args.officer,
+            caseReference: fromReasonCode(event.args.caseReference),
+        };
+    }
+
+    // --- Interbank Settlement (ADMIN_ROLE) ---
+
+    /**
+     * Reads the open interbank liabilities by replaying InterbankLiabilityRecorded / Cleared events.
+     * @param {object} [options]
+     * @param {number} [options.fromBlock] Deployment block of T3Token; earlier blocks hold no events.
+     * @param {number|string} [options.toBlock] Defaults to "latest".
+     * @returns {Promise<Array<{debtor, creditor, amount}>>}
+     */
+    async getOpenLiabilities({ fromBlock = 0, toBlock = "latest" } = {}) {
+        const [recorded, cleared] = await this._call(Promise.all([
+            this.token.queryFilter(this.token.filters.InterbankLiabilityRecorded(), fromBlock, toBlock),
+            this.token.queryFilter(this.token.filters.InterbankLiabilityCleared(), fromBlock, toBlock),
+        ]));
+        const events = [...recorded, ...cleared].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+        return replayLiabilityEvents(events);
+    }
+
+    /**
+     * Nets the open liabilities into a settlement cycle: gross vs net position per FI and
+     * the minimal obligations to pay off-chain. Nothing is sent.
+     * @returns {Promise<{liabilities, positions, obligations, grossTotal, netTotal}>} See computeSettlementCycle.
+     */
+    async planSettlementCycle(options) {
+        return computeSettlementCycle(await this.getOpenLiabilities(options));
+    }
+
+    /**
+     * Clears every liability of a cycle in one transaction under `settlementId`; the whole cycle
+     * reverts if any liability changed below its planned amount.
+     * @param {object} params
+     * @param {string} params.settlementId Label of up to 31 bytes (e.g. "2026-10-19") or a bytes32 hex.
+     * @param {Array<{debtor, creditor, amount}>} params.liabilities Usually `planSettlementCycle().liabilities`.
+     * @returns {Promise<{hash, blockNumber, settlementId, pairCount, grossAmount}>}
+     */
+    async settleInterbankCycle({ settlementId, liabilities } = {}, overrides) {
+        if (!settlementId) throw new T3ClientError("settlementId is required", { code: "INVALID_ARGUMENT" });
+        if (!liabilities || liabilities.length === 0) throw new T3ClientError("No liabilities to settle", { code: "INVALID_ARGUMENT" });
+        const args = [
+            toReasonCode(settlementId),
+            liabilities.map((l) => l.debtor),
+            liabilities.map((l) => l.creditor),
+            liabilities.map((l) => l.amount),
+        ];
+        const receipt = await this._send(this.token, "settleInterbankCycle", args, overrides);
+        const event = findEvent(this.token, receipt, "InterbankSettlementCycleSettled");
+        return {
+            hash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            settlementId: fromReasonCode(event.args.settlementId),
+            pairCount: Number(event.args.pairCount),
+            grossAmount: event.args.grossAmount,
+        };
+    }
+
+    /**
+     * Returns the on-chain record of a settlement cycle; `settledAt` is 0 if it was never settled.
+     * @returns {Promise<{settlementId, settledAt, pairCount, grossAmount}>}
+     */
+    async getSettlementCycle(settlementId) {
+        const cycle = await this._call(this.token.settlementCycles(toReasonCode(settlementId)));
+        return {
+            settlementId,
+            settledAt: Number(cycle.settledAt),
+            pairCount: Number(cycle.pairCount),
+            grossAmount: cycle.grossAmount,
+        };
+    }
+
+    // --- Token Views ---
+
+    /**
+     * Returns the KYC policy T3Token enforces and the registry it consults.
+     * @returns {Promise<{registry, policy: "Disabled"|"Strict"|"Threshold", unregisteredRecipientLimit}>}
+     */
+    async getKYCPolicy() {
+        const [registry, policy, unregisteredRecipientLimit] = await this._call(Promise.all([
+            this.token.custodianRegistry(),
+            this.token.kycPolicy(),
+            this.token.unregisteredRecipientLimit(),
+        ]));
+        return { registry, policy: KYC_POLICIES[Number(policy)], unregisteredRecipientLimit };
+    }
+
+    async isKYCExempt(account) {
+        return this._call(this.token.kycExempt(account));
+    }
+
+    /**
+     * Quotes a transfer before sending it: what `from` pays and `to` receives if it executes now.
+     * `riskFactor` is in basis points (10000 = 1x); `boundApplied` names the fee bound that set `fee`.
+     * Balance, HalfLife locks and the KYC policy are not checked.
+     * @param {string} to Recipient.
+     * @param {bigint} amount Gross amount sent.
+     * @param {object} [options]
+     * @param {string} [options.from] Sender, defaults to the connected signer.
+     * @returns {Promise<{from, to, amount, tieredFee, riskFactor, riskAdjustedFee, creditsUsed, boundApplied: "None"|"Max"|"Min"|"Amount", fee, netAmount, halfLifeDuration, feeScheduleVersion}>}
+     */
+    async previewTransfer(to, amount, { from } = {}) {
+        if (!from && !this.runner.getAddress) throw new T3ClientError("from is required on a read-only client", { code: "INVALID_ARGUMENT" });
+        const sender = from || await this.runner.getAddress();
+        const quote = await this._call(this.token.previewTransfer(sender, to, amount));
+        return {
+            from: sender,
+            to,
+            amount: BigInt(amount),
+            tieredFee: quote.tieredFee,
+            riskFactor: quote.riskFactor,
+            riskAdjustedFee: quote.riskAdjustedFee,
+            creditsUsed: quote.creditsUsed,
+            boundApplied: FEE_BOUNDS[Number(quote.boundApplied)],
+            fee: quote.fee,
+            netAmount: quote.netAmount,
+            halfLifeDuration: Number(quote.halfLifeDuration),
+            feeScheduleVersion: Number(quote.feeScheduleVersion),
+        };
+    }
+
+    async balanceOf(wallet) {
+        return this._call(this.token.balanceOf(wallet));
+    }
+
+    /** Returns the record of transfer `transferId`, or null if no such transfer exists. */
+    async getTransfer(transferId) {
+        const meta = await this._call(this.token.transfers(transferId));
+        if (meta.recipient === ZeroAddress) return null;
+        return toTransfer(transferId, meta);
+    }
+
+    /**
+     * Returns the reversal request filed for `transferId`.
+     * @returns {Promise<{transferId, status: "None"|"Requested"|"Accepted"|"Contested", requestedAt, resolvedAt}>}
+     */
+    async getReversalRequest(transferId) {
+        const request = await this._call(this.token.reversalRequests(transferId));
+        return {
+            transferId: BigInt(transferId),
+            status: REVERSAL_REQUEST_STATUS[Number(request.status)],
+            requestedAt: Number(request.requestedAt),
+            resolvedAt: Number(request.resolvedAt),
+        };
+    }
+
+    /**
+     * Returns the dispute filed on `transferId`.
+     * @returns {Promise<{transferId, status: "None"|"Open"|"Reversed"|"Released", arbiter, amount, openedAt, resolvedAt, reasonCode, resolutionCode}>}
+     */
+    async getDispute(transferId) {
+        const dispute = await this._call(this.token.disputes(transferId));
+        return {
+            transferId: BigInt(transferId),
+            status: DISPUTE_STATUS[Number(dispute.status)],
+            arbiter: dispute.arbiter,
+            amount: dispute.amount,
+            openedAt: Number(dispute.openedAt),
+            resolvedAt: Number(dispute.resolvedAt),
+            reasonCode: fromReasonCode(dispute.reasonCode),
+            resolutionCode: fromReasonCode(dispute.resolutionCode),
+        };
+    }
+
+    /**
+     * Returns a redemption request by ID, or by its reference ID when given a label / bytes32 string.
+     * @returns {Promise<{redemptionId, status: "None"|"Requested"|"Confirmed"|"Rejected", holder, custodian, amount, referenceId, requestedAt, resolvedAt, rejectionCode}>}
+     */
+    async getRedemption(redemptionIdOrReference) {
+        const redemptionId = typeof redemptionIdOrReference === "string" && !/^\d+$/.test(redemptionIdOrReference)
+            ? await this._call(this.token.redemptionIdByReference(toReasonCode(redemptionIdOrReference)))
+            : BigInt(redemptionIdOrReference);
+        const request = await this._call(this.token.redemptionRequests(redemptionId));
+        return {
+            redemptionId,
+            status: REDEMPTION_STATUS[Number(request.status)],
+            holder: request.holder,
+            custodian: request.custodian,
+            amount: request.amount,
+            referenceId: fromReasonCode(request.referenceId),
+            requestedAt: Number(request.requestedAt),
+            resolvedAt: Number(request.resolvedAt),
+            rejectionCode: fromReasonCode(request.rejectionCode),
+        };
+    }
+
+    /**
+     * Returns the open (neither reversed nor settled) transfers received by `wallet`, oldest first.
+     * Open transfers whose window has ended still need settling via expire / expireAll.
+     */
+    async getPendingTransfers(wallet) {
+        const ids = await this._call(this.token.getOpenTransferIds(wallet));
+        const transfers = await Promise.all(ids.map((id) => this.getTransfer(id)));
+        return transfers.sort((a, b) => (a.transferId < b.transferId ? -1 : 1));
+    }
+
+    /** Balance of `wallet` received in transfers whose HalfLife window is still open. */
+    async getLockedBalance(wallet) {
+        return this._call(this.token.lockedBalanceOf(wallet));
+    }
+
+    /** Balance of `wallet` that can be transferred right now. */
+    async getSpendableBalance(wallet) {
+        return this._call(this.token.spendableBalanceOf(wallet));
+    }
+
+    /**
+     * Describes which part of `wallet`'s balance is inside a HalfLife window, across all its open transfers.
+     * Only the locked amount is frozen; the spendable balance moves freely.
+     * @returns {Promise<{wallet, locked, lockedBalance, spendableBalance, originators, lockedUntil, secondsRemaining, openTransfers}>}
+     */
+    async getLockStatus(wallet) {
+        const [pending, now, lockedBalance, spendableBalance] = await Promise.all([
+            this.getPendingTransfers(wallet),
+            this._latestTimestamp(),
+            this.getLockedBalance(wallet),
+            this.getSpendableBalance(wallet),
+        ]);
+        const active = pending.filter((t) => t.commitWindowEnd > now);
+        const lockedUntil = active.length ? Math.max(...active.map((t) => t.commitWindowEnd)) : null;
+        return {
+            wallet,
+            locked: active.length > 0,
+            lockedBalance,
+            spendableBalance,
+            originators: [...new Set(active.map((t) => t.originator))],
+            lockedUntil,
+            secondsRemaining: lockedUntil ? lockedUntil - now : 0,
+            openTransfers: pending.length,
+        };
+    }
+
+    /** Amount the `debtor` custodian currently owes the `creditor` custodian. */
+    async getInterbankLiability(debtor, creditor) {
+        return this._call(this.token.interbankLiability(debtor, creditor));
+    }
+
+    /**
+     * Returns the interbank liability created by transfer `transferId`, or null if it created none.
+     * `amount` is what remains after reversals.
+     * @returns {Promise<{transferId, debtor, creditor, amount}|null>}
+     */
+    async getTransferLiability(transferId) {
+        const liability = await this._call(this.token.transferLiabilities(transferId));
+        if (liability.debtor === ZeroAddress) return null;
+        return { transferId: BigInt(transferId), debtor: liability.debtor, creditor: liability.creditor, amount: liability.amount };
+    }
+
+    async getRiskFactor(wallet) {
+        return this._call(this.token.calculateRiskFactor(wallet));
+    }
+
+    /**
+     * Explains the risk factor of `wallet`: every component in basis points, plus the reversal and
+     * abnormal-flag counts still charged after decay.
+     * @returns {Promise<{wallet, total, base, newWallet, recentReversal, reversalPenalty, abnormalPenalty, reversalCount: number, abnormalCount: number}>}
+     */
+    async getRiskBreakdown(wallet) {
+        const risk = await this._call(this.token.getRiskBreakdown(wallet));
+        return {
+            wallet,
+            total: risk.total,
+            base: risk.base,
+            newWallet: risk.newWallet,
+            recentReversal: risk.recentReversal,
+            reversalPenalty: risk.reversalPenalty,
+            abnormalPenalty: risk.abnormalPenalty,
+            reversalCount: Number(risk.reversalCount),
+            abnormalCount: Number(risk.abnormalCount),
+        };
+    }
+
+    async getAvailableCredits(wallet) {
+        return this._call(this.token.getAvailableCredits(wallet));
+    }
+
+    /**
+     * Issuance of one minter. `available` is null when the minter is uncapped.
+     * @returns {Promise<{minter, minted, redeemed, outstanding, allowance, available}>}
+     */
+    async getMinterIssuance(minter) {
+        const issuance = await this._call(this.token.getMinterIssuance(minter));
+        return {
+            minter,
+            minted: issuance.minted,
+            redeemed: issuance.redeemed,
+            outstanding: issuance.outstanding,
+            allowance: issuance.allowance,
+            available: issuance.allowance === 0n ? null : issuance.available,
+        };
+    }
+
+    /**
+     * Outstanding issuance of every minter, for reconciliation against each FI's fiat reserves.
+     * `unattributed` is the supply no minter issued: the initial supply and treasury fee shares.
+     * @returns {Promise<{minters: Array, totalOutstanding: bigint, totalSupply: bigint, unattributed: bigint}>}
+     */
+    async getIssuanceReport() {
+        const [addresses, totalOutstanding, totalSupply] = await this._call(Promise.all([
+            this.token.getMinters(),
+            this.token.totalOutstandingIssuance(),
+            this.token.totalSupply(),
+        ]));
+        const minters = await Promise.all(addresses.map((minter) => this.getMinterIssuance(minter)));
+        return { minters, totalOutstanding, totalSupply, unattributed: totalSupply - totalOutstanding };
+    }
+
+    async isFrozen(wallet) {
+        return this._call(this.token.isFrozen(wallet));
+    }
+
+    /** Recovery address for seized funds, or null while unset. */
+    async getRecoveryAddress() {
+        const recoveryAddress = await this._call(this.token.recoveryAddress());
+        return recoveryAddress === ZeroAddress ? null : recoveryAddress;
+    }
+
+    /**
+     * Every frozen wallet with its current balance. Case references are in the WalletFrozen events.
+     * @returns {Promise<Array<{wallet, balance: bigint}>>}
+     */
+    async getFrozenWallets() {
+        const wallets = await this._call(this.token.getFrozenWallets());
+        const balances = await this._call(Promise.all(wallets.map((wallet) => this.token.balanceOf(wallet))));
+        return wallets.map((wallet, i) => ({ wallet, balance: balances[i] }));
+    }
+
+    // --- Registry Operations ---
+
+    /**
+     * Registers `wallet` as custodied by the connected signer (requires CUSTODIAN_ROLE on the registry).
+     * @param {number} kycValidatedAt Unix timestamp (seconds) of KYC validation.
+     * @param {number} [kycExpiresAt] Unix timestamp of KYC expiry, 0 for none.
+     */
+    async registerWallet(wallet, kycValidatedAt, kycExpiresAt = 0, overrides) {
+        const receipt = await this._send(this._requireRegistry(), "registerCustodiedWallet", [wallet, kycValidatedAt, kycExpiresAt], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, wallet, kycValidatedAt, kycExpiresAt };
+    }
+
+    /** Updates KYC timestamps of a wallet custodied by the connected signer. */
+    async updateKYC(wallet, kycValidatedAt, kycExpiresAt = 0, overrides) {
+        const receipt = await this._send(this._requireRegistry(), "updateKYCStatus", [wallet, kycValidatedAt, kycExpiresAt], overrides);
+        return { hash: receipt.hash, blockNumber: receipt.blockNumber, wallet, kycValidatedAt, kycExpiresAt };
+    }
+
+    // --- Registry Views ---
+
+    /**
+     * Returns custody and KYC information for `wallet` from CustodianRegistry.
+     * @returns {Promise<{wallet, custodian, isCustodied, kycValidatedAt, kycExpiresAt, kycValid}>}
+     */
+    async getCustodian(wallet) {
+        const registry = this._requireRegistry();
+        const [custodian, timestamps, kycValid] = await this._call(Promise.all([
+            registry.getCustodian(wallet),
+            registry.getKYCTimestamps(wallet),
+            registry.isKYCValid(wallet),
+        ]));
+        return {
+            wallet,
+            custodian,
+            isCustodied: custodian !== ZeroAddress,
+            kycValidatedAt: Number(timestamps.validatedTimestamp),
+            kycExpiresAt: Number(timestamps.expiresTimestamp),
+            kycValid,
+        };
+    }
+
+    /** Addresses currently holding CUSTODIAN_ROLE on the registry. */
+    async getCustodians() {
+        const registry = this._requireRegistry();
+        const count = await this._call(registry.custodianCount());
+        return this._call(Promise.all(Array.from({ length: Number(count) }, (_, i) => registry.custodianAtIndex(i))));
+    }
+}
+
+module.exports = { T3Client, loadAbi, AUTHORIZATION_TYPES };
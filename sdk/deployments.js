@@ -0,0 +1,69 @@
+// sdk/deployments.js
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const MANIFEST_SCHEMA = 1;
+
+/** Path of the deployment manifest for a chain (deployments/<chainId>.json). */
+function deploymentPath(chainId, dir = DEPLOYMENTS_DIR) {
+    return path.join(dir, `${chainId}.json`);
+}
+
+/**
+ * Reads the deployment manifest for `chainId`, or returns null if none has been written.
+ * @param {number|bigint|string} chainId
+ */
+function loadDeployment(chainId, dir = DEPLOYMENTS_DIR) {
+    const file = deploymentPath(chainId, dir);
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Writes a new deployment manifest for `chainId`. The version is bumped from the previous
+ * manifest, whose addresses are kept in `history` so older deployments stay traceable.
+ * @param {object} deployment Output of deploySystem(): network, deployer, contracts, roles. T3Token and
+ * CustodianRegistry entries are proxies and also carry their `implementation` address.
+ * @returns {object} The manifest as written.
+ */
+function writeDeployment(chainId, deployment, dir = DEPLOYMENTS_DIR) {
+    const previous = loadDeployment(chainId, dir);
+    const history = previous ? [...(previous.history || []), summarize(previous)] : [];
+    const manifest = {
+        schema: MANIFEST_SCHEMA,
+        version: previous ? previous.version + 1 : 1,
+        chainId: Number(chainId),
+        ...deployment,
+        history,
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(deploymentPath(chainId, dir), JSON.stringify(manifest, null, 2) + "\n");
+    return manifest;
+}
+
+// Keeps only what is needed to identify a superseded deployment
+function summarize(manifest) {
+    const contracts = {};
+    for (const [name, info] of Object.entries(manifest.contracts || {})) {
+        contracts[name] = { address: info.address, blockNumber: info.blockNumber };
+        // Proxies keep their address across upgrades; the implementation tells versions apart
+        if (info.implementation) contracts[name].implementation = info.implementation;
+    }
+    return { version: manifest.version, deployedAt: manifest.deployedAt, contracts };
+}
+
+/**
+ * Resolves T3Token / CustodianRegistry addresses for a chain.
+ * Explicit overrides win, then the deployment manifest, then T3_CONTRACT_ADDRESS / CUSTODIAN_REGISTRY_ADDRESS.
+ * @returns {{token: string|null, registry: string|null}}
+ */
+function resolveAddresses(chainId, overrides = {}) {
+    const contracts = loadDeployment(chainId)?.contracts || {};
+    return {
+        token: overrides.token || contracts.T3Token?.address || process.env.T3_CONTRACT_ADDRESS || null,
+        registry: overrides.registry || contracts.CustodianRegistry?.address || process.env.CUSTODIAN_REGISTRY_ADDRESS || null,
+    };
+}
+
+module.exports = { DEPLOYMENTS_DIR, deploymentPath, loadDeployment, writeDeployment, resolveAddresses };
@@ -0,0 +1,69 @@
+// sdk/errors.js
+const { Interface } = require("ethers");
+
+/**
+ * Error raised by T3Client when a call or transaction fails.
+ * `reason` carries the require() message, `errorName`/`errorArgs` a decoded custom error
+ * (e.g. AccessControlUnauthorizedAccount, EnforcedPause, ERC20InsufficientAllowance).
+ */
+class T3ClientError extends Error {
+    constructor(message, { code = "CALL_EXCEPTION", reason = null, errorName = null, errorArgs = [], cause } = {}) {
+        super(message);
+        this.name = "T3ClientError";
+        this.code = code;
+        this.reason = reason;
+        this.errorName = errorName;
+        this.errorArgs = errorArgs;
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+// Walks the ethers error chain looking for raw revert data (hardhat nests it under `error`/`info`)
+function findRevertData(err) {
+    const seen = new Set();
+    let current = err;
+    while (current && typeof current === "object" && !seen.has(current)) {
+        seen.add(current);
+        if (typeof current.data === "string" && current.data.startsWith("0x")) return current.data;
+        if (current.data && typeof current.data.data === "string") return current.data.data;
+        current = current.error || current.info?.error || current.cause;
+    }
+    return null;
+}
+
+/**
+ * Normalizes an ethers error into a T3ClientError, decoding the revert reason against
+ * the given contract interfaces. Errors that are not reverts are wrapped with their original code.
+ * @param {Error} err The error thrown by ethers.
+ * @param {Array<Interface>} interfaces Contract interfaces used to decode custom errors.
+ * @returns {T3ClientError}
+ */
+function decodeError(err, interfaces = []) {
+    if (err instanceof T3ClientError) return err;
+
+    if (err?.reason && !err.revert) {
+        return new T3ClientError(err.reason, { reason: err.reason, cause: err });
+    }
+    if (err?.revert) {
+        const { name, args } = err.revert;
+        const reason = name === "Error" ? args[0] : null;
+        return new T3ClientError(reason || name, { reason, errorName: name === "Error" ? null : name, errorArgs: [...args], cause: err });
+    }
+
+    const data = findRevertData(err);
+    if (data && data !== "0x") {
+        for (const iface of [Interface.from(["error Error(string)"]), ...interfaces]) {
+            const parsed = iface.parseError(data);
+            if (!parsed) continue;
+            if (parsed.name === "Error") {
+                return new T3ClientError(parsed.args[0], { reason: parsed.args[0], cause: err });
+            }
+            return new T3ClientError(parsed.name, { errorName: parsed.name, errorArgs: [...parsed.args], cause: err });
+        }
+    }
+
+    const message = err?.shortMessage || err?.message || String(err);
+    return new T3ClientError(message, { code: err?.code || "UNKNOWN_ERROR", cause: err });
+}
+
+module.exports = { T3ClientError, decodeError };
@@ -0,0 +1,32 @@
+// sdk/format.js
+const { formatEther } = require("ethers");
+
+/** Formats a wei amount as a human-readable T3 string. */
+function formatT3(amount) {
+    return `${formatEther(amount)} T3`;
+}
+
+/** Formats a unix timestamp (seconds) as ISO-8601, or "-" when unset. */
+function formatTimestamp(seconds) {
+    return seconds ? new Date(Number(seconds) * 1000).toISOString() : "-";
+}
+
+/** Renders a transfer returned by T3Client#getTransfer / getPendingTransfers as indented lines. */
+function formatTransfer(transfer) {
+    if (!transfer) return "  (no transfer)";
+    return [
+        `  - Transfer ID: ${transfer.transferId}`,
+        `  - Originator: ${transfer.originator}`,
+        `  - Recipient: ${transfer.recipient}`,
+        `  - Amount: ${formatT3(transfer.amount)} (net ${formatT3(transfer.netAmount)})`,
+        `  - HalfLife Duration (s): ${transfer.halfLifeDuration}`,
+        `  - Commit Window End: ${formatTimestamp(transfer.commitWindowEnd)}`,
+        `  - Transfer Count: ${transfer.transferCount}`,
+        `  - Fee Paid: ${formatT3(transfer.feeAmount)}`,
+        `  - Reversal Hash: ${transfer.reversalHash}`,
+        `  - Reversed: ${transfer.isReversed} (${formatT3(transfer.reversedAmount)} sent back)`,
+        `  - Settled: ${transfer.isExpired}`,
+    ].join("\n");
+}
+
+module.exports = { formatT3, formatTimestamp, formatTransfer };
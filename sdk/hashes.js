@@ -0,0 +1,17 @@
+// sdk/hashes.js
+const { solidityPackedKeccak256 } = require("ethers");
+
+/**
+ * Computes the reversalHash T3Token records for a transfer and checks on reversal:
+ * keccak256(abi.encodePacked(originator, recipient, amount)), where `amount` is the gross amount sent.
+ * This is the packed encoding, so AbiCoder.encode() based hashes will not match.
+ * @param {string} originator
+ * @param {string} recipient
+ * @param {bigint} amount
+ * @returns {string} 0x-prefixed bytes32
+ */
+function computeReversalHash(originator, recipient, amount) {
+    return solidityPackedKeccak256(["address", "address", "uint256"], [originator, recipient, amount]);
+}
+
+module.exports = { computeReversalHash };
@@ -0,0 +1,25 @@
+// sdk/index.js
+const { T3Client, loadAbi, AUTHORIZATION_TYPES } = require("./T3Client");
+const { T3ClientError, decodeError } = require("./errors");
+const { formatT3, formatTimestamp, formatTransfer } = require("./format");
+const { computeReversalHash } = require("./hashes");
+const { replayLiabilityEvents, computeSettlementCycle } = require("./netting");
+const { deploymentPath, loadDeployment, writeDeployment, resolveAddresses } = require("./deployments");
+
+module.exports = {
+    T3Client,
+    T3ClientError,
+    decodeError,
+    loadAbi,
+    AUTHORIZATION_TYPES,
+    formatT3,
+    formatTimestamp,
+    formatTransfer,
+    computeReversalHash,
+    replayLiabilityEvents,
+    computeSettlementCycle,
+    deploymentPath,
+    loadDeployment,
+    writeDeployment,
+    resolveAddresses,
+};
@@ -0,0 +1,73 @@
+// sdk/netting.js
+// Off-chain multilateral netting of T3Token interbank liabilities into settlement cycles
+
+const pairKey = (debtor, creditor) => `${debtor}|${creditor}`;
+
+/**
+ * Replays InterbankLiabilityRecorded / InterbankLiabilityCleared logs, in chain order, into the
+ * bilateral liabilities still open. Replay from the deployment block to match `interbankLiability`.
+ * @param {Array<{name: string, args: object}>} events Parsed logs (ethers LogDescription or EventLog).
+ * @returns {Array<{debtor, creditor, amount: bigint}>} Non-zero liabilities in order of first appearance.
+ */
+function replayLiabilityEvents(events) {
+    const open = new Map();
+    for (const event of events) {
+        const name = event.name || event.eventName || event.fragment?.name;
+        const { debtor, creditor } = event.args;
+        const key = pairKey(debtor, creditor);
+        const current = open.get(key)?.amount || 0n;
+        if (name === "InterbankLiabilityRecorded") {
+            open.set(key, { debtor, creditor, amount: current + BigInt(event.args.amount) });
+        } else if (name === "InterbankLiabilityCleared") {
+            const cleared = BigInt(event.args.amountCleared);
+            if (cleared > current) throw new Error(`Liability ${debtor} -> ${creditor} cleared below zero; replay from the deployment block`);
+            open.set(key, { debtor, creditor, amount: current - cleared });
+        }
+    }
+    return [...open.values()].filter((liability) => liability.amount > 0n);
+}
+
+/**
+ * Nets bilateral liabilities into one position per FI and the minimal set of payments that settles them:
+ * every FI pays or receives only its net position, so at most (FIs - 1) obligations are produced.
+ * @param {Array<{debtor, creditor, amount: bigint}>} liabilities Open liabilities, e.g. from replayLiabilityEvents.
+ * @returns {{liabilities, positions: Array<{bank, grossPayable, grossReceivable, net}>, obligations: Array<{from, to, amount}>, grossTotal: bigint, netTotal: bigint}}
+ *   `net` is positive for net creditors; `grossTotal` is what the on-chain cycle clears, `netTotal` what actually moves.
+ */
+function computeSettlementCycle(liabilities) {
+    const positions = new Map();
+    const positionOf = (bank) => {
+        if (!positions.has(bank)) positions.set(bank, { bank, grossPayable: 0n, grossReceivable: 0n, net: 0n });
+        return positions.get(bank);
+    };
+    const open = liabilities.filter((liability) => BigInt(liability.amount) > 0n)
+        .map(({ debtor, creditor, amount }) => ({ debtor, creditor, amount: BigInt(amount) }));
+    let grossTotal = 0n;
+    for (const { debtor, creditor, amount } of open) {
+        if (debtor === creditor) throw new Error(`Liability of ${debtor} to itself`);
+        positionOf(debtor).grossPayable += amount;
+        positionOf(creditor).grossReceivable += amount;
+        grossTotal += amount;
+    }
+    for (const position of positions.values()) position.net = position.grossReceivable - position.grossPayable;
+
+    // Largest positions first, then address, so the same input always yields the same obligations
+    const byRemaining = (a, b) => (a.remaining === b.remaining ? (a.bank < b.bank ? -1 : 1) : (a.remaining > b.remaining ? -1 : 1));
+    const payers = [...positions.values()].filter((p) => p.net < 0n).map((p) => ({ bank: p.bank, remaining: -p.net })).sort(byRemaining);
+    const payees = [...positions.values()].filter((p) => p.net > 0n).map((p) => ({ bank: p.bank, remaining: p.net })).sort(byRemaining);
+    const obligations = [];
+    let netTotal = 0n;
+    for (let i = 0, j = 0; i < payers.length && j < payees.length;) {
+        const amount = payers[i].remaining < payees[j].remaining ? payers[i].remaining : payees[j].remaining;
+        obligations.push({ from: payers[i].bank, to: payees[j].bank, amount });
+        netTotal += amount;
+        payers[i].remaining -= amount;
+        payees[j].remaining -= amount;
+        if (payers[i].remaining === 0n) i++;
+        if (payees[j].remaining === 0n) j++;
+    }
+
+    return { liabilities: open, positions: [...positions.values()], obligations, grossTotal, netTotal };
+}
+
+module.exports = { replayLiabilityEvents, computeSettlementCycle };
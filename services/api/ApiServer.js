@@ -0,0 +1,170 @@
+// services/api/ApiServer.js
+// Read-only HTTP API over T3Token / CustodianRegistry views and the event index
+const http = require("http");
+const { getAddress, isAddress } = require("ethers");
+const { replayLiabilityEvents } = require("../../sdk");
+const { openapi } = require("./openapi");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Error answered with `status` and a JSON body `{ error }`
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+    }
+}
+
+// bigint amounts are sent as decimal strings, like the indexed event arguments
+const toJson = (body) => JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+
+function parseWallet(value) {
+    if (!isAddress(value)) throw new HttpError(400, `Invalid address: ${value}`);
+    return getAddress(value);
+}
+
+function parsePage(query) {
+    const page = query.has("page") ? Number(query.get("page")) : 1;
+    const limit = query.has("limit") ? Number(query.get("limit")) : DEFAULT_LIMIT;
+    if (!Number.isInteger(page) || page < 1) throw new HttpError(400, "page must be a positive integer");
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    return { page, limit };
+}
+
+// Slices `items` for the requested page; `load` maps the slice (e.g. to on-chain records)
+async function paginate(items, { page, limit }, load = async (slice) => slice) {
+    const slice = items.slice((page - 1) * limit, page * limit);
+    return { items: await load(slice), page, limit, total: items.length };
+}
+
+/**
+ * Builds the API server (not yet listening). Wallet and custody data come from contract views
+ * through `client`; transfer history, the pending-transfer list and interbank liabilities come from
+ * `indexer` when one is given. Without an indexer those endpoints fall back to views or answer 503.
+ * @param {object} options
+ * @param {import("../../sdk").T3Client} options.client Read-only client; `registry` is needed for custody data.
+ * @param {import("../indexer/EventIndexer").EventIndexer} [options.indexer] Index of T3Token / CustodianRegistry events.
+ * @returns {http.Server}
+ */
+function createApiServer({ client, indexer = null }) {
+    const requireIndexer = () => {
+        if (!indexer) throw new HttpError(503, "Event indexer not configured");
+        return indexer;
+    };
+    const transfersById = (ids) => Promise.all(ids.map((id) => client.getTransfer(id)));
+
+    const routes = [
+        ["/health", async () => {
+            const provider = client.runner.provider || client.runner;
+            const [{ chainId }, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+            return { chainId: Number(chainId), blockNumber, indexedBlock: indexer ? indexer.store.nextBlock - 1 : null };
+        }],
+
+        ["/openapi.json", async () => openapi],
+
+        ["/wallets/:address", async ({ address }) => {
+            const wallet = parseWallet(address);
+            const [balance, lock, riskFactor, credits, custody] = await Promise.all([
+                client.balanceOf(wallet),
+                client.getLockStatus(wallet),
+                client.getRiskFactor(wallet),
+                client.getCredits(wallet),
+                client.registry ? client.getCustodian(wallet) : null,
+            ]);
+            return {
+                wallet,
+                balance,
+                spendableBalance: lock.spendableBalance,
+                lockedBalance: lock.lockedBalance,
+                lockedUntil: lock.lockedUntil,
+                openTransfers: lock.openTransfers,
+                riskFactor,
+                credits: { amount: credits.amount, available: credits.available, expiresAt: credits.expiresAt },
+                custody: custody && {
+                    custodian: custody.isCustodied ? custody.custodian : null,
+                    kycValidatedAt: custody.kycValidatedAt,
+                    kycExpiresAt: custody.kycExpiresAt,
+                    kycValid: custody.kycValid,
+                },
+            };
+        }],
+
+        ["/wallets/:address/transfers", async ({ address }, query) => {
+            const wallet = parseWallet(address);
+            const status = query.get("status") || (indexer ? "all" : "open");
+            if (status === "open") {
+                const pending = (await client.getPendingTransfers(wallet)).reverse();
+                return { status, ...(await paginate(pending, parsePage(query))) };
+            }
+            if (status !== "all") throw new HttpError(400, `Unknown status ${status}, expected "open" or "all"`);
+            // Newest first; records are read on-chain so reversals and settlements show their current state
+            const ids = requireIndexer().history(wallet, { name: "TransferRecorded" }).map((row) => row.args.transferId).reverse();
+            return { status, ...(await paginate(ids, parsePage(query), transfersById)) };
+        }],
+
+        ["/transfers/pending", async (params, query) => {
+            const rows = requireIndexer().store.query({ name: [
+                "TransferRecorded", "TransferReversed", "HalfLifeExpired",
+                "ReversalRequested", "ReversalRequestAccepted", "ReversalRequestContested", "DisputeOpened", "DisputeResolved",
+            ] });
+            // A window that has ended settles on the next interaction, which may not have happened yet, unless a
+            // pending reversal request or an open dispute holds it
+            const { timestamp } = await (client.runner.provider || client.runner).getBlock("latest");
+            const reversed = new Map();
+            const settled = new Set();
+            const requested = new Set();
+            const disputed = new Set();
+            for (const { name, args } of rows) {
+                if (name === "TransferReversed") reversed.set(args.transferId, (reversed.get(args.transferId) || 0n) + BigInt(args.amount));
+                if (name === "HalfLifeExpired") settled.add(args.transferId);
+                if (name === "ReversalRequested") requested.add(args.transferId);
+                if (name === "ReversalRequestAccepted" || name === "ReversalRequestContested") requested.delete(args.transferId);
+                if (name === "DisputeOpened") disputed.add(args.transferId);
+                if (name === "DisputeResolved") disputed.delete(args.transferId);
+            }
+            const held = (transferId) => requested.has(transferId) || disputed.has(transferId);
+            const open = rows
+                .filter((row) => row.name === "TransferRecorded" && !settled.has(row.args.transferId)
+                    && (Number(row.args.commitWindowEnd) > timestamp || held(row.args.transferId))
+                    && (reversed.get(row.args.transferId) || 0n) < BigInt(row.args.netAmount))
+                .map((row) => row.args.transferId);
+            return paginate(open, parsePage(query), transfersById);
+        }],
+
+        ["/interbank/liabilities", async (params, query) => {
+            const liabilities = indexer
+                ? replayLiabilityEvents(indexer.store.query({ name: ["InterbankLiabilityRecorded", "InterbankLiabilityCleared"] }))
+                : await client.getOpenLiabilities();
+            return paginate(liabilities, parsePage(query));
+        }],
+
+        ["/custodians", async (params, query) => {
+            if (!client.registry) throw new HttpError(503, "CustodianRegistry address not configured");
+            return paginate(await client.getCustodians(), parsePage(query));
+        }],
+    ].map(([pattern, handler]) => ({
+        regex: new RegExp(`^${pattern.replace(/:(\w+)/g, "(?<$1>[^/]+)")}$`),
+        handler,
+    }));
+
+    return http.createServer(async (req, res) => {
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(toJson(body));
+        };
+        try {
+            const url = new URL(req.url, "http://localhost");
+            const route = routes.find(({ regex }) => regex.test(url.pathname));
+            if (!route) throw new HttpError(404, `No route for ${url.pathname}`);
+            if (req.method !== "GET") throw new HttpError(405, `${req.method} not allowed, the API is read-only`);
+            const { groups = {} } = route.regex.exec(url.pathname);
+            send(200, await route.handler(groups, url.searchParams));
+        } catch (err) {
+            send(err.status || 500, { error: err.message });
+        }
+    });
+}
+
+module.exports = { createApiServer, HttpError };
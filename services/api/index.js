@@ -0,0 +1,52 @@
+// services/api/index.js
+// Serves the read-only T3 API: node services/api/index.js [--no-index]
+//
+// Runs the event indexer in the same process (see services/indexer/) unless --no-index is given,
+// in which case history endpoints fall back to contract views or answer 503.
+//
+// Environment:
+//   RPC_URL, T3_CONTRACT_ADDRESS, CUSTODIAN_REGISTRY_ADDRESS   As for the indexer
+//   API_HOST / API_PORT                                        Listen address, defaults to 127.0.0.1:8080
+//   INDEXER_DB_FILE / INDEXER_FROM_BLOCK / INDEXER_INTERVAL_MS Indexer settings
+const path = require("path");
+require("dotenv").config();
+const { T3Client, loadDeployment } = require("../../sdk");
+const { EventIndexer } = require("../indexer/EventIndexer");
+const { JsonEventStore } = require("../indexer/JsonEventStore");
+const { createApiServer } = require("./ApiServer");
+
+async function main() {
+    const env = process.env;
+    const client = await T3Client.fromDeployment();
+    const { chainId } = await (client.runner.provider || client.runner).getNetwork();
+
+    let indexer = null;
+    if (!process.argv.includes("--no-index")) {
+        const contracts = loadDeployment(chainId)?.contracts || {};
+        const deployedAt = Math.min(contracts.T3Token?.blockNumber ?? 0, contracts.CustodianRegistry?.blockNumber ?? Infinity);
+        indexer = new EventIndexer({
+            client,
+            store: new JsonEventStore(env.INDEXER_DB_FILE || path.join(__dirname, "..", "indexer", "data", `${chainId}.json`)),
+            fromBlock: env.INDEXER_FROM_BLOCK ? Number(env.INDEXER_FROM_BLOCK) : deployedAt,
+        });
+        await indexer.sync();
+        indexer.start({ intervalMs: env.INDEXER_INTERVAL_MS ? Number(env.INDEXER_INTERVAL_MS) : undefined });
+    }
+
+    const server = createApiServer({ client, indexer });
+    const host = env.API_HOST || "127.0.0.1";
+    const port = env.API_PORT ? Number(env.API_PORT) : 8080;
+    server.listen(port, host, () => console.log(`🌐 T3 API listening on http://${host}:${port} (OpenAPI at /openapi.json)`));
+
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+        process.once(signal, () => {
+            if (indexer) indexer.stop();
+            server.close();
+        });
+    }
+}
+
+main().catch((error) => {
+    console.error("❌ API failed:", error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,129 @@
+// services/api/openapi.js
+// OpenAPI 3.0 description of the read-only API, served at GET /openapi.json
+
+const amount = { type: "string", pattern: "^[0-9]+$", description: "Amount in wei (18 decimals), as a decimal string" };
+const address = { type: "string", pattern: "^0x[0-9a-fA-F]{40}$" };
+const timestamp = { type: "integer", description: "Unix timestamp (seconds)" };
+
+const pageParams = [
+    { name: "page", in: "query", schema: { type: "integer", minimum: 1, default: 1 } },
+    { name: "limit", in: "query", schema: { type: "integer", minimum: 1, maximum: 200, default: 50 } },
+];
+const addressParam = { name: "address", in: "path", required: true, schema: address };
+
+const page = (items) => ({
+    type: "object",
+    properties: { items: { type: "array", items }, page: { type: "integer" }, limit: { type: "integer" }, total: { type: "integer" } },
+});
+const ok = (schema) => ({ description: "OK", content: { "application/json": { schema } } });
+const errors = {
+    400: { $ref: "#/components/responses/Error" },
+    503: { $ref: "#/components/responses/Error" },
+};
+
+const openapi = {
+    openapi: "3.0.3",
+    info: {
+        title: "T3 Read API",
+        version: "1.0.0",
+        description: "Read-only views over T3Token and CustodianRegistry, plus history from the event indexer. Amounts are wei decimal strings.",
+    },
+    paths: {
+        "/health": {
+            get: {
+                summary: "Chain head and indexer checkpoint",
+                responses: { 200: ok({ type: "object", properties: { chainId: { type: "integer" }, blockNumber: { type: "integer" }, indexedBlock: { type: "integer", nullable: true } } }) },
+            },
+        },
+        "/wallets/{address}": {
+            get: {
+                summary: "Balance, HalfLife lock, risk factor, credits and custody of a wallet",
+                parameters: [addressParam],
+                responses: { 200: ok({ $ref: "#/components/schemas/Wallet" }), ...errors },
+            },
+        },
+        "/wallets/{address}/transfers": {
+            get: {
+                summary: "Transfers sent or received by a wallet, newest first",
+                description: "`all` needs the event indexer and is the default when it runs; `open` lists transfers whose HalfLife window is not settled yet.",
+                parameters: [addressParam, { name: "status", in: "query", schema: { type: "string", enum: ["all", "open"] } }, ...pageParams],
+                responses: {
+                    200: ok({ allOf: [page({ $ref: "#/components/schemas/Transfer" }), { type: "object", properties: { status: { type: "string", enum: ["all", "open"] } } }] }),
+                    ...errors,
+                },
+            },
+        },
+        "/transfers/pending": {
+            get: {
+                summary: "Every transfer not fully reversed whose HalfLife window is still open or held by a reversal request or dispute, oldest first (needs the event indexer)",
+                parameters: pageParams,
+                responses: { 200: ok(page({ $ref: "#/components/schemas/Transfer" })), ...errors },
+            },
+        },
+        "/interbank/liabilities": {
+            get: {
+                summary: "Open bilateral liabilities between custodians",
+                parameters: pageParams,
+                responses: { 200: ok(page({ $ref: "#/components/schemas/Liability" })), ...errors },
+            },
+        },
+        "/custodians": {
+            get: {
+                summary: "FIs holding CUSTODIAN_ROLE on the registry",
+                parameters: pageParams,
+                responses: { 200: ok(page(address)), ...errors },
+            },
+        },
+    },
+    components: {
+        schemas: {
+            Wallet: {
+                type: "object",
+                properties: {
+                    wallet: address,
+                    balance: amount,
+                    spendableBalance: amount,
+                    lockedBalance: amount,
+                    lockedUntil: { ...timestamp, nullable: true },
+                    openTransfers: { type: "integer" },
+                    riskFactor: { type: "string", description: "Basis points, 10000 = 1x" },
+                    credits: { type: "object", properties: { amount, available: amount, expiresAt: { ...timestamp, description: "0 = never" } } },
+                    custody: {
+                        type: "object",
+                        nullable: true,
+                        description: "null when no CustodianRegistry is configured",
+                        properties: { custodian: { ...address, nullable: true }, kycValidatedAt: timestamp, kycExpiresAt: timestamp, kycValid: { type: "boolean" } },
+                    },
+                },
+            },
+            Transfer: {
+                type: "object",
+                properties: {
+                    transferId: { type: "string" },
+                    originator: address,
+                    recipient: address,
+                    amount,
+                    netAmount: amount,
+                    reversedAmount: amount,
+                    commitWindowEnd: timestamp,
+                    halfLifeDuration: { type: "integer" },
+                    transferCount: { type: "integer" },
+                    reversalHash: { type: "string" },
+                    feeAmount: amount,
+                    feeScheduleVersion: { type: "integer" },
+                    isReversed: { type: "boolean" },
+                    isExpired: { type: "boolean" },
+                },
+            },
+            Liability: { type: "object", properties: { debtor: address, creditor: address, amount } },
+        },
+        responses: {
+            Error: {
+                description: "Invalid request (400) or missing backend such as the indexer (503)",
+                content: { "application/json": { schema: { type: "object", properties: { error: { type: "string" } } } } },
+            },
+        },
+    },
+};
+
+module.exports = { openapi };
@@ -0,0 +1,197 @@
+// services/indexer/EventIndexer.js
+// Indexes T3Token and CustodianRegistry events into an embedded store, following reorgs by block hash
+
+// Events indexed per contract; TransferRecorded links each TransferWithFee to its transfer ID
+const INDEXED_EVENTS = {
+    T3Token: [
+        "TransferWithFee",
+        "TransferRecorded",
+        "TransferReversed",
+        "ReversalRequested",
+        "ReversalRequestAccepted",
+        "ReversalRequestContested",
+        "DisputeOpened",
+        "DisputeResolved",
+        "HalfLifeExpired",
+        "LoyaltyRefundProcessed",
+        "RiskFactorUpdated",
+        "AbnormalFlagCleared",
+        "RiskProfileReset",
+        "TokensMinted",
+        "TokensRedeemed",
+        "RedemptionRequested",
+        "RedemptionConfirmed",
+        "RedemptionRejected",
+        "WalletFrozen",
+        "WalletUnfrozen",
+        "FundsSeized",
+        "RecoveryAddressUpdated",
+        "AuthorizationUsed",
+        "AuthorizationCanceled",
+        "InterbankLiabilityRecorded",
+        "InterbankLiabilityCleared",
+        "InterbankSettlementCycleSettled",
+    ],
+    CustodianRegistry: ["WalletRegistered", "WalletUnregistered", "KYCStatusUpdated"],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Event arguments as JSON-safe values: integers become decimal strings
+function toRow(contractName, log, parsed) {
+    const args = {};
+    const wallets = [];
+    parsed.fragment.inputs.forEach((input, i) => {
+        const value = parsed.args[i];
+        args[input.name] = typeof value === "bigint" ? value.toString() : value;
+        if (input.type === "address" && !wallets.includes(value)) wallets.push(value);
+    });
+    return {
+        id: `${log.blockNumber}:${log.index}`,
+        contract: contractName,
+        name: parsed.name,
+        args,
+        wallets,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+    };
+}
+
+/**
+ * Follows the T3 contracts of a T3Client and stores their events, so a wallet's history can be
+ * answered without replaying the chain. Each sync first checks the hashes of recently indexed blocks
+ * against the chain; on a mismatch it rolls back to the newest block still on the canonical chain
+ * and re-indexes from there. The checkpoint is committed after every block range.
+ */
+class EventIndexer {
+    /**
+     * @param {object} options
+     * @param {import("../../sdk").T3Client} options.client Client whose `token` (and `registry`, if set) are indexed.
+     * @param {import("./JsonEventStore").JsonEventStore} options.store Store to write to; opened by the indexer.
+     * @param {number} [options.fromBlock] First block to index (the deployment block); 0 indexes from genesis.
+     * @param {number} [options.maxBlockRange] Blocks per log query.
+     * @param {number} [options.reorgDepth] How many recent block hashes are kept to find a common ancestor.
+     * @param {Function} [options.log] Progress logger, defaults to console.log.
+     * @param {Function} [options.sleep] Delay between polls, defaults to setTimeout.
+     */
+    constructor({ client, store, fromBlock = 0, maxBlockRange = 2000, reorgDepth = 64, log = console.log, sleep: sleepFn = sleep }) {
+        if (!client) throw new Error("A T3Client is required");
+        if (!store) throw new Error("An event store is required");
+        this.client = client;
+        this.maxBlockRange = maxBlockRange;
+        this.reorgDepth = reorgDepth;
+        this.log = log;
+        this.sleep = sleepFn;
+        this.contracts = [{ name: "T3Token", contract: client.token }];
+        if (client.registry) this.contracts.push({ name: "CustodianRegistry", contract: client.registry });
+        this.store = store.open({
+            contracts: { token: client.token.target, registry: client.registry ? client.registry.target : null },
+            fromBlock,
+        });
+        this._running = false;
+    }
+
+    get provider() {
+        return this.client.runner.provider || this.client.runner;
+    }
+
+    /**
+     * Indexes from the checkpoint to the latest block, after undoing any reorged blocks.
+     * @returns {Promise<{fromBlock, toBlock, indexed: number, reorg: {ancestor: number, removed: number}|null}>}
+     */
+    async sync() {
+        const reorg = await this._handleReorg();
+        const fromBlock = this.store.nextBlock;
+        const toBlock = await this.provider.getBlockNumber();
+        let indexed = 0;
+        for (let start = fromBlock; start <= toBlock; start += this.maxBlockRange) {
+            const end = Math.min(start + this.maxBlockRange - 1, toBlock);
+            const [logs, endBlock] = await Promise.all([
+                this.provider.getLogs({ address: this.contracts.map(({ contract }) => contract.target), fromBlock: start, toBlock: end }),
+                this.provider.getBlock(end),
+            ]);
+            const rows = [];
+            for (const log of logs) {
+                const source = this.contracts.find(({ contract }) => contract.target.toLowerCase() === log.address.toLowerCase());
+                const parsed = source.contract.interface.parseLog(log);
+                if (!parsed || !INDEXED_EVENTS[source.name].includes(parsed.name)) continue;
+                rows.push(toRow(source.name, log, parsed));
+                this.store.recordBlock(log.blockNumber, log.blockHash);
+            }
+            this.store.addEvents(rows);
+            this.store.recordBlock(end, endBlock.hash, end - this.reorgDepth);
+            this.store.nextBlock = end + 1;
+            this.store.commit();
+            indexed += rows.length;
+        }
+        return { fromBlock, toBlock, indexed, reorg };
+    }
+
+    /** Drops the whole store and indexes again from its first block. */
+    async rebuild() {
+        this.store.reset();
+        this.store.commit();
+        this.log(`🔁 Rebuilding index from block ${this.store.nextBlock}`);
+        return this.sync();
+    }
+
+    /**
+     * Events of `wallet` (any address argument) in chain order. Integer arguments are decimal strings.
+     * @param {string} wallet
+     * @param {object} [filter] `name`, `contract`, `fromBlock` and `toBlock` as accepted by the store.
+     */
+    history(wallet, filter = {}) {
+        return this.store.query({ ...filter, wallet });
+    }
+
+    /**
+     * Syncs every `intervalMs` until stop() is called. Errors of a sync are logged and the loop continues.
+     * @param {object} [options]
+     * @param {number} [options.intervalMs] Delay between syncs.
+     */
+    async start({ intervalMs = 5000 } = {}) {
+        this._running = true;
+        this.log(`🚀 Indexer following ${this.contracts.map(({ name, contract }) => `${name} ${contract.target}`).join(", ")} from block ${this.store.nextBlock}`);
+        while (this._running) {
+            try {
+                const result = await this.sync();
+                if (result.indexed) this.log(`✅ Indexed ${result.indexed} event(s) up to block ${result.toBlock}`);
+            } catch (err) {
+                this.log(`❌ Sync failed: ${err.message}`);
+            }
+            if (this._running) await this.sleep(intervalMs);
+        }
+        this.log("🛑 Indexer stopped");
+    }
+
+    /** Ends the start() loop after the current sync. */
+    stop() {
+        this._running = false;
+    }
+
+    // Walks the recorded hashes back to the newest block still on the chain and rolls the store back to it
+    async _handleReorg() {
+        const recorded = this.store.blockHashes();
+        if (recorded.length === 0) return null;
+        for (const [blockNumber, hash] of recorded) {
+            const block = await this.provider.getBlock(blockNumber);
+            if (block && block.hash === hash) {
+                if (blockNumber === recorded[0][0]) return null;
+                const removed = this.store.rollback(blockNumber);
+                this.store.commit();
+                this.log(`⚠️ Reorg detected: rolled back to block ${blockNumber}, ${removed} event(s) removed`);
+                return { ancestor: blockNumber, removed };
+            }
+        }
+        // No recorded block survived: the fork is deeper than reorgDepth
+        const removed = this.store.size;
+        this.store.reset();
+        this.store.commit();
+        this.log(`⚠️ Reorg deeper than ${this.reorgDepth} blocks: re-indexing from block ${this.store.nextBlock}`);
+        return { ancestor: null, removed };
+    }
+}
+
+module.exports = { EventIndexer, INDEXED_EVENTS };
@@ -0,0 +1,193 @@
+// services/indexer/JsonEventStore.js
+// Embedded, file-backed store for indexed events (no native database dependency)
+const fs = require("fs");
+const path = require("path");
+const { getAddress } = require("ethers");
+
+const STORE_SCHEMA = 2;
+
+const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+/**
+ * Keeps indexed events, the block hashes used for reorg detection and the sync checkpoint in memory.
+ * On commit() new events are appended to an event log next to `file` (one JSON row per line) and only the
+ * small JSON document at `file` (checkpoint, block hashes, committed log length) is rewritten, so each
+ * block range costs its own rows rather than the whole store. Without a file the store is memory-only.
+ * Rows are kept in chain order (block number, then log index) by adding them in that order.
+ */
+class JsonEventStore {
+    /** @param {string|null} [file] JSON file backing the store; events go to `<file>.events.ndjson` beside it. */
+    constructor(file = null) {
+        this.file = file;
+        this.eventsFile = file ? file.replace(/(\.json)?$/, ".events.ndjson") : null;
+        this.data = null;
+        this.events = [];
+        this._offsets = []; // byte offset of each committed row in the event log
+        this._committed = 0; // rows written to the event log
+        this._truncateTo = null; // log length to cut back to on the next commit, after a rollback or reset
+    }
+
+    /**
+     * Loads the store, or starts an empty one at `fromBlock`. A store written for other contracts is rejected.
+     * Rows logged after the last committed checkpoint (a crash between the two writes) are discarded.
+     * @param {object} options
+     * @param {{token: string, registry: string|null}} options.contracts Addresses being indexed.
+     * @param {number} [options.fromBlock] First block to index for a new store.
+     */
+    open({ contracts, fromBlock = 0 }) {
+        this.events = [];
+        this._offsets = [];
+        this._committed = 0;
+        this._truncateTo = null;
+        if (this.file && fs.existsSync(this.file)) {
+            const data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+            const same = (a, b) => (a || "").toLowerCase() === (b || "").toLowerCase();
+            if (!same(data.contracts.token, contracts.token) || !same(data.contracts.registry, contracts.registry)) {
+                throw new Error(`Store ${this.file} indexes token ${data.contracts.token} / registry ${data.contracts.registry}`);
+            }
+            if (data.events) {
+                // Schema 1 kept the events inside the document: move them to the log on the next commit
+                this.events = data.events;
+                delete data.events;
+                data.eventsBytes = 0;
+            } else {
+                this._readEventLog(data.eventsBytes);
+            }
+            this._truncateTo = data.eventsBytes;
+            this.data = { ...data, schema: STORE_SCHEMA };
+        } else {
+            this.data = { schema: STORE_SCHEMA, contracts, fromBlock, nextBlock: fromBlock, blocks: {}, eventsBytes: 0 };
+            if (this.file) this._truncateTo = 0;
+        }
+        return this;
+    }
+
+    _readEventLog(length) {
+        if (!length) return;
+        const buffer = fs.readFileSync(this.eventsFile).subarray(0, length);
+        let offset = 0;
+        while (offset < buffer.length) {
+            const end = buffer.indexOf(0x0a, offset);
+            this._offsets.push(offset);
+            this.events.push(JSON.parse(buffer.toString("utf8", offset, end)));
+            offset = end + 1;
+        }
+        this._committed = this.events.length;
+    }
+
+    /** First block not yet indexed. */
+    get nextBlock() {
+        return this.data.nextBlock;
+    }
+
+    set nextBlock(blockNumber) {
+        this.data.nextBlock = blockNumber;
+    }
+
+    /** Number of events stored. */
+    get size() {
+        return this.events.length;
+    }
+
+    /** Remembers the hash of an indexed block, forgetting those older than `keepFrom`. */
+    recordBlock(blockNumber, hash, keepFrom = 0) {
+        this.data.blocks[blockNumber] = hash;
+        for (const number of Object.keys(this.data.blocks)) {
+            if (Number(number) < keepFrom) delete this.data.blocks[number];
+        }
+    }
+
+    /** Recorded `[blockNumber, hash]` pairs, newest first. */
+    blockHashes() {
+        return Object.entries(this.data.blocks).map(([number, hash]) => [Number(number), hash]).sort((a, b) => b[0] - a[0]);
+    }
+
+    /**
+     * Appends the event rows of the next block range, ignoring rows already stored (at or before the last
+     * stored block and log index). Ranges must be added in block order; only the new rows are sorted.
+     */
+    addEvents(rows) {
+        const last = this.events[this.events.length - 1];
+        const fresh = rows.filter((row) => !last || byChainOrder(row, last) > 0).sort(byChainOrder);
+        for (const row of fresh) this.events.push(row);
+    }
+
+    /**
+     * Drops everything indexed after `blockNumber` and moves the checkpoint back to the next block.
+     * @returns {number} Number of events removed.
+     */
+    rollback(blockNumber) {
+        const before = this.events.length;
+        let keep = before;
+        while (keep > 0 && this.events[keep - 1].blockNumber > blockNumber) keep--;
+        this._truncate(keep);
+        for (const number of Object.keys(this.data.blocks)) {
+            if (Number(number) > blockNumber) delete this.data.blocks[number];
+        }
+        this.data.nextBlock = blockNumber + 1;
+        return before - keep;
+    }
+
+    /** Empties the store so indexing restarts at its first block. */
+    reset() {
+        this._truncate(0);
+        this.data = { ...this.data, nextBlock: this.data.fromBlock, blocks: {} };
+    }
+
+    // Events are a suffix of the log from `keep` on, so the log is cut back rather than rewritten
+    _truncate(keep) {
+        this.events.length = keep;
+        if (keep < this._committed) {
+            this._truncateTo = this._offsets[keep];
+            this._offsets.length = keep;
+            this._committed = keep;
+        }
+    }
+
+    /**
+     * Returns stored events in chain order.
+     * @param {object} [filter]
+     * @param {string} [filter.wallet] Only events with this address among their arguments.
+     * @param {string|string[]} [filter.name] Event name(s).
+     * @param {"T3Token"|"CustodianRegistry"} [filter.contract]
+     * @param {number} [filter.fromBlock]
+     * @param {number} [filter.toBlock]
+     */
+    query({ wallet, name, contract, fromBlock = 0, toBlock = Infinity } = {}) {
+        const account = wallet ? getAddress(wallet) : null;
+        const names = name ? [].concat(name) : null;
+        return this.events.filter((row) =>
+            row.blockNumber >= fromBlock && row.blockNumber <= toBlock
+            && (!account || row.wallets.includes(account))
+            && (!names || names.includes(row.name))
+            && (!contract || row.contract === contract));
+    }
+
+    // Appends the uncommitted rows to the log, then writes the document through a temporary file. The document
+    // records the committed log length, so a crash in between never exposes rows past the checkpoint.
+    commit() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        let length = this.data.eventsBytes;
+        if (this._truncateTo !== null) {
+            length = this._truncateTo;
+            if (fs.existsSync(this.eventsFile) || length > 0) fs.truncateSync(this.eventsFile, length);
+            this._truncateTo = null;
+        }
+        const lines = [];
+        for (let i = this._committed; i < this.events.length; i++) {
+            const line = JSON.stringify(this.events[i]) + "\n";
+            this._offsets.push(length);
+            length += Buffer.byteLength(line);
+            lines.push(line);
+        }
+        if (lines.length || !fs.existsSync(this.eventsFile)) fs.appendFileSync(this.eventsFile, lines.join(""));
+        this._committed = this.events.length;
+        this.data.eventsBytes = length;
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data) + "\n");
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = { JsonEventStore };
@@ -0,0 +1,51 @@
+// services/indexer/index.js
+// Runs the T3 event indexer against RPC_URL: node services/indexer/index.js [--once] [--rebuild] [--wallet 0x...]
+//
+// Environment:
+//   RPC_URL                       JSON-RPC endpoint
+//   T3_CONTRACT_ADDRESS           Used when deployments/<chainId>.json has no T3Token entry
+//   CUSTODIAN_REGISTRY_ADDRESS    Used when deployments/<chainId>.json has no CustodianRegistry entry
+//   INDEXER_DB_FILE               Event store, defaults to services/indexer/data/<chainId>.json
+//   INDEXER_FROM_BLOCK            First block of a new store, defaults to the manifest's deployment block (0 = genesis)
+//   INDEXER_INTERVAL_MS           Delay between syncs, defaults to 5000
+const path = require("path");
+require("dotenv").config();
+const { T3Client, loadDeployment } = require("../../sdk");
+const { EventIndexer } = require("./EventIndexer");
+const { JsonEventStore } = require("./JsonEventStore");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const walletIndex = args.indexOf("--wallet");
+    const wallet = walletIndex >= 0 ? args[walletIndex + 1] : null;
+    const env = process.env;
+
+    const client = await T3Client.fromDeployment();
+    const { chainId } = await (client.runner.provider || client.runner).getNetwork();
+    const contracts = loadDeployment(chainId)?.contracts || {};
+    const deployedAt = Math.min(contracts.T3Token?.blockNumber ?? 0, contracts.CustodianRegistry?.blockNumber ?? Infinity);
+
+    const indexer = new EventIndexer({
+        client,
+        store: new JsonEventStore(env.INDEXER_DB_FILE || path.join(__dirname, "data", `${chainId}.json`)),
+        fromBlock: env.INDEXER_FROM_BLOCK ? Number(env.INDEXER_FROM_BLOCK) : deployedAt,
+    });
+
+    if (args.includes("--rebuild") || args.includes("--once") || wallet) {
+        const result = args.includes("--rebuild") ? await indexer.rebuild() : await indexer.sync();
+        console.log(`ℹ️ Indexed ${result.indexed} event(s) in blocks ${result.fromBlock}-${result.toBlock} (${indexer.store.size} stored)`);
+        if (wallet) {
+            for (const row of indexer.history(wallet)) {
+                console.log(`  - #${row.blockNumber} ${row.name} ${JSON.stringify(row.args)}`);
+            }
+        }
+        return;
+    }
+    for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, () => indexer.stop());
+    await indexer.start({ intervalMs: env.INDEXER_INTERVAL_MS ? Number(env.INDEXER_INTERVAL_MS) : undefined });
+}
+
+main().catch((error) => {
+    console.error("❌ Indexer failed:", error);
+    process.exitCode = 1;
+});
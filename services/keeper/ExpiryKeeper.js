@@ -0,0 +1,237 @@
+// services/keeper/ExpiryKeeper.js
+// Follows T3Token transfers and settles HalfLife windows once they close
+const fs = require("fs");
+const path = require("path");
+
+const STATE_SCHEMA = 1;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Off-chain keeper for HalfLife expiry. Each tick it reads new TransferRecorded events, tracks every
+ * recipient's open windows and their `commitWindowEnd`, and settles wallets whose windows have closed
+ * through `checkHalfLifeExpiryBatch`. Each batch is simulated first and only sent if it settles something.
+ *
+ * The block cursor and tracked windows are persisted to `stateFile` after every tick, so a restarted
+ * keeper resumes where it stopped. Windows held by a reversal request or dispute do not settle; their
+ * wallet is re-checked after `heldRecheckSeconds` of chain time.
+ */
+class ExpiryKeeper {
+    /**
+     * @param {object} options
+     * @param {import("../../sdk").T3Client} options.client Client bound to the keeper's signer (a provider is enough in dry-run mode).
+     * @param {string} [options.stateFile] JSON file holding the cursor and tracked windows; state is kept in memory only if omitted.
+     * @param {number} [options.fromBlock] First block to scan when no state exists (the T3Token deployment block).
+     * @param {number} [options.maxBlockRange] Blocks per event query.
+     * @param {number} [options.batchSize] Wallets per checkHalfLifeExpiryBatch transaction.
+     * @param {number} [options.heldRecheckSeconds] Chain time before a wallet with held windows is tried again.
+     * @param {boolean} [options.dryRun] Log the batches that would be sent without sending them.
+     * @param {object} [options.retry] `maxAttempts`, `baseDelayMs` and `maxDelayMs` of the exponential backoff.
+     * @param {Function} [options.log] Progress logger, defaults to console.log.
+     * @param {Function} [options.sleep] Delay function used for backoff and polling, defaults to setTimeout.
+     */
+    constructor({
+        client,
+        stateFile = null,
+        fromBlock = 0,
+        maxBlockRange = 5000,
+        batchSize = 50,
+        heldRecheckSeconds = 3600,
+        dryRun = false,
+        retry = {},
+        log = console.log,
+        sleep: sleepFn = sleep,
+    }) {
+        if (!client) throw new Error("A T3Client is required");
+        this.client = client;
+        this.stateFile = stateFile;
+        this.maxBlockRange = maxBlockRange;
+        this.batchSize = batchSize;
+        this.heldRecheckSeconds = heldRecheckSeconds;
+        this.dryRun = dryRun;
+        this.retry = { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 60000, ...retry };
+        this.log = log;
+        this.sleep = sleepFn;
+        this.state = this._loadState(fromBlock);
+        this._running = false;
+    }
+
+    get provider() {
+        return this.client.runner.provider || this.client.runner;
+    }
+
+    /** Wallets currently tracked, with their open windows as `{ transferId: commitWindowEnd }`. */
+    get wallets() {
+        return this.state.wallets;
+    }
+
+    /**
+     * Runs one poll: syncs new transfers up to the latest block, then settles every wallet with a closed window.
+     * @returns {Promise<{fromBlock, toBlock, tracked: number, due: string[], batches: Array<{wallets, hash?, settled?, skipped?, dryRun?, error?}>}>}
+     */
+    async tick() {
+        const { fromBlock, toBlock, tracked } = await this.sync();
+        const { due, batches } = await this.settleDue();
+        return { fromBlock, toBlock, tracked, due, batches };
+    }
+
+    /**
+     * Reads TransferRecorded / HalfLifeExpired events from the cursor to the latest block and records
+     * each recipient's window, dropping the windows already settled. The cursor only advances once the
+     * range is fully processed.
+     */
+    async sync() {
+        const fromBlock = this.state.nextBlock;
+        const toBlock = await this.provider.getBlockNumber();
+        let tracked = 0;
+        for (let start = fromBlock; start <= toBlock; start += this.maxBlockRange) {
+            const end = Math.min(start + this.maxBlockRange - 1, toBlock);
+            const { token } = this.client;
+            const [records, expiries] = await this._withRetry(`read events ${start}-${end}`, () => Promise.all([
+                token.queryFilter(token.filters.TransferRecorded(), start, end),
+                token.queryFilter(token.filters.HalfLifeExpired(), start, end),
+            ]));
+            // In chain order, so a window settled within the range (e.g. one taken without a window) is dropped
+            const logs = [...records, ...expiries].sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+            for (const log of logs) {
+                if (log.fragment.name === "TransferRecorded") {
+                    this._track(log.args.recipient, log.args.transferId, Number(log.args.commitWindowEnd));
+                    tracked++;
+                } else {
+                    this._untrack(log.args.wallet, log.args.transferId);
+                }
+            }
+            this.state.nextBlock = end + 1;
+            this._saveState();
+        }
+        return { fromBlock, toBlock, tracked };
+    }
+
+    /**
+     * Settles the wallets whose earliest window has closed, in batches of `batchSize`. A batch that keeps
+     * failing after all retries is logged and left for the next tick; the other batches still go out.
+     */
+    async settleDue() {
+        const now = (await this.provider.getBlock("latest")).timestamp;
+        const due = Object.entries(this.state.wallets)
+            .filter(([, entry]) => entry.recheckAt <= now && Object.values(entry.windows).some((end) => end <= now))
+            .map(([wallet]) => wallet);
+        const batches = [];
+        for (let i = 0; i < due.length; i += this.batchSize) {
+            const wallets = due.slice(i, i + this.batchSize);
+            try {
+                // Windows may have been reversed, settled by their wallet's own activity or held since they were read
+                const settleable = await this._withRetry(`simulate settling ${wallets.length} wallet(s)`,
+                    () => this.client.token.checkHalfLifeExpiryBatch.staticCall(wallets));
+                if (settleable === 0n) {
+                    this.log(`⏭️ Nothing to settle for ${wallets.length} wallet(s), not sending`);
+                    await this._refresh(wallets, now);
+                    batches.push({ wallets, skipped: true });
+                    continue;
+                }
+                if (this.dryRun) {
+                    this.log(`🔍 [dry-run] Would settle ${settleable} transfer(s) across ${wallets.length} wallet(s): ${wallets.join(", ")}`);
+                    batches.push({ wallets, dryRun: true });
+                    continue;
+                }
+                const result = await this._withRetry(`settle ${wallets.length} wallet(s)`, () => this.client.expireBatch(wallets));
+                this.log(`✅ Settled ${result.settled.length} transfer(s) across ${wallets.length} wallet(s) (tx ${result.hash})`);
+                await this._refresh(wallets, now);
+                batches.push({ wallets, hash: result.hash, settled: result.settled });
+            } catch (err) {
+                this.log(`❌ Giving up on ${wallets.length} wallet(s) until the next tick: ${err.message}`);
+                batches.push({ wallets, error: err.message });
+            }
+        }
+        this._saveState();
+        return { due, batches };
+    }
+
+    /**
+     * Polls every `intervalMs` until stop() is called. Errors of a tick are logged and the loop continues.
+     * @param {object} [options]
+     * @param {number} [options.intervalMs] Delay between ticks.
+     */
+    async start({ intervalMs = 15000 } = {}) {
+        this._running = true;
+        this.log(`🚀 Expiry keeper following ${this.client.token.target} from block ${this.state.nextBlock}${this.dryRun ? " (dry-run)" : ""}`);
+        while (this._running) {
+            try {
+                await this.tick();
+            } catch (err) {
+                this.log(`❌ Tick failed: ${err.message}`);
+            }
+            if (this._running) await this.sleep(intervalMs);
+        }
+        this.log("🛑 Expiry keeper stopped");
+    }
+
+    /** Ends the start() loop after the current tick. */
+    stop() {
+        this._running = false;
+    }
+
+    // Re-reads the open windows of settled wallets: windows that did not settle are held, so the wallet waits
+    async _refresh(wallets, now) {
+        for (const wallet of wallets) {
+            const pending = await this._withRetry(`read open transfers of ${wallet}`, () => this.client.getPendingTransfers(wallet));
+            const windows = Object.fromEntries(pending.map((t) => [String(t.transferId), t.commitWindowEnd]));
+            if (Object.keys(windows).length === 0) {
+                delete this.state.wallets[wallet];
+                continue;
+            }
+            const held = Object.values(windows).some((end) => end <= now);
+            this.state.wallets[wallet] = { windows, recheckAt: held ? now + this.heldRecheckSeconds : 0 };
+        }
+    }
+
+    _untrack(wallet, transferId) {
+        const entry = this.state.wallets[wallet];
+        if (!entry) return;
+        delete entry.windows[String(transferId)];
+        if (Object.keys(entry.windows).length === 0) delete this.state.wallets[wallet];
+    }
+
+    _track(recipient, transferId, commitWindowEnd) {
+        const entry = this.state.wallets[recipient] || (this.state.wallets[recipient] = { windows: {}, recheckAt: 0 });
+        entry.windows[String(transferId)] = commitWindowEnd;
+        // A new window is a new reason to look at the wallet
+        entry.recheckAt = 0;
+    }
+
+    // Runs `fn`, retrying with exponential backoff; the last error is rethrown
+    async _withRetry(label, fn) {
+        const { maxAttempts, baseDelayMs, maxDelayMs } = this.retry;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await fn();
+            } catch (err) {
+                if (attempt >= maxAttempts) throw err;
+                const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+                this.log(`⚠️ Could not ${label} (attempt ${attempt}/${maxAttempts}): ${err.message}; retrying in ${delay}ms`);
+                await this.sleep(delay);
+            }
+        }
+    }
+
+    _loadState(fromBlock) {
+        const fresh = { schema: STATE_SCHEMA, token: this.client.token.target, nextBlock: fromBlock, wallets: {} };
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return fresh;
+        const state = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+        if (state.token.toLowerCase() !== fresh.token.toLowerCase()) {
+            throw new Error(`State file ${this.stateFile} belongs to token ${state.token}, not ${fresh.token}`);
+        }
+        return state;
+    }
+
+    // Writes through a temporary file so a crash never leaves a truncated state behind
+    _saveState() {
+        if (!this.stateFile) return;
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const tmp = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2) + "\n");
+        fs.renameSync(tmp, this.stateFile);
+    }
+}
+
+module.exports = { ExpiryKeeper };
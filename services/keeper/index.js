@@ -0,0 +1,47 @@
+// services/keeper/index.js
+// Runs the HalfLife expiry keeper against RPC_URL: node services/keeper/index.js [--dry-run] [--once]
+//
+// Environment:
+//   RPC_URL                 JSON-RPC endpoint
+//   KEEPER_PRIVATE_KEY      Signer paying for expiry transactions (not needed with --dry-run)
+//   T3_CONTRACT_ADDRESS     Used when deployments/<chainId>.json has no T3Token entry
+//   KEEPER_STATE_FILE       Cursor and tracked windows, defaults to services/keeper/state/<chainId>.json
+//   KEEPER_FROM_BLOCK       First block to scan without a state file, defaults to the manifest's deployment block
+//   KEEPER_INTERVAL_MS      Delay between polls, defaults to 15000
+//   KEEPER_BATCH_SIZE       Wallets per checkHalfLifeExpiryBatch transaction, defaults to 50
+const path = require("path");
+require("dotenv").config();
+const { T3Client, loadDeployment } = require("../../sdk");
+const { ExpiryKeeper } = require("./ExpiryKeeper");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes("--dry-run");
+    const once = args.includes("--once");
+    const env = process.env;
+
+    const client = await T3Client.fromDeployment({ keyVar: dryRun ? undefined : "KEEPER_PRIVATE_KEY" });
+    const { chainId } = await (client.runner.provider || client.runner).getNetwork();
+    const deployedAt = loadDeployment(chainId)?.contracts?.T3Token?.blockNumber || 0;
+
+    const keeper = new ExpiryKeeper({
+        client,
+        stateFile: env.KEEPER_STATE_FILE || path.join(__dirname, "state", `${chainId}.json`),
+        fromBlock: env.KEEPER_FROM_BLOCK ? Number(env.KEEPER_FROM_BLOCK) : deployedAt,
+        batchSize: env.KEEPER_BATCH_SIZE ? Number(env.KEEPER_BATCH_SIZE) : undefined,
+        dryRun,
+    });
+
+    if (once) {
+        const result = await keeper.tick();
+        console.log(`ℹ️ Synced blocks ${result.fromBlock}-${result.toBlock}, ${result.due.length} wallet(s) due`);
+        return;
+    }
+    for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, () => keeper.stop());
+    await keeper.start({ intervalMs: env.KEEPER_INTERVAL_MS ? Number(env.KEEPER_INTERVAL_MS) : undefined });
+}
+
+main().catch((error) => {
+    console.error("❌ Keeper failed:", error);
+    process.exitCode = 1;
+});
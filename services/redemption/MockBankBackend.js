@@ -0,0 +1,67 @@
+// services/redemption/MockBankBackend.js
+// Stand-in for a custodian's core banking system: pays redemption tickets out and settles them on-chain
+const { getAddress } = require("ethers");
+
+/**
+ * Handles redemption tickets from RedemptionListener the way a bank backend would: looks up the holder's
+ * fiat account, books the payout keyed by the ticket's reference ID, then confirms the redemption on-chain
+ * (burning the escrow). Holders without an account, or payouts above `maxPayout`, are rejected on-chain and
+ * the escrow goes back to the holder. Tickets are idempotent by reference ID, so redelivered tickets never
+ * pay twice.
+ */
+class MockBankBackend {
+    /**
+     * @param {object} options
+     * @param {import("../../sdk").T3Client} options.client Client bound to the custodian's signer.
+     * @param {Object<string, string>} [options.accounts] Fiat account (e.g. IBAN) of each holder address.
+     * @param {bigint} [options.maxPayout] Largest payout in wei; unlimited if omitted.
+     * @param {Function} [options.log] Progress logger, defaults to console.log.
+     */
+    constructor({ client, accounts = {}, maxPayout = null, log = console.log }) {
+        if (!client) throw new Error("A T3Client is required");
+        this.client = client;
+        this.accounts = new Map(Object.entries(accounts).map(([holder, account]) => [getAddress(holder), account]));
+        this.maxPayout = maxPayout === null ? null : BigInt(maxPayout);
+        this.log = log;
+        // Booked payouts by reference ID: { referenceId, redemptionId, account, amount, paidAt, hash }
+        this.payouts = new Map();
+    }
+
+    /**
+     * Pays out or rejects one ticket.
+     * @returns {Promise<{outcome: "confirmed"|"rejected", referenceId, hash, payout?, rejectionCode?}>}
+     */
+    async handle(ticket) {
+        const booked = this.payouts.get(ticket.referenceId);
+        if (booked && booked.hash) return { outcome: "confirmed", referenceId: ticket.referenceId, hash: booked.hash, payout: booked };
+
+        if (!booked) {
+            const account = this.accounts.get(getAddress(ticket.holder));
+            if (!account) return this._reject(ticket, "NO_BANK_ACCOUNT");
+            if (this.maxPayout !== null && BigInt(ticket.amount) > this.maxPayout) return this._reject(ticket, "LIMIT_EXCEEDED");
+            this.payouts.set(ticket.referenceId, {
+                referenceId: ticket.referenceId,
+                redemptionId: ticket.redemptionId,
+                account,
+                amount: ticket.amount,
+                paidAt: new Date().toISOString(),
+                hash: null,
+            });
+            this.log(`🏦 Paid ${ticket.amount} wei to ${account} (ref ${ticket.referenceId})`);
+        }
+        // The fiat is booked first; a failed confirmation is retried on redelivery without paying again
+        const payout = this.payouts.get(ticket.referenceId);
+        const result = await this.client.confirmRedemption(ticket.redemptionId);
+        payout.hash = result.hash;
+        this.log(`✅ Confirmed redemption #${ticket.redemptionId} (tx ${result.hash})`);
+        return { outcome: "confirmed", referenceId: ticket.referenceId, hash: result.hash, payout };
+    }
+
+    async _reject(ticket, rejectionCode) {
+        const result = await this.client.rejectRedemption({ redemptionId: ticket.redemptionId, rejectionCode });
+        this.log(`↩️ Rejected redemption #${ticket.redemptionId} (ref ${ticket.referenceId}): ${rejectionCode} (tx ${result.hash})`);
+        return { outcome: "rejected", referenceId: ticket.referenceId, hash: result.hash, rejectionCode };
+    }
+}
+
+module.exports = { MockBankBackend };
@@ -0,0 +1,169 @@
+// services/redemption/RedemptionListener.js
+// Turns RedemptionRequested events into payout tickets for a custodian's core banking system
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+const STATE_SCHEMA = 1;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Follows RedemptionRequested events (for one custodian, or all of them) and emits a `ticket` for each
+ * request still pending on-chain. Tickets stay tracked until the request is confirmed or rejected, which
+ * emits `resolved`; tickets still open when the listener restarts are emitted again with `redelivered: true`,
+ * so a backend must treat `referenceId` as an idempotency key.
+ *
+ * Events: `ticket` (ticket), `resolved` ({ ...ticket, status, rejectionCode }).
+ * Tickets are JSON-safe: IDs and amounts are decimal strings.
+ */
+class RedemptionListener extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {import("../../sdk").T3Client} options.client Client for T3Token; a provider is enough.
+     * @param {string} [options.custodian] Only follow requests naming this custodian.
+     * @param {string} [options.stateFile] JSON file holding the cursor and open tickets; state is kept in memory only if omitted.
+     * @param {number} [options.fromBlock] First block to scan when no state exists (the T3Token deployment block).
+     * @param {number} [options.maxBlockRange] Blocks per event query.
+     * @param {Function} [options.log] Progress logger, defaults to console.log.
+     * @param {Function} [options.sleep] Delay function used for polling, defaults to setTimeout.
+     */
+    constructor({ client, custodian = null, stateFile = null, fromBlock = 0, maxBlockRange = 5000, log = console.log, sleep: sleepFn = sleep }) {
+        super();
+        if (!client) throw new Error("A T3Client is required");
+        this.client = client;
+        this.custodian = custodian;
+        this.stateFile = stateFile;
+        this.maxBlockRange = maxBlockRange;
+        this.log = log;
+        this.sleep = sleepFn;
+        this.state = this._loadState(fromBlock);
+        // Open tickets loaded from a previous run are delivered again by the first poll
+        this._redeliver = Object.keys(this.state.open).length > 0;
+        this._running = false;
+    }
+
+    get provider() {
+        return this.client.runner.provider || this.client.runner;
+    }
+
+    /** Tickets emitted and not yet confirmed or rejected, by redemption ID. */
+    get openTickets() {
+        return this.state.open;
+    }
+
+    /**
+     * Runs one poll: re-checks open tickets, then reads new requests up to the latest block.
+     * @returns {Promise<{fromBlock, toBlock, tickets: object[], resolved: object[]}>}
+     */
+    async poll() {
+        const resolved = await this._checkOpen();
+        const tickets = [];
+        if (this._redeliver) {
+            this._redeliver = false;
+            for (const ticket of Object.values(this.state.open)) tickets.push(this._emitTicket({ ...ticket, redelivered: true }));
+        }
+
+        const fromBlock = this.state.nextBlock;
+        const toBlock = await this.provider.getBlockNumber();
+        const { token } = this.client;
+        for (let start = fromBlock; start <= toBlock; start += this.maxBlockRange) {
+            const end = Math.min(start + this.maxBlockRange - 1, toBlock);
+            const logs = await token.queryFilter(token.filters.RedemptionRequested(null, null, this.custodian), start, end);
+            for (const log of logs) {
+                const redemption = await this.client.getRedemption(log.args.redemptionId);
+                // Requests resolved before we saw them need no payout
+                if (redemption.status !== "Requested") continue;
+                const ticket = toTicket(redemption, log);
+                this.state.open[ticket.redemptionId] = ticket;
+                tickets.push(this._emitTicket(ticket));
+            }
+            this.state.nextBlock = end + 1;
+            this._saveState();
+        }
+        return { fromBlock, toBlock, tickets, resolved };
+    }
+
+    /**
+     * Polls every `intervalMs` until stop() is called. Errors of a poll are logged and the loop continues.
+     * @param {object} [options]
+     * @param {number} [options.intervalMs] Delay between polls.
+     */
+    async start({ intervalMs = 15000 } = {}) {
+        this._running = true;
+        this.log(`🚀 Redemption listener following ${this.custodian || "every custodian"} from block ${this.state.nextBlock}`);
+        while (this._running) {
+            try {
+                await this.poll();
+            } catch (err) {
+                this.log(`❌ Poll failed: ${err.message}`);
+            }
+            if (this._running) await this.sleep(intervalMs);
+        }
+        this.log("🛑 Redemption listener stopped");
+    }
+
+    /** Ends the start() loop after the current poll. */
+    stop() {
+        this._running = false;
+    }
+
+    _emitTicket(ticket) {
+        this.log(`🎫 Redemption #${ticket.redemptionId} (${ticket.referenceId}): ${ticket.amount} wei from ${ticket.holder}${ticket.redelivered ? " [redelivered]" : ""}`);
+        this.emit("ticket", ticket);
+        return ticket;
+    }
+
+    async _checkOpen() {
+        const resolved = [];
+        for (const ticket of Object.values(this.state.open)) {
+            const redemption = await this.client.getRedemption(ticket.redemptionId);
+            if (redemption.status === "Requested") continue;
+            delete this.state.open[ticket.redemptionId];
+            const result = { ...ticket, status: redemption.status, rejectionCode: redemption.rejectionCode };
+            this.log(`${redemption.status === "Confirmed" ? "✅" : "↩️"} Redemption #${ticket.redemptionId} (${ticket.referenceId}) ${redemption.status.toLowerCase()}`);
+            this.emit("resolved", result);
+            resolved.push(result);
+        }
+        if (resolved.length) this._saveState();
+        return resolved;
+    }
+
+    _loadState(fromBlock) {
+        const fresh = { schema: STATE_SCHEMA, token: this.client.token.target, custodian: this.custodian, nextBlock: fromBlock, open: {} };
+        if (!this.stateFile || !fs.existsSync(this.stateFile)) return fresh;
+        const state = JSON.parse(fs.readFileSync(this.stateFile, "utf8"));
+        if (state.token.toLowerCase() !== fresh.token.toLowerCase()) {
+            throw new Error(`State file ${this.stateFile} belongs to token ${state.token}, not ${fresh.token}`);
+        }
+        if (String(state.custodian).toLowerCase() !== String(fresh.custodian).toLowerCase()) {
+            throw new Error(`State file ${this.stateFile} follows custodian ${state.custodian}, not ${fresh.custodian}`);
+        }
+        return state;
+    }
+
+    // Writes through a temporary file so a crash never leaves a truncated state behind
+    _saveState() {
+        if (!this.stateFile) return;
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const tmp = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2) + "\n");
+        fs.renameSync(tmp, this.stateFile);
+    }
+}
+
+// Payout ticket handed to the bank backend
+function toTicket(redemption, log) {
+    return {
+        redemptionId: redemption.redemptionId.toString(),
+        referenceId: redemption.referenceId,
+        holder: redemption.holder,
+        custodian: redemption.custodian,
+        amount: redemption.amount.toString(),
+        requestedAt: redemption.requestedAt,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+    };
+}
+
+module.exports = { RedemptionListener };
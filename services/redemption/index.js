@@ -0,0 +1,66 @@
+// services/redemption/index.js
+// Feeds redemption tickets of one custodian to the mock bank backend: node services/redemption/index.js [--once]
+//
+// Environment:
+//   RPC_URL                      JSON-RPC endpoint
+//   REDEMPTION_PRIVATE_KEY       Signer of the custodian FI confirming or rejecting its redemptions
+//   T3_CONTRACT_ADDRESS          Used when deployments/<chainId>.json has no T3Token entry
+//   REDEMPTION_STATE_FILE        Cursor and open tickets, defaults to services/redemption/state/<chainId>.json
+//   REDEMPTION_FROM_BLOCK        First block to scan without a state file, defaults to the manifest's deployment block
+//   REDEMPTION_INTERVAL_MS       Delay between polls, defaults to 15000
+//   MOCK_BANK_ACCOUNTS           Comma-separated holder=account pairs, e.g. 0xAlice=DE89370400440532013000
+//   MOCK_BANK_MAX_PAYOUT         Largest payout in T3 (decimal); unlimited if unset
+const path = require("path");
+require("dotenv").config();
+const { parseUnits } = require("ethers");
+const { T3Client, loadDeployment } = require("../../sdk");
+const { RedemptionListener } = require("./RedemptionListener");
+const { MockBankBackend } = require("./MockBankBackend");
+
+function parseAccounts(value = "") {
+    return Object.fromEntries(value.split(",").filter(Boolean).map((pair) => pair.split("=").map((part) => part.trim())));
+}
+
+async function main() {
+    const once = process.argv.includes("--once");
+    const env = process.env;
+
+    const client = await T3Client.fromDeployment({ keyVar: "REDEMPTION_PRIVATE_KEY" });
+    const custodian = await client.runner.getAddress();
+    const { chainId } = await client.runner.provider.getNetwork();
+    const deployedAt = loadDeployment(chainId)?.contracts?.T3Token?.blockNumber || 0;
+
+    const listener = new RedemptionListener({
+        client,
+        custodian,
+        stateFile: env.REDEMPTION_STATE_FILE || path.join(__dirname, "state", `${chainId}.json`),
+        fromBlock: env.REDEMPTION_FROM_BLOCK ? Number(env.REDEMPTION_FROM_BLOCK) : deployedAt,
+    });
+    const bank = new MockBankBackend({
+        client,
+        accounts: parseAccounts(env.MOCK_BANK_ACCOUNTS),
+        maxPayout: env.MOCK_BANK_MAX_PAYOUT ? parseUnits(env.MOCK_BANK_MAX_PAYOUT, 18) : null,
+    });
+    // Handled one at a time so confirmations from the same signer never race for a nonce
+    let queue = Promise.resolve();
+    listener.on("ticket", (ticket) => {
+        queue = queue
+            .then(() => bank.handle(ticket))
+            .catch((err) => console.error(`❌ Ticket ${ticket.referenceId} failed, retried on the next start: ${err.message}`));
+    });
+
+    if (once) {
+        const result = await listener.poll();
+        await queue;
+        console.log(`ℹ️ Scanned blocks ${result.fromBlock}-${result.toBlock}, ${result.tickets.length} ticket(s)`);
+        return;
+    }
+    for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, () => listener.stop());
+    await listener.start({ intervalMs: env.REDEMPTION_INTERVAL_MS ? Number(env.REDEMPTION_INTERVAL_MS) : undefined });
+    await queue;
+}
+
+main().catch((error) => {
+    console.error("❌ Redemption listener failed:", error);
+    process.exitCode = 1;
+});
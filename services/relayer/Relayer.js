@@ -0,0 +1,262 @@
+// services/relayer/Relayer.js
+// Submits signed transfer and reversal authorizations for wallets that hold no ETH
+const { Signature, getAddress, isAddress, isHexString, verifyTypedData } = require("ethers");
+const { AUTHORIZATION_TYPES } = require("../../sdk");
+
+// Rejection of a relay request. `code` is one of INVALID_REQUEST, INVALID_SIGNATURE, RATE_LIMITED,
+// AUTHORIZATION_USED or REJECTED (the contract would revert, see `reason`), all raised before anything
+// was sent, or SEND_FAILED (the node refused the transaction or it failed on-chain)
+class RelayError extends Error {
+    constructor(code, message, { reason = null, retryAfterMs = null, cause } = {}) {
+        super(message);
+        this.name = "RelayError";
+        this.code = code;
+        this.reason = reason;
+        this.retryAfterMs = retryAfterMs;
+        if (cause !== undefined) this.cause = cause;
+    }
+}
+
+function toUint(value, field) {
+    try {
+        const parsed = BigInt(value);
+        if (parsed >= 0n) return parsed;
+    } catch (err) {
+        // Reported below
+    }
+    throw new RelayError("INVALID_REQUEST", `${field} must be a non-negative integer`);
+}
+
+function toBytes32(value, field) {
+    if (!isHexString(value, 32)) throw new RelayError("INVALID_REQUEST", `${field} must be a 0x-prefixed bytes32`);
+    return value;
+}
+
+function toAddress(value, field) {
+    if (!isAddress(value)) throw new RelayError("INVALID_REQUEST", `${field} must be an address`);
+    return getAddress(value);
+}
+
+/**
+ * Relays authorizations signed with T3Client.signTransferAuthorization / signReversalAuthorization,
+ * paying the gas from the client's signer. Each request is checked off-chain first (signature, unused
+ * nonce, per-wallet and overall rate limits) and then simulated, so rejected requests cost nothing and
+ * never use up a transaction nonce.
+ *
+ * Transaction nonces are assigned locally and transactions are sent one at a time, each once the node has
+ * accepted the previous one, so nonces reach the node in order while concurrent requests still do not wait
+ * for each other to be mined. The counter starts from the signer's pending transaction count and is re-read
+ * after any failed send. Run one relayer per signer.
+ */
+class Relayer {
+    /**
+     * @param {object} options
+     * @param {import("../../sdk").T3Client} options.client Client bound to the relayer's funded signer.
+     * @param {object} [options.rateLimit] `maxRequests` relayed per wallet and `maxTotalRequests` for all wallets
+     *   together within any `windowMs`; defaults to 10 per wallet and 100 in all per minute.
+     * @param {Function} [options.now] Clock used for rate limiting, defaults to Date.now.
+     * @param {Function} [options.log] Progress logger, defaults to console.log.
+     */
+    constructor({ client, rateLimit = {}, now = Date.now, log = console.log }) {
+        if (!client) throw new Error("A T3Client is required");
+        if (!client.runner.getAddress) throw new Error("The relayer's client needs a signer");
+        this.client = client;
+        this.rateLimit = { maxRequests: 10, maxTotalRequests: 100, windowMs: 60000, ...rateLimit };
+        this.now = now;
+        this.log = log;
+        this._requests = new Map(); // wallet => timestamps of relayed requests within the window
+        this._allRequests = []; // timestamps of every relayed request within the window
+        this._nonce = null;
+        this._syncing = null;
+        this._lastSend = Promise.resolve();
+        this._domain = null;
+        // Same contracts, sent through _sendInOrder
+        this._sender = client.connect({
+            provider: client.runner.provider,
+            getAddress: () => client.runner.getAddress(),
+            sendTransaction: (tx) => this._sendInOrder(tx),
+        });
+    }
+
+    get provider() {
+        return this.client.runner.provider;
+    }
+
+    /** Address paying for relayed transactions. */
+    async getAddress() {
+        return this.client.runner.getAddress();
+    }
+
+    /**
+     * Relays a transfer authorization signed by `from`.
+     * @param {object} authorization Fields returned by signTransferAuthorization; amounts may be decimal strings.
+     * @returns {Promise<object>} The transferWithAuthorization result of T3Client.
+     */
+    async relayTransfer(authorization = {}) {
+        const message = {
+            from: toAddress(authorization.from, "from"),
+            to: toAddress(authorization.to, "to"),
+            value: toUint(authorization.value, "value"),
+            validAfter: toUint(authorization.validAfter ?? 0, "validAfter"),
+            validBefore: toUint(authorization.validBefore, "validBefore"),
+            nonce: toBytes32(authorization.nonce, "nonce"),
+        };
+        const signer = await this._recoverSigner("TransferWithAuthorization", message, authorization.signature);
+        if (signer !== message.from) throw new RelayError("INVALID_SIGNATURE", `Signature is not from ${message.from}`);
+        const params = { ...message, signature: authorization.signature };
+        return this._relay(signer, message.nonce, "transferWithAuthorization", params);
+    }
+
+    /**
+     * Relays a reversal authorization signed by the transfer's recipient.
+     * @param {object} authorization Fields returned by signReversalAuthorization; amounts may be decimal strings.
+     * @returns {Promise<object>} The reverseWithAuthorization result of T3Client.
+     */
+    async relayReversal(authorization = {}) {
+        const message = {
+            transferId: toUint(authorization.transferId, "transferId"),
+            reversalHash: toBytes32(authorization.reversalHash, "reversalHash"),
+            amount: toUint(authorization.amount ?? 0, "amount"),
+            validAfter: toUint(authorization.validAfter ?? 0, "validAfter"),
+            validBefore: toUint(authorization.validBefore, "validBefore"),
+            nonce: toBytes32(authorization.nonce, "nonce"),
+        };
+        const signer = await this._recoverSigner("ReverseWithAuthorization", message, authorization.signature);
+        // Checked before a rate-limit slot is taken, so signing for transfers of others cannot use up their budget
+        const transfer = await this.client.getTransfer(message.transferId);
+        if (!transfer || signer !== transfer.recipient) {
+            throw new RelayError("INVALID_SIGNATURE", `Signature is not from the recipient of transfer ${message.transferId}`);
+        }
+        const params = { ...message, signature: authorization.signature };
+        return this._relay(signer, message.nonce, "reverseWithAuthorization", params);
+    }
+
+    async _recoverSigner(primaryType, message, signature) {
+        let sig;
+        try {
+            sig = Signature.from(signature);
+        } catch (err) {
+            throw new RelayError("INVALID_REQUEST", "signature must be a 65-byte hex string", { cause: err });
+        }
+        if (!this._domain) this._domain = await this.client.getEip712Domain();
+        try {
+            return verifyTypedData(this._domain, AUTHORIZATION_TYPES[primaryType], message, sig);
+        } catch (err) {
+            // Well-formed bytes that recover no signer, e.g. a zero r or s
+            throw new RelayError("INVALID_SIGNATURE", "Signature does not recover a signer", { cause: err });
+        }
+    }
+
+    async _relay(wallet, authorizationNonce, method, params) {
+        // Rejected requests give their slot back, so replaying a wallet's used authorizations cannot exhaust its limit
+        const releaseSlot = this._takeRateLimitSlot(wallet);
+        try {
+            if (await this.client.getAuthorizationState(wallet, authorizationNonce)) {
+                throw new RelayError("AUTHORIZATION_USED", `Authorization ${authorizationNonce} of ${wallet} was already used or cancelled`);
+            }
+            await this._simulate(method, params);
+        } catch (err) {
+            releaseSlot();
+            throw err;
+        }
+
+        let result;
+        try {
+            result = await this._sender[method](params);
+        } catch (err) {
+            // Nothing was relayed (or it reverted), so the wallet keeps its slot
+            releaseSlot();
+            const decoded = this.client.decodeError(err);
+            throw new RelayError("SEND_FAILED", `Could not relay ${method}: ${decoded.message}`, { reason: decoded.reason || decoded.errorName, cause: decoded });
+        }
+        this.log(`📨 Relayed ${method} for ${wallet}: ${result.hash}`);
+        return result;
+    }
+
+    // Takes the next nonce and sends once the previous transaction is accepted, not mined: a node may refuse
+    // a nonce that arrives ahead of the one before it (e.g. Hardhat when automining)
+    _sendInOrder(tx) {
+        const sent = this._lastSend.then(async () => {
+            const nonce = await this._takeNonce();
+            try {
+                return await this.client.runner.sendTransaction({ ...tx, nonce });
+            } catch (err) {
+                // The nonce may or may not have been used; start again from the node's pending count
+                this._nonce = null;
+                throw err;
+            }
+        });
+        this._lastSend = sent.catch(() => {});
+        return sent;
+    }
+
+    // Runs the call against the latest state so reverts are reported without sending anything
+    async _simulate(method, params) {
+        const { v, r, s } = Signature.from(params.signature);
+        const args = method === "transferWithAuthorization"
+            ? [params.from, params.to, params.value, params.validAfter, params.validBefore, params.nonce, v, r, s]
+            : [params.transferId, params.reversalHash, params.amount, params.validAfter, params.validBefore, params.nonce, v, r, s];
+        try {
+            await this.client.token[method].staticCall(...args);
+        } catch (err) {
+            const decoded = this.client.decodeError(err);
+            throw new RelayError("REJECTED", decoded.message, { reason: decoded.reason || decoded.errorName, cause: decoded });
+        }
+    }
+
+    // Sliding windows per wallet and overall; the slot is taken before any await so concurrent requests cannot overshoot
+    _takeRateLimitSlot(wallet) {
+        const { maxRequests, maxTotalRequests, windowMs } = this.rateLimit;
+        const now = this.now();
+        this._pruneRateLimits(now - windowMs);
+        const recent = this._requests.get(wallet) || [];
+        if (this._allRequests.length >= maxTotalRequests) {
+            throw new RelayError("RATE_LIMITED", `Rate limit of ${maxTotalRequests} requests per ${windowMs} ms reached for the relayer`, {
+                retryAfterMs: this._allRequests[0] + windowMs - now,
+            });
+        }
+        if (recent.length >= maxRequests) {
+            throw new RelayError("RATE_LIMITED", `Rate limit of ${maxRequests} requests per ${windowMs} ms reached for ${wallet}`, {
+                retryAfterMs: recent[0] + windowMs - now,
+            });
+        }
+        recent.push(now);
+        this._requests.set(wallet, recent);
+        this._allRequests.push(now);
+        return () => {
+            const remove = (slots) => {
+                const index = slots.indexOf(now);
+                if (index !== -1) slots.splice(index, 1);
+            };
+            remove(this._allRequests);
+            const slots = this._requests.get(wallet);
+            if (!slots) return;
+            remove(slots);
+            if (slots.length === 0) this._requests.delete(wallet);
+        };
+    }
+
+    // Drops the timestamps at or before `cutoff`, and the wallets left without any
+    _pruneRateLimits(cutoff) {
+        this._allRequests = this._allRequests.filter((time) => time > cutoff);
+        for (const [wallet, slots] of this._requests) {
+            const recent = slots.filter((time) => time > cutoff);
+            if (recent.length === 0) this._requests.delete(wallet);
+            else this._requests.set(wallet, recent);
+        }
+    }
+
+    async _takeNonce() {
+        if (this._nonce === null) {
+            // Callers arriving during a sync share it, then take consecutive nonces
+            this._syncing ||= this.getAddress()
+                .then((address) => this.provider.getTransactionCount(address, "pending"))
+                .then((count) => { this._nonce = count; })
+                .finally(() => { this._syncing = null; });
+            await this._syncing;
+        }
+        return this._nonce++;
+    }
+}
+
+module.exports = { Relayer, RelayError };
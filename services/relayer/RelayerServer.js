@@ -0,0 +1,90 @@
+// services/relayer/RelayerServer.js
+// HTTP front of the meta-transaction relayer
+const http = require("http");
+const { formatEther } = require("ethers");
+const { HttpError } = require("../api/ApiServer");
+const { RelayError } = require("./Relayer");
+
+const MAX_BODY_BYTES = 16 * 1024;
+
+// HTTP status answered for each RelayError code
+const STATUS_BY_CODE = {
+    INVALID_REQUEST: 400,
+    INVALID_SIGNATURE: 400,
+    AUTHORIZATION_USED: 409,
+    REJECTED: 422,
+    RATE_LIMITED: 429,
+    SEND_FAILED: 502,
+};
+
+const toJson = (body) => JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `Body larger than ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+            }
+        });
+        req.on("end", () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (err) {
+                reject(new HttpError(400, "Body is not valid JSON"));
+            }
+        });
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Builds the relayer's HTTP server (not yet listening):
+ *   POST /transfers   body: a signTransferAuthorization result, answers the relayed transfer
+ *   POST /reversals   body: a signReversalAuthorization result, answers the relayed reversal
+ *   GET  /health      relayer address, ETH balance and chain
+ * Rejections answer `{ error, code, reason }`; rate-limited ones also carry a Retry-After header.
+ * @param {object} options
+ * @param {import("./Relayer").Relayer} options.relayer
+ * @returns {http.Server}
+ */
+function createRelayerServer({ relayer }) {
+    const routes = {
+        "GET /health": async () => {
+            const address = await relayer.getAddress();
+            const [{ chainId }, balance] = await Promise.all([relayer.provider.getNetwork(), relayer.provider.getBalance(address)]);
+            return { chainId: Number(chainId), relayer: address, balance: formatEther(balance) };
+        },
+        "POST /transfers": async (req) => relayer.relayTransfer(await readJson(req)),
+        "POST /reversals": async (req) => relayer.relayReversal(await readJson(req)),
+    };
+
+    return http.createServer(async (req, res) => {
+        const send = (status, body, headers = {}) => {
+            res.writeHead(status, { "Content-Type": "application/json", ...headers });
+            res.end(toJson(body));
+        };
+        try {
+            const { pathname } = new URL(req.url, "http://localhost");
+            const handler = routes[`${req.method} ${pathname}`];
+            if (!handler) {
+                const known = Object.keys(routes).some((route) => route.endsWith(` ${pathname}`));
+                throw known ? new HttpError(405, `${req.method} not allowed on ${pathname}`) : new HttpError(404, `No route for ${pathname}`);
+            }
+            send(200, await handler(req));
+        } catch (err) {
+            if (err instanceof RelayError) {
+                const headers = err.retryAfterMs !== null ? { "Retry-After": String(Math.ceil(err.retryAfterMs / 1000)) } : {};
+                send(STATUS_BY_CODE[err.code] || 400, { error: err.message, code: err.code, reason: err.reason }, headers);
+                return;
+            }
+            // Anything else failed while sending, e.g. the relayer ran out of ETH
+            send(err.status || 502, { error: err.message });
+        }
+    });
+}
+
+module.exports = { createRelayerServer };
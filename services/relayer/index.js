@@ -0,0 +1,41 @@
+// services/relayer/index.js
+// Relays signed transfer and reversal authorizations over HTTP: node services/relayer/index.js
+//
+// Environment:
+//   RPC_URL                      JSON-RPC endpoint
+//   RELAYER_PRIVATE_KEY          Funded signer paying the gas of relayed transactions
+//   T3_CONTRACT_ADDRESS          Used when deployments/<chainId>.json has no T3Token entry
+//   RELAYER_HOST / RELAYER_PORT  Listen address, defaults to 127.0.0.1:8090
+//   RELAYER_RATE_LIMIT           Requests relayed per wallet within the window, defaults to 10
+//   RELAYER_RATE_LIMIT_TOTAL     Requests relayed for all wallets together within the window, defaults to 100
+//   RELAYER_RATE_WINDOW_MS       Rate limit window, defaults to 60000
+require("dotenv").config();
+const { T3Client } = require("../../sdk");
+const { Relayer } = require("./Relayer");
+const { createRelayerServer } = require("./RelayerServer");
+
+async function main() {
+    const env = process.env;
+    const client = await T3Client.fromDeployment({ keyVar: "RELAYER_PRIVATE_KEY" });
+    const relayer = new Relayer({
+        client,
+        rateLimit: {
+            ...(env.RELAYER_RATE_LIMIT && { maxRequests: Number(env.RELAYER_RATE_LIMIT) }),
+            ...(env.RELAYER_RATE_LIMIT_TOTAL && { maxTotalRequests: Number(env.RELAYER_RATE_LIMIT_TOTAL) }),
+            ...(env.RELAYER_RATE_WINDOW_MS && { windowMs: Number(env.RELAYER_RATE_WINDOW_MS) }),
+        },
+    });
+
+    const server = createRelayerServer({ relayer });
+    const host = env.RELAYER_HOST || "127.0.0.1";
+    const port = env.RELAYER_PORT ? Number(env.RELAYER_PORT) : 8090;
+    const address = await relayer.getAddress();
+    server.listen(port, host, () => console.log(`⛽ Relayer ${address} listening on http://${host}:${port}`));
+
+    for (const signal of ["SIGINT", "SIGTERM"]) process.once(signal, () => server.close());
+}
+
+main().catch((error) => {
+    console.error("❌ Relayer failed:", error);
+    process.exitCode = 1;
+});
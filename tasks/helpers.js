@@ -0,0 +1,61 @@
+// tasks/helpers.js
+const { types } = require("hardhat/config");
+const { T3Client, resolveAddresses } = require("../sdk");
+
+/**
+ * Adds the options shared by every T3 / registry task:
+ * --token and --registry override the deployment manifest / .env addresses,
+ * --signer picks the account index from the network's configured accounts.
+ */
+function withClientParams(taskDefinition) {
+    return taskDefinition
+        .addOptionalParam("token", "T3Token address (defaults to the deployment manifest or T3_CONTRACT_ADDRESS)")
+        .addOptionalParam("registry", "CustodianRegistry address (defaults to the deployment manifest or CUSTODIAN_REGISTRY_ADDRESS)")
+        .addOptionalParam("signer", "Index of the signing account", 0, types.int);
+}
+
+/**
+ * Builds a T3Client bound to the selected signer, with addresses resolved for the current network.
+ */
+async function getClient(hre, taskArgs) {
+    const signers = await hre.ethers.getSigners();
+    const signer = signers[taskArgs.signer];
+    if (!signer) throw new Error(`No account at index ${taskArgs.signer} on network ${hre.network.name}`);
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const { token, registry } = resolveAddresses(chainId, { token: taskArgs.token, registry: taskArgs.registry });
+    if (!token) throw new Error(`No T3Token address for network ${hre.network.name}: deploy first or pass --token`);
+
+    const tokenAbi = (await hre.artifacts.readArtifact("T3Token")).abi;
+    const registryAbi = registry ? (await hre.artifacts.readArtifact("CustodianRegistry")).abi : undefined;
+    return new T3Client({ token, registry, runner: signer, tokenAbi, registryAbi });
+}
+
+/** Parses a decimal T3 amount ("12.5") into wei. */
+function parseAmount(hre, amount) {
+    return hre.ethers.parseUnits(String(amount), 18);
+}
+
+/** Parses a timestamp option: "now", unix seconds, or an ISO date string. */
+function parseTimestamp(value, now) {
+    if (value === undefined || value === "now") return now;
+    if (/^\d+$/.test(String(value))) return Number(value);
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`Invalid timestamp: ${value}`);
+    return Math.floor(ms / 1000);
+}
+
+/** Parses a transfer ID option ("12" or "#12") into a bigint. */
+function parseTransferId(value) {
+    const digits = String(value).replace(/^#/, "");
+    if (!/^\d+$/.test(digits)) throw new Error(`Invalid transfer ID: ${value}`);
+    return BigInt(digits);
+}
+
+/** Validates an address parameter, throwing a readable error for typos. */
+function requireAddress(hre, value, name) {
+    if (!hre.ethers.isAddress(value)) throw new Error(`Invalid ${name} address: ${value}`);
+    return hre.ethers.getAddress(value);
+}
+
+module.exports = { withClientParams, getClient, parseAmount, parseTimestamp, parseTransferId, requireAddress };
@@ -0,0 +1,40 @@
+// tasks/registry.js
+const { task } = require("hardhat/config");
+const { formatTimestamp } = require("../sdk");
+const { withClientParams, getClient, parseTimestamp, requireAddress } = require("./helpers");
+
+withClientParams(
+    task("registry:register", "Registers a wallet as custodied by the signer (needs CUSTODIAN_ROLE)")
+        .addParam("wallet", "Wallet address")
+        .addOptionalParam("validated", "KYC validation time: unix seconds, ISO date or \"now\"", "now")
+        .addOptionalParam("expires", "KYC expiry: unix seconds or ISO date, 0 for none", "0")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const result = await client.registerWallet(wallet, parseTimestamp(taskArgs.validated, now), parseTimestamp(taskArgs.expires, now));
+
+    console.log(`✅ Registered ${wallet} under custodian ${await client.runner.getAddress()}`);
+    console.log(`  - KYC Validated: ${formatTimestamp(result.kycValidatedAt)}`);
+    console.log(`  - KYC Expires: ${result.kycExpiresAt ? formatTimestamp(result.kycExpiresAt) : "never"}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("registry:kyc", "Updates KYC timestamps of a wallet custodied by the signer")
+        .addParam("wallet", "Wallet address")
+        .addOptionalParam("validated", "KYC validation time: unix seconds, ISO date or \"now\"", "now")
+        .addOptionalParam("expires", "KYC expiry: unix seconds or ISO date, 0 for none", "0")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const result = await client.updateKYC(wallet, parseTimestamp(taskArgs.validated, now), parseTimestamp(taskArgs.expires, now));
+
+    console.log(`✅ KYC updated for ${wallet}`);
+    console.log(`  - KYC Validated: ${formatTimestamp(result.kycValidatedAt)}`);
+    console.log(`  - KYC Expires: ${result.kycExpiresAt ? formatTimestamp(result.kycExpiresAt) : "never"}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
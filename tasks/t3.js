@@ -0,0 +1,597 @@
+// tasks/t3.js
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { formatT3, formatTimestamp } = require("../sdk");
+const { withClientParams, getClient, parseAmount, parseTransferId, requireAddress } = require("./helpers");
+
+withClientParams(
+    task("t3:transfer", "Transfers T3 from the signer, applying fees and HalfLife")
+        .addParam("to", "Recipient address")
+        .addParam("amount", "Amount in T3 (decimal, e.g. 12.5)")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const to = requireAddress(hre, taskArgs.to, "recipient");
+    const result = await client.transfer(to, parseAmount(hre, taskArgs.amount));
+
+    console.log(`✅ Transferred ${formatT3(result.amount)} ${result.from} ➡️ ${result.to} (transfer #${result.transferId})`);
+    console.log(`  - Net Received: ${formatT3(result.netAmount)}`);
+    console.log(`  - Fee Paid: ${formatT3(result.fee)}`);
+    console.log(`  - Locked Until: ${formatTimestamp(result.commitWindowEnd)}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:quote", "Previews the fee, net amount and HalfLife of a transfer without sending it")
+        .addParam("to", "Recipient address")
+        .addParam("amount", "Amount in T3 (decimal, e.g. 12.5)")
+        .addOptionalParam("from", "Sender address, defaults to the signer")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const to = requireAddress(hre, taskArgs.to, "recipient");
+    const from = taskArgs.from ? requireAddress(hre, taskArgs.from, "sender") : undefined;
+    const quote = await client.previewTransfer(to, parseAmount(hre, taskArgs.amount), { from });
+
+    console.log(`🧾 Quote: ${formatT3(quote.amount)} ${quote.from} ➡️ ${quote.to}`);
+    console.log(`  - Tiered Fee: ${formatT3(quote.tieredFee)}`);
+    console.log(`  - Risk Multiplier: ${(Number(quote.riskFactor) / 10000).toFixed(2)}x ➡️ ${formatT3(quote.riskAdjustedFee)}`);
+    console.log(`  - Credits Used: ${formatT3(quote.creditsUsed)}`);
+    if (quote.boundApplied !== "None") console.log(`  - Bound Applied: ${quote.boundApplied}`);
+    console.log(`  - Fee: ${formatT3(quote.fee)}`);
+    console.log(`  - Net Received: ${formatT3(quote.netAmount)}`);
+    console.log(`  - HalfLife: ${quote.halfLifeDuration}s`);
+    return quote;
+});
+
+withClientParams(
+    task("t3:reverse", "Reverses an incoming transfer of the signer back to its originator")
+        .addParam("id", "Transfer ID (see t3:status)")
+        .addOptionalParam("amount", "Partial amount in T3 to send back (defaults to everything not yet reversed)")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const amount = taskArgs.amount ? parseAmount(hre, taskArgs.amount) : undefined;
+    const result = await client.reverse({ transferId: parseTransferId(taskArgs.id), amount });
+
+    console.log(`✅ Reversed transfer #${result.transferId}: ${formatT3(result.amount)} ${result.from} ➡️ ${result.to}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:request-reversal", "Originator asks the recipient to send a transfer back; holds the funds meanwhile")
+        .addParam("id", "Transfer ID")
+        .addOptionalParam("reason", "Free-text reason for the support desk, e.g. \"wrong address\"", "")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const result = await client.requestReversal({ transferId: parseTransferId(taskArgs.id), reason: taskArgs.reason });
+
+    console.log(`📨 Reversal requested for transfer #${result.transferId} (${result.originator} ⬅️ ${result.recipient})`);
+    if (result.reason) console.log(`  - Reason: ${result.reason}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:accept-reversal", "Recipient accepts a pending reversal request; the net amount goes back")
+        .addParam("id", "Transfer ID")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const result = await client.acceptReversal(parseTransferId(taskArgs.id));
+
+    console.log(`✅ Reversal accepted for transfer #${result.transferId}: ${formatT3(result.amount)} ${result.from} ➡️ ${result.to}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:contest-reversal", "Recipient contests a pending reversal request, releasing the hold")
+        .addParam("id", "Transfer ID")
+        .addOptionalParam("reason", "Free-text reason", "")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const result = await client.contestReversal({ transferId: parseTransferId(taskArgs.id), reason: taskArgs.reason });
+
+    console.log(`⚖️ Reversal contested for transfer #${result.transferId} by ${result.recipient}`);
+    if (result.reason) console.log(`  - Reason: ${result.reason}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:open-dispute", "Arbiter opens a dispute on a transfer, freezing the received amount (needs ARBITER_ROLE)")
+        .addParam("id", "Transfer ID")
+        .addParam("reason", "Reason code, e.g. FRAUD (max 31 chars) or a bytes32 hex code")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const result = await client.openDispute({ transferId: parseTransferId(taskArgs.id), reasonCode: taskArgs.reason });
+
+    console.log(`⚖️ Dispute opened on transfer #${result.transferId} (${result.reasonCode})`);
+    console.log(`  - Frozen: ${formatT3(result.frozenAmount)}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:resolve-dispute", "Arbiter resolves a dispute by forcing the reversal or releasing the funds (needs ARBITER_ROLE)")
+        .addParam("id", "Transfer ID")
+        .addParam("outcome", "reverse or release")
+        .addParam("reason", "Resolution code, e.g. FRAUD_CONFIRMED (max 31 chars) or a bytes32 hex code")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const result = await client.resolveDispute({
+        transferId: parseTransferId(taskArgs.id),
+        outcome: taskArgs.outcome,
+        resolutionCode: taskArgs.reason,
+    });
+
+    const verb = result.reversed ? "reversed to the originator" : "released to the recipient";
+    console.log(`✅ Dispute on transfer #${result.transferId} resolved (${result.resolutionCode}): ${formatT3(result.amount)} ${verb}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:status", "Shows balance, HalfLife lock, risk factor, credits and custody of a wallet")
+        .addPositionalParam("wallet", "Wallet address")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    const [balance, lock, pending, riskFactor, credits, frozen] = await Promise.all([
+        client.balanceOf(wallet),
+        client.getLockStatus(wallet),
+        client.getPendingTransfers(wallet),
+        client.getRiskFactor(wallet),
+        client.getAvailableCredits(wallet),
+        client.isFrozen(wallet),
+    ]);
+    const custody = client.registry ? await client.getCustodian(wallet) : null;
+
+    console.log(`🔍 ${wallet}`);
+    console.log(`  - Balance: ${formatT3(balance)}`);
+    if (frozen) console.log("  - 🧊 Frozen by compliance: cannot send, receive, reverse or burn");
+    if (lock.locked) {
+        console.log(`  - HalfLife: 🔒 ${formatT3(lock.lockedBalance)} locked until ${formatTimestamp(lock.lockedUntil)} (${lock.secondsRemaining}s remaining)`);
+        console.log(`  - Spendable: ${formatT3(lock.spendableBalance)}`);
+    } else {
+        console.log("  - HalfLife: 🔓 unlocked");
+    }
+    for (const transfer of pending) {
+        console.log(`  - Open Transfer #${transfer.transferId}: ${formatT3(transfer.netAmount)} from ${transfer.originator}, fee paid ${formatT3(transfer.feeAmount)}, window end ${formatTimestamp(transfer.commitWindowEnd)}`);
+    }
+    console.log(`  - Risk Factor: ${riskFactor} bps (${(Number(riskFactor) / 10000).toFixed(2)}x)`);
+    console.log(`  - Incentive Credits: ${formatT3(credits)}`);
+    if (custody) {
+        console.log(`  - Custodian: ${custody.isCustodied ? custody.custodian : "(not registered)"}`);
+        console.log(`  - KYC: ${custody.kycValid ? "valid" : "not valid"} (validated ${formatTimestamp(custody.kycValidatedAt)}, expires ${custody.kycExpiresAt ? formatTimestamp(custody.kycExpiresAt) : "never"})`);
+    }
+    return { wallet, balance, lock, pending, riskFactor, credits, frozen, custody };
+});
+
+withClientParams(
+    task("t3:risk", "Explains a wallet's risk factor; flags, clears a flag or resets the profile (changes need ADMIN_ROLE)")
+        .addPositionalParam("wallet", "Wallet address")
+        .addFlag("flag", "Flag an abnormal transaction on the wallet")
+        .addFlag("clearFlag", "Remove one abnormal flag still counted against the wallet")
+        .addFlag("reset", "Clear every reversal and abnormal-flag penalty of the wallet")
+        .addOptionalParam("reason", "Reason code for --clear-flag / --reset, e.g. FLAGGED_IN_ERROR (max 31 chars)")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    if ((taskArgs.clearFlag || taskArgs.reset) && !taskArgs.reason) throw new Error("--reason is required to clear a flag or reset a profile");
+    let action = null;
+    if (taskArgs.flag) {
+        action = await client.flagAbnormal(wallet);
+        console.log(`🚩 Flagged an abnormal transaction on ${wallet}`);
+    } else if (taskArgs.clearFlag) {
+        action = await client.clearAbnormalFlag({ wallet, reasonCode: taskArgs.reason });
+        console.log(`✅ Cleared an abnormal flag of ${wallet} (${action.reasonCode}), ${action.remaining} still counted`);
+    } else if (taskArgs.reset) {
+        action = await client.resetRiskProfile({ wallet, reasonCode: taskArgs.reason });
+        console.log(`✅ Reset the risk profile of ${wallet} (${action.reasonCode})`);
+    }
+    if (action) console.log(`  - Tx: ${action.hash}`);
+    const risk = await client.getRiskBreakdown(wallet);
+
+    console.log(`🛡️ ${wallet}: ${risk.total} bps (${(Number(risk.total) / 10000).toFixed(2)}x)`);
+    console.log(`  - Base: ${risk.base}`);
+    console.log(`  - New Wallet: +${risk.newWallet}`);
+    console.log(`  - Recent Reversal: +${risk.recentReversal}`);
+    console.log(`  - Reversals: +${risk.reversalPenalty} (${risk.reversalCount} counted)`);
+    console.log(`  - Abnormal Flags: +${risk.abnormalPenalty} (${risk.abnormalCount} counted)`);
+    return { ...risk, hash: action ? action.hash : null };
+});
+
+withClientParams(
+    task("t3:risk-decay", "Shows how long reversal and abnormal-flag penalties count, or sets it (needs ADMIN_ROLE)")
+        .addOptionalParam("reversal", "Seconds after a wallet's latest reversal for one reversal to stop counting, 0 = never", undefined, types.int)
+        .addOptionalParam("abnormal", "Seconds after a wallet's latest abnormal flag for one flag to stop counting, 0 = never", undefined, types.int)
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    let update = null;
+    if (taskArgs.reversal !== undefined || taskArgs.abnormal !== undefined) {
+        const current = await client.getRiskDecay();
+        update = await client.setRiskDecay({
+            reversalPeriod: taskArgs.reversal ?? current.reversalPeriod,
+            abnormalPeriod: taskArgs.abnormal ?? current.abnormalPeriod,
+        });
+        console.log("✅ Risk decay updated");
+        console.log(`  - Tx: ${update.hash}`);
+    }
+    const decay = await client.getRiskDecay();
+
+    console.log("⏳ Risk penalty decay");
+    console.log(`  - Reversals: ${decay.reversalPeriod ? `one forgiven every ${decay.reversalPeriod}s` : "never"}`);
+    console.log(`  - Abnormal Flags: ${decay.abnormalPeriod ? `one forgiven every ${decay.abnormalPeriod}s` : "never"}`);
+    return { ...decay, hash: update ? update.hash : null };
+});
+
+withClientParams(
+    task("t3:freeze", "Freezes a wallet under a case reference, or lifts the freeze (needs COMPLIANCE_ROLE)")
+        .addPositionalParam("wallet", "Wallet address")
+        .addParam("case", "Case or court order reference, e.g. COURT-2024-117 (max 31 chars)")
+        .addFlag("unfreeze", "Lift the freeze instead")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    const params = { wallet, caseReference: taskArgs.case };
+    const result = taskArgs.unfreeze ? await client.unfreezeWallet(params) : await client.freezeWallet(params);
+
+    console.log(`${taskArgs.unfreeze ? "🔓 Unfroze" : "🧊 Froze"} ${result.wallet} (case ${result.caseReference})`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:seize", "Seizes funds of a frozen wallet to the recovery address (needs COMPLIANCE_ROLE)")
+        .addPositionalParam("wallet", "Frozen wallet address")
+        .addParam("case", "Case or court order reference (max 31 chars)")
+        .addOptionalParam("amount", "Amount in T3 (decimal), defaults to the whole balance")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    const amount = taskArgs.amount ? parseAmount(hre, taskArgs.amount) : undefined;
+    const result = await client.seizeFrozenFunds({ wallet, amount, caseReference: taskArgs.case });
+
+    console.log(`⚖️ Seized ${formatT3(result.amount)} from ${result.wallet} to ${result.recoveryAddress} (case ${result.caseReference})`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:frozen", "Lists frozen wallets and the recovery address; sets the recovery address (needs ADMIN_ROLE)")
+        .addOptionalParam("recovery", "New address receiving seized funds")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    let update = null;
+    if (taskArgs.recovery) {
+        update = await client.setRecoveryAddress(requireAddress(hre, taskArgs.recovery, "recovery"));
+        console.log("✅ Recovery address updated");
+        console.log(`  - Tx: ${update.hash}`);
+    }
+    const [recoveryAddress, wallets] = await Promise.all([client.getRecoveryAddress(), client.getFrozenWallets()]);
+
+    console.log(`🧊 ${wallets.length} frozen wallet(s), recovery address ${recoveryAddress || "not set"}`);
+    for (const { wallet, balance } of wallets) console.log(`  - ${wallet}: ${formatT3(balance)}`);
+    return { recoveryAddress, wallets, hash: update ? update.hash : null };
+});
+
+withClientParams(
+    task("t3:expire", "Settles expired HalfLife windows of a wallet and pays loyalty refunds")
+        .addPositionalParam("wallet", "Wallet address")
+        .addOptionalParam("id", "Only settle this transfer ID")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallet = requireAddress(hre, taskArgs.wallet, "wallet");
+    const result = taskArgs.id ? await client.expire(parseTransferId(taskArgs.id)) : await client.expireAll(wallet);
+
+    console.log(`✅ HalfLife settled for ${wallet}: transfer(s) ${result.settled.map((id) => `#${id}`).join(", ")}`);
+    for (const refund of result.refunds) {
+        console.log(`  - Loyalty refund: ${formatT3(refund.amount)} credits to ${refund.wallet}`);
+    }
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:expire-batch", "Settles the expired HalfLife windows of several wallets in one transaction")
+        .addVariadicPositionalParam("wallets", "Wallet addresses")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const wallets = taskArgs.wallets.map((wallet) => requireAddress(hre, wallet, "wallet"));
+    const result = await client.expireBatch(wallets);
+
+    if (result.settled.length === 0) {
+        console.log(`ℹ️ No expired HalfLife windows across ${wallets.length} wallet(s)`);
+    } else {
+        console.log(`✅ HalfLife settled across ${wallets.length} wallet(s): transfer(s) ${result.settled.map((id) => `#${id}`).join(", ")}`);
+    }
+    for (const refund of result.refunds) {
+        console.log(`  - Loyalty refund: ${formatT3(refund.amount)} credits to ${refund.wallet}`);
+    }
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:credits", "Shows the incentive credits of a wallet and their history; redeems or writes off expired credits")
+        .addOptionalPositionalParam("wallet", "Wallet address, defaults to the signer")
+        .addOptionalParam("redeem", "Redeem this many credits of the signer for T3 (decimal, e.g. 12.5)")
+        .addFlag("expire", "Write off the wallet's expired credits")
+        .addOptionalParam("fromBlock", "Block to read credit events from (T3Token deployment block)", 0, types.int)
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    let action = null;
+    if (taskArgs.redeem) {
+        action = await client.redeemCredits(parseAmount(hre, taskArgs.redeem));
+        console.log(`✅ Redeemed ${formatT3(action.credits)} credits for ${formatT3(action.payout)}`);
+        console.log(`  - Tx: ${action.hash}`);
+    }
+    const wallet = taskArgs.wallet ? requireAddress(hre, taskArgs.wallet, "wallet") : await client.token.runner.getAddress();
+    if (taskArgs.expire) {
+        action = await client.expireCredits(wallet);
+        console.log(`✅ Wrote off ${formatT3(action.expired)} expired credits of ${wallet}`);
+        console.log(`  - Tx: ${action.hash}`);
+    }
+    const [credits, history] = await Promise.all([client.getCredits(wallet), client.getCreditHistory(wallet, { fromBlock: taskArgs.fromBlock })]);
+
+    console.log(`🎟️ ${wallet}`);
+    console.log(`  - Credits: ${formatT3(credits.available)} available of ${formatT3(credits.amount)} recorded`);
+    console.log(`  - Expires: ${credits.expiresAt ? formatTimestamp(credits.expiresAt) : "never"}`);
+    for (const entry of history) {
+        const detail = entry.source ? ` (${entry.source})` : entry.payout !== undefined ? ` for ${formatT3(entry.payout)}` : "";
+        console.log(`  - Block ${entry.blockNumber}: ${entry.type} ${formatT3(entry.amount)}${detail}`);
+    }
+    return { ...credits, history, hash: action ? action.hash : null };
+});
+
+withClientParams(
+    task("t3:kyc-policy", "Sets the KYC policy on T3Token, linking the resolved CustodianRegistry first (needs ADMIN_ROLE)")
+        .addParam("policy", "disabled, strict or threshold")
+        .addOptionalParam("limit", "threshold policy: unregistered recipients may receive less than this amount in T3", "0")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const current = await client.getKYCPolicy();
+    if (client.registry && current.registry !== client.registry.target) {
+        await client.setCustodianRegistry(client.registry.target);
+        console.log(`🔗 Linked CustodianRegistry ${client.registry.target}`);
+    }
+    const result = await client.setKYCPolicy({ policy: taskArgs.policy, unregisteredRecipientLimit: parseAmount(hre, taskArgs.limit) });
+
+    console.log(`✅ KYC policy set to ${result.policy}`);
+    if (result.policy === "Threshold") console.log(`  - Unregistered recipients: below ${formatT3(result.unregisteredRecipientLimit)}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:kyc-exempt", "Exempts an address (treasury, system wallets) from the KYC policy (needs ADMIN_ROLE)")
+        .addParam("account", "Address to exempt")
+        .addFlag("remove", "Remove the exemption instead")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const account = requireAddress(hre, taskArgs.account, "account");
+    const result = await client.setKYCExempt(account, !taskArgs.remove);
+
+    console.log(`✅ ${account} ${result.exempt ? "exempt from" : "subject to"} the KYC policy`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:fee-schedule", "Shows the fee schedule in force, or sets a new version from a JSON file (needs ADMIN_ROLE)")
+        .addOptionalParam("scheduleVersion", "Show this version instead of the one in force", undefined, types.int)
+        .addOptionalParam("file", 'JSON schedule: { tiers: [{ upTo: "1", rateBps: 500 }], minFee: "0.00001", maxFeeBps: 1000, split: { treasuryBps, senderBps, recipientBps } }, amounts in T3')
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    let update = null;
+    if (taskArgs.file) {
+        const json = JSON.parse(fs.readFileSync(taskArgs.file, "utf8"));
+        update = await client.setFeeSchedule({
+            ...json,
+            tiers: (json.tiers || []).map((tier) => ({ upTo: parseAmount(hre, tier.upTo), rateBps: tier.rateBps })),
+            minFee: parseAmount(hre, json.minFee || "0"),
+        });
+        console.log(`✅ Fee schedule v${update.version} in force`);
+        console.log(`  - Tx: ${update.hash}`);
+    }
+    const schedule = await client.getFeeSchedule(update ? update.version : taskArgs.scheduleVersion);
+
+    console.log(`💰 Fee schedule v${schedule.version}`);
+    let floor = 0n;
+    for (const tier of schedule.tiers) {
+        console.log(`  - ${formatT3(floor)} to ${formatT3(tier.upTo)}: ${tier.rateBps} bps`);
+        floor = tier.upTo;
+    }
+    console.log(`  - Bounds: min ${formatT3(schedule.minFee)}, max ${schedule.maxFeeBps} bps of the amount`);
+    console.log(`  - Split: treasury ${schedule.split.treasuryBps} / sender ${schedule.split.senderBps} / recipient ${schedule.split.recipientBps} bps`);
+    return { ...schedule, hash: update ? update.hash : null };
+});
+
+withClientParams(
+    task("t3:credit-policy", "Shows the incentive credit policy and liability, or sets new terms (needs ADMIN_ROLE)")
+        .addOptionalParam("expiry", "Seconds after a wallet's last credit change before its credits expire, 0 = never", undefined, types.int)
+        .addOptionalParam("rate", "T3 paid per credit redeemed in bps, 10000 = 1:1, 0 disables redemption", undefined, types.int)
+        .addOptionalParam("max", "Cap on the credits redeemed per call in T3, 0 = uncapped")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    let update = null;
+    if ([taskArgs.expiry, taskArgs.rate, taskArgs.max].some((value) => value !== undefined)) {
+        const current = await client.getCreditPolicy();
+        update = await client.setCreditPolicy({
+            expiryPeriod: taskArgs.expiry ?? current.expiryPeriod,
+            redemptionRateBps: taskArgs.rate ?? current.redemptionRateBps,
+            maxRedemption: taskArgs.max !== undefined ? parseAmount(hre, taskArgs.max) : current.maxRedemption,
+        });
+        console.log("✅ Credit policy updated");
+        console.log(`  - Tx: ${update.hash}`);
+    }
+    const policy = await client.getCreditPolicy();
+
+    console.log("🎟️ Incentive credit policy");
+    console.log(`  - Expiry: ${policy.expiryPeriod ? `${policy.expiryPeriod}s after the last credit change` : "never"}`);
+    console.log(`  - Redemption: ${policy.redemptionRateBps ? `${policy.redemptionRateBps} bps per credit, max ${policy.maxRedemption ? formatT3(policy.maxRedemption) : "uncapped"} per call` : "disabled"}`);
+    console.log(`  - Outstanding Credits: ${formatT3(policy.totalOutstanding)}`);
+    console.log(`  - Treasury Allowance: ${formatT3(policy.treasuryAllowance)} (${policy.treasury})`);
+    return { ...policy, hash: update ? update.hash : null };
+});
+
+withClientParams(
+    task("t3:settle-cycle", "Nets open interbank liabilities and clears them as one settlement cycle (needs ADMIN_ROLE)")
+        .addOptionalParam("id", "Settlement ID label of up to 31 bytes, defaults to SETTLE-<latest block timestamp>")
+        .addOptionalParam("fromBlock", "Block to replay liability events from (T3Token deployment block)", 0, types.int)
+        .addFlag("dryRun", "Only print the netting report")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const cycle = await client.planSettlementCycle({ fromBlock: taskArgs.fromBlock });
+    if (cycle.liabilities.length === 0) {
+        console.log("ℹ️ No open interbank liabilities");
+        return { ...cycle, settlement: null };
+    }
+
+    console.log(`📊 Netting ${cycle.liabilities.length} liabilities: gross ${formatT3(cycle.grossTotal)}, net ${formatT3(cycle.netTotal)}`);
+    for (const position of cycle.positions) {
+        console.log(`  - ${position.bank}: owes ${formatT3(position.grossPayable)}, owed ${formatT3(position.grossReceivable)}, net ${position.net > 0n ? "+" : ""}${formatT3(position.net)}`);
+    }
+    for (const obligation of cycle.obligations) {
+        console.log(`  💸 ${obligation.from} pays ${obligation.to} ${formatT3(obligation.amount)}`);
+    }
+    if (taskArgs.dryRun) return { ...cycle, settlement: null };
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const settlement = await client.settleInterbankCycle({ settlementId: taskArgs.id || `SETTLE-${latest.timestamp}`, liabilities: cycle.liabilities });
+    console.log(`✅ Settlement cycle ${settlement.settlementId} cleared ${settlement.pairCount} liabilities (${formatT3(settlement.grossAmount)})`);
+    console.log(`  - Tx: ${settlement.hash}`);
+    return { ...cycle, settlement };
+});
+
+withClientParams(
+    task("t3:mint", "Mints T3 to a recipient (signer needs MINTER_ROLE)")
+        .addParam("to", "Recipient address")
+        .addParam("amount", "Amount in T3 (decimal)")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const to = requireAddress(hre, taskArgs.to, "recipient");
+    const result = await client.mint(to, parseAmount(hre, taskArgs.amount));
+
+    console.log(`✅ Minted ${formatT3(result.amount)} to ${result.recipient} (minter ${result.minter})`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:redeem", "Burns T3 redeemed for fiat and deducts it from the signer's issuance (signer needs MINTER_ROLE)")
+        .addParam("amount", "Amount in T3 (decimal)")
+        .addOptionalParam("from", "Customer account redeeming, which must have approved the signer; defaults to the signer")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const account = taskArgs.from ? requireAddress(hre, taskArgs.from, "account") : await client.token.runner.getAddress();
+    const result = await client.redeem({ account, amount: parseAmount(hre, taskArgs.amount) });
+
+    console.log(`✅ Redeemed ${formatT3(result.amount)} from ${result.account} (minter ${result.minter})`);
+    console.log(`  - Outstanding issuance: ${formatT3(result.outstanding)}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:request-redemption", "Escrows T3 and asks a custodian FI to pay it out in fiat")
+        .addParam("amount", "Amount in T3 (decimal)")
+        .addParam("custodian", "FI paying out (MINTER_ROLE, or CUSTODIAN_ROLE on the registry)")
+        .addParam("reference", "Unique payout reference matched by the FI, e.g. RDM-2026-0001 (max 31 chars)")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const custodian = requireAddress(hre, taskArgs.custodian, "custodian");
+    const result = await client.requestRedemption({ amount: parseAmount(hre, taskArgs.amount), custodian, referenceId: taskArgs.reference });
+
+    console.log(`📨 Redemption #${result.redemptionId} of ${formatT3(result.amount)} requested from ${result.custodian} (ref ${result.referenceId})`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:redemption", "Shows a redemption request; the named custodian confirms or rejects it")
+        .addPositionalParam("id", "Redemption ID or reference ID")
+        .addFlag("confirm", "Confirm the fiat payout, burning the escrow")
+        .addFlag("reject", "Reject the request, returning the escrow to the holder")
+        .addOptionalParam("reason", "Reason code for --reject, e.g. NO_BANK_ACCOUNT (max 31 chars)")
+).setAction(async (taskArgs, hre) => {
+    if (taskArgs.confirm && taskArgs.reject) throw new Error("Use either --confirm or --reject");
+    if (taskArgs.reject && !taskArgs.reason) throw new Error("--reason is required to reject a redemption");
+    const client = await getClient(hre, taskArgs);
+    let redemption = await client.getRedemption(taskArgs.id);
+    if (redemption.status === "None") throw new Error(`Unknown redemption: ${taskArgs.id}`);
+
+    let action = null;
+    if (taskArgs.confirm) {
+        action = await client.confirmRedemption(redemption.redemptionId);
+        console.log(`✅ Redemption #${redemption.redemptionId} confirmed, ${formatT3(action.amount)} burnt`);
+    } else if (taskArgs.reject) {
+        action = await client.rejectRedemption({ redemptionId: redemption.redemptionId, rejectionCode: taskArgs.reason });
+        console.log(`↩️ Redemption #${redemption.redemptionId} rejected (${action.rejectionCode}), escrow returned`);
+    }
+    if (action) {
+        console.log(`  - Tx: ${action.hash}`);
+        redemption = await client.getRedemption(redemption.redemptionId);
+    }
+
+    console.log(`💵 Redemption #${redemption.redemptionId} (ref ${redemption.referenceId}): ${redemption.status}`);
+    console.log(`  - Holder: ${redemption.holder}`);
+    console.log(`  - Custodian: ${redemption.custodian}`);
+    console.log(`  - Amount: ${formatT3(redemption.amount)}`);
+    console.log(`  - Requested: ${formatTimestamp(redemption.requestedAt)}`);
+    if (redemption.resolvedAt) console.log(`  - Resolved: ${formatTimestamp(redemption.resolvedAt)}`);
+    if (redemption.rejectionCode) console.log(`  - Rejection: ${redemption.rejectionCode}`);
+    return { ...redemption, hash: action ? action.hash : null };
+});
+
+withClientParams(
+    task("t3:mint-allowance", "Caps a minter's outstanding issuance (signer needs ADMIN_ROLE)")
+        .addParam("minter", "MINTER_ROLE holder")
+        .addParam("amount", "Cap in T3 (decimal), 0 removes it")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const minter = requireAddress(hre, taskArgs.minter, "minter");
+    const result = await client.setMintAllowance({ minter, allowance: parseAmount(hre, taskArgs.amount) });
+
+    console.log(`✅ Mint allowance of ${minter}: ${result.allowance === 0n ? "uncapped" : formatT3(result.allowance)}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
+
+withClientParams(
+    task("t3:issuance", "Reports each minter's outstanding issuance for reserve reconciliation")
+        .addOptionalParam("minter", "Only report this minter")
+).setAction(async (taskArgs, hre) => {
+    const client = await getClient(hre, taskArgs);
+    const report = taskArgs.minter
+        ? { minters: [await client.getMinterIssuance(requireAddress(hre, taskArgs.minter, "minter"))] }
+        : await client.getIssuanceReport();
+
+    for (const issuance of report.minters) {
+        console.log(`🏦 ${issuance.minter}: ${formatT3(issuance.outstanding)} outstanding`);
+        console.log(`  - Minted: ${formatT3(issuance.minted)} / Redeemed: ${formatT3(issuance.redeemed)}`);
+        console.log(`  - Allowance: ${issuance.available === null ? "uncapped" : `${formatT3(issuance.allowance)} (${formatT3(issuance.available)} available)`}`);
+    }
+    if (report.totalSupply !== undefined) {
+        console.log(`📊 Total outstanding: ${formatT3(report.totalOutstanding)} of ${formatT3(report.totalSupply)} supply (${formatT3(report.unattributed)} unattributed)`);
+    }
+    return report;
+});
+
+withClientParams(
+    task("t3:grant-role", "Grants a role on T3Token or CustodianRegistry")
+        .addParam("role", "Role name, e.g. MINTER, PAUSER, ARBITER, COMPLIANCE, ADMIN (token) or CUSTODIAN (registry)")
+        .addParam("account", "Address receiving the role")
+        .addOptionalParam("contract", "token or registry", "token")
+).setAction(async (taskArgs, hre) => {
+    if (!["token", "registry"].includes(taskArgs.contract)) {
+        throw new Error(`--contract must be "token" or "registry", got ${taskArgs.contract}`);
+    }
+    const client = await getClient(hre, taskArgs);
+    const account = requireAddress(hre, taskArgs.account, "account");
+    const result = await client.grantRole(taskArgs.role, account, { contract: taskArgs.contract });
+
+    console.log(`✅ Granted ${result.role} on ${result.contract} to ${result.account}`);
+    console.log(`  - Tx: ${result.hash}`);
+    return result;
+});
@@ -1,7 +1,10 @@
 // test/CustodianRegistry.test.js
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployCustodianRegistry } = require("../scripts/lib/deploySystem");
+
+const { ethers } = hre;
 
 describe("CustodianRegistry Contract", function () {
     // --- Constants ---
@@ -17,9 +20,8 @@ describe("CustodianRegistry Contract", function () {
         // Get signers
         const [deployer, admin, custodian1, custodian2, user1, user2, nonAdminOrCustodian] = await ethers.getSigners();
 
-        // Deploy the contract
-        const CustodianRegistry = await ethers.getContractFactory("CustodianRegistry");
-        const registry = await CustodianRegistry.deploy(admin.address); // Admin gets ADMIN_ROLE
+        // Deploy the contract behind its proxy
+        const { registry } = await deployCustodianRegistry(hre, { admin: admin.address }); // Admin gets ADMIN_ROLE
 
         // Get role hashes
         ADMIN_ROLE = await registry.ADMIN_ROLE();
@@ -0,0 +1,529 @@
+// test/T3Client.test.js
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3Client, T3ClientError, computeReversalHash } = require("../sdk");
+const { deployT3Token, deployCustodianRegistry } = require("../scripts/lib/deploySystem");
+
+const { ethers } = hre;
+
+describe("T3Client SDK", function () {
+    const DEFAULT_HALF_LIFE_DURATION = 3600;
+    const toTokenAmount = (value) => ethers.parseUnits(value.toString(), 18);
+
+    async function deployClientFixture() {
+        const [owner, addr1, addr2, treasury, custodian, nonAdmin] = await ethers.getSigners();
+
+        const { token: t3Token } = await deployT3Token(hre, { admin: owner.address, treasury: treasury.address });
+        const { registry } = await deployCustodianRegistry(hre, { admin: owner.address });
+        await registry.connect(owner).grantCustodianRole(custodian.address);
+
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(1000));
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+
+        const client = new T3Client({
+            token: await t3Token.getAddress(),
+            registry: await registry.getAddress(),
+            runner: addr1,
+        });
+        return { t3Token, registry, client, owner, addr1, addr2, treasury, custodian, nonAdmin };
+    }
+
+    let t3Token, registry, client, owner, addr1, addr2, treasury, custodian, nonAdmin;
+
+    beforeEach(async function () {
+        ({ t3Token, registry, client, owner, addr1, addr2, treasury, custodian, nonAdmin } = await loadFixture(deployClientFixture));
+    });
+
+    describe("Construction", function () {
+        it("Should require a token address and a runner", async function () {
+            expect(() => new T3Client({ runner: addr1 })).to.throw(T3ClientError, "T3Token address is required");
+            expect(() => new T3Client({ token: client.token.target })).to.throw(T3ClientError, "A signer or provider is required");
+        });
+
+        it("Should bind the same contracts to another signer via connect", async function () {
+            const other = client.connect(addr2);
+            expect(other.token.target).to.equal(client.token.target);
+            expect(other.registry.target).to.equal(client.registry.target);
+            expect(await other.token.runner.getAddress()).to.equal(addr2.address);
+        });
+    });
+
+    describe("Transfers and HalfLife", function () {
+        it("transfer: Should return a normalized receipt matching TransferRecorded", async function () {
+            const amount = toTokenAmount(10);
+            const result = await client.transfer(addr2.address, amount);
+
+            expect(result.transferId).to.equal(await t3Token.lastTransferId());
+            expect(result.from).to.equal(addr1.address);
+            expect(result.to).to.equal(addr2.address);
+            expect(result.amount).to.equal(amount);
+            expect(result.netAmount + result.fee).to.equal(amount);
+            expect(await t3Token.balanceOf(addr2.address)).to.equal(result.netAmount);
+
+            const meta = await t3Token.transfers(result.transferId);
+            expect(result.commitWindowEnd).to.equal(Number(meta.commitWindowEnd));
+        });
+
+        it("getTransfer / getPendingTransfers / getLockStatus: Should describe every open window", async function () {
+            expect(await client.getPendingTransfers(addr2.address)).to.deep.equal([]);
+            expect(await client.getTransfer(999)).to.equal(null);
+            const first = await client.transfer(addr2.address, toTokenAmount(10));
+            const second = await client.connect(owner).transfer(addr2.address, toTokenAmount(5));
+
+            const transfer = await client.getTransfer(first.transferId);
+            expect(transfer.originator).to.equal(addr1.address);
+            expect(transfer.recipient).to.equal(addr2.address);
+            expect(transfer.netAmount).to.equal(first.netAmount);
+            expect(transfer.isReversed).to.equal(false);
+            expect(transfer.halfLifeDuration).to.be.a("number");
+
+            const pending = await client.getPendingTransfers(addr2.address);
+            expect(pending.map((t) => t.transferId)).to.deep.equal([first.transferId, second.transferId]);
+
+            const status = await client.getLockStatus(addr2.address);
+            expect(status.locked).to.equal(true);
+            expect(status.originators).to.have.members([addr1.address, owner.address]);
+            expect(status.lockedUntil).to.equal(Math.max(first.commitWindowEnd, second.commitWindowEnd));
+            expect(status.secondsRemaining).to.be.greaterThan(0);
+            expect(status.openTransfers).to.equal(2);
+            expect(status.lockedBalance).to.equal(first.netAmount + second.netAmount);
+            expect(status.spendableBalance).to.equal(0);
+            expect(await client.getSpendableBalance(addr1.address)).to.equal(await t3Token.balanceOf(addr1.address));
+
+            await time.increaseTo(status.lockedUntil + 1);
+            expect((await client.getLockStatus(addr2.address)).locked).to.equal(false);
+        });
+
+        it("reverse: Should send the received amount back to the originator", async function () {
+            const { transferId, netAmount } = await client.transfer(addr2.address, toTokenAmount(10));
+            const before = await t3Token.balanceOf(addr1.address);
+
+            const result = await client.connect(addr2).reverse({ transferId });
+            expect(result.transferId).to.equal(transferId);
+            expect(result.from).to.equal(addr2.address);
+            expect(result.to).to.equal(addr1.address);
+            expect(result.amount).to.equal(netAmount);
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(before + netAmount);
+        });
+
+        it("reverse: Should reverse partially and compute the recorded reversal hash", async function () {
+            const { transferId, amount, netAmount } = await client.transfer(addr2.address, toTokenAmount(10));
+            expect(computeReversalHash(addr1.address, addr2.address, amount)).to.equal((await t3Token.transfers(transferId)).reversalHash);
+
+            const recipient = client.connect(addr2);
+            const partial = await recipient.reverse({ transferId, amount: netAmount / 4n });
+            expect(partial.amount).to.equal(netAmount / 4n);
+            const transfer = await client.getTransfer(transferId);
+            expect(transfer.reversedAmount).to.equal(netAmount / 4n);
+            expect(transfer.isReversed).to.equal(false);
+
+            const rest = await recipient.reverse({ transferId });
+            expect(rest.amount).to.equal(netAmount - netAmount / 4n);
+            expect((await client.getTransfer(transferId)).isReversed).to.equal(true);
+        });
+
+        it("reverse: Should fail for an unknown transfer", async function () {
+            await expect(client.connect(addr2).reverse({}))
+                .to.be.rejectedWith(T3ClientError, "transferId is required");
+            await expect(client.connect(addr2).reverse({ transferId: 42n }))
+                .to.be.rejectedWith(T3ClientError, "Unknown transfer 42");
+        });
+
+        it("requestReversal / acceptReversal / contestReversal: Should run the sender-side flow", async function () {
+            const first = await client.transfer(addr2.address, toTokenAmount(10));
+            const second = await client.transfer(addr2.address, toTokenAmount(10));
+            const recipient = client.connect(addr2);
+
+            const request = await client.requestReversal({ transferId: first.transferId, reason: "wrong address" });
+            expect(request.recipient).to.equal(addr2.address);
+            expect(request.reason).to.equal("wrong address");
+            expect((await client.getReversalRequest(first.transferId)).status).to.equal("Requested");
+
+            const accepted = await recipient.acceptReversal(first.transferId);
+            expect(accepted.to).to.equal(addr1.address);
+            expect(accepted.amount).to.equal(first.netAmount);
+            expect((await client.getReversalRequest(first.transferId)).status).to.equal("Accepted");
+
+            await client.requestReversal({ transferId: second.transferId });
+            const contested = await recipient.contestReversal({ transferId: second.transferId, reason: "paid for goods" });
+            expect(contested.reason).to.equal("paid for goods");
+            const status = await client.getReversalRequest(second.transferId);
+            expect(status.status).to.equal("Contested");
+            expect(status.resolvedAt).to.be.greaterThan(0);
+        });
+
+        it("openDispute / resolveDispute / getDispute: Should run arbitration with reason codes", async function () {
+            await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), owner.address);
+            const arbiter = client.connect(owner);
+            const { transferId, netAmount } = await client.transfer(addr2.address, toTokenAmount(10));
+
+            const opened = await arbiter.openDispute({ transferId, reasonCode: "FRAUD" });
+            expect(opened.reasonCode).to.equal("FRAUD");
+            expect(opened.frozenAmount).to.equal(netAmount);
+            expect((await arbiter.getDispute(transferId)).status).to.equal("Open");
+
+            const released = await arbiter.resolveDispute({ transferId, outcome: "release", resolutionCode: "CLEARED" });
+            expect(released.reversed).to.equal(false);
+            const dispute = await arbiter.getDispute(transferId);
+            expect(dispute.status).to.equal("Released");
+            expect(dispute.reasonCode).to.equal("FRAUD");
+            expect(dispute.resolutionCode).to.equal("CLEARED");
+
+            await expect(arbiter.openDispute({ transferId, reasonCode: "x".repeat(32) }))
+                .to.be.rejectedWith(T3ClientError, "longer than 31 bytes");
+        });
+
+        it("expire / expireAll: Should settle windows and report loyalty refunds", async function () {
+            const first = await client.transfer(addr2.address, toTokenAmount(10));
+            const second = await client.transfer(addr2.address, toTokenAmount(10));
+            await time.increaseTo(Math.max(first.commitWindowEnd, second.commitWindowEnd) + 1);
+
+            const result = await client.expire(first.transferId);
+            expect(result.settled).to.deep.equal([first.transferId]);
+            expect(result.refunds.map((r) => r.wallet)).to.have.members([addr1.address, addr2.address]);
+
+            const all = await client.expireAll(addr2.address);
+            expect(all.settled).to.deep.equal([second.transferId]);
+            expect(await client.getPendingTransfers(addr2.address)).to.deep.equal([]);
+        });
+
+        it("expireBatch: Should settle the expired windows of several wallets at once", async function () {
+            const first = await client.transfer(addr2.address, toTokenAmount(10));
+            const second = await client.connect(owner).transfer(addr1.address, toTokenAmount(10));
+            await time.increaseTo(Math.max(first.commitWindowEnd, second.commitWindowEnd) + 1);
+
+            const result = await client.expireBatch([addr1.address, addr2.address, owner.address]);
+            expect(result.settled).to.have.members([first.transferId, second.transferId]);
+            expect(await client.getPendingTransfers(addr1.address)).to.deep.equal([]);
+            expect(await client.getPendingTransfers(addr2.address)).to.deep.equal([]);
+            expect((await client.expireBatch([addr1.address])).settled).to.deep.equal([]);
+        });
+
+        it("previewTransfer: Should quote the transfer that follows", async function () {
+            const quote = await client.previewTransfer(addr2.address, toTokenAmount(10));
+            expect(quote.from).to.equal(addr1.address);
+            expect(quote.boundApplied).to.equal("Max");
+            expect(quote.halfLifeDuration).to.be.a("number");
+
+            const result = await client.transfer(addr2.address, toTokenAmount(10));
+            expect(result.fee).to.equal(quote.fee);
+            expect(result.netAmount).to.equal(quote.netAmount);
+            expect(result.commitWindowEnd).to.equal(await time.latest() + quote.halfLifeDuration);
+
+            const readOnly = new T3Client({ token: client.token.target, runner: ethers.provider });
+            await expect(readOnly.previewTransfer(addr2.address, 1n)).to.be.rejectedWith(T3ClientError, "from is required on a read-only client");
+            expect((await readOnly.previewTransfer(addr2.address, toTokenAmount(10), { from: addr1.address })).from).to.equal(addr1.address);
+        });
+
+        it("getFeeSchedule / setFeeSchedule: Should version the fee schedule", async function () {
+            const initial = await client.getFeeSchedule();
+            expect(initial.version).to.equal(1);
+            expect(initial.split).to.deep.equal({ treasuryBps: 5000, senderBps: 2500, recipientBps: 2500 });
+
+            const schedule = { tiers: [{ upTo: toTokenAmount(1000), rateBps: 50 }], minFee: 0n, maxFeeBps: 500, split: { treasuryBps: 6000, senderBps: 2000, recipientBps: 2000 } };
+            await expect(client.setFeeSchedule({ ...schedule, split: {} })).to.be.rejectedWith(T3ClientError, "split.{treasuryBps,senderBps,recipientBps} are required");
+            const result = await client.connect(owner).setFeeSchedule(schedule);
+            expect(result.version).to.equal(2);
+            expect(await client.getFeeSchedule()).to.deep.equal({ version: 2, ...schedule });
+            expect((await client.getFeeSchedule(1)).tiers).to.deep.equal(initial.tiers);
+
+            const { transferId } = await client.transfer(addr2.address, toTokenAmount(10));
+            expect((await client.getTransfer(transferId)).feeScheduleVersion).to.equal(2);
+        });
+
+        it("getRiskFactor / getAvailableCredits: Should mirror contract views", async function () {
+            expect(await client.getRiskFactor(addr1.address)).to.equal(await t3Token.calculateRiskFactor(addr1.address));
+            expect(await client.getAvailableCredits(addr1.address)).to.equal(await t3Token.getAvailableCredits(addr1.address));
+        });
+    });
+
+    describe("Incentive Credits", function () {
+        it("setCreditPolicy / getCreditPolicy / redeemCredits: Should redeem credits out of the treasury allowance", async function () {
+            const policy = { expiryPeriod: 86400, redemptionRateBps: 10000, maxRedemption: toTokenAmount(5) };
+            expect(await client.connect(owner).setCreditPolicy(policy)).to.include(policy);
+            await t3Token.connect(treasury).approve(client.token.target, toTokenAmount(3));
+            expect(await client.getCreditPolicy()).to.deep.include({ ...policy, treasury: treasury.address, treasuryAllowance: toTokenAmount(3) });
+
+            const before = await client.getCredits(addr1.address);
+            const result = await client.redeemCredits(toTokenAmount(2));
+            expect(result).to.deep.include({ wallet: addr1.address, credits: toTokenAmount(2), payout: toTokenAmount(2) });
+            const after = await client.getCredits(addr1.address);
+            expect(after.available).to.equal(before.available - toTokenAmount(2));
+            expect(after.expiresAt).to.equal(after.lastUpdated + 86400);
+            expect((await client.getCreditPolicy()).totalOutstanding).to.equal(await t3Token.totalIncentiveCredits());
+        });
+
+        it("getCreditHistory / expireCredits: Should list the credit lifecycle of a wallet", async function () {
+            await client.transfer(addr2.address, toTokenAmount(10));
+            await client.connect(owner).setCreditPolicy({ expiryPeriod: 3600 });
+            await time.increase(3600);
+            expect((await client.getCredits(addr1.address)).available).to.equal(0);
+            const { expired } = await client.connect(nonAdmin).expireCredits(addr1.address);
+
+            const history = await client.getCreditHistory(addr1.address);
+            // Before it moves funds, the transfer settles addr1's expired fixture window, refunding part of its fee
+            expect(history.map((entry) => entry.type)).to.deep.equal(["Granted", "Spent", "Granted", "Granted", "Expired"]);
+            expect(history.map((entry) => entry.source)).to.deep.equal(["FeeShare", undefined, "LoyaltyRefund", "FeeShare", undefined]);
+            expect(history[4].amount).to.equal(expired);
+            expect(history[0].amount - history[1].amount + history[2].amount + history[3].amount).to.equal(expired);
+        });
+    });
+
+    describe("Risk Profiles", function () {
+        it("flagAbnormal / clearAbnormalFlag / getRiskBreakdown: Should explain and correct the risk factor", async function () {
+            const admin = client.connect(owner);
+            await admin.flagAbnormal(addr2.address);
+            const flagged = await admin.flagAbnormal(addr2.address);
+            const risk = await client.getRiskBreakdown(addr2.address);
+            expect(risk).to.deep.include({ abnormalCount: 2, abnormalPenalty: 1000n, reversalCount: 0 });
+            expect(risk.total).to.equal(flagged.riskFactor);
+            expect(risk.total).to.equal(await client.getRiskFactor(addr2.address));
+
+            const cleared = await admin.clearAbnormalFlag({ wallet: addr2.address, reasonCode: "FLAGGED_IN_ERROR" });
+            expect(cleared).to.deep.include({ admin: owner.address, reasonCode: "FLAGGED_IN_ERROR", remaining: 1, riskFactor: risk.total - 500n });
+            const reset = await admin.resetRiskProfile({ wallet: addr2.address, reasonCode: "MANUAL_REVIEW" });
+            expect(reset.riskFactor).to.equal(risk.base + risk.newWallet);
+            await expect(admin.clearAbnormalFlag({ wallet: addr2.address, reasonCode: "FLAGGED_IN_ERROR" }))
+                .to.be.rejectedWith(T3ClientError, "No abnormal flag to clear");
+        });
+
+        it("setRiskDecay / getRiskDecay: Should configure the decay periods", async function () {
+            expect(await client.getRiskDecay()).to.deep.equal({ reversalPeriod: 90 * 86400, abnormalPeriod: 180 * 86400 });
+            await client.connect(owner).setRiskDecay({ abnormalPeriod: 3600 });
+            expect(await client.getRiskDecay()).to.deep.equal({ reversalPeriod: 0, abnormalPeriod: 3600 });
+        });
+    });
+
+    describe("Issuance", function () {
+        it("setMintAllowance / redeem / getIssuanceReport: Should reconcile each minter's outstanding issuance", async function () {
+            await t3Token.connect(owner).grantRole(await t3Token.MINTER_ROLE(), custodian.address);
+            const bank = client.connect(custodian);
+            await client.connect(owner).setMintAllowance({ minter: custodian.address, allowance: toTokenAmount(100) });
+            await bank.mint(addr2.address, toTokenAmount(80));
+            await t3Token.connect(addr2).approve(custodian.address, toTokenAmount(30));
+
+            const result = await bank.redeem({ account: addr2.address, amount: toTokenAmount(30) });
+            expect(result).to.deep.include({ minter: custodian.address, account: addr2.address, amount: toTokenAmount(30), outstanding: toTokenAmount(50) });
+            expect(await client.getMinterIssuance(custodian.address)).to.deep.include({ redeemed: toTokenAmount(30), available: toTokenAmount(50) });
+
+            await client.connect(owner).setMintAllowance({ minter: custodian.address });
+            const report = await client.getIssuanceReport();
+            expect(report.minters).to.have.lengthOf(1);
+            expect(report.minters[0]).to.include({ minter: custodian.address, outstanding: toTokenAmount(50), available: null });
+            expect(report.totalOutstanding).to.equal(toTokenAmount(50));
+            expect(report.unattributed).to.equal(report.totalSupply - toTokenAmount(50));
+            await expect(bank.redeem({ account: addr2.address, amount: toTokenAmount(60) }))
+                .to.be.rejectedWith(T3ClientError, "Redemption exceeds outstanding issuance");
+        });
+    });
+
+    describe("Fiat Redemption", function () {
+        it("requestRedemption / confirmRedemption / rejectRedemption / getRedemption: Should run the payout flow", async function () {
+            await t3Token.connect(owner).grantRole(await t3Token.MINTER_ROLE(), custodian.address);
+            const bank = client.connect(custodian);
+            const requested = await client.requestRedemption({ amount: toTokenAmount(40), custodian: custodian.address, referenceId: "RDM-0001" });
+            expect(requested).to.deep.include({ redemptionId: 1n, holder: addr1.address, custodian: custodian.address, referenceId: "RDM-0001" });
+            expect(await client.getRedemption("RDM-0001")).to.deep.include({ redemptionId: 1n, status: "Requested", amount: toTokenAmount(40), resolvedAt: 0 });
+
+            const confirmed = await bank.confirmRedemption(1);
+            expect(confirmed).to.deep.include({ redemptionId: 1n, referenceId: "RDM-0001", amount: toTokenAmount(40) });
+            expect((await client.getRedemption(1)).status).to.equal("Confirmed");
+
+            await client.requestRedemption({ amount: toTokenAmount(5), custodian: custodian.address, referenceId: "RDM-0002" });
+            await expect(client.rejectRedemption({ redemptionId: 2, rejectionCode: "NO_BANK_ACCOUNT" }))
+                .to.be.rejectedWith(T3ClientError, "Only the named custodian can resolve");
+            const rejected = await bank.rejectRedemption({ redemptionId: 2, rejectionCode: "NO_BANK_ACCOUNT" });
+            expect(rejected.rejectionCode).to.equal("NO_BANK_ACCOUNT");
+            expect(await client.getRedemption("RDM-0002")).to.include({ status: "Rejected", rejectionCode: "NO_BANK_ACCOUNT" });
+            expect((await client.getRedemption("RDM-9999")).status).to.equal("None");
+        });
+    });
+
+    describe("Permit", function () {
+        it("signPermit / permit / transferFrom: Should approve without a transaction from the owner", async function () {
+            const deadline = (await time.latest()) + 3600;
+            await expect(client.signPermit({ spender: addr2.address, value: 1n })).to.be.rejectedWith(T3ClientError, "deadline is required");
+            const signed = await client.signPermit({ spender: addr2.address, value: toTokenAmount(20), deadline });
+            expect(signed).to.include({ owner: addr1.address, spender: addr2.address, value: toTokenAmount(20), nonce: 0n, deadline });
+
+            const relayed = await client.connect(nonAdmin).permit(signed);
+            expect(relayed).to.include({ owner: addr1.address, spender: addr2.address, value: toTokenAmount(20) });
+            await expect(client.connect(nonAdmin).permit(signed)).to.be.rejectedWith(T3ClientError, "Invalid permit signature");
+
+            const result = await client.connect(addr2).transferFrom(addr1.address, treasury.address, toTokenAmount(20));
+            expect(result).to.include({ from: addr1.address, to: treasury.address, amount: toTokenAmount(20) });
+            expect(result.netAmount + result.fee).to.equal(toTokenAmount(20));
+            expect(await t3Token.allowance(addr1.address, addr2.address)).to.equal(0);
+        });
+    });
+
+    describe("Signed Authorizations", function () {
+        it("signTransferAuthorization / transferWithAuthorization: Should transfer without a transaction from the sender", async function () {
+            const validBefore = (await time.latest()) + 3600;
+            await expect(client.signTransferAuthorization({ to: addr2.address, value: 1n })).to.be.rejectedWith(T3ClientError, "validBefore is required");
+            await expect(client.signTransferAuthorization({ to: addr2.address, value: 1n, validBefore, nonce: "0x01" }))
+                .to.be.rejectedWith(T3ClientError, "nonce must be a 0x-prefixed bytes32");
+            const signed = await client.signTransferAuthorization({ to: addr2.address, value: toTokenAmount(20), validBefore });
+            expect(signed).to.include({ from: addr1.address, to: addr2.address, value: toTokenAmount(20), validAfter: 0, validBefore });
+            expect(await client.getAuthorizationState(addr1.address, signed.nonce)).to.be.false;
+
+            const relayed = await client.connect(nonAdmin).transferWithAuthorization(signed);
+            expect(relayed).to.include({ from: addr1.address, to: addr2.address, amount: toTokenAmount(20) });
+            expect(relayed.netAmount + relayed.fee).to.equal(toTokenAmount(20));
+            expect(await client.getAuthorizationState(addr1.address, signed.nonce)).to.be.true;
+            await expect(client.connect(nonAdmin).transferWithAuthorization(signed)).to.be.rejectedWith(T3ClientError, "Authorization used or canceled");
+        });
+
+        it("signReversalAuthorization / reverseWithAuthorization: Should reverse on the recipient's signature", async function () {
+            const sent = await client.transfer(addr2.address, toTokenAmount(10));
+            const validBefore = (await time.latest()) + 600;
+            const signed = await client.connect(addr2).signReversalAuthorization({ transferId: sent.transferId, validBefore });
+            expect(signed).to.include({ authorizer: addr2.address, transferId: sent.transferId, amount: 0n });
+            expect(signed.reversalHash).to.equal(computeReversalHash(addr1.address, addr2.address, toTokenAmount(10)));
+
+            const reversed = await client.connect(nonAdmin).reverseWithAuthorization(signed);
+            expect(reversed).to.include({ transferId: sent.transferId, from: addr2.address, to: addr1.address, amount: sent.netAmount });
+            await expect(client.connect(addr2).signReversalAuthorization({ transferId: 999n, validBefore })).to.be.rejectedWith(T3ClientError, "Unknown transfer 999");
+        });
+
+        it("signCancelAuthorization / cancelAuthorization: Should burn an unused nonce", async function () {
+            const signed = await client.signTransferAuthorization({ to: addr2.address, value: 1n, validBefore: (await time.latest()) + 3600 });
+            const cancel = await client.signCancelAuthorization(signed.nonce);
+            const result = await client.connect(nonAdmin).cancelAuthorization(cancel);
+            expect(result).to.include({ authorizer: addr1.address, nonce: signed.nonce });
+            await expect(client.connect(nonAdmin).transferWithAuthorization(signed)).to.be.rejectedWith(T3ClientError, "Authorization used or canceled");
+        });
+    });
+
+    describe("Wallet Freezes", function () {
+        it("freezeWallet / seizeFrozenFunds / getFrozenWallets / unfreezeWallet: Should run a seizure case", async function () {
+            await t3Token.connect(owner).grantRole(await t3Token.COMPLIANCE_ROLE(), nonAdmin.address);
+            const officer = client.connect(nonAdmin);
+            expect(await client.getRecoveryAddress()).to.equal(null);
+            await client.connect(owner).setRecoveryAddress(treasury.address);
+
+            const frozen = await officer.freezeWallet({ wallet: addr1.address, caseReference: "COURT-2024-117" });
+            expect(frozen).to.deep.include({ wallet: addr1.address, officer: nonAdmin.address, caseReference: "COURT-2024-117" });
+            expect(await client.isFrozen(addr1.address)).to.be.true;
+            await expect(client.transfer(addr2.address, toTokenAmount(1))).to.be.rejectedWith(T3ClientError, "Sender wallet is frozen");
+
+            const balance = await client.balanceOf(addr1.address);
+            expect(await client.getFrozenWallets()).to.deep.equal([{ wallet: addr1.address, balance }]);
+            const seized = await officer.seizeFrozenFunds({ wallet: addr1.address, caseReference: "COURT-2024-117" });
+            expect(seized).to.deep.include({ wallet: addr1.address, recoveryAddress: treasury.address, amount: balance });
+            expect(await client.balanceOf(addr1.address)).to.equal(0);
+
+            await officer.unfreezeWallet({ wallet: addr1.address, caseReference: "COURT-2024-117" });
+            expect(await client.getFrozenWallets()).to.deep.equal([]);
+        });
+    });
+
+    describe("KYC Policy", function () {
+        it("setCustodianRegistry / setKYCPolicy / getKYCPolicy: Should configure and report the policy", async function () {
+            const admin = client.connect(owner);
+            await admin.setCustodianRegistry(registry.target);
+            const result = await admin.setKYCPolicy({ policy: "threshold", unregisteredRecipientLimit: toTokenAmount(5) });
+            expect(result.policy).to.equal("Threshold");
+            expect(await client.getKYCPolicy()).to.deep.equal({ registry: registry.target, policy: "Threshold", unregisteredRecipientLimit: toTokenAmount(5) });
+
+            await expect(admin.setKYCPolicy({ policy: "lenient" })).to.be.rejectedWith(T3ClientError, "Unknown KYC policy lenient");
+            const now = await time.latest();
+            await registry.connect(custodian).registerCustodiedWallet(addr1.address, now, 0);
+            const err = await client.transfer(addr2.address, toTokenAmount(5)).catch((e) => e);
+            expect(err.reason).to.equal("Amount exceeds unregistered recipient limit");
+
+            await admin.setKYCExempt(addr2.address);
+            expect(await client.isKYCExempt(addr2.address)).to.equal(true);
+            await expect(client.transfer(addr2.address, toTokenAmount(5))).to.not.be.rejected;
+        });
+    });
+
+    describe("Interbank Liabilities", function () {
+        it("transfer / getTransferLiability / getInterbankLiability: Should report cross-custodian liabilities", async function () {
+            const otherBank = nonAdmin;
+            await registry.connect(owner).grantCustodianRole(otherBank.address);
+            const now = await time.latest();
+            await registry.connect(custodian).registerCustodiedWallet(addr1.address, now, 0);
+            await registry.connect(otherBank).registerCustodiedWallet(addr2.address, now, 0);
+            await client.connect(owner).setCustodianRegistry(registry.target);
+
+            const result = await client.transfer(addr2.address, toTokenAmount(10));
+            expect(result.liability).to.deep.equal({ debtor: custodian.address, creditor: otherBank.address, amount: result.netAmount });
+            expect(await client.getInterbankLiability(custodian.address, otherBank.address)).to.equal(result.netAmount);
+
+            await client.connect(addr2).reverse({ transferId: result.transferId });
+            expect(await client.getTransferLiability(result.transferId))
+                .to.deep.equal({ transferId: result.transferId, debtor: custodian.address, creditor: otherBank.address, amount: 0n });
+            expect(await client.getInterbankLiability(custodian.address, otherBank.address)).to.equal(0n);
+
+            const { transferId } = await client.transfer(owner.address, toTokenAmount(1));
+            expect(await client.getTransferLiability(transferId)).to.equal(null);
+        });
+
+        it("planSettlementCycle / settleInterbankCycle / getSettlementCycle: Should net and clear a cycle", async function () {
+            const [bankA, bankB, bankC] = [custodian.address, nonAdmin.address, addr2.address];
+            await t3Token.connect(owner).recordInterbankLiability(bankA, bankB, toTokenAmount(100));
+            await t3Token.connect(owner).recordInterbankLiability(bankB, bankC, toTokenAmount(60));
+            await t3Token.connect(owner).recordInterbankLiability(bankC, bankA, toTokenAmount(30));
+            await t3Token.connect(owner).clearInterbankLiability(bankB, bankC, toTokenAmount(10));
+
+            const cycle = await client.planSettlementCycle();
+            expect(cycle.liabilities).to.deep.equal([
+                { debtor: bankA, creditor: bankB, amount: toTokenAmount(100) },
+                { debtor: bankB, creditor: bankC, amount: toTokenAmount(50) },
+                { debtor: bankC, creditor: bankA, amount: toTokenAmount(30) },
+            ]);
+            expect(cycle.grossTotal).to.equal(toTokenAmount(180));
+            expect(cycle.netTotal).to.equal(toTokenAmount(70));
+
+            await expect(client.settleInterbankCycle({ settlementId: "CYCLE-1", liabilities: cycle.liabilities }))
+                .to.be.rejectedWith(T3ClientError, "AccessControlUnauthorizedAccount");
+            const result = await client.connect(owner).settleInterbankCycle({ settlementId: "CYCLE-1", liabilities: cycle.liabilities });
+            expect(result).to.include({ settlementId: "CYCLE-1", pairCount: 3, grossAmount: toTokenAmount(180) });
+            expect(await client.getOpenLiabilities()).to.deep.equal([]);
+            expect((await client.getSettlementCycle("CYCLE-1")).settledAt).to.equal(await time.latest());
+        });
+    });
+
+    describe("Error decoding", function () {
+        it("Should surface require() reasons", async function () {
+            const { transferId } = await client.transfer(addr2.address, toTokenAmount(10));
+            const err = await client.expire(transferId).catch((e) => e);
+            expect(err).to.be.instanceOf(T3ClientError);
+            expect(err.reason).to.equal("HalfLife not expired yet");
+            expect(err.message).to.equal("HalfLife not expired yet");
+        });
+
+        it("Should surface custom errors with their arguments", async function () {
+            const err = await client.connect(nonAdmin).transfer(addr2.address, toTokenAmount(1)).catch((e) => e);
+            expect(err).to.be.instanceOf(T3ClientError);
+            expect(err.errorName).to.equal("ERC20InsufficientBalance");
+            expect(err.errorArgs[0]).to.equal(nonAdmin.address);
+        });
+    });
+
+    describe("Custody queries", function () {
+        it("getCustodian: Should combine custodian and KYC status", async function () {
+            const validTs = await time.latest();
+            await registry.connect(custodian).registerCustodiedWallet(addr1.address, validTs, 0);
+
+            const info = await client.getCustodian(addr1.address);
+            expect(info.custodian).to.equal(custodian.address);
+            expect(info.isCustodied).to.equal(true);
+            expect(info.kycValidatedAt).to.equal(validTs);
+            expect(info.kycExpiresAt).to.equal(0);
+            expect(info.kycValid).to.equal(true);
+
+            const unknown = await client.getCustodian(addr2.address);
+            expect(unknown.isCustodied).to.equal(false);
+            expect(unknown.kycValid).to.equal(false);
+        });
+
+        it("getCustodian: Should require a configured registry", async function () {
+            const tokenOnly = new T3Client({ token: client.token.target, runner: owner });
+            await expect(tokenOnly.getCustodian(addr1.address))
+                .to.be.rejectedWith(T3ClientError, "CustodianRegistry address not configured");
+        });
+    });
+});
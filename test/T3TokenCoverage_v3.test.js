@@ -1,7 +1,11 @@
 // test/T3TokenCoverage.test.js
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
 const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { deployT3Token, deployCustodianRegistry } = require("../scripts/lib/deploySystem");
+
+const { ethers } = hre;
 
 describe("T3Token Contract - Coverage & Edge Case Tests", function () {
     // --- Contract Instances and Signers ---
@@ -28,6 +32,21 @@ describe("T3Token Contract - Coverage & Edge Case Tests", function () {
 
     // Helper Functions
     const toTokenAmount = (value) => ethers.parseUnits(value.toString(), DECIMALS);
+    const findEvent = (receipt, name) => receipt.logs.find(log => log.fragment?.name === name);
+    const reversalHashOf = async (transferId) => (await t3Token.transfers(transferId)).reversalHash;
+    // ERC-3009 style authorizations; field lists mirror the typehash strings in T3TokenBase
+    const AUTHORIZATION_FIELDS = {
+        TransferWithAuthorization: "address from,address to,uint256 value,uint256 validAfter,uint256 validBefore,bytes32 nonce",
+        ReverseWithAuthorization: "uint256 transferId,bytes32 reversalHash,uint256 amount,uint256 validAfter,uint256 validBefore,bytes32 nonce",
+        CancelAuthorization: "address authorizer,bytes32 nonce",
+    };
+    const signAuthorization = async (signer, primaryType, message) => {
+        const domain = { name: "T3 Stablecoin", version: "1", chainId: (await ethers.provider.getNetwork()).chainId, verifyingContract: await t3Token.getAddress() };
+        const fields = AUTHORIZATION_FIELDS[primaryType].split(",").map((field) => { const [type, name] = field.split(" "); return { name, type }; });
+        return ethers.Signature.from(await signer.signTypedData(domain, { [primaryType]: fields }, message));
+    };
+    const randomNonce = () => ethers.hexlify(ethers.randomBytes(32));
+    const sendAndGetTransferId = async (from, to, amount) => { const receipt = await (await t3Token.connect(from).transfer(to.address, amount)).wait(); return findEvent(receipt, 'TransferRecorded').args.transferId; };
     const manualCalculateTieredFee = (amount) => { // Replicates internal contract logic
         if (amount === 0n) return 0n;
         let r = amount, t = 0n, c = ONE_TOKEN_UNIT, f = 0n, p = 1000n * BASIS_POINTS; // BASE_FEE_PERCENT
@@ -47,8 +66,8 @@ describe("T3Token Contract - Coverage & Edge Case Tests", function () {
     async function deployT3TokenFixture() {
         [owner, addr1, addr2, treasury, nonOwner, attestor, pauser, minter, burner, ...addrs] = await ethers.getSigners();
         T3Token = await ethers.getContractFactory("T3Token");
-        // Deploy contract, owner gets ADMIN and PAUSER roles by default in this setup
-        t3Token = await T3Token.deploy(owner.address, treasury.address);
+        // Deploy contract behind its proxy, owner gets ADMIN and PAUSER roles by default in this setup
+        ({ token: t3Token } = await deployT3Token(hre, { admin: owner.address, treasury: treasury.address }));
 
         // Get role identifiers from contract
         ADMIN_ROLE = await t3Token.ADMIN_ROLE();
@@ -222,8 +241,8 @@ describe("T3Token Contract - Coverage & Edge Case Tests", function () {
         it("Should prevent transfers when paused", async function () { await t3Token.connect(owner).pause(); await expect(t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(1))).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); });
         it("Should prevent minting when paused", async function () { await t3Token.connect(owner).pause(); await expect(t3Token.connect(minter).mint(addr1.address, toTokenAmount(1))).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); });
         it("Should prevent burning when paused", async function () { await t3Token.connect(owner).pause(); await expect(t3Token.connect(addr1).burn(toTokenAmount(1))).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); await t3Token.connect(addr1).approve(burner.address, toTokenAmount(1)); await expect(t3Token.connect(burner).burnFrom(addr1.address, toTokenAmount(1))).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); });
-        it("Should prevent reverseTransfer when paused", async function() { await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); await t3Token.connect(owner).pause(); await expect(t3Token.connect(addr2).reverseTransfer(addr2.address, addr1.address, toTokenAmount(1))).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); }); // Note: amount might need adjustment based on fee
-        it("Should prevent checkHalfLifeExpiry when paused", async function() { await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); await t3Token.connect(owner).pause(); await expect(t3Token.connect(addr2).checkHalfLifeExpiry(addr2.address)).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); });
+        it("Should prevent reverseTransfer when paused", async function() { const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(10)); await t3Token.connect(owner).pause(); await expect(t3Token.connect(addr2).reverseTransfer(transferId, await reversalHashOf(transferId))).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); }); // Note: amount might need adjustment based on fee
+        it("Should prevent checkHalfLifeExpiry when paused", async function() { const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(10)); await t3Token.connect(owner).pause(); await expect(t3Token.connect(addr2).checkHalfLifeExpiry(transferId)).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); await expect(t3Token.connect(addr2).settleExpiredTransfers(addr2.address)).to.be.revertedWithCustomError(t3Token, "EnforcedPause"); });
     });
 
     // ========================================
@@ -246,20 +265,8 @@ describe("T3Token Contract - Coverage & Edge Case Tests", function () {
                  const initialAllowance = await t3Token.allowance(owner.address, addr1.address);
                  expect(initialAllowance).to.equal(amount);
 
-                 // Calculate expected fee for this transfer (owner -> addr2, amount=100)
-                 const baseFee = manualCalculateTieredFee(amount);
-                 const riskFactorOwner = await t3Token.calculateRiskFactor(owner.address);
-                 const riskFactorAddr2 = await t3Token.calculateRiskFactor(addr2.address);
-                 const higherRisk = riskFactorOwner > riskFactorAddr2 ? riskFactorOwner : riskFactorAddr2;
-                 const feeAfterRisk = (baseFee * higherRisk) / BASIS_POINTS;
-                 const feeAfterCredits = feeAfterRisk; // Assume owner has 0 credits
-                 let finalFee = feeAfterCredits;
-                 const maxFee = (amount * MAX_FEE_PERCENT) / BASIS_POINTS;
-                 if (finalFee > maxFee) finalFee = maxFee;
-                 const minFeeCheck = MIN_FEE_WEI;
-                 if (finalFee < minFeeCheck && amount > minFeeCheck) finalFee = minFeeCheck;
-                 if (finalFee > amount) finalFee = amount;
-                 const netAmount = amount - finalFee;
+                 // Same fee pipeline as transfer, with owner as the sender (credits, risk and bounds included)
+                 const { netAmount } = await t3Token.previewTransfer(owner.address, addr2.address, amount);
 
                  // Perform the transferFrom
                  const tx = await t3Token.connect(addr1).transferFrom(owner.address, addr2.address, amount);
@@ -301,11 +308,1673 @@ describe("T3Token Contract - Coverage & Edge Case Tests", function () {
             const finalBalance = await t3Token.balanceOf(addr1.address);
             expect(finalBalance).to.be.lt(initialBalance);
         });
-        it("reverseTransfer: Should revert if called after HalfLife expired", async function () { const tx = await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); const receipt = await tx.wait(); const feeEvent = receipt.logs.find(log => log.fragment?.name === 'TransferWithFee'); const netAmountFromFeeEvent = feeEvent ? feeEvent.args.amount : toTokenAmount(10); const meta = await t3Token.transferData(addr2.address); if (meta.commitWindowEnd == 0) throw new Error("Metadata not set"); await time.setNextBlockTimestamp(Number(meta.commitWindowEnd) + 1); await expect(t3Token.connect(addr2).reverseTransfer(addr2.address, addr1.address, netAmountFromFeeEvent)).to.be.revertedWith("HalfLife expired"); });
-        it("checkHalfLifeExpiry: Should revert if called before expiry", async function () { await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); await expect(t3Token.connect(addr2).checkHalfLifeExpiry(addr2.address)).to.be.revertedWith("HalfLife not expired yet"); });
-        it("reverseTransfer: Should revert if caller is not receiver", async function() { const tx = await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); const receipt = await tx.wait(); const feeEvent = receipt.logs.find(log => log.fragment?.name === 'TransferWithFee'); const netAmountFromFeeEvent = feeEvent ? feeEvent.args.amount : toTokenAmount(10); await expect(t3Token.connect(owner).reverseTransfer(addr2.address, addr1.address, netAmountFromFeeEvent)).to.be.revertedWith("Only receiver can initiate reversal"); });
-        it("reverseTransfer: Should revert if 'to' is not originator", async function() { const tx = await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); const receipt = await tx.wait(); const feeEvent = receipt.logs.find(log => log.fragment?.name === 'TransferWithFee'); const netAmountFromFeeEvent = feeEvent ? feeEvent.args.amount : toTokenAmount(10); await expect(t3Token.connect(addr2).reverseTransfer(addr2.address, addrs[0].address, netAmountFromFeeEvent)).to.be.revertedWith("Reversal must go back to originator"); });
+        it("reverseTransfer: Should revert if called after HalfLife expired", async function () { const tx = await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10)); const receipt = await tx.wait(); const transferId = findEvent(receipt, 'TransferRecorded').args.transferId; const meta = await t3Token.transfers(transferId); if (meta.commitWindowEnd == 0) throw new Error("Metadata not set"); await time.setNextBlockTimestamp(Number(meta.commitWindowEnd) + 1); await expect(t3Token.connect(addr2).reverseTransfer(transferId, meta.reversalHash)).to.be.revertedWith("HalfLife expired"); });
+        it("checkHalfLifeExpiry: Should revert if called before expiry", async function () { const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(10)); await expect(t3Token.connect(addr2).checkHalfLifeExpiry(transferId)).to.be.revertedWith("HalfLife not expired yet"); });
+        it("reverseTransfer: Should revert if caller is not receiver", async function() { const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(10)); await expect(t3Token.connect(owner).reverseTransfer(transferId, await reversalHashOf(transferId))).to.be.revertedWith("Only receiver can initiate reversal"); });
+        it("reverseTransfer: Should revert for an unknown transfer id", async function() { const lastId = await t3Token.lastTransferId(); await expect(t3Token.connect(addr2).reverseTransfer(lastId + 1n, ethers.ZeroHash)).to.be.revertedWith("Unknown transfer"); });
+    });
+    // ========================================
+    // Per-Transfer Records
+    // ========================================
+    describe("Per-Transfer Records", function () {
+        const amount = toTokenAmount(10);
+        let recipient;
+
+        beforeEach(async function () {
+            recipient = addrs[0];
+        });
+
+        it("Should record each incoming transfer separately instead of overwriting", async function () {
+            const id1 = await sendAndGetTransferId(addr1, recipient, amount);
+            const id2 = await sendAndGetTransferId(addr2, recipient, amount * 2n);
+            expect(id2).to.equal(id1 + 1n);
+
+            const first = await t3Token.transfers(id1);
+            const second = await t3Token.transfers(id2);
+            expect(first.originator).to.equal(addr1.address);
+            expect(first.recipient).to.equal(recipient.address);
+            expect(first.amount).to.equal(amount);
+            expect(first.reversalHash).to.equal(ethers.solidityPackedKeccak256(["address", "address", "uint256"], [addr1.address, recipient.address, amount]));
+            expect(first.transferCount).to.equal(1);
+            expect(second.originator).to.equal(addr2.address);
+            expect(second.amount).to.equal(amount * 2n);
+            expect(second.transferCount).to.equal(2);
+
+            expect(await t3Token.openTransferCount(recipient.address)).to.equal(2);
+            expect([...await t3Token.getOpenTransferIds(recipient.address)]).to.have.members([id1, id2]);
+            const open = await t3Token.getOpenTransfers(recipient.address);
+            expect(open.map(t => t.originator)).to.have.members([addr1.address, addr2.address]);
+        });
+
+        it("Should emit TransferRecorded with the transfer id and window end", async function () {
+            const tx = await t3Token.connect(addr1).transfer(recipient.address, amount);
+            const receipt = await tx.wait();
+            const { transferId, netAmount, commitWindowEnd } = findEvent(receipt, 'TransferRecorded').args;
+            const meta = await t3Token.transfers(transferId);
+            await expect(tx).to.emit(t3Token, "TransferRecorded").withArgs(transferId, addr1.address, recipient.address, netAmount, commitWindowEnd);
+            expect(meta.netAmount).to.equal(netAmount);
+            expect(meta.commitWindowEnd).to.equal(commitWindowEnd);
+        });
+
+        it("Should let each transfer be reversed independently", async function () {
+            const id1 = await sendAndGetTransferId(addr1, recipient, amount);
+            const id2 = await sendAndGetTransferId(addr2, recipient, amount);
+            const meta1 = await t3Token.transfers(id1);
+            const addr1Before = await t3Token.balanceOf(addr1.address);
+
+            await expect(t3Token.connect(recipient).reverseTransfer(id1, meta1.reversalHash))
+                .to.emit(t3Token, "TransferReversed").withArgs(id1, recipient.address, addr1.address, meta1.netAmount);
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(addr1Before + meta1.netAmount);
+            expect((await t3Token.transfers(id1)).isReversed).to.be.true;
+            expect(await t3Token.getOpenTransferIds(recipient.address)).to.deep.equal([id2]);
+            expect((await t3Token.transfers(id2)).isReversed).to.be.false;
+
+            await expect(t3Token.connect(recipient).reverseTransfer(id1, meta1.reversalHash)).to.be.revertedWith("Transfer already reversed");
+        });
+
+        it("checkHalfLifeExpiry: Should settle one transfer and refund both parties", async function () {
+            const id1 = await sendAndGetTransferId(addr1, recipient, amount);
+            const id2 = await sendAndGetTransferId(addr2, recipient, amount);
+            const meta1 = await t3Token.transfers(id1);
+            await time.increaseTo(meta1.commitWindowEnd);
+
+            const refund = meta1.feeAmount / 8n;
+            const creditsBefore = await t3Token.getAvailableCredits(addr1.address);
+            await expect(t3Token.checkHalfLifeExpiry(id1))
+                .to.emit(t3Token, "HalfLifeExpired")
+                .and.to.emit(t3Token, "LoyaltyRefundProcessed").withArgs(addr1.address, refund);
+            expect(await t3Token.getAvailableCredits(addr1.address)).to.equal(creditsBefore + refund);
+            expect((await t3Token.transfers(id1)).isExpired).to.be.true;
+            expect(await t3Token.getOpenTransferIds(recipient.address)).to.deep.equal([id2]);
+
+            await expect(t3Token.checkHalfLifeExpiry(id1)).to.be.revertedWith("HalfLife already settled");
+        });
+
+        it("settleExpiredTransfers: Should settle every expired transfer of a wallet", async function () {
+            await sendAndGetTransferId(addr1, recipient, amount);
+            await sendAndGetTransferId(addr2, recipient, amount);
+            await expect(t3Token.settleExpiredTransfers(recipient.address)).to.be.revertedWith("HalfLife not expired yet");
+
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            const tx = await t3Token.settleExpiredTransfers(recipient.address);
+            const receipt = await tx.wait();
+            expect(receipt.logs.filter(log => log.fragment?.name === 'HalfLifeExpired')).to.have.lengthOf(2);
+            expect(await t3Token.openTransferCount(recipient.address)).to.equal(0);
+
+            await expect(t3Token.settleExpiredTransfers(recipient.address)).to.be.revertedWith("No active transfer data");
+        });
+
+        it("Should not settle a reversed transfer", async function () {
+            const id = await sendAndGetTransferId(addr1, recipient, amount);
+            await t3Token.connect(recipient).reverseTransfer(id, await reversalHashOf(id));
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            await expect(t3Token.checkHalfLifeExpiry(id)).to.be.revertedWith("Transfer was reversed");
+        });
+    });
+
+    // ========================================
+    // Amount-Scoped HalfLife Locks
+    // ========================================
+    describe("Amount-Scoped HalfLife Locks", function () {
+        const incoming = toTokenAmount(5000);
+        let lockedNet;
+
+        beforeEach(async function () {
+            const receipt = await (await t3Token.connect(owner).transfer(addr1.address, incoming)).wait();
+            lockedNet = findEvent(receipt, 'TransferRecorded').args.netAmount;
+        });
+
+        it("Should lock only the received amount", async function () {
+            const balance = await t3Token.balanceOf(addr1.address);
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(lockedNet);
+            expect(await t3Token.spendableBalanceOf(addr1.address)).to.equal(balance - lockedNet);
+            expect(await t3Token.lockedBalanceOf(addr2.address)).to.equal(0);
+            expect(await t3Token.spendableBalanceOf(addr2.address)).to.equal(await t3Token.balanceOf(addr2.address));
+        });
+
+        it("Should allow previously settled funds to move during the window", async function () {
+            const spendable = await t3Token.spendableBalanceOf(addr1.address);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, spendable / 2n)).to.not.be.reverted;
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(lockedNet);
+        });
+
+        it("Should block transfers that dip into locked funds", async function () {
+            const balance = await t3Token.balanceOf(addr1.address);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, balance))
+                .to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+        });
+
+        it("Should allow locked funds to go back to their originator only", async function () {
+            await t3Token.connect(addr2).transfer(addr1.address, incoming);
+            const balance = await t3Token.balanceOf(addr1.address);
+            // Funds locked from addr2 still block a full-balance transfer back to owner
+            await expect(t3Token.connect(addr1).transfer(owner.address, balance))
+                .to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+            const lockedFromAddr2 = (await t3Token.lockedBalanceOf(addr1.address)) - lockedNet;
+            await expect(t3Token.connect(addr1).transfer(owner.address, balance - lockedFromAddr2)).to.not.be.reverted;
+        });
+
+        it("Should keep the originator's exemption in step with partial reversals and disputes", async function () {
+            const CODE = ethers.encodeBytes32String("FRAUD");
+            const incomingId = await sendAndGetTransferId(addr2, addr1, incoming);
+            const meta = await t3Token.transfers(incomingId);
+            const half = meta.netAmount / 2n;
+            await t3Token.connect(addr1).reversePartial(incomingId, meta.reversalHash, half);
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(lockedNet + meta.netAmount - half);
+            // Everything but owner's lock may go back to addr2...
+            const returnable = (await t3Token.balanceOf(addr1.address)) - lockedNet;
+            await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), owner.address);
+            await t3Token.connect(owner).openDispute(incomingId, CODE);
+            // ...unless a dispute freezes what is left of its transfer
+            await expect(t3Token.connect(addr1).transfer(addr2.address, returnable))
+                .to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+            await t3Token.connect(owner).releaseDispute(incomingId, CODE);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, returnable)).to.not.be.reverted;
+        });
+
+        it("Should count locked funds sent back to their originator as reversed", async function () {
+            const ownerTransferId = await t3Token.lastTransferId();
+            const incomingId = await sendAndGetTransferId(addr2, addr1, incoming);
+            const meta = await t3Token.transfers(incomingId);
+            const half = meta.netAmount / 2n;
+            // Everything spendable plus about half of addr2's lock goes back to addr2
+            const spendable = await t3Token.spendableBalanceOf(addr1.address);
+            const sent = spendable + half;
+            const returned = (await t3Token.previewTransfer(addr1.address, addr2.address, sent)).netAmount - spendable;
+            await expect(t3Token.connect(addr1).transfer(addr2.address, sent))
+                .to.emit(t3Token, "TransferReversed").withArgs(incomingId, addr1.address, addr2.address, returned);
+            expect(await t3Token.reversibleAmountOf(incomingId)).to.equal(meta.netAmount - returned);
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(await t3Token.balanceOf(addr1.address));
+
+            // The other transfers stay reversible in full
+            await expect(t3Token.connect(addr1).reverseTransfer(ownerTransferId, await reversalHashOf(ownerTransferId)))
+                .to.emit(t3Token, "TransferReversed").withArgs(ownerTransferId, addr1.address, owner.address, lockedNet);
+            await expect(t3Token.connect(addr1).reverseTransfer(incomingId, meta.reversalHash))
+                .to.emit(t3Token, "TransferReversed").withArgs(incomingId, addr1.address, addr2.address, meta.netAmount - returned);
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(0);
+        });
+
+        it("Should block burning locked funds", async function () {
+            const balance = await t3Token.balanceOf(addr1.address);
+            await expect(t3Token.connect(addr1).burn(balance)).to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+            await t3Token.connect(addr1).approve(burner.address, balance);
+            await expect(t3Token.connect(burner).burnFrom(addr1.address, balance)).to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+            await expect(t3Token.connect(addr1).burn(await t3Token.spendableBalanceOf(addr1.address))).to.not.be.reverted;
+        });
+
+        it("Should unlock funds once the window ends, before settlement", async function () {
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            expect(await t3Token.openTransferCount(addr1.address)).to.be.greaterThan(0);
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(0);
+            const balance = await t3Token.balanceOf(addr1.address);
+            expect(await t3Token.spendableBalanceOf(addr1.address)).to.equal(balance);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, balance)).to.not.be.reverted;
+        });
+
+        it("Should release the lock when the transfer is reversed", async function () {
+            const transferId = await t3Token.lastTransferId();
+            await t3Token.connect(addr1).reverseTransfer(transferId, await reversalHashOf(transferId));
+            expect(await t3Token.lockedBalanceOf(addr1.address)).to.equal(0);
+        });
+    });
+
+    // ========================================
+    // Sender-Initiated Reversal Requests
+    // ========================================
+    describe("Sender-Initiated Reversal Requests", function () {
+        const REQUESTED = 1, ACCEPTED = 2, CONTESTED = 3;
+        let transferId, meta;
+
+        beforeEach(async function () {
+            transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(100));
+            meta = await t3Token.transfers(transferId);
+        });
+
+        it("Should let the originator file a request during the window", async function () {
+            await expect(t3Token.connect(addr1).requestReversal(transferId, "wrong address"))
+                .to.emit(t3Token, "ReversalRequested").withArgs(transferId, addr1.address, addr2.address, "wrong address");
+            const request = await t3Token.reversalRequests(transferId);
+            expect(request.status).to.equal(REQUESTED);
+            expect(request.requestedAt).to.equal(await time.latest());
+        });
+
+        it("Should reject requests from anyone but the originator, twice, or after the window", async function () {
+            await expect(t3Token.connect(addr2).requestReversal(transferId, "")).to.be.revertedWith("Only originator can request reversal");
+            await expect(t3Token.connect(addr1).requestReversal(transferId + 1n, "")).to.be.revertedWith("Unknown transfer");
+            await t3Token.connect(addr1).requestReversal(transferId, "");
+            await expect(t3Token.connect(addr1).requestReversal(transferId, "")).to.be.revertedWith("Reversal already requested");
+
+            const otherId = await sendAndGetTransferId(addr1, addrs[0], toTokenAmount(1));
+            await time.increaseTo((await t3Token.transfers(otherId)).commitWindowEnd);
+            await expect(t3Token.connect(addr1).requestReversal(otherId, "")).to.be.revertedWith("HalfLife expired");
+        });
+
+        it("Should hold the funds past the window while the request is pending", async function () {
+            await t3Token.connect(addr1).requestReversal(transferId, "wrong address");
+            await time.increaseTo(meta.commitWindowEnd + 1n);
+            expect(await t3Token.lockedBalanceOf(addr2.address)).to.equal(meta.netAmount);
+            await expect(t3Token.checkHalfLifeExpiry(transferId)).to.be.revertedWith("Reversal request pending");
+            // Batch settlement skips the held transfer (the fixture's setup transfer already settled lazily)
+            await expect(t3Token.settleExpiredTransfers(addr2.address)).to.be.revertedWith("HalfLife not expired yet");
+            await t3Token.checkHalfLifeExpiryBatch([addr2.address]);
+            expect(await t3Token.getOpenTransferIds(addr2.address)).to.deep.equal([transferId]);
+        });
+
+        it("Should execute the reversal when the recipient accepts", async function () {
+            await t3Token.connect(addr1).requestReversal(transferId, "wrong address");
+            await time.increaseTo(meta.commitWindowEnd + 1n);
+            const before = await t3Token.balanceOf(addr1.address);
+
+            await expect(t3Token.connect(addr1).acceptReversal(transferId)).to.be.revertedWith("Only receiver can answer reversal request");
+            await expect(t3Token.connect(addr2).acceptReversal(transferId))
+                .to.emit(t3Token, "ReversalRequestAccepted").withArgs(transferId, addr2.address)
+                .and.to.emit(t3Token, "TransferReversed").withArgs(transferId, addr2.address, addr1.address, meta.netAmount);
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(before + meta.netAmount);
+            expect((await t3Token.reversalRequests(transferId)).status).to.equal(ACCEPTED);
+            expect(await t3Token.lockedBalanceOf(addr2.address)).to.equal(0);
+        });
+
+        it("Should resolve a pending request when the recipient reverses directly", async function () {
+            await t3Token.connect(addr1).requestReversal(transferId, "");
+            await expect(t3Token.connect(addr2).reverseTransfer(transferId, meta.reversalHash))
+                .to.emit(t3Token, "ReversalRequestAccepted");
+            expect((await t3Token.reversalRequests(transferId)).status).to.equal(ACCEPTED);
+        });
+
+        it("Should release the hold when the recipient contests", async function () {
+            await t3Token.connect(addr1).requestReversal(transferId, "wrong address");
+            await expect(t3Token.connect(addr2).contestReversal(transferId, "goods delivered"))
+                .to.emit(t3Token, "ReversalRequestContested").withArgs(transferId, addr2.address, "goods delivered");
+            const request = await t3Token.reversalRequests(transferId);
+            expect(request.status).to.equal(CONTESTED);
+            expect(request.resolvedAt).to.equal(await time.latest());
+
+            await expect(t3Token.connect(addr2).acceptReversal(transferId)).to.be.revertedWith("No pending reversal request");
+            await expect(t3Token.connect(addr1).requestReversal(transferId, "")).to.be.revertedWith("Reversal already requested");
+            await time.increaseTo(meta.commitWindowEnd);
+            expect(await t3Token.lockedBalanceOf(addr2.address)).to.equal(0);
+            await expect(t3Token.checkHalfLifeExpiry(transferId)).to.emit(t3Token, "HalfLifeExpired");
+        });
+    });
+
+    // ========================================
+    // Dispute Arbitration
+    // ========================================
+    describe("Dispute Arbitration", function () {
+        const OPEN = 1, REVERSED = 2, RELEASED = 3;
+        const FRAUD = ethers.encodeBytes32String("FRAUD");
+        const CONFIRMED = ethers.encodeBytes32String("FRAUD_CONFIRMED");
+        const CLEARED = ethers.encodeBytes32String("CLEARED");
+        let arbiter, transferId, meta;
+
+        beforeEach(async function () {
+            arbiter = addrs[1];
+            await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), arbiter.address);
+            transferId = await sendAndGetTransferId(addr1, addrs[0], toTokenAmount(100));
+            meta = await t3Token.transfers(transferId);
+        });
+
+        it("Should restrict disputes to ARBITER_ROLE", async function () {
+            const ARBITER_ROLE = await t3Token.ARBITER_ROLE();
+            await expect(t3Token.connect(addr1).openDispute(transferId, FRAUD))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount").withArgs(addr1.address, ARBITER_ROLE);
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            await expect(t3Token.connect(addr1).forceReversal(transferId, CONFIRMED))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(addr1).releaseDispute(transferId, CLEARED))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should freeze the disputed amount even after the window and settlement", async function () {
+            await time.increaseTo(meta.commitWindowEnd);
+            await t3Token.checkHalfLifeExpiry(transferId);
+            await expect(t3Token.connect(arbiter).openDispute(transferId, FRAUD))
+                .to.emit(t3Token, "DisputeOpened").withArgs(transferId, arbiter.address, FRAUD, meta.netAmount);
+
+            const dispute = await t3Token.disputes(transferId);
+            expect(dispute.status).to.equal(OPEN);
+            expect(dispute.reasonCode).to.equal(FRAUD);
+            expect(await t3Token.disputedBalanceOf(addrs[0].address)).to.equal(meta.netAmount);
+            expect(await t3Token.lockedBalanceOf(addrs[0].address)).to.equal(meta.netAmount);
+            await expect(t3Token.connect(addrs[0]).transfer(addr1.address, meta.netAmount))
+                .to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+            await expect(t3Token.connect(arbiter).openDispute(transferId, FRAUD)).to.be.revertedWith("Dispute already opened");
+        });
+
+        it("Should cap the frozen amount at the recipient's balance", async function () {
+            await time.increaseTo(meta.commitWindowEnd);
+            const spent = meta.netAmount / 2n;
+            await t3Token.connect(addrs[0]).transfer(addr2.address, spent);
+            const balance = await t3Token.balanceOf(addrs[0].address);
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            expect((await t3Token.disputes(transferId)).amount).to.equal(balance);
+        });
+
+        it("Should not freeze funds already frozen by another dispute", async function () {
+            const second = await sendAndGetTransferId(addr2, addrs[0], toTokenAmount(100));
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            // Spend everything the first dispute does not hold: the second transfer's funds go back to addr2
+            const free = (await t3Token.balanceOf(addrs[0].address)) - meta.netAmount;
+            await t3Token.connect(addrs[0]).transfer(addr2.address, free);
+            const left = (await t3Token.balanceOf(addrs[0].address)) - meta.netAmount;
+            await t3Token.connect(arbiter).openDispute(second, FRAUD);
+            expect((await t3Token.disputes(second)).amount).to.equal(left);
+            expect(await t3Token.disputedBalanceOf(addrs[0].address)).to.equal(meta.netAmount + left);
+        });
+
+        it("Should not let a reversal take funds frozen for another transfer", async function () {
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            const otherId = await sendAndGetTransferId(addr2, addrs[0], toTokenAmount(100));
+            const other = await t3Token.transfers(otherId);
+            // The recipient returns addr2's funds with an ordinary transfer, which counts as reversing addr2's transfer...
+            const returned = (await t3Token.previewTransfer(addrs[0].address, addr2.address, other.netAmount)).netAmount;
+            await expect(t3Token.connect(addrs[0]).transfer(addr2.address, other.netAmount))
+                .to.emit(t3Token, "TransferReversed").withArgs(otherId, addrs[0].address, addr2.address, returned);
+            // ...so reversing it only pays out the rest, never the frozen funds
+            await expect(t3Token.connect(addrs[0]).reverseTransfer(otherId, other.reversalHash))
+                .to.emit(t3Token, "TransferReversed").withArgs(otherId, addrs[0].address, addr2.address, other.netAmount - returned);
+            expect(await t3Token.balanceOf(addrs[0].address)).to.equal(meta.netAmount);
+
+            const before = await t3Token.balanceOf(addr1.address);
+            await expect(t3Token.connect(arbiter).forceReversal(transferId, CONFIRMED))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addrs[0].address, addr1.address, meta.netAmount);
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(before + meta.netAmount);
+        });
+
+        it("Should not freeze funds locked for another open transfer", async function () {
+            await time.increaseTo(meta.commitWindowEnd);
+            await t3Token.checkHalfLifeExpiry(transferId);
+            const otherId = await sendAndGetTransferId(addr2, addrs[0], toTokenAmount(100));
+            const other = await t3Token.transfers(otherId);
+            // Settled funds may be spent; what is left of them is all the dispute can freeze
+            await t3Token.connect(addrs[0]).transfer(nonOwner.address, meta.netAmount / 2n);
+            const left = (await t3Token.balanceOf(addrs[0].address)) - other.netAmount;
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            expect((await t3Token.disputes(transferId)).amount).to.equal(left);
+
+            await t3Token.connect(arbiter).forceReversal(transferId, CONFIRMED);
+            expect(await t3Token.balanceOf(addrs[0].address)).to.equal(other.netAmount);
+            expect(await t3Token.lockedBalanceOf(addrs[0].address)).to.equal(other.netAmount);
+            await expect(t3Token.connect(addrs[0]).reverseTransfer(otherId, other.reversalHash))
+                .to.emit(t3Token, "TransferReversed").withArgs(otherId, addrs[0].address, addr2.address, other.netAmount);
+        });
+
+        it("Should block the recipient and expiry settlement while the dispute is open", async function () {
+            await t3Token.connect(addr1).requestReversal(transferId, "wrong address");
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            await expect(t3Token.connect(addrs[0]).reverseTransfer(transferId, meta.reversalHash)).to.be.revertedWith("Transfer under dispute");
+            await expect(t3Token.connect(addrs[0]).acceptReversal(transferId)).to.be.revertedWith("Transfer under dispute");
+            await time.increaseTo(meta.commitWindowEnd);
+            await expect(t3Token.checkHalfLifeExpiry(transferId)).to.be.revertedWith("Reversal request pending");
+            await t3Token.connect(addrs[0]).contestReversal(transferId, "");
+            await expect(t3Token.checkHalfLifeExpiry(transferId)).to.be.revertedWith("Transfer under dispute");
+        });
+
+        it("forceReversal: Should return the frozen amount and penalize the recipient", async function () {
+            await t3Token.connect(addr1).requestReversal(transferId, "wrong address");
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            await time.increaseTo(meta.commitWindowEnd + 100n);
+            const before = await t3Token.balanceOf(addr1.address);
+            const profileBefore = await t3Token.walletRiskProfiles(addrs[0].address);
+
+            await expect(t3Token.connect(arbiter).forceReversal(transferId, CONFIRMED))
+                .to.emit(t3Token, "DisputeResolved").withArgs(transferId, arbiter.address, CONFIRMED, true, meta.netAmount)
+                .and.to.emit(t3Token, "TransferReversed").withArgs(transferId, addrs[0].address, addr1.address, meta.netAmount)
+                .and.to.emit(t3Token, "ReversalRequestAccepted");
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(before + meta.netAmount);
+            expect((await t3Token.transfers(transferId)).isReversed).to.be.true;
+            const dispute = await t3Token.disputes(transferId);
+            expect(dispute.status).to.equal(REVERSED);
+            expect(dispute.resolutionCode).to.equal(CONFIRMED);
+            expect(await t3Token.disputedBalanceOf(addrs[0].address)).to.equal(0);
+
+            const profile = await t3Token.walletRiskProfiles(addrs[0].address);
+            expect(profile.reversalCount).to.equal(profileBefore.reversalCount + 1n);
+            expect(profile.abnormalTxCount).to.equal(profileBefore.abnormalTxCount + 1n);
+            expect((await t3Token.walletRiskProfiles(addr1.address)).reversalCount).to.equal(0);
+            await expect(t3Token.connect(arbiter).forceReversal(transferId, CONFIRMED)).to.be.revertedWith("No open dispute");
+        });
+
+        it("forceReversal: Should close a transfer partly returned by its recipient once the rest is reversed", async function () {
+            // About half of the funds already went back to the originator with an ordinary transfer
+            const returned = (await t3Token.previewTransfer(addrs[0].address, addr1.address, meta.netAmount / 2n)).netAmount;
+            await expect(t3Token.connect(addrs[0]).transfer(addr1.address, meta.netAmount / 2n))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addrs[0].address, addr1.address, returned);
+            expect(await t3Token.reversibleAmountOf(transferId)).to.equal(meta.netAmount - returned);
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            expect((await t3Token.disputes(transferId)).amount).to.equal(meta.netAmount - returned);
+
+            await expect(t3Token.connect(arbiter).forceReversal(transferId, CONFIRMED))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addrs[0].address, addr1.address, meta.netAmount - returned);
+            const record = await t3Token.transfers(transferId);
+            expect(record.isReversed).to.be.true;
+            expect(record.reversedAmount).to.equal(meta.netAmount);
+            expect(await t3Token.openTransferCount(addrs[0].address)).to.equal(0);
+            expect(await t3Token.lockedBalanceOf(addrs[0].address)).to.equal(0);
+        });
+
+        it("releaseDispute: Should unfreeze the funds without penalties", async function () {
+            await t3Token.connect(arbiter).openDispute(transferId, FRAUD);
+            await expect(t3Token.connect(arbiter).releaseDispute(transferId, CLEARED))
+                .to.emit(t3Token, "DisputeResolved").withArgs(transferId, arbiter.address, CLEARED, false, meta.netAmount);
+            expect((await t3Token.disputes(transferId)).status).to.equal(RELEASED);
+            expect(await t3Token.disputedBalanceOf(addrs[0].address)).to.equal(0);
+            expect((await t3Token.walletRiskProfiles(addrs[0].address)).abnormalTxCount).to.equal(0);
+            // Back to a normal open transfer: still locked by its own window
+            expect(await t3Token.lockedBalanceOf(addrs[0].address)).to.equal(meta.netAmount);
+            await expect(t3Token.connect(arbiter).openDispute(transferId, FRAUD)).to.be.revertedWith("Dispute already opened");
+        });
+    });
+
+    // ========================================
+    // Reversal Hash Binding & Partial Reversals
+    // ========================================
+    describe("Reversal Hash Binding & Partial Reversals", function () {
+        let transferId, meta;
+
+        beforeEach(async function () {
+            transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(100));
+            meta = await t3Token.transfers(transferId);
+        });
+
+        it("Should reject a reversal with the wrong hash", async function () {
+            const abiEncodedHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "address", "uint256"], [addr1.address, addr2.address, meta.amount]));
+            await expect(t3Token.connect(addr2).reverseTransfer(transferId, abiEncodedHash)).to.be.revertedWith("Reversal hash mismatch");
+            await expect(t3Token.connect(addr2).reversePartial(transferId, ethers.ZeroHash, 1n)).to.be.revertedWith("Reversal hash mismatch");
+        });
+
+        it("Should send back exactly the received amount on a full reversal", async function () {
+            const before = await t3Token.balanceOf(addr1.address);
+            await expect(t3Token.connect(addr2).reverseTransfer(transferId, meta.reversalHash))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addr2.address, addr1.address, meta.netAmount);
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(before + meta.netAmount);
+            expect((await t3Token.transfers(transferId)).reversedAmount).to.equal(meta.netAmount);
+            expect(await t3Token.reversibleAmountOf(transferId)).to.equal(0);
+        });
+
+        it("Should track partial reversals within the received amount", async function () {
+            const part = meta.netAmount / 3n;
+            await expect(t3Token.connect(addr2).reversePartial(transferId, meta.reversalHash, part))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addr2.address, addr1.address, part);
+            const updated = await t3Token.transfers(transferId);
+            expect(updated.reversedAmount).to.equal(part);
+            expect(updated.isReversed).to.be.false;
+            expect(await t3Token.reversibleAmountOf(transferId)).to.equal(meta.netAmount - part);
+            expect(await t3Token.lockedBalanceOf(addr2.address)).to.equal(meta.netAmount - part);
+
+            await expect(t3Token.connect(addr2).reversePartial(transferId, meta.reversalHash, meta.netAmount))
+                .to.be.revertedWith("Amount exceeds reversible amount");
+            await expect(t3Token.connect(addr2).reversePartial(transferId, meta.reversalHash, 0n))
+                .to.be.revertedWith("Reversal amount must be positive");
+
+            await expect(t3Token.connect(addr2).reverseTransfer(transferId, meta.reversalHash))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addr2.address, addr1.address, meta.netAmount - part);
+            expect((await t3Token.transfers(transferId)).isReversed).to.be.true;
+            expect(await t3Token.getOpenTransferIds(addr2.address)).to.not.include(transferId);
+        });
+
+        it("Should freeze only the unreversed amount when disputed", async function () {
+            await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), owner.address);
+            const part = meta.netAmount / 2n;
+            await t3Token.connect(addr2).reversePartial(transferId, meta.reversalHash, part);
+            await t3Token.connect(owner).openDispute(transferId, ethers.encodeBytes32String("FRAUD"));
+            expect((await t3Token.disputes(transferId)).amount).to.equal(meta.netAmount - part);
+        });
     });
+
+    // ========================================
+    // KYC Policy (CustodianRegistry)
+    // ========================================
+    describe("KYC Policy", function () {
+        const DISABLED = 0, STRICT = 1, THRESHOLD = 2;
+        const amount = toTokenAmount(10);
+        let registry, custodian, outsider;
+
+        beforeEach(async function () {
+            custodian = addrs[2]; outsider = addrs[3];
+            ({ registry } = await deployCustodianRegistry(hre, { admin: owner.address }));
+            await registry.connect(owner).grantCustodianRole(custodian.address);
+            const now = await time.latest();
+            for (const wallet of [owner, addr1, addr2]) {
+                await registry.connect(custodian).registerCustodiedWallet(wallet.address, now, 0);
+            }
+            await expect(t3Token.connect(owner).setCustodianRegistry(await registry.getAddress()))
+                .to.emit(t3Token, "CustodianRegistryUpdated").withArgs(await registry.getAddress());
+        });
+
+        it("Should be disabled by default and only settable by ADMIN_ROLE", async function () {
+            expect(await t3Token.kycPolicy()).to.equal(DISABLED);
+            await expect(t3Token.connect(addr1).transfer(outsider.address, amount)).to.not.be.reverted;
+            await expect(t3Token.connect(addr1).setKYCPolicy(STRICT, 0))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(addr1).setKYCExempt(outsider.address, true))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should require a registry to enable the policy", async function () {
+            await t3Token.connect(owner).setCustodianRegistry(ZERO_ADDRESS);
+            await expect(t3Token.connect(owner).setKYCPolicy(STRICT, 0)).to.be.revertedWith("Custodian registry not set");
+            await t3Token.connect(owner).setCustodianRegistry(await registry.getAddress());
+            await expect(t3Token.connect(owner).setKYCPolicy(STRICT, 0)).to.emit(t3Token, "KYCPolicyUpdated").withArgs(STRICT, 0);
+            await expect(t3Token.connect(owner).setCustodianRegistry(ZERO_ADDRESS)).to.be.revertedWith("Disable KYC policy first");
+        });
+
+        it("Strict: Should require both parties to be custodied and KYC-valid", async function () {
+            await t3Token.connect(owner).setKYCPolicy(STRICT, 0);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, amount)).to.not.be.reverted;
+            await expect(t3Token.connect(addr1).transfer(outsider.address, amount)).to.be.revertedWith("Recipient not custodied");
+
+            await t3Token.connect(owner).setKYCPolicy(DISABLED, 0);
+            await t3Token.connect(addr1).transfer(outsider.address, amount);
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            await t3Token.connect(owner).setKYCPolicy(STRICT, 0);
+            await expect(t3Token.connect(outsider).transfer(addr1.address, toTokenAmount(1))).to.be.revertedWith("Sender not custodied");
+
+            const now = await time.latest();
+            await registry.connect(custodian).updateKYCStatus(addr2.address, now - 100, now - 10);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, amount)).to.be.revertedWith("Recipient KYC not valid");
+            await expect(t3Token.connect(addr2).transfer(addr1.address, amount)).to.be.revertedWith("Sender KYC not valid");
+        });
+
+        it("Strict: Should also gate transferFrom and mint", async function () {
+            await t3Token.connect(owner).setKYCPolicy(STRICT, 0);
+            await t3Token.connect(addr1).approve(addr2.address, amount);
+            await expect(t3Token.connect(addr2).transferFrom(addr1.address, outsider.address, amount)).to.be.revertedWith("Recipient not custodied");
+            await expect(t3Token.connect(minter).mint(outsider.address, amount)).to.be.revertedWith("Recipient not custodied");
+            await expect(t3Token.connect(minter).mint(addr1.address, amount)).to.not.be.reverted;
+        });
+
+        it("Threshold: Should allow unregistered recipients only below the limit", async function () {
+            await t3Token.connect(owner).setKYCPolicy(THRESHOLD, amount);
+            expect(await t3Token.unregisteredRecipientLimit()).to.equal(amount);
+            await expect(t3Token.connect(addr1).transfer(outsider.address, amount - 1n)).to.not.be.reverted;
+            await expect(t3Token.connect(addr1).transfer(outsider.address, amount)).to.be.revertedWith("Amount exceeds unregistered recipient limit");
+
+            const now = await time.latest();
+            await registry.connect(custodian).updateKYCStatus(addr2.address, now - 100, now - 10);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(1))).to.be.revertedWith("Recipient KYC not valid");
+        });
+
+        it("Should skip exempt addresses", async function () {
+            await t3Token.connect(owner).setKYCPolicy(STRICT, 0);
+            await expect(t3Token.connect(owner).setKYCExempt(outsider.address, true))
+                .to.emit(t3Token, "KYCExemptionUpdated").withArgs(outsider.address, true);
+            await expect(t3Token.connect(addr1).transfer(outsider.address, amount)).to.not.be.reverted;
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            await expect(t3Token.connect(outsider).transfer(addrs[4].address, toTokenAmount(1))).to.be.revertedWith("Recipient not custodied");
+            await expect(t3Token.connect(outsider).transfer(addr1.address, toTokenAmount(1))).to.not.be.reverted;
+            await expect(t3Token.connect(owner).setKYCExempt(ZERO_ADDRESS, true)).to.be.revertedWith("Account cannot be zero address");
+        });
+    });
+
+    // ========================================
+    // Automatic Interbank Liabilities
+    // ========================================
+    describe("Automatic Interbank Liabilities", function () {
+        const amount = toTokenAmount(100);
+        let registry, bankA, bankB;
+
+        beforeEach(async function () {
+            bankA = addrs[2]; bankB = addrs[3];
+            ({ registry } = await deployCustodianRegistry(hre, { admin: owner.address }));
+            await registry.connect(owner).grantCustodianRole(bankA.address);
+            await registry.connect(owner).grantCustodianRole(bankB.address);
+            const now = await time.latest();
+            await registry.connect(bankA).registerCustodiedWallet(addr1.address, now, 0);
+            await registry.connect(bankA).registerCustodiedWallet(addrs[4].address, now, 0);
+            await registry.connect(bankB).registerCustodiedWallet(addr2.address, now, 0);
+            await t3Token.connect(owner).setCustodianRegistry(await registry.getAddress());
+        });
+
+        it("Should record a liability from the sender's custodian to the recipient's", async function () {
+            const tx = await t3Token.connect(addr1).transfer(addr2.address, amount);
+            const transferId = findEvent(await tx.wait(), 'TransferRecorded').args.transferId;
+            const { netAmount } = await t3Token.transfers(transferId);
+            await expect(tx).to.emit(t3Token, "InterbankLiabilityRecorded").withArgs(bankA.address, bankB.address, netAmount);
+            expect(await t3Token.interbankLiability(bankA.address, bankB.address)).to.equal(netAmount);
+            const liability = await t3Token.transferLiabilities(transferId);
+            expect(liability.debtor).to.equal(bankA.address);
+            expect(liability.creditor).to.equal(bankB.address);
+            expect(liability.amount).to.equal(netAmount);
+        });
+
+        it("Should record nothing for same-custodian, uncustodied or unlinked transfers", async function () {
+            await expect(t3Token.connect(addr1).transfer(addrs[4].address, amount)).to.not.emit(t3Token, "InterbankLiabilityRecorded");
+            await expect(t3Token.connect(addr1).transfer(addrs[5].address, amount)).to.not.emit(t3Token, "InterbankLiabilityRecorded");
+            await t3Token.connect(owner).setCustodianRegistry(ZERO_ADDRESS);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, amount)).to.not.emit(t3Token, "InterbankLiabilityRecorded");
+            expect(await t3Token.interbankLiability(bankA.address, bankB.address)).to.equal(0);
+        });
+
+        it("Should unwind the liability with partial and full reversals", async function () {
+            const transferId = await sendAndGetTransferId(addr1, addr2, amount);
+            const { netAmount } = await t3Token.transfers(transferId);
+            const part = netAmount / 4n;
+            await expect(t3Token.connect(addr2).reversePartial(transferId, await reversalHashOf(transferId), part))
+                .to.emit(t3Token, "InterbankLiabilityCleared").withArgs(bankA.address, bankB.address, part);
+            expect((await t3Token.transferLiabilities(transferId)).amount).to.equal(netAmount - part);
+
+            await expect(t3Token.connect(addr2).reverseTransfer(transferId, await reversalHashOf(transferId)))
+                .to.emit(t3Token, "InterbankLiabilityCleared").withArgs(bankA.address, bankB.address, netAmount - part);
+            expect(await t3Token.interbankLiability(bankA.address, bankB.address)).to.equal(0);
+            expect((await t3Token.transferLiabilities(transferId)).amount).to.equal(0);
+        });
+
+        it("Should owe back an already cleared liability when the transfer is force-reversed", async function () {
+            await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), owner.address);
+            const transferId = await sendAndGetTransferId(addr1, addr2, amount);
+            const { netAmount } = await t3Token.transfers(transferId);
+            const settledOffChain = netAmount / 2n;
+            await t3Token.connect(owner).clearInterbankLiability(bankA.address, bankB.address, settledOffChain);
+
+            await t3Token.connect(owner).openDispute(transferId, ethers.encodeBytes32String("FRAUD"));
+            await expect(t3Token.connect(owner).forceReversal(transferId, ethers.encodeBytes32String("FRAUD_CONFIRMED")))
+                .to.emit(t3Token, "InterbankLiabilityCleared").withArgs(bankA.address, bankB.address, netAmount - settledOffChain)
+                .and.to.emit(t3Token, "InterbankLiabilityRecorded").withArgs(bankB.address, bankA.address, settledOffChain);
+            expect(await t3Token.interbankLiability(bankA.address, bankB.address)).to.equal(0);
+            expect(await t3Token.interbankLiability(bankB.address, bankA.address)).to.equal(settledOffChain);
+        });
+    });
+
+    // ========================================
+    // Interbank Settlement Cycles
+    // ========================================
+    describe("Interbank Settlement Cycles", function () {
+        const cycleId = ethers.encodeBytes32String("CYCLE-1");
+        let bankA, bankB, bankC;
+
+        beforeEach(async function () {
+            [bankA, bankB, bankC] = addrs.slice(2, 5).map((signer) => signer.address);
+            await t3Token.connect(owner).recordInterbankLiability(bankA, bankB, toTokenAmount(100));
+            await t3Token.connect(owner).recordInterbankLiability(bankB, bankC, toTokenAmount(60));
+            await t3Token.connect(owner).recordInterbankLiability(bankC, bankA, toTokenAmount(30));
+        });
+
+        it("Should clear every liability of the cycle and record it under its ID", async function () {
+            const tx = t3Token.connect(owner).settleInterbankCycle(cycleId, [bankA, bankB, bankC], [bankB, bankC, bankA], [toTokenAmount(100), toTokenAmount(40), toTokenAmount(30)]);
+            await expect(tx).to.emit(t3Token, "InterbankSettlementCycleSettled").withArgs(cycleId, 3, toTokenAmount(170))
+                .and.to.emit(t3Token, "InterbankLiabilityCleared").withArgs(bankB, bankC, toTokenAmount(40));
+            expect(await t3Token.interbankLiability(bankA, bankB)).to.equal(0);
+            expect(await t3Token.interbankLiability(bankB, bankC)).to.equal(toTokenAmount(20));
+            expect(await t3Token.interbankLiability(bankC, bankA)).to.equal(0);
+            const cycle = await t3Token.settlementCycles(cycleId);
+            expect(cycle.settledAt).to.equal(await time.latest());
+            expect(cycle.pairCount).to.equal(3);
+            expect(cycle.grossAmount).to.equal(toTokenAmount(170));
+        });
+
+        it("Should revert the whole cycle if any liability cannot be cleared", async function () {
+            await expect(t3Token.connect(owner).settleInterbankCycle(cycleId, [bankA, bankB], [bankB, bankC], [toTokenAmount(100), toTokenAmount(61)]))
+                .to.be.revertedWith("Amount to clear exceeds outstanding liability");
+            expect(await t3Token.interbankLiability(bankA, bankB)).to.equal(toTokenAmount(100));
+            expect((await t3Token.settlementCycles(cycleId)).settledAt).to.equal(0);
+        });
+
+        it("Should reject reused, zero or malformed cycles and non-admins", async function () {
+            await t3Token.connect(owner).settleInterbankCycle(cycleId, [bankA], [bankB], [toTokenAmount(10)]);
+            await expect(t3Token.connect(owner).settleInterbankCycle(cycleId, [bankA], [bankB], [toTokenAmount(10)])).to.be.revertedWith("Settlement cycle already settled");
+            await expect(t3Token.connect(owner).settleInterbankCycle(ethers.ZeroHash, [bankA], [bankB], [toTokenAmount(10)])).to.be.revertedWith("Settlement ID cannot be zero");
+            const nextId = ethers.encodeBytes32String("CYCLE-2");
+            await expect(t3Token.connect(owner).settleInterbankCycle(nextId, [], [], [])).to.be.revertedWith("Settlement cycle is empty");
+            await expect(t3Token.connect(owner).settleInterbankCycle(nextId, [bankA], [bankB, bankC], [toTokenAmount(10)])).to.be.revertedWith("Settlement arrays length mismatch");
+            await expect(t3Token.connect(nonOwner).settleInterbankCycle(nextId, [bankA], [bankB], [toTokenAmount(10)]))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    // ========================================
+    // Transfer Preview
+    // ========================================
+    describe("Transfer Preview", function () {
+        const FEE_BOUND = { None: 0, Max: 1, Min: 2, Amount: 3 };
+
+        // Sends the transfer and returns what it actually charged, to compare with the quote
+        async function executeAndMeasure(from, to, amount) {
+            const creditsBefore = await t3Token.getAvailableCredits(from.address);
+            const receipt = await (await t3Token.connect(from).transfer(to.address, amount)).wait();
+            const transferId = findEvent(receipt, 'TransferRecorded').args.transferId;
+            const record = await t3Token.transfers(transferId);
+            const fee = findEvent(receipt, 'TransferWithFee').args.fee;
+            // The sender's fee share and any loyalty refunds from lazily settled windows
+            const granted = receipt.logs.filter(log => log.fragment?.name === "IncentiveCreditsGranted" && log.args.wallet === from.address)
+                .reduce((sum, log) => sum + log.args.amount, 0n);
+            return { fee, netAmount: record.netAmount, halfLifeDuration: record.halfLifeDuration, creditsUsed: creditsBefore + granted - await t3Token.getAvailableCredits(from.address) };
+        }
+
+        it("Should quote exactly what the transfer then charges", async function () {
+            const recipient = addrs[5];
+            for (const amount of [toTokenAmount(100), toTokenAmount(100), toTokenAmount(5000)]) {
+                const quote = await t3Token.previewTransfer(addr1.address, recipient.address, amount);
+                const actual = await executeAndMeasure(addr1, recipient, amount);
+                expect(quote.fee).to.equal(actual.fee);
+                expect(quote.netAmount).to.equal(actual.netAmount);
+                expect(quote.creditsUsed).to.equal(actual.creditsUsed);
+                expect(quote.halfLifeDuration).to.equal(actual.halfLifeDuration);
+                expect(quote.fee).to.equal(amount - quote.netAmount);
+            }
+        });
+
+        it("Should break down the fee pipeline", async function () {
+            const amount = toTokenAmount(100);
+            const credits = await t3Token.getAvailableCredits(addr1.address);
+            const [senderRisk, recipientRisk] = await Promise.all([t3Token.calculateRiskFactor(addr1.address), t3Token.calculateRiskFactor(addrs[5].address)]);
+            const quote = await t3Token.previewTransfer(addr1.address, addrs[5].address, amount);
+            expect(quote.riskFactor).to.equal(senderRisk > recipientRisk ? senderRisk : recipientRisk);
+            expect(quote.riskAdjustedFee).to.equal(quote.tieredFee * quote.riskFactor / 10000n);
+            expect(quote.creditsUsed).to.equal(credits < quote.riskAdjustedFee ? credits : quote.riskAdjustedFee);
+            expect(quote.boundApplied).to.equal(FEE_BOUND.Max);
+            expect(quote.fee).to.equal(amount * 1000n / 10000n);
+        });
+
+        it("Should report the minimum fee bound when credits cover the fee", async function () {
+            const amount = 2n * 10n ** 13n;
+            const quote = await t3Token.previewTransfer(addr1.address, addrs[5].address, amount);
+            expect(quote.creditsUsed).to.equal(quote.riskAdjustedFee);
+            expect(quote.boundApplied).to.equal(FEE_BOUND.Min);
+            expect(quote.fee).to.equal(10n ** 13n);
+            expect((await executeAndMeasure(addr1, addrs[5], amount)).fee).to.equal(quote.fee);
+        });
+
+        it("Should revert like the transfer on invalid arguments", async function () {
+            await expect(t3Token.previewTransfer(addr1.address, ZERO_ADDRESS, toTokenAmount(1))).to.be.revertedWith("Transfer to zero address");
+            await expect(t3Token.previewTransfer(addr1.address, addr2.address, 0)).to.be.revertedWith("Transfer amount must be greater than zero");
+        });
+    });
+
+    // ========================================
+    // Fee Schedule
+    // ========================================
+    describe("Fee Schedule", function () {
+        const flatSchedule = (overrides = {}) => ({
+            tiers: [{ upTo: ethers.MaxUint256, rateBps: 100 }],
+            minFee: 0, maxFeeBps: 10000,
+            treasuryShareBps: 10000, senderShareBps: 0, recipientShareBps: 0,
+            ...overrides,
+        });
+
+        it("Should start at version 1 with the legacy tiers, bounds and split", async function () {
+            expect(await t3Token.feeScheduleVersion()).to.equal(1);
+            const schedule = await t3Token.getFeeSchedule(0);
+            expect(schedule.tiers).to.have.lengthOf(8);
+            expect(schedule.tiers[0].upTo).to.equal(ONE_TOKEN_UNIT);
+            expect(schedule.tiers[0].rateBps).to.equal(1000n * BASIS_POINTS);
+            expect(schedule.tiers[7].upTo).to.equal(toTokenAmount(10_000_000));
+            expect(schedule.tiers[7].rateBps).to.equal(1);
+            expect(schedule.minFee).to.equal(10n ** 13n);
+            expect(schedule.maxFeeBps).to.equal(1000);
+            expect([schedule.treasuryShareBps, schedule.senderShareBps, schedule.recipientShareBps]).to.deep.equal([5000n, 2500n, 2500n]);
+        });
+
+        it("Should charge transfers against the schedule in force and record its version", async function () {
+            const before = await sendAndGetTransferId(addr1, addrs[5], toTokenAmount(100));
+            await expect(t3Token.connect(owner).setFeeSchedule(flatSchedule())).to.emit(t3Token, "FeeScheduleUpdated");
+            expect(await t3Token.feeScheduleVersion()).to.equal(2);
+
+            const amount = toTokenAmount(100);
+            const quote = await t3Token.previewTransfer(addr2.address, addrs[5].address, amount);
+            expect(quote.tieredFee).to.equal(toTokenAmount(1));
+            expect(quote.feeScheduleVersion).to.equal(2);
+            const treasuryBefore = await t3Token.balanceOf(treasury.address);
+            const creditsBefore = await t3Token.getAvailableCredits(addrs[5].address);
+            const after = await sendAndGetTransferId(addr2, addrs[5], amount);
+
+            const record = await t3Token.transfers(after);
+            expect(record.feeAmount).to.equal(quote.fee);
+            expect(record.feeScheduleVersion).to.equal(2);
+            expect((await t3Token.transfers(before)).feeScheduleVersion).to.equal(1);
+            expect(await t3Token.balanceOf(treasury.address) - treasuryBefore).to.equal(quote.fee);
+            expect(await t3Token.getAvailableCredits(addrs[5].address)).to.equal(creditsBefore);
+            expect((await t3Token.getFeeSchedule(1)).tiers).to.have.lengthOf(8);
+        });
+
+        it("Should validate schedules and restrict updates to ADMIN_ROLE", async function () {
+            await expect(t3Token.connect(nonOwner).setFeeSchedule(flatSchedule())).to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).setFeeSchedule(flatSchedule({ tiers: [] }))).to.be.revertedWith("Fee schedule needs a tier");
+            const tooMany = Array.from({ length: 17 }, (_, i) => ({ upTo: i + 1, rateBps: 1 }));
+            await expect(t3Token.connect(owner).setFeeSchedule(flatSchedule({ tiers: tooMany }))).to.be.revertedWith("Too many fee tiers");
+            await expect(t3Token.connect(owner).setFeeSchedule(flatSchedule({ tiers: [{ upTo: 10, rateBps: 1 }, { upTo: 10, rateBps: 1 }] })))
+                .to.be.revertedWith("Tier boundaries must increase");
+            await expect(t3Token.connect(owner).setFeeSchedule(flatSchedule({ maxFeeBps: 10001 }))).to.be.revertedWith("Max fee above 100%");
+            await expect(t3Token.connect(owner).setFeeSchedule(flatSchedule({ senderShareBps: 1 }))).to.be.revertedWith("Fee split must total 100%");
+            await expect(t3Token.getFeeSchedule(2)).to.be.revertedWith("Unknown fee schedule version");
+        });
+    });
+
+    // ========================================
+    // Incentive Credit Lifecycle
+    // ========================================
+    describe("Incentive Credit Lifecycle", function () {
+        const CREDIT_EXPIRY = 30 * 24 * 3600;
+        const FEE_SHARE = 0, LOYALTY_REFUND = 1;
+
+        it("Should emit grants and spends and keep totalIncentiveCredits in sync", async function () {
+            const amount = toTokenAmount(100);
+            const quote = await t3Token.previewTransfer(addr1.address, addrs[5].address, amount);
+            const totalBefore = await t3Token.totalIncentiveCredits();
+            const tx = t3Token.connect(addr1).transfer(addrs[5].address, amount);
+            await expect(tx).to.emit(t3Token, "IncentiveCreditsSpent").withArgs(addr1.address, quote.creditsUsed);
+            await expect(tx).to.emit(t3Token, "IncentiveCreditsGranted").withArgs(addrs[5].address, quote.fee / 4n, FEE_SHARE);
+
+            const receipt = await (await tx).wait();
+            const granted = receipt.logs.filter(log => log.fragment?.name === "IncentiveCreditsGranted").reduce((sum, log) => sum + log.args.amount, 0n);
+            expect(await t3Token.totalIncentiveCredits()).to.equal(totalBefore + granted - quote.creditsUsed);
+        });
+
+        it("Should grant loyalty refunds as credits when a window settles", async function () {
+            const transferId = await sendAndGetTransferId(owner, addrs[5], toTokenAmount(100));
+            const refund = (await t3Token.transfers(transferId)).feeAmount / 8n;
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+            await expect(t3Token.checkHalfLifeExpiry(transferId))
+                .to.emit(t3Token, "IncentiveCreditsGranted").withArgs(owner.address, refund, LOYALTY_REFUND)
+                .and.to.emit(t3Token, "IncentiveCreditsGranted").withArgs(addrs[5].address, refund, LOYALTY_REFUND);
+        });
+
+        it("Should expire credits after the policy period and stop offsetting fees", async function () {
+            await expect(t3Token.connect(owner).setCreditPolicy(CREDIT_EXPIRY, 0, 0)).to.emit(t3Token, "CreditPolicyUpdated").withArgs(CREDIT_EXPIRY, 0, 0);
+            const recorded = (await t3Token.incentiveCredits(addr1.address)).amount;
+            expect(recorded).to.be.greaterThan(0);
+            await expect(t3Token.expireCredits(addr1.address)).to.be.revertedWith("No expired credits");
+
+            await time.increase(CREDIT_EXPIRY);
+            expect(await t3Token.getAvailableCredits(addr1.address)).to.equal(0);
+            expect((await t3Token.previewTransfer(addr1.address, addr2.address, toTokenAmount(100))).creditsUsed).to.equal(0);
+
+            const totalBefore = await t3Token.totalIncentiveCredits();
+            await expect(t3Token.connect(nonOwner).expireCredits(addr1.address)).to.emit(t3Token, "IncentiveCreditsExpired").withArgs(addr1.address, recorded);
+            expect((await t3Token.incentiveCredits(addr1.address)).amount).to.equal(0);
+            expect(await t3Token.totalIncentiveCredits()).to.equal(totalBefore - recorded);
+        });
+
+        it("Should not revive expired credits when new ones are granted", async function () {
+            await t3Token.connect(owner).setCreditPolicy(CREDIT_EXPIRY, 0, 0);
+            await time.increase(CREDIT_EXPIRY);
+            const stale = (await t3Token.incentiveCredits(addr1.address)).amount;
+
+            const tx = t3Token.connect(addr2).transfer(addr1.address, toTokenAmount(100));
+            await expect(tx).to.emit(t3Token, "IncentiveCreditsExpired").withArgs(addr1.address, stale);
+            const receipt = await (await tx).wait();
+            const granted = receipt.logs.filter(log => log.fragment?.name === "IncentiveCreditsGranted" && log.args.wallet === addr1.address)
+                .reduce((sum, log) => sum + log.args.amount, 0n);
+            expect(await t3Token.getAvailableCredits(addr1.address)).to.equal(granted);
+        });
+
+        it("Should redeem credits for T3 out of the treasury's allowance", async function () {
+            const credits = toTokenAmount(20);
+            await t3Token.connect(owner).setCreditPolicy(0, 5000, toTokenAmount(100));
+            await t3Token.connect(treasury).approve(await t3Token.getAddress(), toTokenAmount(15));
+            const creditsBefore = await t3Token.getAvailableCredits(addr1.address);
+            const totalBefore = await t3Token.totalIncentiveCredits();
+
+            const tx = t3Token.connect(addr1).redeemCredits(credits);
+            await expect(tx).to.emit(t3Token, "IncentiveCreditsRedeemed").withArgs(addr1.address, credits, toTokenAmount(10));
+            await expect(tx).to.changeTokenBalances(t3Token, [addr1, treasury], [toTokenAmount(10), -toTokenAmount(10)]);
+            expect(await t3Token.getAvailableCredits(addr1.address)).to.equal(creditsBefore - credits);
+            expect(await t3Token.totalIncentiveCredits()).to.equal(totalBefore - credits);
+            expect(await t3Token.allowance(treasury.address, await t3Token.getAddress())).to.equal(toTokenAmount(5));
+
+            await expect(t3Token.connect(addr1).redeemCredits(credits)).to.be.revertedWithCustomError(t3Token, "ERC20InsufficientAllowance");
+        });
+
+        it("Should enforce the redemption policy", async function () {
+            await expect(t3Token.connect(addr1).redeemCredits(1)).to.be.revertedWith("Credit redemption disabled");
+            await expect(t3Token.connect(nonOwner).setCreditPolicy(0, 5000, 0)).to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).setCreditPolicy(0, 10001, 0)).to.be.revertedWith("Redemption rate above 100%");
+
+            await t3Token.connect(owner).setCreditPolicy(CREDIT_EXPIRY, 1, toTokenAmount(100));
+            await expect(t3Token.connect(addr1).redeemCredits(0)).to.be.revertedWith("Credits must be positive");
+            await expect(t3Token.connect(addr1).redeemCredits(toTokenAmount(101))).to.be.revertedWith("Exceeds max credit redemption");
+            await expect(t3Token.connect(addrs[7]).redeemCredits(1)).to.be.revertedWith("Insufficient credits");
+            await expect(t3Token.connect(addr1).redeemCredits(1)).to.be.revertedWith("Redemption payout is zero");
+
+            await time.increase(CREDIT_EXPIRY);
+            await expect(t3Token.connect(addr1).redeemCredits(toTokenAmount(1))).to.be.revertedWith("Insufficient credits");
+            await t3Token.connect(owner).pause();
+            await expect(t3Token.connect(addr1).redeemCredits(toTokenAmount(1))).to.be.revertedWithCustomError(t3Token, "EnforcedPause");
+        });
+    });
+
+    // ========================================
+    // Lazy HalfLife Settlement
+    // ========================================
+    describe("Lazy HalfLife Settlement", function () {
+        it("Should settle both parties' expired windows on transfer", async function () {
+            const [senderWindow] = await t3Token.getOpenTransferIds(addr1.address);
+            const [recipientWindow] = await t3Token.getOpenTransferIds(addr2.address);
+            const tx = t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(10));
+            await expect(tx).to.emit(t3Token, "HalfLifeExpired").withArgs(senderWindow, addr1.address, anyValue);
+            await expect(tx).to.emit(t3Token, "HalfLifeExpired").withArgs(recipientWindow, addr2.address, anyValue);
+
+            const transferId = await t3Token.lastTransferId();
+            expect(await t3Token.getOpenTransferIds(addr1.address)).to.deep.equal([]);
+            expect(await t3Token.getOpenTransferIds(addr2.address)).to.deep.equal([transferId]);
+            expect(await t3Token.lockedBalanceOf(addr2.address)).to.equal((await t3Token.transfers(transferId)).netAmount);
+        });
+
+        it("Should settle on transferFrom", async function () {
+            const [senderWindow] = await t3Token.getOpenTransferIds(addr1.address);
+            await t3Token.connect(addr1).approve(addrs[6].address, toTokenAmount(10));
+            await expect(t3Token.connect(addrs[6]).transferFrom(addr1.address, addrs[5].address, toTokenAmount(10)))
+                .to.emit(t3Token, "HalfLifeExpired").withArgs(senderWindow, addr1.address, anyValue);
+            expect(await t3Token.openTransferCount(addr1.address)).to.equal(0);
+        });
+
+        it("Should settle the parties' other windows on reversal", async function () {
+            const earlier = await sendAndGetTransferId(owner, addr2, toTokenAmount(100));
+            await time.increase(DEFAULT_HALF_LIFE_DURATION / 2);
+            const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(10));
+            await time.increaseTo((await t3Token.transfers(earlier)).commitWindowEnd);
+            expect((await t3Token.transfers(transferId)).commitWindowEnd).to.be.greaterThan(await time.latest() + 1);
+
+            await expect(t3Token.connect(addr2).reverseTransfer(transferId, await reversalHashOf(transferId)))
+                .to.emit(t3Token, "HalfLifeExpired").withArgs(earlier, addr2.address, anyValue)
+                .and.to.emit(t3Token, "TransferReversed");
+            expect(await t3Token.getOpenTransferIds(addr2.address)).to.deep.equal([]);
+        });
+
+        it("Should leave windows that are still open or held by a reversal request", async function () {
+            const held = await sendAndGetTransferId(addr1, addrs[5], toTokenAmount(10));
+            await t3Token.connect(addr1).requestReversal(held, "wrong address");
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+            const open = await sendAndGetTransferId(addr1, addrs[5], toTokenAmount(10));
+            expect(await t3Token.getOpenTransferIds(addrs[5].address)).to.deep.equal([held, open]);
+        });
+
+        it("Should settle many wallets in one batch, skipping those with nothing expired", async function () {
+            const [first] = await t3Token.getOpenTransferIds(addr1.address);
+            const [second] = await t3Token.getOpenTransferIds(addr2.address);
+            await expect(t3Token.connect(nonOwner).checkHalfLifeExpiryBatch([addr1.address, addrs[5].address, addr2.address]))
+                .to.emit(t3Token, "HalfLifeExpired").withArgs(first, addr1.address, anyValue)
+                .and.to.emit(t3Token, "HalfLifeExpired").withArgs(second, addr2.address, anyValue);
+            expect(await t3Token.openTransferCount(addr1.address)).to.equal(0);
+            expect(await t3Token.openTransferCount(addr2.address)).to.equal(0);
+            await expect(t3Token.checkHalfLifeExpiryBatch([addr1.address])).to.not.emit(t3Token, "HalfLifeExpired");
+
+            await t3Token.connect(owner).pause();
+            await expect(t3Token.checkHalfLifeExpiryBatch([addr1.address])).to.be.revertedWithCustomError(t3Token, "EnforcedPause");
+        });
+    });
+
+    // ========================================
+    // Bounded Open Transfers
+    // ========================================
+    describe("Bounded Open Transfers", function () {
+        let victim;
+
+        beforeEach(async function () {
+            victim = addrs[5];
+            await t3Token.connect(owner).transfer(victim.address, toTokenAmount(100));
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        });
+
+        it("Should settle transfers below minLockableAmount at once", async function () {
+            const dust = (await t3Token.minLockableAmount()) / 2n;
+            expect((await t3Token.previewTransfer(addr1.address, victim.address, dust)).halfLifeDuration).to.equal(0);
+            const tx = await t3Token.connect(addr1).transfer(victim.address, dust);
+            const transferId = await t3Token.lastTransferId();
+            await expect(tx).to.emit(t3Token, "HalfLifeExpired").withArgs(transferId, victim.address, anyValue);
+            expect((await t3Token.transfers(transferId)).isExpired).to.be.true;
+            expect(await t3Token.openTransferCount(victim.address)).to.equal(0);
+            expect(await t3Token.lockedBalanceOf(victim.address)).to.equal(0);
+            await expect(t3Token.connect(victim).reverseTransfer(transferId, await reversalHashOf(transferId))).to.be.revertedWith("HalfLife expired");
+        });
+
+        it("setMinLockableAmount: Should require ADMIN_ROLE", async function () {
+            await expect(t3Token.connect(nonOwner).setMinLockableAmount(0))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount").withArgs(nonOwner.address, ADMIN_ROLE);
+            await t3Token.connect(owner).setMinLockableAmount(0);
+            expect(await t3Token.minLockableAmount()).to.equal(0);
+            expect((await t3Token.previewTransfer(addr1.address, victim.address, 1n)).halfLifeDuration).to.be.greaterThan(0);
+        });
+
+        it("Should cap a recipient's open transfers and keep its gas bounded", async function () {
+            const MAX_OPEN_TRANSFERS = await t3Token.MAX_OPEN_TRANSFERS();
+            const small = (await t3Token.minLockableAmount()) * 2n;
+            for (let i = 0n; i < MAX_OPEN_TRANSFERS; i++) { await t3Token.connect(addr1).transfer(victim.address, small); }
+            expect(await t3Token.openTransferCount(victim.address)).to.equal(MAX_OPEN_TRANSFERS);
+
+            // Spending with every slot taken: locks are running totals, the settlement scan is bounded
+            const busy = await (await t3Token.connect(victim).transfer(addr2.address, toTokenAmount(1))).wait();
+            expect(busy.gasUsed).to.be.lessThan(1_500_000n);
+            // Settling all of them at once stays far below the block gas limit
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            const settling = await (await t3Token.connect(victim).transfer(addr2.address, toTokenAmount(1))).wait();
+            expect(settling.logs.filter(log => log.fragment?.name === 'HalfLifeExpired' && log.args.wallet === victim.address)).to.have.lengthOf(Number(MAX_OPEN_TRANSFERS));
+            expect(settling.gasUsed).to.be.lessThan(6_000_000n);
+            await expect(t3Token.connect(addr1).transfer(victim.address, small)).to.not.be.reverted;
+        });
+
+        it("Should keep accepting payments to a recipient whose windows a third party filled", async function () {
+            const MAX_OPEN_TRANSFERS = await t3Token.MAX_OPEN_TRANSFERS();
+            const small = (await t3Token.minLockableAmount()) * 2n;
+            for (let i = 0n; i < MAX_OPEN_TRANSFERS; i++) { await t3Token.connect(addr1).transfer(victim.address, small); }
+            expect(await t3Token.openTransferCount(victim.address)).to.equal(MAX_OPEN_TRANSFERS);
+
+            // The overflow settles at once instead of reverting
+            const spendable = await t3Token.spendableBalanceOf(victim.address);
+            const tx = await t3Token.connect(addr2).transfer(victim.address, toTokenAmount(10));
+            const transferId = await t3Token.lastTransferId();
+            await expect(tx).to.emit(t3Token, "HalfLifeExpired").withArgs(transferId, victim.address, anyValue);
+            expect((await t3Token.transfers(transferId)).halfLifeDuration).to.equal(0);
+            expect(await t3Token.openTransferCount(victim.address)).to.equal(MAX_OPEN_TRANSFERS);
+            expect(await t3Token.spendableBalanceOf(victim.address)).to.equal(spendable + (await t3Token.transfers(transferId)).netAmount);
+
+            // Windows come back as the filler's transfers settle
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 25);
+            await t3Token.connect(addr2).transfer(victim.address, toTokenAmount(10));
+            expect((await t3Token.transfers(await t3Token.lastTransferId())).halfLifeDuration).to.be.greaterThan(0);
+        });
+    });
+
+    // ========================================
+    // Risk Profile Decay and Correction
+    // ========================================
+    describe("Risk Profile Decay and Correction", function () {
+        const DAY = 24 * 3600;
+        const REASON = ethers.encodeBytes32String("FLAGGED_IN_ERROR");
+        const reverseOnce = async (recipient) => {
+            const transferId = await sendAndGetTransferId(addr1, recipient, toTokenAmount(10));
+            await t3Token.connect(recipient).reverseTransfer(transferId, await reversalHashOf(transferId));
+        };
+
+        it("Should break the risk factor down into its components", async function () {
+            const wallet = addrs[0];
+            await reverseOnce(wallet);
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+
+            const risk = await t3Token.getRiskBreakdown(wallet.address);
+            expect(risk.base).to.equal(BASIS_POINTS);
+            expect(risk.newWallet).to.equal(5000);
+            expect(risk.recentReversal).to.equal(10000);
+            expect([risk.reversalCount, risk.reversalPenalty]).to.deep.equal([1n, 1000n]);
+            expect([risk.abnormalCount, risk.abnormalPenalty]).to.deep.equal([2n, 1000n]);
+            expect(risk.total).to.equal(await t3Token.calculateRiskFactor(wallet.address));
+            expect(risk.total).to.equal(BASIS_POINTS + 5000n + 10000n + 1000n + 1000n);
+        });
+
+        it("Should forgive one reversal per decay period without reviving it on the next one", async function () {
+            const wallet = addrs[0];
+            await reverseOnce(wallet);
+            await reverseOnce(wallet);
+            expect((await t3Token.getRiskBreakdown(wallet.address)).reversalCount).to.equal(2);
+
+            await time.increase(90 * DAY);
+            let risk = await t3Token.getRiskBreakdown(wallet.address);
+            expect([risk.reversalCount, risk.recentReversal, risk.newWallet]).to.deep.equal([1n, 0n, 0n]);
+            await time.increase(90 * DAY);
+            expect(await t3Token.calculateRiskFactor(wallet.address)).to.equal(BASIS_POINTS);
+
+            await reverseOnce(wallet);
+            risk = await t3Token.getRiskBreakdown(wallet.address);
+            expect(risk.reversalCount).to.equal(1);
+            expect((await t3Token.walletRiskProfiles(wallet.address)).reversalCount).to.equal(1);
+        });
+
+        it("Should decay abnormal flags on their own period", async function () {
+            const wallet = addrs[0];
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            await time.increase(180 * DAY);
+            expect((await t3Token.getRiskBreakdown(wallet.address)).abnormalCount).to.equal(1);
+
+            await expect(t3Token.connect(owner).flagAbnormalTransaction(wallet.address))
+                .to.emit(t3Token, "RiskFactorUpdated").withArgs(wallet.address, BASIS_POINTS + 1000n);
+            const profile = await t3Token.walletRiskProfiles(wallet.address);
+            expect(profile.abnormalTxCount).to.equal(2);
+            expect(profile.lastAbnormalFlag).to.equal(await time.latest());
+        });
+
+        it("Should let an admin clear one abnormal flag with a reason code", async function () {
+            const wallet = addrs[0];
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            const before = await t3Token.calculateRiskFactor(wallet.address);
+
+            await expect(t3Token.connect(nonOwner).clearAbnormalFlag(wallet.address, REASON))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).clearAbnormalFlag(wallet.address, ethers.ZeroHash)).to.be.revertedWith("Reason code required");
+            await expect(t3Token.connect(owner).clearAbnormalFlag(wallet.address, REASON))
+                .to.emit(t3Token, "AbnormalFlagCleared").withArgs(wallet.address, owner.address, REASON, 1)
+                .and.to.emit(t3Token, "RiskFactorUpdated").withArgs(wallet.address, before - 500n);
+
+            // A flag already forgiven by decay cannot be cleared again
+            await time.increase(180 * DAY);
+            await expect(t3Token.connect(owner).clearAbnormalFlag(wallet.address, REASON)).to.be.revertedWith("No abnormal flag to clear");
+        });
+
+        it("Should reset reversal and abnormal penalties but keep the wallet's age", async function () {
+            const wallet = addrs[0];
+            await reverseOnce(wallet);
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            const creationTime = (await t3Token.walletRiskProfiles(wallet.address)).creationTime;
+
+            await expect(t3Token.connect(nonOwner).resetRiskProfile(wallet.address, REASON))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).resetRiskProfile(wallet.address, REASON))
+                .to.emit(t3Token, "RiskProfileReset").withArgs(wallet.address, owner.address, REASON)
+                .and.to.emit(t3Token, "RiskFactorUpdated").withArgs(wallet.address, BASIS_POINTS + 5000n);
+            const profile = await t3Token.walletRiskProfiles(wallet.address);
+            expect([profile.reversalCount, profile.lastReversal, profile.abnormalTxCount, profile.lastAbnormalFlag]).to.deep.equal([0n, 0n, 0n, 0n]);
+            expect(profile.creationTime).to.equal(creationTime);
+        });
+
+        it("Should let an admin configure or disable decay", async function () {
+            await expect(t3Token.connect(nonOwner).setRiskDecay(0, 0)).to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).setRiskDecay(0, 7 * DAY)).to.emit(t3Token, "RiskDecayUpdated").withArgs(0, 7 * DAY);
+            expect(await t3Token.reversalPenaltyDecay()).to.equal(0);
+
+            const wallet = addrs[0];
+            await reverseOnce(wallet);
+            await t3Token.connect(owner).flagAbnormalTransaction(wallet.address);
+            await time.increase(365 * DAY);
+            const risk = await t3Token.getRiskBreakdown(wallet.address);
+            expect([risk.reversalCount, risk.abnormalCount]).to.deep.equal([1n, 0n]);
+        });
+    });
+
+    // ========================================
+    // Mint Allowances and Redemption
+    // ========================================
+    describe("Mint Allowances and Redemption", function () {
+        it("Should cap a minter's outstanding issuance at its allowance", async function () {
+            await expect(t3Token.connect(nonOwner).setMintAllowance(minter.address, toTokenAmount(100)))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).setMintAllowance(addr1.address, toTokenAmount(100)))
+                .to.be.revertedWith("Account is not a minter");
+            await expect(t3Token.connect(owner).setMintAllowance(minter.address, toTokenAmount(100)))
+                .to.emit(t3Token, "MintAllowanceUpdated").withArgs(minter.address, toTokenAmount(100));
+
+            await t3Token.connect(minter).mint(addr1.address, toTokenAmount(60));
+            await expect(t3Token.connect(minter).mint(addr1.address, toTokenAmount(41))).to.be.revertedWith("Mint exceeds minter allowance");
+            await t3Token.connect(minter).mint(addr1.address, toTokenAmount(40));
+
+            const issuance = await t3Token.getMinterIssuance(minter.address);
+            expect([issuance.minted, issuance.outstanding, issuance.allowance, issuance.available])
+                .to.deep.equal([toTokenAmount(100), toTokenAmount(100), toTokenAmount(100), 0n]);
+
+            // Removing the cap leaves the minter uncapped
+            await t3Token.connect(owner).setMintAllowance(minter.address, 0);
+            await t3Token.connect(minter).mint(addr1.address, toTokenAmount(1));
+            expect((await t3Token.getMinterIssuance(minter.address)).available).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should burn a redemption against the minter's outstanding issuance and free its allowance", async function () {
+            await t3Token.connect(owner).setMintAllowance(minter.address, toTokenAmount(100));
+            await t3Token.connect(minter).mint(addr1.address, toTokenAmount(100));
+            const supplyBefore = await t3Token.totalSupply();
+
+            await expect(t3Token.connect(minter).redeem(addr1.address, toTokenAmount(30)))
+                .to.be.revertedWithCustomError(t3Token, "ERC20InsufficientAllowance");
+            await t3Token.connect(addr1).approve(minter.address, toTokenAmount(30));
+            await expect(t3Token.connect(minter).redeem(addr1.address, toTokenAmount(30)))
+                .to.emit(t3Token, "TokensRedeemed").withArgs(minter.address, addr1.address, toTokenAmount(30), toTokenAmount(70))
+                .and.to.emit(t3Token, "Transfer").withArgs(addr1.address, ZERO_ADDRESS, toTokenAmount(30));
+
+            expect(await t3Token.totalSupply()).to.equal(supplyBefore - toTokenAmount(30));
+            expect(await t3Token.redeemedByMinter(minter.address)).to.equal(toTokenAmount(30));
+            expect(await t3Token.outstandingIssuance(minter.address)).to.equal(toTokenAmount(70));
+            expect(await t3Token.totalOutstandingIssuance()).to.equal(toTokenAmount(70));
+            await expect(t3Token.connect(minter).mint(addr1.address, toTokenAmount(30))).to.not.be.reverted;
+        });
+
+        it("Should only redeem what the minter issued, from spendable funds", async function () {
+            await t3Token.connect(minter).mint(minter.address, toTokenAmount(10));
+            await expect(t3Token.connect(nonOwner).redeem(nonOwner.address, 1)).to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(minter).redeem(minter.address, 0)).to.be.revertedWith("Redemption amount must be positive");
+            await t3Token.connect(owner).transfer(minter.address, toTokenAmount(50));
+            await expect(t3Token.connect(minter).redeem(minter.address, toTokenAmount(11))).to.be.revertedWith("Redemption exceeds outstanding issuance");
+            // The 50 received just now are inside their HalfLife window
+            await t3Token.connect(minter).redeem(minter.address, toTokenAmount(4));
+            await t3Token.connect(minter).transfer(addr2.address, toTokenAmount(5));
+            await expect(t3Token.connect(minter).redeem(minter.address, toTokenAmount(2))).to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+            await t3Token.connect(owner).pause();
+            await expect(t3Token.connect(minter).redeem(minter.address, 1)).to.be.revertedWithCustomError(t3Token, "EnforcedPause");
+        });
+
+        it("Should list every minter that has minted or been given an allowance", async function () {
+            await t3Token.connect(owner).grantRole(MINTER_ROLE, addrs[0].address);
+            await t3Token.connect(owner).setMintAllowance(addrs[0].address, toTokenAmount(5));
+            await t3Token.connect(minter).mint(addr1.address, toTokenAmount(2));
+            expect(await t3Token.getMinters()).to.deep.equal([addrs[0].address, minter.address]);
+            expect(await t3Token.totalOutstandingIssuance()).to.equal(toTokenAmount(2));
+        });
+    });
+
+    // ========================================
+    // Fiat Redemption Requests
+    // ========================================
+    describe("Fiat Redemption Requests", function () {
+        const REF = ethers.encodeBytes32String("RDM-0001");
+        const request = (holder, amount, custodian = minter.address, referenceId = REF) =>
+            t3Token.connect(holder).requestRedemption(amount, custodian, referenceId);
+
+        it("Should escrow the tokens under a unique reference", async function () {
+            const balance = await t3Token.balanceOf(addr1.address);
+            await expect(request(addr1, toTokenAmount(100)))
+                .to.emit(t3Token, "RedemptionRequested").withArgs(1, addr1.address, minter.address, toTokenAmount(100), REF)
+                .and.to.emit(t3Token, "Transfer").withArgs(addr1.address, await t3Token.getAddress(), toTokenAmount(100));
+
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(balance - toTokenAmount(100));
+            expect(await t3Token.balanceOf(await t3Token.getAddress())).to.equal(toTokenAmount(100));
+            expect(await t3Token.totalRedemptionEscrow()).to.equal(toTokenAmount(100));
+            expect(await t3Token.redemptionIdByReference(REF)).to.equal(1);
+            const stored = await t3Token.redemptionRequests(1);
+            expect([stored.status, stored.holder, stored.custodian, stored.amount]).to.deep.equal([1n, addr1.address, minter.address, toTokenAmount(100)]);
+        });
+
+        it("Should validate the amount, reference, custodian and spendable balance", async function () {
+            await expect(request(addr1, 0)).to.be.revertedWith("Redemption amount must be positive");
+            await expect(request(addr1, 1, minter.address, ethers.ZeroHash)).to.be.revertedWith("Reference ID required");
+            await expect(request(addr1, 1, addr2.address)).to.be.revertedWith("Not a redemption custodian");
+            await request(addr1, 1);
+            await expect(request(addr2, 1)).to.be.revertedWith("Reference ID already used");
+
+            // Funds received inside their HalfLife window cannot be escrowed
+            await t3Token.connect(owner).transfer(addrs[0].address, toTokenAmount(10));
+            await expect(request(addrs[0], toTokenAmount(1), minter.address, ethers.encodeBytes32String("RDM-0002")))
+                .to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+        });
+
+        it("Should accept FIs holding CUSTODIAN_ROLE on the registry", async function () {
+            const { registry } = await deployCustodianRegistry(hre, { admin: owner.address });
+            await registry.connect(owner).grantCustodianRole(addrs[1].address);
+            await expect(request(addr1, 1, addrs[1].address)).to.be.revertedWith("Not a redemption custodian");
+            await t3Token.connect(owner).setCustodianRegistry(await registry.getAddress());
+            await expect(request(addr1, 1, addrs[1].address)).to.emit(t3Token, "RedemptionRequested");
+        });
+
+        it("Should burn the escrow on confirmation and deduct it from the custodian's issuance", async function () {
+            await t3Token.connect(minter).mint(addrs[0].address, toTokenAmount(60));
+            await request(addr1, toTokenAmount(100));
+            const supply = await t3Token.totalSupply();
+
+            await expect(t3Token.connect(addr2).confirmRedemption(1)).to.be.revertedWith("Only the named custodian can resolve");
+            await expect(t3Token.connect(minter).confirmRedemption(1))
+                .to.emit(t3Token, "RedemptionConfirmed").withArgs(1, minter.address, REF, toTokenAmount(100))
+                .and.to.emit(t3Token, "TokensRedeemed").withArgs(minter.address, addr1.address, toTokenAmount(60), 0);
+
+            expect(await t3Token.totalSupply()).to.equal(supply - toTokenAmount(100));
+            expect(await t3Token.totalRedemptionEscrow()).to.equal(0);
+            expect(await t3Token.outstandingIssuance(minter.address)).to.equal(0);
+            const stored = await t3Token.redemptionRequests(1);
+            expect([stored.status, stored.resolvedAt]).to.deep.equal([2n, BigInt(await time.latest())]);
+            await expect(t3Token.connect(minter).confirmRedemption(1)).to.be.revertedWith("Redemption not pending");
+        });
+
+        it("Should return the escrow to the holder on rejection", async function () {
+            const balance = await t3Token.balanceOf(addr1.address);
+            await request(addr1, toTokenAmount(100));
+            const REASON = ethers.encodeBytes32String("NO_BANK_ACCOUNT");
+
+            await expect(t3Token.connect(minter).rejectRedemption(1, ethers.ZeroHash)).to.be.revertedWith("Reason code required");
+            await expect(t3Token.connect(minter).rejectRedemption(1, REASON))
+                .to.emit(t3Token, "RedemptionRejected").withArgs(1, minter.address, REF, REASON);
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(balance);
+            expect((await t3Token.redemptionRequests(1)).rejectionCode).to.equal(REASON);
+            await expect(t3Token.connect(minter).confirmRedemption(1)).to.be.revertedWith("Redemption not pending");
+            // The reference stays taken
+            await expect(request(addr1, 1)).to.be.revertedWith("Reference ID already used");
+        });
+
+        it("Should return the escrow to a holder frozen since filing, under the freeze", async function () {
+            const CASE = ethers.encodeBytes32String("COURT-2024-117");
+            const balance = await t3Token.balanceOf(addr1.address);
+            await request(addr1, toTokenAmount(100));
+            await t3Token.connect(owner).grantRole(await t3Token.COMPLIANCE_ROLE(), owner.address);
+            await t3Token.connect(owner).freezeWallet(addr1.address, CASE);
+
+            await expect(t3Token.connect(minter).rejectRedemption(1, ethers.encodeBytes32String("SANCTIONS_HIT")))
+                .to.emit(t3Token, "Transfer").withArgs(await t3Token.getAddress(), addr1.address, toTokenAmount(100));
+            expect(await t3Token.balanceOf(addr1.address)).to.equal(balance);
+            expect(await t3Token.balanceOf(await t3Token.getAddress())).to.equal(0);
+            expect(await t3Token.totalRedemptionEscrow()).to.equal(0);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, 1)).to.be.revertedWith("Sender wallet is frozen");
+        });
+    });
+
+    // ========================================
+    // EIP-2612 Permit
+    // ========================================
+    describe("EIP-2612 Permit", function () {
+        const PERMIT_TYPES = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+        const signPermit = async (signer, spender, value, deadline, nonce) => {
+            const domain = { name: "T3 Stablecoin", version: "1", chainId: (await ethers.provider.getNetwork()).chainId, verifyingContract: await t3Token.getAddress() };
+            const message = { owner: signer.address, spender, value, nonce: nonce ?? await t3Token.nonces(signer.address), deadline };
+            return ethers.Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+        };
+
+        it("Should expose the EIP-712 domain of the token", async function () {
+            const domain = await t3Token.eip712Domain();
+            expect(domain.name).to.equal("T3 Stablecoin");
+            expect(domain.version).to.equal("1");
+            expect(domain.verifyingContract).to.equal(await t3Token.getAddress());
+            expect(await t3Token.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain({
+                name: "T3 Stablecoin", version: "1", chainId: domain.chainId, verifyingContract: domain.verifyingContract,
+            }));
+        });
+
+        it("Should approve with the owner's signature, submitted by anyone", async function () {
+            const value = toTokenAmount(50);
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(addr1, nonOwner.address, value, deadline);
+            await expect(t3Token.connect(nonOwner).permit(addr1.address, nonOwner.address, value, deadline, v, r, s))
+                .to.emit(t3Token, "Approval").withArgs(addr1.address, nonOwner.address, value);
+            expect(await t3Token.allowance(addr1.address, nonOwner.address)).to.equal(value);
+            expect(await t3Token.nonces(addr1.address)).to.equal(1);
+
+            await expect(t3Token.connect(nonOwner).transferFrom(addr1.address, addrs[0].address, value)).to.emit(t3Token, "TransferRecorded");
+            expect(await t3Token.allowance(addr1.address, nonOwner.address)).to.equal(0);
+        });
+
+        it("Should reject expired, replayed and forged permits", async function () {
+            const value = toTokenAmount(50);
+            const deadline = (await time.latest()) + 3600;
+            const permit = await signPermit(addr1, nonOwner.address, value, deadline);
+            await time.increaseTo(deadline + 1);
+            await expect(t3Token.permit(addr1.address, nonOwner.address, value, deadline, permit.v, permit.r, permit.s)).to.be.revertedWith("Permit expired");
+
+            const later = (await time.latest()) + 3600;
+            const valid = await signPermit(addr1, nonOwner.address, value, later);
+            await expect(t3Token.permit(addr1.address, nonOwner.address, value + 1n, later, valid.v, valid.r, valid.s)).to.be.revertedWith("Invalid permit signature");
+            const forged = await signPermit(addr2, nonOwner.address, value, later, 0n);
+            await expect(t3Token.permit(addr1.address, nonOwner.address, value, later, forged.v, forged.r, forged.s)).to.be.revertedWith("Invalid permit signature");
+
+            await t3Token.permit(addr1.address, nonOwner.address, value, later, valid.v, valid.r, valid.s);
+            await expect(t3Token.permit(addr1.address, nonOwner.address, value, later, valid.v, valid.r, valid.s)).to.be.revertedWith("Invalid permit signature");
+        });
+    });
+
+    // ========================================
+    // transfer / transferFrom Parity
+    // ========================================
+    describe("transfer / transferFrom Parity", function () {
+        // Sends `amount` from addr1 to `to` with transfer, with transferFrom through nonOwner's allowance,
+        // or with addr1's signed authorization submitted by nonOwner
+        const sendVia = async (path, to, amount) => {
+            if (path === "transfer") return t3Token.connect(addr1).transfer(to.address, amount);
+            if (path === "transferWithAuthorization") {
+                const message = { from: addr1.address, to: to.address, value: amount, validAfter: 0, validBefore: (await time.latest()) + 3600, nonce: randomNonce() };
+                const { v, r, s } = await signAuthorization(addr1, "TransferWithAuthorization", message);
+                return t3Token.connect(nonOwner).transferWithAuthorization(...Object.values(message), v, r, s);
+            }
+            await t3Token.connect(addr1).approve(nonOwner.address, amount);
+            return t3Token.connect(nonOwner).transferFrom(addr1.address, to.address, amount);
+        };
+
+        for (const path of ["transfer", "transferFrom", "transferWithAuthorization"]) {
+            it(`${path}: Should start the risk profile of a first-touched recipient`, async function () {
+                const fresh = addrs[path === "transfer" ? 0 : 1];
+                expect((await t3Token.walletRiskProfiles(fresh.address)).creationTime).to.equal(0);
+                await sendVia(path, fresh, toTokenAmount(10));
+                expect((await t3Token.walletRiskProfiles(fresh.address)).creationTime).to.equal(await time.latest());
+                expect(await t3Token.calculateRiskFactor(fresh.address)).to.equal(15000n); // New-wallet surcharge
+            });
+
+            it(`${path}: Should charge the previewed fee and lock the received amount`, async function () {
+                const recipient = addrs[2];
+                await t3Token.connect(addr1).transfer(recipient.address, toTokenAmount(1)); // Profiles started on both paths alike
+                const amount = toTokenAmount(100);
+                const quote = await t3Token.previewTransfer(addr1.address, recipient.address, amount);
+                const lockedBefore = await t3Token.lockedBalanceOf(recipient.address);
+                await expect(sendVia(path, recipient, amount))
+                    .to.emit(t3Token, "TransferWithFee").withArgs(addr1.address, recipient.address, quote.netAmount, quote.fee);
+                const meta = await t3Token.transfers(await t3Token.lastTransferId());
+                expect(meta.originator).to.equal(addr1.address);
+                expect(meta.halfLifeDuration).to.equal(quote.halfLifeDuration);
+                expect(await t3Token.lockedBalanceOf(recipient.address)).to.equal(lockedBefore + quote.netAmount);
+            });
+        }
+
+        it("Should charge the same fee on both paths for a wallet first touched via allowance", async function () {
+            const [viaTransfer, viaAllowance] = [addrs[3], addrs[4]];
+            await t3Token.connect(addr1).transfer(viaTransfer.address, toTokenAmount(100));
+            await t3Token.connect(addr1).approve(nonOwner.address, toTokenAmount(100));
+            await t3Token.connect(nonOwner).transferFrom(addr1.address, viaAllowance.address, toTokenAmount(100));
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+
+            const amount = toTokenAmount(10);
+            const direct = await t3Token.previewTransfer(viaTransfer.address, addr2.address, amount);
+            const allowance = await t3Token.previewTransfer(viaAllowance.address, addr2.address, amount);
+            expect(allowance.riskFactor).to.equal(direct.riskFactor);
+            expect(allowance.fee).to.equal(direct.fee);
+        });
+
+        it("transferFrom: Should not move funds still locked in a HalfLife window", async function () {
+            const recipient = addrs[5];
+            await t3Token.connect(addr1).transfer(recipient.address, toTokenAmount(100));
+            await t3Token.connect(recipient).approve(nonOwner.address, toTokenAmount(10));
+            await expect(t3Token.connect(nonOwner).transferFrom(recipient.address, addr2.address, toTokenAmount(10)))
+                .to.be.revertedWith("Amount exceeds spendable balance during HalfLife");
+        });
+    });
+
+    // ========================================
+    // Wallet Freezes and Seizure
+    // ========================================
+    describe("Wallet Freezes and Seizure", function () {
+        const CASE = ethers.encodeBytes32String("COURT-2024-117");
+        let officer, recovery;
+
+        beforeEach(async function () {
+            [officer, recovery] = addrs;
+            await t3Token.connect(owner).grantRole(await t3Token.COMPLIANCE_ROLE(), officer.address);
+        });
+
+        it("Should freeze and unfreeze wallets with a case reference (COMPLIANCE_ROLE only)", async function () {
+            await expect(t3Token.connect(owner).freezeWallet(addr1.address, CASE))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(officer).freezeWallet(addr1.address, ethers.ZeroHash)).to.be.revertedWith("Case reference required");
+            await expect(t3Token.connect(officer).freezeWallet(ZERO_ADDRESS, CASE)).to.be.revertedWith("Wallet cannot be zero address");
+            await expect(t3Token.connect(officer).freezeWallet(addr1.address, CASE))
+                .to.emit(t3Token, "WalletFrozen").withArgs(addr1.address, officer.address, CASE);
+            await expect(t3Token.connect(officer).freezeWallet(addr1.address, CASE)).to.be.revertedWith("Wallet already frozen");
+            await t3Token.connect(officer).freezeWallet(addr2.address, CASE);
+            expect(await t3Token.isFrozen(addr1.address)).to.be.true;
+            expect(await t3Token.getFrozenWallets()).to.deep.equal([addr1.address, addr2.address]);
+
+            await expect(t3Token.connect(officer).unfreezeWallet(addr1.address, CASE))
+                .to.emit(t3Token, "WalletUnfrozen").withArgs(addr1.address, officer.address, CASE);
+            await expect(t3Token.connect(officer).unfreezeWallet(addr1.address, CASE)).to.be.revertedWith("Wallet not frozen");
+            expect(await t3Token.getFrozenWallets()).to.deep.equal([addr2.address]);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, 1)).to.be.revertedWith("Recipient wallet is frozen");
+            await expect(t3Token.connect(addr1).transfer(nonOwner.address, 1)).to.emit(t3Token, "Transfer");
+        });
+
+        it("Should not freeze the treasury, the token contract or the recovery address", async function () {
+            await t3Token.connect(owner).setRecoveryAddress(recovery.address);
+            await expect(t3Token.connect(officer).freezeWallet(treasury.address, CASE)).to.be.revertedWith("Wallet cannot be frozen");
+            await expect(t3Token.connect(officer).freezeWallet(await t3Token.getAddress(), CASE)).to.be.revertedWith("Wallet cannot be frozen");
+            await expect(t3Token.connect(officer).freezeWallet(recovery.address, CASE)).to.be.revertedWith("Wallet cannot be frozen");
+            expect(await t3Token.getFrozenWallets()).to.deep.equal([]);
+
+            await t3Token.connect(owner).setRecoveryAddress(addr2.address);
+            await expect(t3Token.connect(officer).freezeWallet(recovery.address, CASE)).to.emit(t3Token, "WalletFrozen");
+            await expect(t3Token.connect(owner).setTreasuryAddress(recovery.address)).to.be.revertedWith("Treasury address is frozen");
+        });
+
+        it("Should block sending, receiving, burning and minting to a frozen wallet", async function () {
+            await t3Token.connect(addr1).approve(burner.address, toTokenAmount(10));
+            await t3Token.connect(officer).freezeWallet(addr1.address, CASE);
+            await expect(t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(1))).to.be.revertedWith("Sender wallet is frozen");
+            await expect(t3Token.connect(addr2).transfer(addr1.address, toTokenAmount(1))).to.be.revertedWith("Recipient wallet is frozen");
+            await expect(t3Token.connect(addr1).burn(toTokenAmount(1))).to.be.revertedWith("Sender wallet is frozen");
+            await expect(t3Token.connect(burner).burnFrom(addr1.address, toTokenAmount(1))).to.be.revertedWith("Sender wallet is frozen");
+            await expect(t3Token.connect(minter).mint(addr1.address, toTokenAmount(1))).to.be.revertedWith("Recipient wallet is frozen");
+        });
+
+        it("Should block reversals out of or back to a frozen wallet", async function () {
+            const outgoing = await sendAndGetTransferId(addr1, addr2, toTokenAmount(100));
+            const incoming = await sendAndGetTransferId(addr2, addr1, toTokenAmount(100));
+            await t3Token.connect(officer).freezeWallet(addr1.address, CASE);
+            await expect(t3Token.connect(addr2).reverseTransfer(outgoing, await reversalHashOf(outgoing))).to.be.revertedWith("Recipient wallet is frozen");
+            await expect(t3Token.connect(addr1).reverseTransfer(incoming, await reversalHashOf(incoming))).to.be.revertedWith("Sender wallet is frozen");
+        });
+
+        it("Should seize frozen funds to the recovery address, HalfLife locks included", async function () {
+            await t3Token.connect(owner).transfer(addrs[2].address, toTokenAmount(100));
+            const balance = await t3Token.balanceOf(addrs[2].address);
+            expect(await t3Token.lockedBalanceOf(addrs[2].address)).to.equal(balance);
+
+            await expect(t3Token.connect(officer).seizeFrozenFunds(addrs[2].address, balance, CASE)).to.be.revertedWith("Wallet not frozen");
+            await t3Token.connect(officer).freezeWallet(addrs[2].address, CASE);
+            await expect(t3Token.connect(officer).seizeFrozenFunds(addrs[2].address, balance, CASE)).to.be.revertedWith("Recovery address not set");
+            await expect(t3Token.connect(officer).setRecoveryAddress(recovery.address))
+                .to.be.revertedWithCustomError(t3Token, "AccessControlUnauthorizedAccount");
+            await expect(t3Token.connect(owner).setRecoveryAddress(addrs[2].address)).to.be.revertedWith("Recovery address is frozen");
+            await expect(t3Token.connect(owner).setRecoveryAddress(recovery.address))
+                .to.emit(t3Token, "RecoveryAddressUpdated").withArgs(recovery.address);
+
+            await expect(t3Token.connect(officer).seizeFrozenFunds(addrs[2].address, 0, CASE)).to.be.revertedWith("Seizure amount must be positive");
+            await expect(t3Token.connect(officer).seizeFrozenFunds(addrs[2].address, balance, CASE))
+                .to.emit(t3Token, "FundsSeized").withArgs(addrs[2].address, recovery.address, CASE, balance)
+                .and.to.emit(t3Token, "Transfer").withArgs(addrs[2].address, recovery.address, balance);
+            expect(await t3Token.balanceOf(recovery.address)).to.equal(balance);
+            expect(await t3Token.balanceOf(addrs[2].address)).to.equal(0);
+            expect(await t3Token.isFrozen(addrs[2].address)).to.be.true;
+        });
+
+        it("Should close the open transfers and cap the disputes a seizure leaves unfunded", async function () {
+            const victim = addrs[2];
+            await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), owner.address);
+            await t3Token.connect(owner).setRecoveryAddress(recovery.address);
+            const disputed = await sendAndGetTransferId(owner, victim, toTokenAmount(100));
+            const requested = await sendAndGetTransferId(addr1, victim, toTokenAmount(50));
+            await t3Token.connect(addr1).requestReversal(requested, "Wrong account");
+            await t3Token.connect(owner).openDispute(disputed, CASE);
+            await t3Token.connect(officer).freezeWallet(victim.address, CASE);
+
+            const left = toTokenAmount(10);
+            const balance = await t3Token.balanceOf(victim.address);
+            await expect(t3Token.connect(officer).seizeFrozenFunds(victim.address, balance - left, CASE))
+                .to.emit(t3Token, "ReversalRequestContested").withArgs(requested, victim.address, "Funds seized")
+                .and.to.emit(t3Token, "HalfLifeExpired").withArgs(requested, victim.address, anyValue)
+                .and.to.emit(t3Token, "HalfLifeExpired").withArgs(disputed, victim.address, anyValue);
+            expect(await t3Token.getOpenTransfers(victim.address)).to.deep.equal([]);
+            expect((await t3Token.transfers(requested)).isExpired).to.be.true;
+            expect((await t3Token.disputes(disputed)).amount).to.equal(left);
+            expect(await t3Token.disputedBalanceOf(victim.address)).to.equal(left);
+            expect(await t3Token.lockedBalanceOf(victim.address)).to.equal(left);
+
+            await t3Token.connect(officer).unfreezeWallet(victim.address, CASE);
+            await expect(t3Token.connect(victim).reverseTransfer(requested, await reversalHashOf(requested))).to.be.revertedWith("HalfLife expired");
+            await expect(t3Token.connect(owner).forceReversal(disputed, CASE))
+                .to.emit(t3Token, "TransferReversed").withArgs(disputed, victim.address, owner.address, left);
+            expect(await t3Token.balanceOf(victim.address)).to.equal(0);
+            expect(await t3Token.lockedBalanceOf(victim.address)).to.equal(0);
+            await t3Token.connect(owner).transfer(victim.address, toTokenAmount(5));
+            expect(await t3Token.lockedBalanceOf(victim.address)).to.equal(await t3Token.balanceOf(victim.address));
+        });
+    });
+
+    // ========================================
+    // Signed Authorizations
+    // ========================================
+    describe("Signed Authorizations", function () {
+        const transferMessage = async (from, to, value, overrides = {}) => ({
+            from: from.address, to: to.address, value, validAfter: 0, validBefore: (await time.latest()) + 3600, nonce: randomNonce(), ...overrides,
+        });
+        const submitTransfer = (message, { v, r, s }) => t3Token.connect(nonOwner).transferWithAuthorization(...Object.values(message), v, r, s);
+        const reversalMessage = async (transferId, amount, overrides = {}) => ({
+            transferId, reversalHash: await reversalHashOf(transferId), amount, validAfter: 0, validBefore: (await time.latest()) + 600, nonce: randomNonce(), ...overrides,
+        });
+        const submitReversal = (message, { v, r, s }) => t3Token.connect(nonOwner).reverseWithAuthorization(...Object.values(message), v, r, s);
+
+        it("Should transfer on the sender's signature, submitted by anyone", async function () {
+            const amount = toTokenAmount(100);
+            const message = await transferMessage(addr1, addrs[0], amount);
+            const quote = await t3Token.previewTransfer(addr1.address, addrs[0].address, amount);
+            const signature = await signAuthorization(addr1, "TransferWithAuthorization", message);
+            await expect(submitTransfer(message, signature))
+                .to.emit(t3Token, "AuthorizationUsed").withArgs(addr1.address, message.nonce)
+                .and.to.emit(t3Token, "TransferRecorded").withArgs(anyValue, addr1.address, addrs[0].address, quote.netAmount, anyValue);
+            expect(await t3Token.balanceOf(addrs[0].address)).to.equal(quote.netAmount);
+            expect(await t3Token.authorizationState(addr1.address, message.nonce)).to.be.true;
+            expect(await t3Token.authorizationState(addr2.address, message.nonce)).to.be.false;
+        });
+
+        it("Should enforce the validity window, the signer and single use of each nonce", async function () {
+            const amount = toTokenAmount(10);
+            const now = await time.latest();
+            const early = await transferMessage(addr1, addr2, amount, { validAfter: now + 600 });
+            await expect(submitTransfer(early, await signAuthorization(addr1, "TransferWithAuthorization", early))).to.be.revertedWith("Authorization not yet valid");
+            const expired = await transferMessage(addr1, addr2, amount, { validBefore: now });
+            await expect(submitTransfer(expired, await signAuthorization(addr1, "TransferWithAuthorization", expired))).to.be.revertedWith("Authorization expired");
+
+            const message = await transferMessage(addr1, addr2, amount);
+            const signature = await signAuthorization(addr1, "TransferWithAuthorization", message);
+            await expect(submitTransfer({ ...message, value: amount + 1n }, signature)).to.be.revertedWith("Invalid authorization signature");
+            await expect(submitTransfer(message, await signAuthorization(addr2, "TransferWithAuthorization", message))).to.be.revertedWith("Invalid authorization signature");
+            await submitTransfer(message, signature);
+            await expect(submitTransfer(message, signature)).to.be.revertedWith("Authorization used or canceled");
+
+            // Nonces are scoped per authorizer
+            const other = await transferMessage(addr2, addr1, amount, { nonce: message.nonce });
+            await expect(submitTransfer(other, await signAuthorization(addr2, "TransferWithAuthorization", other))).to.emit(t3Token, "AuthorizationUsed");
+        });
+
+        it("Should reverse on the recipient's signature, partially then for the rest", async function () {
+            const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(100));
+            const { netAmount } = await t3Token.transfers(transferId);
+            const partial = netAmount / 4n;
+
+            const forged = await reversalMessage(transferId, partial);
+            await expect(submitReversal(forged, await signAuthorization(addr1, "ReverseWithAuthorization", forged))).to.be.revertedWith("Invalid authorization signature");
+            const wrongHash = await reversalMessage(transferId, partial, { reversalHash: ethers.ZeroHash });
+            await expect(submitReversal(wrongHash, await signAuthorization(addr2, "ReverseWithAuthorization", wrongHash))).to.be.revertedWith("Reversal hash mismatch");
+            const tooMuch = await reversalMessage(transferId, netAmount + 1n);
+            await expect(submitReversal(tooMuch, await signAuthorization(addr2, "ReverseWithAuthorization", tooMuch))).to.be.revertedWith("Amount exceeds reversible amount");
+
+            const first = await reversalMessage(transferId, partial);
+            await expect(submitReversal(first, await signAuthorization(addr2, "ReverseWithAuthorization", first)))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addr2.address, addr1.address, partial);
+            const rest = await reversalMessage(transferId, 0n);
+            await expect(submitReversal(rest, await signAuthorization(addr2, "ReverseWithAuthorization", rest)))
+                .to.emit(t3Token, "TransferReversed").withArgs(transferId, addr2.address, addr1.address, netAmount - partial);
+            expect((await t3Token.transfers(transferId)).isReversed).to.be.true;
+            await expect(t3Token.reverseWithAuthorization(999, ethers.ZeroHash, 0, 0, 0, ethers.ZeroHash, 27, ethers.ZeroHash, ethers.ZeroHash))
+                .to.be.revertedWith("Unknown transfer");
+        });
+
+        it("Should not reverse once the HalfLife window has closed", async function () {
+            const transferId = await sendAndGetTransferId(addr1, addr2, toTokenAmount(100));
+            const message = await reversalMessage(transferId, 0n, { validBefore: (await time.latest()) + DEFAULT_HALF_LIFE_DURATION * 4 });
+            const signature = await signAuthorization(addr2, "ReverseWithAuthorization", message);
+            await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+            await expect(submitReversal(message, signature)).to.be.revertedWith("HalfLife expired");
+        });
+
+        it("Should cancel an unused authorization on the authorizer's signature", async function () {
+            const message = await transferMessage(addr1, addr2, toTokenAmount(10));
+            const signature = await signAuthorization(addr1, "TransferWithAuthorization", message);
+            const cancel = await signAuthorization(addr1, "CancelAuthorization", { authorizer: addr1.address, nonce: message.nonce });
+            const forged = await signAuthorization(addr2, "CancelAuthorization", { authorizer: addr1.address, nonce: message.nonce });
+            await expect(t3Token.connect(nonOwner).cancelAuthorization(addr1.address, message.nonce, forged.v, forged.r, forged.s))
+                .to.be.revertedWith("Invalid authorization signature");
+            await expect(t3Token.connect(nonOwner).cancelAuthorization(addr1.address, message.nonce, cancel.v, cancel.r, cancel.s))
+                .to.emit(t3Token, "AuthorizationCanceled").withArgs(addr1.address, message.nonce);
+            await expect(submitTransfer(message, signature)).to.be.revertedWith("Authorization used or canceled");
+            await expect(t3Token.connect(nonOwner).cancelAuthorization(addr1.address, message.nonce, cancel.v, cancel.r, cancel.s))
+                .to.be.revertedWith("Authorization used or canceled");
+        });
+
+        it("Should not relay while paused", async function () {
+            const message = await transferMessage(addr1, addr2, toTokenAmount(10));
+            const signature = await signAuthorization(addr1, "TransferWithAuthorization", message);
+            await t3Token.connect(owner).pause();
+            await expect(submitTransfer(message, signature)).to.be.revertedWithCustomError(t3Token, "EnforcedPause");
+            await t3Token.connect(owner).unpause();
+            await expect(submitTransfer(message, signature)).to.emit(t3Token, "AuthorizationUsed");
+        });
+    });
+
     // ========================================
     // Specific Branch Coverage (TODO)
     // ========================================
@@ -0,0 +1,136 @@
+// test/api.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3Client } = require("../sdk");
+const { EventIndexer } = require("../services/indexer/EventIndexer");
+const { JsonEventStore } = require("../services/indexer/JsonEventStore");
+const { createApiServer } = require("../services/api/ApiServer");
+const { DEFAULT_HALF_LIFE_DURATION, toTokenAmount, deployServiceFixture, transferIdOf, listen, closeServer } = require("./serviceHelpers");
+
+describe("Read-only REST API", function () {
+    async function deployApiFixture() {
+        const [owner, addr1, addr2, treasury, custodian, custodian2] = await ethers.getSigners();
+        const { t3Token, registry } = await deployServiceFixture({ owner, treasury, withRegistry: true });
+        await registry.connect(owner).grantCustodianRole(custodian.address);
+        await registry.connect(owner).grantCustodianRole(custodian2.address);
+        await registry.connect(custodian).registerCustodiedWallet(addr1.address, await time.latest(), 0);
+        await registry.connect(custodian2).registerCustodiedWallet(addr2.address, await time.latest(), 0);
+        await t3Token.connect(owner).setCustodianRegistry(await registry.getAddress());
+
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(1000));
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        // Three transfers addr1 -> addr2: one settles, one is reversed, one stays open
+        const ids = [];
+        for (const amount of [10, 20, 30]) ids.push(await transferIdOf(await t3Token.connect(addr1).transfer(addr2.address, toTokenAmount(amount))));
+        await t3Token.connect(addr2).reverseTransfer(ids[1], (await t3Token.transfers(ids[1])).reversalHash);
+        return { t3Token, registry, addr1, addr2, custodian, custodian2, ids };
+    }
+
+    let t3Token, registry, addr1, addr2, custodian, custodian2, ids;
+    let client, server, baseUrl;
+
+    async function serve(indexer) {
+        if (server) await closeServer(server);
+        server = createApiServer({ client, indexer });
+        baseUrl = await listen(server);
+    }
+
+    async function get(route) {
+        const res = await fetch(`${baseUrl}${route}`);
+        return { status: res.status, body: await res.json() };
+    }
+
+    const syncedIndexer = async () => {
+        const indexer = new EventIndexer({ client, store: new JsonEventStore(), log: () => {} });
+        await indexer.sync();
+        return indexer;
+    };
+
+    beforeEach(async function () {
+        ({ t3Token, registry, addr1, addr2, custodian, custodian2, ids } = await loadFixture(deployApiFixture));
+        client = new T3Client({ token: await t3Token.getAddress(), registry: await registry.getAddress(), runner: ethers.provider });
+        await serve(await syncedIndexer());
+    });
+
+    afterEach(async function () {
+        await closeServer(server);
+        server = null;
+    });
+
+    it("GET /wallets/:address: Should combine balance, lock, risk, credits and custody", async function () {
+        const { status, body } = await get(`/wallets/${addr2.address.toLowerCase()}`);
+        expect(status).to.equal(200);
+        expect(body.wallet).to.equal(addr2.address);
+        expect(body.balance).to.equal((await t3Token.balanceOf(addr2.address)).toString());
+        expect(body.lockedBalance).to.equal((await t3Token.lockedBalanceOf(addr2.address)).toString());
+        expect(body.openTransfers).to.equal(2);
+        expect(body.riskFactor).to.equal((await t3Token.calculateRiskFactor(addr2.address)).toString());
+        expect(body.credits.available).to.equal((await t3Token.getAvailableCredits(addr2.address)).toString());
+        expect(body.custody).to.include({ custodian: custodian2.address, kycValid: true });
+
+        expect((await get("/wallets/0x1234")).body).to.deep.equal({ error: "Invalid address: 0x1234" });
+        expect((await get("/wallets/0x1234")).status).to.equal(400);
+    });
+
+    it("GET /wallets/:address/transfers: Should page through the history or list open transfers", async function () {
+        const all = await get(`/wallets/${addr2.address}/transfers?limit=2`);
+        expect(all.body).to.include({ status: "all", page: 1, limit: 2, total: 3 });
+        expect(all.body.items.map((t) => t.transferId)).to.deep.equal([ids[2].toString(), ids[1].toString()]);
+        expect(all.body.items[1].isReversed).to.equal(true);
+        const second = await get(`/wallets/${addr2.address}/transfers?limit=2&page=2`);
+        expect(second.body.items.map((t) => t.transferId)).to.deep.equal([ids[0].toString()]);
+
+        const open = await get(`/wallets/${addr2.address}/transfers?status=open`);
+        expect(open.body.items.map((t) => t.transferId)).to.deep.equal([ids[2].toString(), ids[0].toString()]);
+        expect((await get(`/wallets/${addr2.address}/transfers?status=gone`)).status).to.equal(400);
+        expect((await get(`/wallets/${addr2.address}/transfers?limit=500`)).body.error).to.equal("limit must be an integer between 1 and 200");
+    });
+
+    it("GET /transfers/pending: Should skip settled, reversed and expired unheld transfers", async function () {
+        // addr1's funding transfer was settled lazily by its first transfer out
+        const before = await get("/transfers/pending");
+        expect(before.body.items.map((t) => t.transferId)).to.deep.equal([ids[0].toString(), ids[2].toString()]);
+        expect(before.body.items[1].netAmount).to.equal((await t3Token.transfers(ids[2])).netAmount.toString());
+
+        await t3Token.connect(addr1).requestReversal(ids[2], "wrong invoice");
+        await serve(await syncedIndexer());
+        expect((await get("/transfers/pending")).body.total).to.equal(2);
+
+        // Past the windows with nothing indexed since: expired though not settled on-chain yet, unless held by the request
+        const windowEnds = await Promise.all([ids[0], ids[2]].map(async (id) => (await t3Token.transfers(id)).commitWindowEnd));
+        await time.increaseTo(windowEnds[0] > windowEnds[1] ? windowEnds[0] : windowEnds[1]);
+        expect((await t3Token.transfers(ids[0])).isExpired).to.be.false;
+        expect((await get("/transfers/pending")).body.items.map((t) => t.transferId)).to.deep.equal([ids[2].toString()]);
+    });
+
+    it("GET /interbank/liabilities and /custodians: Should list liabilities and custodians", async function () {
+        const liabilities = await get("/interbank/liabilities");
+        expect(liabilities.body.items).to.deep.equal([{
+            debtor: custodian.address,
+            creditor: custodian2.address,
+            amount: (await t3Token.interbankLiability(custodian.address, custodian2.address)).toString(),
+        }]);
+
+        const custodians = await get("/custodians?limit=1");
+        expect(custodians.body).to.deep.equal({ items: [custodian.address], page: 1, limit: 1, total: 2 });
+    });
+
+    it("Should describe itself and reject unknown routes and writes", async function () {
+        const spec = await get("/openapi.json");
+        expect(spec.body.openapi).to.equal("3.0.3");
+        expect(Object.keys(spec.body.paths)).to.include.members(["/wallets/{address}", "/wallets/{address}/transfers", "/transfers/pending", "/interbank/liabilities", "/custodians"]);
+        expect((await get("/health")).body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        expect((await get("/nope")).status).to.equal(404);
+        const res = await fetch(`${baseUrl}/custodians`, { method: "POST" });
+        expect(res.status).to.equal(405);
+    });
+
+    it("Should serve views and answer 503 for indexed history without an indexer", async function () {
+        await serve(null);
+        expect((await get(`/wallets/${addr2.address}/transfers`)).body.status).to.equal("open");
+        expect(await get("/transfers/pending")).to.deep.equal({ status: 503, body: { error: "Event indexer not configured" } });
+        expect((await get("/interbank/liabilities")).body.total).to.equal(1);
+    });
+});
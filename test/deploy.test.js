@@ -0,0 +1,185 @@
+// test/deploy.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3_MODULES, deploySystem, upgradeT3Token, upgradeCustodianRegistry } = require("../scripts/lib/deploySystem");
+const { writeDeployment, loadDeployment } = require("../sdk");
+
+const { ethers } = hre;
+
+describe("System Deployment", function () {
+    const silent = () => {};
+
+    async function deploySystemFixture() {
+        const [deployer, treasury, minter, pauser, custodian, otherAdmin, arbiter, officer] = await ethers.getSigners();
+        const result = await deploySystem(hre, {
+            treasury: treasury.address,
+            minters: [minter.address],
+            pausers: [pauser.address],
+            arbiters: [arbiter.address],
+            compliance: [officer.address],
+            custodians: [custodian.address],
+            log: silent,
+        });
+        return { ...result, deployer, treasury, minter, pauser, custodian, otherAdmin, arbiter, officer };
+    }
+
+    it("Should deploy the contracts behind proxies with the expected constructor and initializer args", async function () {
+        const { token, registry, deployment, deployer, treasury } = await loadFixture(deploySystemFixture);
+        expect(await token.treasuryAddress()).to.equal(treasury.address);
+        expect(await token.hasRole(await token.DEFAULT_ADMIN_ROLE(), deployer.address)).to.be.true;
+        expect(await token.hasRole(await token.UPGRADER_ROLE(), deployer.address)).to.be.true;
+        expect(await registry.hasRole(await registry.ADMIN_ROLE(), deployer.address)).to.be.true;
+        expect(await registry.hasRole(await registry.UPGRADER_ROLE(), deployer.address)).to.be.true;
+
+        const { contracts } = deployment;
+        expect(contracts.T3Token.address).to.equal(await token.getAddress());
+        expect(contracts.T3Token.implementation).to.equal(await hre.upgrades.erc1967.getImplementationAddress(contracts.T3Token.address));
+        expect(contracts.T3Token.initializerArgs).to.deep.equal([deployer.address, treasury.address]);
+        const modules = T3_MODULES.map((name) => contracts[name].address);
+        expect(contracts.T3Token.constructorArgs).to.deep.equal(modules);
+        expect(contracts.T3TokenAdmin.blockNumber).to.be.lessThan(contracts.T3Token.blockNumber);
+        expect(contracts.CustodianRegistry.address).to.equal(await registry.getAddress());
+        expect(contracts.CustodianRegistry.implementation).to.not.equal(contracts.CustodianRegistry.address);
+        expect(contracts.CustodianRegistry.initializerArgs).to.deep.equal([deployer.address]);
+        expect(contracts.T3Token.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(contracts.CustodianRegistry.blockNumber).to.be.greaterThan(contracts.T3Token.blockNumber);
+    });
+
+    it("Should link the registry with the KYC policy disabled and the treasury exempt", async function () {
+        const { token, registry, treasury } = await loadFixture(deploySystemFixture);
+        expect(await token.custodianRegistry()).to.equal(await registry.getAddress());
+        expect(await token.kycPolicy()).to.equal(0);
+        expect(await token.kycExempt(treasury.address)).to.be.true;
+    });
+
+    it("Should wire MINTER, PAUSER, ARBITER, COMPLIANCE and CUSTODIAN roles", async function () {
+        const { token, registry, deployment, minter, pauser, custodian, arbiter, officer } = await loadFixture(deploySystemFixture);
+        expect(await token.hasRole(await token.MINTER_ROLE(), minter.address)).to.be.true;
+        expect(await token.hasRole(await token.PAUSER_ROLE(), pauser.address)).to.be.true;
+        expect(await token.hasRole(await token.ARBITER_ROLE(), arbiter.address)).to.be.true;
+        expect(await token.hasRole(await token.COMPLIANCE_ROLE(), officer.address)).to.be.true;
+        expect(await registry.hasRole(await registry.CUSTODIAN_ROLE(), custodian.address)).to.be.true;
+        expect(await registry.custodianCount()).to.equal(1);
+        expect(deployment.roles.map((r) => r.role)).to.deep.equal(["MINTER_ROLE", "PAUSER_ROLE", "ARBITER_ROLE", "COMPLIANCE_ROLE", "CUSTODIAN_ROLE"]);
+    });
+
+    it("Should refuse role wiring when the deployer is not the admin", async function () {
+        const { treasury, minter, otherAdmin } = await loadFixture(deploySystemFixture);
+        await expect(deploySystem(hre, { admin: otherAdmin.address, treasury: treasury.address, minters: [minter.address], log: silent }))
+            .to.be.rejectedWith("Role wiring requires the deployer to be the initial admin");
+    });
+
+    it("Should require a treasury address", async function () {
+        await expect(deploySystem(hre, { log: silent })).to.be.rejectedWith("Treasury address is required");
+    });
+
+    describe("Upgrades", function () {
+        // A transfer record, risk profiles and a custodied wallet for the upgrades to preserve
+        async function deployWithStateFixture() {
+            const deployed = await deploySystemFixture();
+            const { token, registry, deployer, minter, custodian } = deployed;
+            await (await token.transfer(minter.address, ethers.parseEther("100"))).wait();
+            const expiry = (await time.latest()) + 86400;
+            await (await registry.connect(custodian).registerCustodiedWallet(minter.address, await time.latest(), expiry)).wait();
+            const snapshot = {
+                transfer: await token.transfers(1),
+                profile: await token.walletRiskProfiles(minter.address),
+                balances: [await token.balanceOf(deployer.address), await token.balanceOf(minter.address)],
+            };
+            return { ...deployed, snapshot };
+        }
+
+        it("Should upgrade T3Token in place, keeping balances, transfer records and risk profiles", async function () {
+            const { token, deployment, deployer, minter, snapshot } = await loadFixture(deployWithStateFixture);
+            const proxy = deployment.contracts.T3Token.address;
+            const { token: upgraded, contracts } = await upgradeT3Token(hre, proxy, { signer: deployer });
+
+            expect(await upgraded.getAddress()).to.equal(proxy);
+            expect(contracts.T3Token.implementation).to.not.equal(deployment.contracts.T3Token.implementation);
+            expect(await hre.upgrades.erc1967.getImplementationAddress(proxy)).to.equal(contracts.T3Token.implementation);
+            expect(contracts.T3Token.constructorArgs).to.deep.equal(T3_MODULES.map((name) => contracts[name].address));
+            expect(contracts.T3TokenExtension.address).to.not.equal(deployment.contracts.T3TokenExtension.address);
+
+            expect(await token.transfers(1)).to.deep.equal(snapshot.transfer);
+            expect(await token.walletRiskProfiles(minter.address)).to.deep.equal(snapshot.profile);
+            expect([await token.balanceOf(deployer.address), await token.balanceOf(minter.address)]).to.deep.equal(snapshot.balances);
+            expect(await token.hasRole(await token.MINTER_ROLE(), minter.address)).to.be.true;
+            // The new modules run against the same storage
+            await time.increase(3600 * 2);
+            await expect(token.checkHalfLifeExpiry(1)).to.emit(token, "HalfLifeExpired");
+            expect((await token.transfers(1)).isExpired).to.be.true;
+        });
+
+        it("Should upgrade CustodianRegistry in place, keeping custody records", async function () {
+            const { registry, deployment, deployer, minter, custodian } = await loadFixture(deployWithStateFixture);
+            const proxy = deployment.contracts.CustodianRegistry.address;
+            const { contracts } = await upgradeCustodianRegistry(hre, proxy, { signer: deployer });
+            expect(contracts.CustodianRegistry.address).to.equal(proxy);
+            // Unchanged code: the plugin reuses the implementation already deployed
+            expect(contracts.CustodianRegistry.implementation).to.equal(await hre.upgrades.erc1967.getImplementationAddress(proxy));
+            expect(await registry.getCustodian(minter.address)).to.equal(custodian.address);
+            expect(await registry.isKYCValid(minter.address)).to.be.true;
+            expect(await registry.custodianAtIndex(0)).to.equal(custodian.address);
+        });
+
+        it("Should only let UPGRADER_ROLE upgrade", async function () {
+            const { token, registry, deployment, minter } = await loadFixture(deployWithStateFixture);
+            await expect(upgradeT3Token(hre, deployment.contracts.T3Token.address, { signer: minter }))
+                .to.be.rejectedWith(`${minter.address} does not hold UPGRADER_ROLE on T3Token`);
+            await expect(upgradeCustodianRegistry(hre, deployment.contracts.CustodianRegistry.address, { signer: minter }))
+                .to.be.rejectedWith(`${minter.address} does not hold UPGRADER_ROLE on CustodianRegistry`);
+
+            // Calling the proxies directly is refused by _authorizeUpgrade
+            const UPGRADER_ROLE = await token.UPGRADER_ROLE();
+            await expect(token.connect(minter).upgradeToAndCall(deployment.contracts.T3Token.implementation, "0x"))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount").withArgs(minter.address, UPGRADER_ROLE);
+            await expect(registry.connect(minter).upgradeToAndCall(deployment.contracts.CustodianRegistry.implementation, "0x"))
+                .to.be.revertedWithCustomError(registry, "AccessControlUnauthorizedAccount").withArgs(minter.address, UPGRADER_ROLE);
+        });
+
+        it("Should not initialize the proxies twice, nor the implementations at all", async function () {
+            const { token, registry, deployment, deployer, treasury, minter } = await loadFixture(deploySystemFixture);
+            await expect(token.initialize(minter.address, treasury.address)).to.be.revertedWithCustomError(token, "InvalidInitialization");
+            await expect(registry.initialize(minter.address)).to.be.revertedWithCustomError(registry, "InvalidInitialization");
+
+            const tokenImplementation = token.attach(deployment.contracts.T3Token.implementation);
+            await expect(tokenImplementation.initialize(deployer.address, treasury.address)).to.be.revertedWithCustomError(token, "InvalidInitialization");
+            const registryImplementation = registry.attach(deployment.contracts.CustodianRegistry.implementation);
+            await expect(registryImplementation.initialize(deployer.address)).to.be.revertedWithCustomError(registry, "InvalidInitialization");
+        });
+    });
+
+    describe("Deployment manifest", function () {
+        let dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "t3-deployments-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("Should version manifests per chainId and keep history", async function () {
+            const { deployment } = await loadFixture(deploySystemFixture);
+            const first = writeDeployment(31337, deployment, dir);
+            expect(first.version).to.equal(1);
+            expect(first.history).to.deep.equal([]);
+
+            const second = writeDeployment(31337, { ...deployment, deployedAt: "later" }, dir);
+            expect(second.version).to.equal(2);
+            expect(second.history).to.have.lengthOf(1);
+            expect(second.history[0].version).to.equal(1);
+            expect(second.history[0].contracts.T3Token.address).to.equal(deployment.contracts.T3Token.address);
+            expect(second.history[0].contracts.T3Token.implementation).to.equal(deployment.contracts.T3Token.implementation);
+
+            const loaded = loadDeployment(31337, dir);
+            expect(loaded).to.deep.equal(second);
+            expect(loadDeployment(1, dir)).to.equal(null);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+// test/indexer.test.js
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture, mine, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3Client } = require("../sdk");
+const { EventIndexer } = require("../services/indexer/EventIndexer");
+const { JsonEventStore } = require("../services/indexer/JsonEventStore");
+const { DEFAULT_HALF_LIFE_DURATION, toTokenAmount, deployServiceFixture, transferIdOf, useTempDir } = require("./serviceHelpers");
+
+describe("Event Indexer Service", function () {
+    async function deployIndexerFixture() {
+        const [owner, addr1, addr2, treasury, custodian] = await ethers.getSigners();
+        const { t3Token, registry } = await deployServiceFixture({ owner, treasury, withRegistry: true });
+        await registry.connect(owner).grantCustodianRole(custodian.address);
+        await t3Token.connect(owner).grantRole(await t3Token.MINTER_ROLE(), owner.address);
+        return { t3Token, registry, owner, addr1, addr2, custodian };
+    }
+
+    let t3Token, registry, client, owner, addr1, addr2, custodian;
+    let dbFile;
+    const tmp = useTempDir("t3-indexer-");
+
+    const newIndexer = (options = {}) => new EventIndexer({
+        client,
+        store: new JsonEventStore(dbFile),
+        log: () => {},
+        ...options,
+    });
+
+    // Rows in the event log beside the store document, one JSON row per line
+    const loggedEvents = () => fs.readFileSync(dbFile.replace(/\.json$/, ".events.ndjson"), "utf8")
+        .split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+    beforeEach(async function () {
+        ({ t3Token, registry, owner, addr1, addr2, custodian } = await loadFixture(deployIndexerFixture));
+        client = new T3Client({ token: await t3Token.getAddress(), registry: await registry.getAddress(), runner: owner });
+        dbFile = path.join(tmp.dir, "events.json");
+    });
+
+    it("Should answer a wallet's history across both contracts", async function () {
+        await t3Token.connect(owner).mint(addr1.address, toTokenAmount(50));
+        const transferId = await transferIdOf(await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100)));
+        await t3Token.connect(addr1).reverseTransfer(transferId, (await t3Token.transfers(transferId)).reversalHash);
+        await registry.connect(custodian).registerCustodiedWallet(addr1.address, await time.latest(), 0);
+
+        const indexer = newIndexer();
+        const result = await indexer.sync();
+        expect(result.reorg).to.equal(null);
+        expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+
+        const names = indexer.history(addr1.address).map((row) => row.name);
+        expect(names).to.include.members(["TokensMinted", "TransferWithFee", "TransferRecorded", "TransferReversed", "RiskFactorUpdated", "WalletRegistered"]);
+        const [reversed] = indexer.history(addr1.address, { name: "TransferReversed" });
+        expect(reversed.contract).to.equal("T3Token");
+        expect(reversed.args.transferId).to.equal(transferId.toString());
+        expect(reversed.wallets).to.deep.equal([addr1.address, owner.address]);
+        expect(indexer.history(addr2.address)).to.deep.equal([]);
+    });
+
+    it("Should index settlements and loyalty refunds", async function () {
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100));
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        await t3Token.settleExpiredTransfers(addr1.address);
+
+        const indexer = newIndexer();
+        await indexer.sync();
+        expect(indexer.history(addr1.address, { name: ["HalfLifeExpired", "LoyaltyRefundProcessed"] }).map((row) => row.name))
+            .to.deep.equal(["LoyaltyRefundProcessed", "HalfLifeExpired"]);
+    });
+
+    it("Should index reversal requests, disputes, freezes and seizures", async function () {
+        const CASE = ethers.encodeBytes32String("COURT-2024-117");
+        const FRAUD = ethers.encodeBytes32String("FRAUD");
+        await t3Token.connect(owner).grantRole(await t3Token.ARBITER_ROLE(), owner.address);
+        await t3Token.connect(owner).grantRole(await t3Token.COMPLIANCE_ROLE(), owner.address);
+        const contested = await transferIdOf(await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100)));
+        const accepted = await transferIdOf(await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100)));
+        await t3Token.connect(owner).requestReversal(contested, "wrong address");
+        await t3Token.connect(addr1).contestReversal(contested, "goods delivered");
+        await t3Token.connect(owner).requestReversal(accepted, "duplicate");
+        await t3Token.connect(addr1).acceptReversal(accepted);
+        await t3Token.connect(owner).openDispute(contested, FRAUD);
+        await t3Token.connect(owner).releaseDispute(contested, FRAUD);
+        await t3Token.connect(owner).setRecoveryAddress(addr2.address);
+        await t3Token.connect(owner).freezeWallet(addr1.address, CASE);
+        await t3Token.connect(owner).seizeFrozenFunds(addr1.address, toTokenAmount(10), CASE);
+        await t3Token.connect(owner).unfreezeWallet(addr1.address, CASE);
+
+        const indexer = newIndexer();
+        await indexer.sync();
+        const names = indexer.history(addr1.address).map((row) => row.name);
+        expect(names).to.include.members([
+            "ReversalRequested", "ReversalRequestContested", "ReversalRequestAccepted", "WalletFrozen", "FundsSeized", "WalletUnfrozen",
+        ]);
+        const disputes = indexer.history(owner.address, { name: ["DisputeOpened", "DisputeResolved"] });
+        expect(disputes.map((row) => [row.name, row.args.transferId])).to.deep.equal([
+            ["DisputeOpened", contested.toString()],
+            ["DisputeResolved", contested.toString()],
+        ]);
+        expect(indexer.history(addr2.address).map((row) => row.name)).to.deep.equal(["RecoveryAddressUpdated", "FundsSeized"]);
+    });
+
+    it("Should resume from its checkpoint", async function () {
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100));
+        const first = await newIndexer().sync();
+        const stored = JSON.parse(fs.readFileSync(dbFile, "utf8"));
+        expect(stored.nextBlock).to.equal(first.toBlock + 1);
+
+        await t3Token.connect(owner).transfer(addr2.address, toTokenAmount(100));
+        const restarted = newIndexer();
+        const second = await restarted.sync();
+        expect(second.fromBlock).to.equal(first.toBlock + 1);
+        expect(restarted.history(addr2.address, { name: "TransferWithFee" })).to.have.lengthOf(1);
+        expect(restarted.store.size).to.equal(first.indexed + second.indexed);
+
+        const otherClient = new T3Client({ token: await t3Token.getAddress(), runner: owner });
+        expect(() => newIndexer({ client: otherClient })).to.throw("indexes token");
+    });
+
+    it("Should roll back reorged blocks by hash and index the new branch", async function () {
+        const indexer = newIndexer();
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100));
+        await indexer.sync();
+        const forkPoint = await takeSnapshot();
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(5));
+        await mine(2);
+        await indexer.sync();
+        expect(indexer.history(addr1.address, { name: "TransferWithFee" })).to.have.lengthOf(2);
+
+        // Replace the last blocks with a branch where addr2 was paid instead
+        const ancestor = await ethers.provider.getBlockNumber() - 3;
+        await forkPoint.restore();
+        await t3Token.connect(owner).transfer(addr2.address, toTokenAmount(7));
+        const result = await indexer.sync();
+        expect(result.reorg.ancestor).to.equal(ancestor);
+        expect(result.reorg.removed).to.be.greaterThan(0);
+        expect(indexer.history(addr1.address, { name: "TransferWithFee" })).to.have.lengthOf(1);
+        const [paid] = indexer.history(addr2.address, { name: "TransferWithFee" });
+        expect(paid.blockHash).to.equal((await ethers.provider.getBlock(paid.blockNumber)).hash);
+        expect(loggedEvents()).to.deep.equal(indexer.store.query());
+    });
+
+    it("Should append each block range to the event log instead of rewriting it", async function () {
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100));
+        const indexer = newIndexer({ maxBlockRange: 1 });
+        await indexer.sync();
+        const logFile = dbFile.replace(/\.json$/, ".events.ndjson");
+        const before = fs.readFileSync(logFile, "utf8");
+        expect(JSON.parse(fs.readFileSync(dbFile, "utf8"))).to.not.have.property("events");
+
+        await t3Token.connect(owner).transfer(addr2.address, toTokenAmount(100));
+        await indexer.sync();
+        const after = fs.readFileSync(logFile, "utf8");
+        expect(after.startsWith(before)).to.equal(true);
+        expect(loggedEvents()).to.deep.equal(indexer.store.query());
+
+        // Rows logged past the committed checkpoint, as left by a crash, are discarded on restart
+        fs.appendFileSync(logFile, JSON.stringify({ ...indexer.store.query().at(-1), id: "stale" }) + "\n");
+        const restarted = newIndexer();
+        expect(restarted.store.size).to.equal(indexer.store.size);
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(1));
+        await restarted.sync();
+        expect(loggedEvents()).to.deep.equal(restarted.store.query());
+    });
+
+    it("Should rebuild the same index from genesis", async function () {
+        await t3Token.connect(owner).transfer(addr1.address, toTokenAmount(100));
+        const incremental = newIndexer();
+        await incremental.sync();
+        await t3Token.connect(owner).transfer(addr2.address, toTokenAmount(100));
+        await incremental.sync();
+
+        const result = await newIndexer().rebuild();
+        expect(result.fromBlock).to.equal(0);
+        expect(loggedEvents()).to.deep.equal(incremental.store.query());
+    });
+});
@@ -0,0 +1,150 @@
+// test/keeper.test.js
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3Client } = require("../sdk");
+const { ExpiryKeeper } = require("../services/keeper/ExpiryKeeper");
+const { DEFAULT_HALF_LIFE_DURATION, toTokenAmount, deployServiceFixture, useTempDir } = require("./serviceHelpers");
+
+describe("Expiry Keeper Service", function () {
+    async function deployKeeperFixture() {
+        const [owner, addr1, addr2, treasury, keeperSigner] = await ethers.getSigners();
+        // Windows left open for the keeper to settle
+        const { t3Token } = await deployServiceFixture({ owner, treasury, funded: [addr1, addr2], settle: false });
+        return { t3Token, owner, addr1, addr2, keeperSigner };
+    }
+
+    let t3Token, client, owner, addr1, addr2;
+    let stateFile, logs, delays;
+    const tmp = useTempDir("t3-keeper-");
+
+    const newKeeper = (options = {}) => new ExpiryKeeper({
+        client,
+        stateFile,
+        retry: { baseDelayMs: 10 },
+        log: (message) => logs.push(message),
+        sleep: async (ms) => { delays.push(ms); },
+        ...options,
+    });
+
+    beforeEach(async function () {
+        let keeperSigner;
+        ({ t3Token, owner, addr1, addr2, keeperSigner } = await loadFixture(deployKeeperFixture));
+        // A fresh client per test, since some tests stub its methods
+        client = new T3Client({ token: await t3Token.getAddress(), runner: keeperSigner });
+        stateFile = path.join(tmp.dir, "state.json");
+        logs = [];
+        delays = [];
+    });
+
+    it("Should track each recipient's window and settle it once closed", async function () {
+        const keeper = newKeeper();
+        const first = await keeper.tick();
+        expect(first.tracked).to.equal(2);
+        expect(first.due).to.deep.equal([]);
+        const [transferId] = await t3Token.getOpenTransferIds(addr1.address);
+        expect(keeper.wallets[addr1.address].windows[String(transferId)]).to.equal(Number((await t3Token.transfers(transferId)).commitWindowEnd));
+
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        const second = await keeper.tick();
+        expect(second.due).to.have.members([addr1.address, addr2.address]);
+        expect(second.batches[0].settled).to.have.lengthOf(2);
+        expect(await t3Token.openTransferCount(addr1.address)).to.equal(0);
+        expect(await t3Token.openTransferCount(addr2.address)).to.equal(0);
+        expect(keeper.wallets).to.deep.equal({});
+    });
+
+    it("Should resume from the persisted cursor after a restart", async function () {
+        await newKeeper().tick();
+        const saved = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+        expect(saved.nextBlock).to.equal(await ethers.provider.getBlockNumber() + 1);
+
+        const restarted = newKeeper();
+        expect(restarted.state).to.deep.equal(saved);
+        expect((await restarted.sync()).tracked).to.equal(0);
+        await t3Token.connect(owner).transfer(addr2.address, toTokenAmount(10));
+        expect((await restarted.sync()).tracked).to.equal(1);
+        expect(Object.keys(restarted.wallets[addr2.address].windows)).to.have.lengthOf(2);
+
+        const otherToken = new T3Client({ token: owner.address, runner: owner, tokenAbi: client._tokenAbi });
+        expect(() => newKeeper({ client: otherToken })).to.throw("belongs to token");
+    });
+
+    it("Should wait before retrying a wallet whose window is held by a reversal request", async function () {
+        const [transferId] = await t3Token.getOpenTransferIds(addr1.address);
+        await t3Token.connect(owner).requestReversal(transferId, "wrong address");
+        const keeper = newKeeper({ heldRecheckSeconds: 600 });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+
+        await keeper.tick();
+        expect(await t3Token.getOpenTransferIds(addr1.address)).to.deep.equal([transferId]);
+        expect(keeper.wallets[addr1.address].recheckAt).to.be.greaterThan(await time.latest());
+        expect((await keeper.tick()).due).to.deep.equal([]);
+
+        await time.increase(600);
+        expect((await keeper.tick()).due).to.deep.equal([addr1.address]);
+    });
+
+    it("Should not track windows settled at once nor send batches that settle nothing", async function () {
+        const keeper = newKeeper();
+        await keeper.sync();
+        // Below minLockableAmount: recorded and settled in the same transaction
+        await t3Token.connect(owner).transfer(addr2.address, (await t3Token.minLockableAmount()) / 2n);
+        expect((await keeper.sync()).tracked).to.equal(1);
+        expect(Object.keys(keeper.wallets[addr2.address].windows)).to.have.lengthOf(1);
+
+        const [transferId] = await t3Token.getOpenTransferIds(addr1.address);
+        await t3Token.connect(addr1).reverseTransfer(transferId, (await t3Token.transfers(transferId)).reversalHash);
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        // Settled by the wallet itself: dropped on the next sync, before anything is due
+        await t3Token.settleExpiredTransfers(addr2.address);
+        const blockBefore = await ethers.provider.getBlockNumber();
+
+        const result = await keeper.tick();
+        expect(result.due).to.deep.equal([addr1.address]);
+        expect(result.batches).to.deep.equal([{ wallets: result.due, skipped: true }]);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(keeper.wallets).to.deep.equal({});
+    });
+
+    it("Should only report what it would settle in dry-run mode", async function () {
+        const keeper = newKeeper({ dryRun: true });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        const blockBefore = await ethers.provider.getBlockNumber();
+
+        const result = await keeper.tick();
+        expect(result.batches).to.deep.equal([{ wallets: result.due, dryRun: true }]);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(await t3Token.openTransferCount(addr1.address)).to.equal(1);
+        expect(logs.some((line) => line.includes("[dry-run]"))).to.be.true;
+    });
+
+    it("Should retry failed expiry calls with exponential backoff", async function () {
+        const keeper = newKeeper({ retry: { maxAttempts: 3, baseDelayMs: 10 } });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        const expireBatch = client.expireBatch.bind(client);
+        let calls = 0;
+        client.expireBatch = async (wallets) => {
+            if (++calls < 3) throw new Error("nonce too low");
+            return expireBatch(wallets);
+        };
+
+        const result = await keeper.tick();
+        expect(calls).to.equal(3);
+        expect(delays).to.deep.equal([10, 20]);
+        expect(result.batches[0].settled).to.have.lengthOf(2);
+    });
+
+    it("Should keep the wallets for the next tick when every attempt fails", async function () {
+        const keeper = newKeeper({ retry: { maxAttempts: 2, baseDelayMs: 10 } });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        client.expireBatch = async () => { throw new Error("RPC unavailable"); };
+
+        const result = await keeper.tick();
+        expect(result.batches[0].error).to.equal("RPC unavailable");
+        expect(Object.keys(keeper.wallets)).to.have.members([addr1.address, addr2.address]);
+        expect(JSON.parse(fs.readFileSync(stateFile, "utf8")).wallets).to.deep.equal(keeper.wallets);
+    });
+});
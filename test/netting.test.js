@@ -0,0 +1,68 @@
+// test/netting.test.js
+const { expect } = require("chai");
+const { replayLiabilityEvents, computeSettlementCycle } = require("../sdk");
+
+describe("Interbank Netting Engine", function () {
+    const [A, B, C, D] = ["0xA", "0xB", "0xC", "0xD"];
+    const recorded = (debtor, creditor, amount) => ({ name: "InterbankLiabilityRecorded", args: { debtor, creditor, amount } });
+    const cleared = (debtor, creditor, amountCleared) => ({ name: "InterbankLiabilityCleared", args: { debtor, creditor, amountCleared } });
+
+    describe("replayLiabilityEvents", function () {
+        it("Should accumulate records and subtract clears per pair", function () {
+            const open = replayLiabilityEvents([
+                recorded(A, B, 100n), recorded(B, A, 20n), recorded(A, B, 50n), cleared(A, B, 30n), recorded(C, D, 5n), cleared(C, D, 5n),
+            ]);
+            expect(open).to.deep.equal([{ debtor: A, creditor: B, amount: 120n }, { debtor: B, creditor: A, amount: 20n }]);
+        });
+
+        it("Should reject a replay that clears more than was recorded", function () {
+            expect(() => replayLiabilityEvents([cleared(A, B, 1n)])).to.throw("cleared below zero");
+        });
+    });
+
+    describe("computeSettlementCycle", function () {
+        it("Should report gross and net positions per FI", function () {
+            const cycle = computeSettlementCycle([
+                { debtor: A, creditor: B, amount: 100n }, { debtor: B, creditor: C, amount: 60n }, { debtor: C, creditor: A, amount: 30n },
+            ]);
+            expect(cycle.grossTotal).to.equal(190n);
+            expect(cycle.positions).to.deep.equal([
+                { bank: A, grossPayable: 100n, grossReceivable: 30n, net: -70n },
+                { bank: B, grossPayable: 60n, grossReceivable: 100n, net: 40n },
+                { bank: C, grossPayable: 30n, grossReceivable: 60n, net: 30n },
+            ]);
+            expect(cycle.obligations).to.deep.equal([{ from: A, to: B, amount: 40n }, { from: A, to: C, amount: 30n }]);
+            expect(cycle.netTotal).to.equal(70n);
+        });
+
+        it("Should settle a closed loop without any payment", function () {
+            const cycle = computeSettlementCycle([
+                { debtor: A, creditor: B, amount: 50n }, { debtor: B, creditor: C, amount: 50n }, { debtor: C, creditor: A, amount: 50n },
+            ]);
+            expect(cycle.liabilities).to.have.lengthOf(3);
+            expect(cycle.obligations).to.deep.equal([]);
+            expect(cycle.netTotal).to.equal(0n);
+        });
+
+        it("Should need at most one payment less than the FIs involved", function () {
+            const liabilities = [];
+            for (const debtor of [A, B, C, D]) {
+                for (const creditor of [A, B, C, D]) {
+                    if (debtor !== creditor) liabilities.push({ debtor, creditor, amount: BigInt(debtor.charCodeAt(2) * 7 + creditor.charCodeAt(2)) });
+                }
+            }
+            const cycle = computeSettlementCycle(liabilities);
+            expect(cycle.obligations.length).to.be.at.most(3);
+            for (const position of cycle.positions) {
+                const paid = cycle.obligations.filter((o) => o.from === position.bank).reduce((sum, o) => sum + o.amount, 0n);
+                const received = cycle.obligations.filter((o) => o.to === position.bank).reduce((sum, o) => sum + o.amount, 0n);
+                expect(received - paid).to.equal(position.net);
+            }
+        });
+
+        it("Should ignore zero liabilities and reject self-liabilities", function () {
+            expect(computeSettlementCycle([{ debtor: A, creditor: B, amount: 0n }]).liabilities).to.deep.equal([]);
+            expect(() => computeSettlementCycle([{ debtor: A, creditor: A, amount: 1n }])).to.throw("Liability of 0xA to itself");
+        });
+    });
+});
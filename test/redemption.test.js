@@ -0,0 +1,120 @@
+// test/redemption.test.js
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3Client } = require("../sdk");
+const { RedemptionListener } = require("../services/redemption/RedemptionListener");
+const { MockBankBackend } = require("../services/redemption/MockBankBackend");
+const { toTokenAmount, deployServiceFixture, useTempDir } = require("./serviceHelpers");
+
+describe("Redemption Listener Service", function () {
+    async function deployRedemptionFixture() {
+        const [owner, addr1, addr2, treasury, bank, otherBank] = await ethers.getSigners();
+        const { t3Token } = await deployServiceFixture({ owner, treasury, funded: [addr1, addr2] });
+        const MINTER_ROLE = await t3Token.MINTER_ROLE();
+        await t3Token.connect(owner).grantRole(MINTER_ROLE, bank.address);
+        await t3Token.connect(owner).grantRole(MINTER_ROLE, otherBank.address);
+        return { t3Token, addr1, addr2, bank, otherBank };
+    }
+
+    let t3Token, client, addr1, addr2, bank, otherBank;
+    let stateFile, logs;
+    const tmp = useTempDir("t3-redemption-");
+
+    const newListener = (options = {}) => new RedemptionListener({
+        client,
+        custodian: bank.address,
+        stateFile,
+        log: (message) => logs.push(message),
+        ...options,
+    });
+    const newBackend = (options = {}) => new MockBankBackend({
+        client,
+        accounts: { [addr1.address]: "DE89370400440532013000" },
+        log: (message) => logs.push(message),
+        ...options,
+    });
+    const request = (holder, amount, referenceId, custodian = bank) =>
+        client.connect(holder).requestRedemption({ amount: toTokenAmount(amount), custodian: custodian.address, referenceId });
+
+    beforeEach(async function () {
+        ({ t3Token, addr1, addr2, bank, otherBank } = await loadFixture(deployRedemptionFixture));
+        client = new T3Client({ token: await t3Token.getAddress(), runner: bank });
+        stateFile = path.join(tmp.dir, "state.json");
+        logs = [];
+    });
+
+    it("Should emit a ticket per pending request of its custodian and report resolutions", async function () {
+        await request(addr1, 100, "RDM-1");
+        await request(addr2, 5, "RDM-2", otherBank);
+        await request(addr2, 7, "RDM-3");
+        await client.rejectRedemption({ redemptionId: 3, rejectionCode: "DUPLICATE" });
+
+        const listener = newListener();
+        const emitted = [];
+        listener.on("ticket", (ticket) => emitted.push(ticket));
+        const first = await listener.poll();
+        expect(emitted).to.deep.equal(first.tickets);
+        expect(first.tickets).to.have.lengthOf(1);
+        expect(first.tickets[0]).to.include({ redemptionId: "1", referenceId: "RDM-1", holder: addr1.address, custodian: bank.address, amount: toTokenAmount(100).toString() });
+        expect(JSON.parse(fs.readFileSync(stateFile, "utf8")).open).to.have.keys(["1"]);
+
+        await client.confirmRedemption(1);
+        const resolved = [];
+        listener.on("resolved", (result) => resolved.push(result));
+        const second = await listener.poll();
+        expect(second.tickets).to.deep.equal([]);
+        expect(resolved).to.have.lengthOf(1);
+        expect(resolved[0]).to.include({ redemptionId: "1", status: "Confirmed" });
+        expect(listener.openTickets).to.deep.equal({});
+    });
+
+    it("Should pay known holders out and reject unknown holders or payouts over the limit", async function () {
+        const holderBalance = await t3Token.balanceOf(addr2.address);
+        await request(addr1, 100, "RDM-1");
+        await request(addr2, 5, "RDM-2");
+        await request(addr1, 600, "RDM-3");
+        const supply = await t3Token.totalSupply();
+
+        const backend = newBackend({ maxPayout: toTokenAmount(500) });
+        const { tickets } = await newListener().poll();
+        const outcomes = [];
+        for (const ticket of tickets) outcomes.push(await backend.handle(ticket));
+
+        expect(outcomes.map((o) => o.outcome)).to.deep.equal(["confirmed", "rejected", "rejected"]);
+        expect(outcomes[1].rejectionCode).to.equal("NO_BANK_ACCOUNT");
+        expect(outcomes[2].rejectionCode).to.equal("LIMIT_EXCEEDED");
+        expect(backend.payouts.get("RDM-1")).to.include({ account: "DE89370400440532013000", amount: toTokenAmount(100).toString() });
+        expect(await t3Token.totalSupply()).to.equal(supply - toTokenAmount(100));
+        expect(await t3Token.balanceOf(addr2.address)).to.equal(holderBalance);
+        expect((await client.getRedemption("RDM-3")).rejectionCode).to.equal("LIMIT_EXCEEDED");
+    });
+
+    it("Should redeliver open tickets after a restart without paying twice", async function () {
+        await request(addr1, 100, "RDM-1");
+        const first = newListener();
+        await first.poll();
+
+        // The backend booked the payout but could not confirm it on-chain before going down
+        const backend = newBackend();
+        const confirm = client.confirmRedemption;
+        client.confirmRedemption = async () => { throw new Error("nonce too low"); };
+        await expect(backend.handle(first.openTickets["1"])).to.be.rejectedWith("nonce too low");
+        client.confirmRedemption = confirm;
+        const paidAt = backend.payouts.get("RDM-1").paidAt;
+
+        const restarted = newListener();
+        const { tickets } = await restarted.poll();
+        expect(tickets).to.have.lengthOf(1);
+        expect(tickets[0]).to.include({ referenceId: "RDM-1", redelivered: true });
+        const outcome = await backend.handle(tickets[0]);
+        expect(outcome.outcome).to.equal("confirmed");
+        expect(outcome.payout.paidAt).to.equal(paidAt);
+        expect((await backend.handle(tickets[0])).hash).to.equal(outcome.hash);
+        expect((await client.getRedemption(1)).status).to.equal("Confirmed");
+
+        expect(() => newListener({ custodian: otherBank.address })).to.throw("follows custodian");
+    });
+});
@@ -0,0 +1,185 @@
+// test/relayer.test.js
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+const { T3Client } = require("../sdk");
+const { Relayer, RelayError } = require("../services/relayer/Relayer");
+const { createRelayerServer } = require("../services/relayer/RelayerServer");
+const { DEFAULT_HALF_LIFE_DURATION, toTokenAmount, deployServiceFixture, listen, closeServer } = require("./serviceHelpers");
+
+describe("Meta-transaction relayer", function () {
+    const toJson = (body) => JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value));
+
+    async function deployRelayerFixture() {
+        const [owner, treasury, relayerSigner] = await ethers.getSigners();
+        // Users hold tokens but no ETH
+        const alice = ethers.Wallet.createRandom().connect(ethers.provider);
+        const bob = ethers.Wallet.createRandom().connect(ethers.provider);
+        const { t3Token } = await deployServiceFixture({ owner, treasury, funded: [alice] });
+        return { t3Token, owner, relayerSigner, alice, bob };
+    }
+
+    let t3Token, owner, relayerSigner, alice, bob;
+    let clock, relayer, server, baseUrl;
+    const clientFor = (runner) => new T3Client({ token: t3Token.target, runner });
+
+    async function post(route, body) {
+        const res = await fetch(`${baseUrl}${route}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: toJson(body) });
+        return { status: res.status, headers: res.headers, body: await res.json() };
+    }
+
+    const signTransfer = async (from, to, amount, options = {}) => clientFor(from).signTransferAuthorization({
+        to: to.address, value: toTokenAmount(amount), validBefore: (await time.latest()) + 3600, ...options,
+    });
+
+    beforeEach(async function () {
+        ({ t3Token, owner, relayerSigner, alice, bob } = await loadFixture(deployRelayerFixture));
+        clock = 1_000_000;
+        relayer = new Relayer({ client: clientFor(relayerSigner), rateLimit: { maxRequests: 3, windowMs: 60000 }, now: () => clock, log: () => {} });
+        server = createRelayerServer({ relayer });
+        baseUrl = await listen(server);
+    });
+
+    afterEach(async function () {
+        await closeServer(server);
+    });
+
+    it("POST /transfers: Should relay a signed transfer for a wallet without ETH", async function () {
+        const signed = await signTransfer(alice, bob, 100);
+        const relayerBalance = await ethers.provider.getBalance(relayerSigner.address);
+        const { status, body } = await post("/transfers", signed);
+        expect(status).to.equal(200);
+        expect(body).to.include({ from: alice.address, to: bob.address, amount: toTokenAmount(100).toString() });
+        expect(await t3Token.balanceOf(bob.address)).to.equal(BigInt(body.netAmount));
+        expect(await ethers.provider.getBalance(alice.address)).to.equal(0);
+        expect(await ethers.provider.getBalance(relayerSigner.address)).to.be.below(relayerBalance);
+
+        const replay = await post("/transfers", signed);
+        expect(replay.status).to.equal(409);
+        expect(replay.body.code).to.equal("AUTHORIZATION_USED");
+    });
+
+    it("POST /transfers: Should reject malformed, forged and failing authorizations before sending", async function () {
+        const nonceBefore = await ethers.provider.getTransactionCount(relayerSigner.address);
+        expect((await post("/transfers", { from: alice.address })).body).to.deep.include({ code: "INVALID_REQUEST", error: "to must be an address" });
+
+        const signed = await signTransfer(alice, bob, 100);
+        const forged = await post("/transfers", { ...signed, value: toTokenAmount(200) });
+        expect(forged.status).to.equal(400);
+        expect(forged.body.code).to.equal("INVALID_SIGNATURE");
+        // Cut after r and zero-padded back to 65 bytes: parses, but recovers no signer
+        const truncated = await post("/transfers", { ...signed, signature: signed.signature.slice(0, 66).padEnd(132, "0") });
+        expect(truncated.status).to.equal(400);
+        expect(truncated.body).to.include({ code: "INVALID_SIGNATURE", error: "Signature does not recover a signer" });
+
+        const expired = await signTransfer(alice, bob, 100, { validBefore: await time.latest() });
+        const rejected = await post("/transfers", expired);
+        expect(rejected.status).to.equal(422);
+        expect(rejected.body).to.include({ code: "REJECTED", reason: "Authorization expired" });
+        const tooMuch = await post("/transfers", await signTransfer(alice, bob, 5000));
+        expect(tooMuch.body.code).to.equal("REJECTED");
+        expect(await ethers.provider.getTransactionCount(relayerSigner.address)).to.equal(nonceBefore);
+    });
+
+    it("POST /transfers: Should rate-limit each wallet over a sliding window", async function () {
+        for (let i = 0; i < 3; i++) expect((await post("/transfers", await signTransfer(alice, bob, 1))).status).to.equal(200);
+        const limited = await post("/transfers", await signTransfer(alice, bob, 1));
+        expect(limited.status).to.equal(429);
+        expect(limited.headers.get("retry-after")).to.equal("60");
+
+        // Other wallets keep their own budget
+        await t3Token.connect(owner).transfer(bob.address, toTokenAmount(10));
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        expect((await post("/transfers", await signTransfer(bob, alice, 1))).status).to.equal(200);
+
+        clock += 60000;
+        expect((await post("/transfers", await signTransfer(alice, bob, 1))).status).to.equal(200);
+    });
+
+    it("Should rate-limit all wallets together and drop the buckets of idle wallets", async function () {
+        relayer = new Relayer({ client: clientFor(relayerSigner), rateLimit: { maxRequests: 3, maxTotalRequests: 2, windowMs: 60000 }, now: () => clock, log: () => {} });
+        await t3Token.connect(owner).transfer(bob.address, toTokenAmount(10));
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+        await relayer.relayTransfer(await signTransfer(alice, bob, 1));
+        await relayer.relayTransfer(await signTransfer(bob, alice, 1));
+        await expect(relayer.relayTransfer(await signTransfer(alice, bob, 1))).to.be.rejectedWith(RelayError, "reached for the relayer");
+
+        clock += 60000;
+        await relayer.relayTransfer(await signTransfer(alice, bob, 1));
+        expect([...relayer._requests.keys()]).to.deep.equal([alice.address]);
+    });
+
+    it("Should not count rejected requests against the rate limit", async function () {
+        const signed = await signTransfer(alice, bob, 1);
+        await relayer.relayTransfer(signed);
+        for (let i = 0; i < 5; i++) await expect(relayer.relayTransfer(signed)).to.be.rejectedWith(RelayError, "already used");
+        await relayer.relayTransfer(await signTransfer(alice, bob, 1));
+        await relayer.relayTransfer(await signTransfer(alice, bob, 1));
+    });
+
+    it("Should assign consecutive nonces to concurrent requests and resync after a failed send", async function () {
+        const signed = await Promise.all([1, 2, 3].map(() => signTransfer(alice, bob, 1)));
+        const nonceBefore = await ethers.provider.getTransactionCount(relayerSigner.address);
+        // Mined by hand once all three are sent, so none of them waits for another to be mined
+        await ethers.provider.send("evm_setAutomine", [false]);
+        let results;
+        try {
+            const relayed = Promise.all(signed.map((authorization) => relayer.relayTransfer(authorization)));
+            while ((await ethers.provider.send("eth_pendingTransactions", [])).length < 3) {
+                await new Promise((resolve) => setTimeout(resolve, 10));
+            }
+            // Hardhat's signers use the block gas limit, so each transaction takes a block of its own
+            await mine(3);
+            results = await relayed;
+        } finally {
+            await ethers.provider.send("evm_setAutomine", [true]);
+        }
+        const sent = await Promise.all(results.map((result) => ethers.provider.getTransaction(result.hash)));
+        expect(sent.map((tx) => tx.nonce).sort((a, b) => a - b)).to.deep.equal([nonceBefore, nonceBefore + 1, nonceBefore + 2]);
+        expect(await t3Token.authorizationState(alice.address, signed[2].nonce)).to.be.true;
+
+        // A transaction sent from the relayer's key elsewhere makes the local counter stale
+        await relayerSigner.sendTransaction({ to: owner.address, value: 1n });
+        clock += 60000;
+        const stale = await signTransfer(alice, bob, 1);
+        const failed = await relayer.relayTransfer(stale).catch((err) => err);
+        expect(failed).to.be.instanceOf(RelayError);
+        expect(failed.code).to.equal("SEND_FAILED");
+        const retried = await relayer.relayTransfer(stale);
+        expect(retried.from).to.equal(alice.address);
+        // The failed send gave its slot back
+        await relayer.relayTransfer(await signTransfer(alice, bob, 1));
+        await relayer.relayTransfer(await signTransfer(alice, bob, 1));
+    });
+
+    it("POST /reversals: Should relay a reversal signed by the recipient", async function () {
+        const sent = await post("/transfers", await signTransfer(alice, bob, 100));
+        const transferId = BigInt(sent.body.transferId);
+        const validBefore = (await time.latest()) + 600;
+
+        // Requests not signed by the recipient are refused before they take a slot of the recipient's budget
+        const byOriginator = await clientFor(alice).signReversalAuthorization({ transferId, validBefore });
+        for (let i = 0; i < 4; i++) {
+            const refused = await post("/reversals", byOriginator);
+            expect(refused.status).to.equal(400);
+            expect(refused.body.code).to.equal("INVALID_SIGNATURE");
+        }
+        const unknown = await post("/reversals", { ...byOriginator, transferId: "999" });
+        expect(unknown.body.code).to.equal("INVALID_SIGNATURE");
+
+        const signed = await clientFor(bob).signReversalAuthorization({ transferId, validBefore });
+        const { status, body } = await post("/reversals", signed);
+        expect(status).to.equal(200);
+        expect(body).to.include({ transferId: transferId.toString(), from: bob.address, to: alice.address, amount: sent.body.netAmount });
+        expect(await t3Token.balanceOf(bob.address)).to.equal(0);
+    });
+
+    it("GET /health and unknown routes", async function () {
+        const health = await (await fetch(`${baseUrl}/health`)).json();
+        expect(health).to.include({ chainId: 31337, relayer: relayerSigner.address });
+        expect((await fetch(`${baseUrl}/transfers`)).status).to.equal(405);
+        expect((await fetch(`${baseUrl}/nowhere`)).status).to.equal(404);
+        const badJson = await fetch(`${baseUrl}/transfers`, { method: "POST", body: "{" });
+        expect(badJson.status).to.equal(400);
+    });
+});
@@ -0,0 +1,61 @@
+// test/serviceHelpers.js
+// Setup shared by the off-chain service tests (keeper, indexer, API, redemption listener, relayer)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployT3Token, deployCustodianRegistry } = require("../scripts/lib/deploySystem");
+
+const { ethers } = hre;
+
+const DEFAULT_HALF_LIFE_DURATION = 3600;
+const toTokenAmount = (value) => ethers.parseUnits(value.toString(), 18);
+
+/**
+ * Deploys T3Token administered by `owner` (and a CustodianRegistry if `withRegistry`), then pays each
+ * `funded` signer `amount` tokens, waiting out their HalfLife windows unless `settle` is false.
+ */
+async function deployServiceFixture({ owner, treasury, withRegistry = false, funded = [], amount = 1000, settle = true }) {
+    const { token: t3Token } = await deployT3Token(hre, { admin: owner.address, treasury: treasury.address });
+    const registry = withRegistry ? (await deployCustodianRegistry(hre, { admin: owner.address })).registry : null;
+    for (const wallet of funded) await t3Token.connect(owner).transfer(wallet.address, toTokenAmount(amount));
+    if (funded.length > 0 && settle) await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+    return { t3Token, registry };
+}
+
+/** ID recorded by the TransferRecorded event of a sent transfer. */
+async function transferIdOf(tx) {
+    const receipt = await tx.wait();
+    return receipt.logs.find((log) => log.fragment?.name === "TransferRecorded").args.transferId;
+}
+
+/** Gives each test of the enclosing describe a fresh temporary directory as `dir`, removed afterwards. */
+function useTempDir(prefix) {
+    const tmp = { dir: null };
+    beforeEach(function () {
+        tmp.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    });
+    afterEach(function () {
+        fs.rmSync(tmp.dir, { recursive: true, force: true });
+    });
+    return tmp;
+}
+
+/** Starts `server` on a free local port and returns its base URL. */
+async function listen(server) {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+const closeServer = (server) => new Promise((resolve) => server.close(resolve));
+
+module.exports = {
+    DEFAULT_HALF_LIFE_DURATION,
+    toTokenAmount,
+    deployServiceFixture,
+    transferIdOf,
+    useTempDir,
+    listen,
+    closeServer,
+};
@@ -0,0 +1,159 @@
+// test/storageLayout.test.js
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+// Committed layouts of the proxied contracts. After an intended, compatible change (new variables or struct
+// members appended), refresh them with: UPDATE_STORAGE_LAYOUTS=1 npx hardhat test test/storageLayout.test.js
+const LAYOUTS_DIR = path.join(__dirname, "storage-layouts");
+const PROXIED = {
+    T3Token: "contracts/T3Token.sol:T3Token",
+    CustodianRegistry: "contracts/custodian-registry.sol:CustodianRegistry",
+};
+const T3_MODULES = ["T3TokenExtension", "T3TokenAuthorization", "T3TokenAdmin"];
+
+// Type ids embed AST ids (t_struct(TransferMetadata)11430_storage), which change with any edit to the sources
+const normalizeType = (type) => type.replace(/(t_(?:struct|enum|contract)\([^)]*\))\d+/g, "$1");
+const normalizeEntry = ({ label, slot, offset, type }) => ({ label, slot, offset, type: normalizeType(type) });
+
+// Storage layout reported by solc (requested by the upgrades plugin), without AST ids or contract names
+async function currentLayout(fullyQualifiedName) {
+    const [source, name] = fullyQualifiedName.split(":");
+    const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+    const { storage, types } = buildInfo.output.contracts[source][name].storageLayout;
+    const normalizedTypes = {};
+    for (const id of Object.keys(types).sort()) {
+        const { members, ...type } = types[id];
+        for (const field of ["key", "value", "base"]) {
+            if (type[field]) type[field] = normalizeType(type[field]);
+        }
+        normalizedTypes[normalizeType(id)] = members ? { ...type, members: members.map(normalizeEntry) } : type;
+    }
+    return { storage: storage.map(normalizeEntry), types: normalizedTypes };
+}
+
+/**
+ * Lists what would corrupt existing data if `current` replaced `previous` behind a proxy: every variable must keep
+ * its name, slot, offset and type. Variables may be added after the last one, and members after the last member of
+ * structs only reached through a mapping (each one has its own storage, so a larger struct overlaps nothing).
+ */
+function layoutErrors(previous, current) {
+    const errors = [];
+    const compareTypes = (before, after, where, growable) => {
+        const old = previous.types[before];
+        const now = current.types[after];
+        if (!now || old.label !== now.label || old.encoding !== now.encoding) {
+            errors.push(`${where}: ${old.label} became ${now ? now.label : after}`);
+            return;
+        }
+        if (old.key && old.key !== now.key) errors.push(`${where}: key ${old.key} became ${now.key}`);
+        if (old.value) compareTypes(old.value, now.value, `${where}[]`, true);
+        if (old.base) compareTypes(old.base, now.base, `${where}[]`, false);
+        if (old.members) {
+            old.members.forEach((member, i) => compareMember(member, now.members[i], `${where}.${member.label}`));
+            if (now.members.length > old.members.length && !growable) {
+                errors.push(`${where}: members appended to ${old.label}, which is not only stored in mappings`);
+            }
+        } else if (old.numberOfBytes !== now.numberOfBytes) {
+            errors.push(`${where}: ${old.label} changed size from ${old.numberOfBytes} to ${now.numberOfBytes} bytes`);
+        }
+    };
+    const compareMember = (before, after, where) => {
+        if (!after) {
+            errors.push(`${where} was removed`);
+        } else if (before.label !== after.label || before.slot !== after.slot || before.offset !== after.offset) {
+            errors.push(`${where} (slot ${before.slot}, offset ${before.offset}) became ${after.label} (slot ${after.slot}, offset ${after.offset})`);
+        } else {
+            compareTypes(before.type, after.type, where, false);
+        }
+    };
+    previous.storage.forEach((variable, i) => compareMember(variable, current.storage[i], variable.label));
+    return errors;
+}
+
+describe("Storage Layout Compatibility", function () {
+    for (const [name, fullyQualifiedName] of Object.entries(PROXIED)) {
+        it(`${name}: Should only append to the committed storage layout`, async function () {
+            const file = path.join(LAYOUTS_DIR, `${name}.json`);
+            const current = await currentLayout(fullyQualifiedName);
+            if (fs.existsSync(file)) {
+                const previous = JSON.parse(fs.readFileSync(file, "utf8"));
+                expect(layoutErrors(previous, current)).to.deep.equal([]);
+            } else if (!process.env.UPDATE_STORAGE_LAYOUTS) {
+                expect.fail(`No committed layout for ${name}; create ${path.relative(process.cwd(), file)} with UPDATE_STORAGE_LAYOUTS=1`);
+            }
+            // Only compatible layouts can be committed
+            if (process.env.UPDATE_STORAGE_LAYOUTS) {
+                fs.writeFileSync(file, JSON.stringify(current, null, 2) + "\n");
+            }
+        });
+    }
+
+    it("Should keep transfers, walletRiskProfiles and _custodyInfo where they are", async function () {
+        const token = JSON.parse(fs.readFileSync(path.join(LAYOUTS_DIR, "T3Token.json"), "utf8"));
+        const registry = JSON.parse(fs.readFileSync(path.join(LAYOUTS_DIR, "CustodianRegistry.json"), "utf8"));
+        const checks = [
+            [token, await currentLayout(PROXIED.T3Token), ["transfers", "walletRiskProfiles"]],
+            [registry, await currentLayout(PROXIED.CustodianRegistry), ["_custodyInfo"]],
+        ];
+        for (const [committed, current, labels] of checks) {
+            for (const label of labels) {
+                const before = committed.storage.find((variable) => variable.label === label);
+                const after = current.storage.find((variable) => variable.label === label);
+                expect(before, `${label} in the committed layout`).to.exist;
+                expect(after, label).to.deep.equal(before);
+                const { members } = committed.types[committed.types[before.type].value];
+                expect(current.types[current.types[after.type].value].members.slice(0, members.length)).to.deep.equal(members);
+            }
+        }
+    });
+
+    it("T3Token's modules should declare no storage of their own", async function () {
+        const token = await currentLayout(PROXIED.T3Token);
+        for (const module of T3_MODULES) {
+            const layout = await currentLayout(`contracts/${module}.sol:${module}`);
+            expect(layout.storage, module).to.deep.equal(token.storage);
+        }
+    });
+
+    it("Should report the changes an upgrade must not make", async function () {
+        const previous = await currentLayout(PROXIED.T3Token);
+        const clone = () => JSON.parse(JSON.stringify(previous));
+        const index = previous.storage.findIndex((variable) => variable.label === "transfers");
+        const metadataType = previous.types[previous.storage[index].type].value;
+        expect(layoutErrors(previous, clone())).to.deep.equal([]);
+
+        // A new variable ahead of transfers moves everything after it
+        const inserted = clone();
+        inserted.storage.splice(index, 0, { ...inserted.storage[index], label: "newCounter", type: "t_uint256" });
+        inserted.storage.slice(index + 1).forEach((variable) => { variable.slot = String(Number(variable.slot) + 1); });
+        expect(layoutErrors(previous, inserted)[0]).to.equal(`transfers (slot ${previous.storage[index].slot}, offset 0) became newCounter (slot ${previous.storage[index].slot}, offset 0)`);
+
+        // Retyping a struct member
+        const retyped = clone();
+        retyped.types[metadataType].members[0].type = "t_address";
+        expect(layoutErrors(previous, retyped)).to.deep.equal([`transfers[].${previous.types[metadataType].members[0].label}: uint256 became address`]);
+
+        // Dropping the last variable
+        const dropped = clone();
+        const last = dropped.storage.pop();
+        expect(layoutErrors(previous, dropped)).to.deep.equal([`${last.label} was removed`]);
+
+        // Appending a variable, or a member to a struct stored in a mapping, is fine
+        const appended = clone();
+        const slot = String(Number(last.slot) + 1);
+        appended.storage.push({ label: "newSetting", slot, offset: 0, type: "t_uint256" });
+        const members = appended.types[metadataType].members;
+        members.push({ label: "newField", slot: String(Number(members[members.length - 1].slot) + 1), offset: 0, type: "t_uint256" });
+        expect(layoutErrors(previous, appended)).to.deep.equal([]);
+
+        // ...but not to a struct stored in place, like the EnumerableSet.AddressSet of _frozenWallets and _minters
+        const frozen = previous.storage.find((variable) => variable.label === "_frozenWallets");
+        const inPlace = clone();
+        inPlace.types[frozen.type].members.push({ label: "extra", slot: "2", offset: 0, type: "t_uint256" });
+        expect(layoutErrors(previous, inPlace)).to.deep.equal(["_frozenWallets", "_minters"].map(
+            (label) => `${label}: members appended to struct EnumerableSet.AddressSet, which is not only stored in mappings`,
+        ));
+    });
+});
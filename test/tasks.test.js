@@ -0,0 +1,304 @@
+// test/tasks.test.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployT3Token, deployCustodianRegistry } = require("../scripts/lib/deploySystem");
+
+const { ethers } = hre;
+
+describe("Hardhat Tasks (t3:*, registry:*)", function () {
+    const DEFAULT_HALF_LIFE_DURATION = 3600;
+    const toTokenAmount = (value) => ethers.parseUnits(value.toString(), 18);
+
+    async function deployTasksFixture() {
+        const [owner, addr1, addr2, treasury, custodian] = await ethers.getSigners();
+        const { token: t3Token } = await deployT3Token(hre, { admin: owner.address, treasury: treasury.address });
+        const { registry } = await deployCustodianRegistry(hre, { admin: owner.address });
+        const addresses = { token: await t3Token.getAddress(), registry: await registry.getAddress() };
+        return { t3Token, registry, addresses, owner, addr1, addr2, treasury, custodian };
+    }
+
+    let t3Token, registry, addresses, owner, addr1, addr2, treasury, custodian;
+    let originalLog;
+
+    beforeEach(async function () {
+        ({ t3Token, registry, addresses, owner, addr1, addr2, treasury, custodian } = await loadFixture(deployTasksFixture));
+        // Task output is human-readable only; keep the mocha report clean
+        originalLog = console.log;
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = originalLog;
+    });
+
+    it("t3:transfer: Should transfer with fee and report the lock end", async function () {
+        const result = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        expect(result.amount).to.equal(toTokenAmount(25));
+        expect(result.transferId).to.equal(await t3Token.lastTransferId());
+        expect(await t3Token.balanceOf(addr1.address)).to.equal(result.netAmount);
+        expect(result.commitWindowEnd).to.be.greaterThan(0);
+    });
+
+    it("t3:quote: Should preview the fee and HalfLife without sending", async function () {
+        const quote = await hre.run("t3:quote", { ...addresses, to: addr1.address, amount: "25" });
+        expect(quote.from).to.equal(owner.address);
+        expect(await t3Token.balanceOf(addr1.address)).to.equal(0);
+
+        const result = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        expect(result.netAmount).to.equal(quote.netAmount);
+        const fromAddr1 = await hre.run("t3:quote", { ...addresses, to: owner.address, amount: "1", from: addr1.address });
+        expect(fromAddr1.from).to.equal(addr1.address);
+    });
+
+    it("t3:transfer: Should reject malformed addresses", async function () {
+        await expect(hre.run("t3:transfer", { ...addresses, to: "0x1234", amount: "1" }))
+            .to.be.rejectedWith("Invalid recipient address");
+    });
+
+    it("t3:reverse: Should reverse using the selected signer", async function () {
+        const transfer = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        const result = await hre.run("t3:reverse", { ...addresses, id: `#${transfer.transferId}`, signer: 1 });
+        expect(result.from).to.equal(addr1.address);
+        expect(result.to).to.equal(owner.address);
+        expect(await t3Token.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("t3:request-reversal / t3:accept-reversal: Should run the sender-side flow", async function () {
+        const transfer = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        const request = await hre.run("t3:request-reversal", { ...addresses, id: String(transfer.transferId), reason: "wrong address" });
+        expect(request.reason).to.equal("wrong address");
+        await expect(hre.run("t3:accept-reversal", { ...addresses, id: String(transfer.transferId) }))
+            .to.be.rejectedWith("Only receiver can answer reversal request");
+
+        const result = await hre.run("t3:accept-reversal", { ...addresses, id: String(transfer.transferId), signer: 1 });
+        expect(result.amount).to.equal(transfer.netAmount);
+        expect(await t3Token.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("t3:open-dispute / t3:resolve-dispute: Should freeze and force a reversal", async function () {
+        await hre.run("t3:grant-role", { ...addresses, role: "ARBITER", account: owner.address });
+        const transfer = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+
+        const opened = await hre.run("t3:open-dispute", { ...addresses, id: String(transfer.transferId), reason: "FRAUD" });
+        expect(opened.frozenAmount).to.equal(transfer.netAmount);
+        await expect(hre.run("t3:resolve-dispute", { ...addresses, id: String(transfer.transferId), outcome: "refund", reason: "X" }))
+            .to.be.rejectedWith('outcome must be "reverse" or "release"');
+
+        const resolved = await hre.run("t3:resolve-dispute", { ...addresses, id: String(transfer.transferId), outcome: "reverse", reason: "FRAUD_CONFIRMED" });
+        expect(resolved.reversed).to.equal(true);
+        expect(resolved.resolutionCode).to.equal("FRAUD_CONFIRMED");
+        expect(await t3Token.balanceOf(addr1.address)).to.equal(0);
+    });
+
+    it("t3:status: Should report lock, risk factor and custody", async function () {
+        await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        const status = await hre.run("t3:status", { ...addresses, wallet: addr1.address });
+        expect(status.lock.locked).to.equal(true);
+        expect(status.pending).to.have.lengthOf(1);
+        expect(status.pending[0].originator).to.equal(owner.address);
+        expect(status.riskFactor).to.equal(await t3Token.calculateRiskFactor(addr1.address));
+        expect(status.custody.isCustodied).to.equal(false);
+    });
+
+    it("t3:risk / t3:risk-decay: Should explain, flag and reset a wallet's risk factor", async function () {
+        const flagged = await hre.run("t3:risk", { ...addresses, wallet: addr1.address, flag: true });
+        expect(flagged.abnormalCount).to.equal(1);
+        expect(flagged.total).to.equal(await t3Token.calculateRiskFactor(addr1.address));
+        await expect(hre.run("t3:risk", { ...addresses, wallet: addr1.address, reset: true }))
+            .to.be.rejectedWith("--reason is required to clear a flag or reset a profile");
+        const reset = await hre.run("t3:risk", { ...addresses, wallet: addr1.address, reset: true, reason: "MANUAL_REVIEW" });
+        expect(reset.abnormalCount).to.equal(0);
+        expect(reset.hash).to.be.a("string");
+
+        const decay = await hre.run("t3:risk-decay", { ...addresses, abnormal: 3600 });
+        expect(decay).to.include({ reversalPeriod: 90 * 86400, abnormalPeriod: 3600 });
+        expect(await t3Token.abnormalPenaltyDecay()).to.equal(3600);
+    });
+
+    it("t3:expire: Should settle expired windows, or a single one with --id", async function () {
+        const first = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        const second = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "5" });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+
+        const single = await hre.run("t3:expire", { ...addresses, wallet: addr1.address, id: String(first.transferId) });
+        expect(single.settled).to.deep.equal([first.transferId]);
+        expect(single.refunds).to.have.lengthOf(2);
+
+        const rest = await hre.run("t3:expire", { ...addresses, wallet: addr1.address });
+        expect(rest.settled).to.deep.equal([second.transferId]);
+        expect(await t3Token.openTransferCount(addr1.address)).to.equal(0);
+        await expect(hre.run("t3:expire", { ...addresses, wallet: addr1.address, id: "abc" }))
+            .to.be.rejectedWith("Invalid transfer ID: abc");
+    });
+
+    it("t3:expire-batch: Should settle several wallets in one transaction", async function () {
+        const first = await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        const second = await hre.run("t3:transfer", { ...addresses, to: addr2.address, amount: "5" });
+        await time.increase(DEFAULT_HALF_LIFE_DURATION * 2);
+
+        const result = await hre.run("t3:expire-batch", { ...addresses, wallets: [addr1.address, addr2.address] });
+        expect(result.settled).to.have.members([first.transferId, second.transferId]);
+        expect(await t3Token.openTransferCount(addr1.address)).to.equal(0);
+        expect(await t3Token.openTransferCount(addr2.address)).to.equal(0);
+        await expect(hre.run("t3:expire-batch", { ...addresses, wallets: ["nope"] }))
+            .to.be.rejectedWith("Invalid wallet address: nope");
+    });
+
+    it("t3:grant-role / t3:mint: Should grant MINTER_ROLE and mint", async function () {
+        await hre.run("t3:grant-role", { ...addresses, role: "minter", account: addr2.address });
+        expect(await t3Token.hasRole(await t3Token.MINTER_ROLE(), addr2.address)).to.be.true;
+
+        const result = await hre.run("t3:mint", { ...addresses, to: addr1.address, amount: "10", signer: 2 });
+        expect(result.minter).to.equal(addr2.address);
+        expect(await t3Token.balanceOf(addr1.address)).to.equal(toTokenAmount(10));
+    });
+
+    it("t3:mint-allowance / t3:redeem / t3:issuance: Should cap issuance and attribute redemptions", async function () {
+        await t3Token.connect(owner).grantRole(await t3Token.MINTER_ROLE(), addr2.address);
+        await hre.run("t3:mint-allowance", { ...addresses, minter: addr2.address, amount: "50" });
+        await hre.run("t3:mint", { ...addresses, to: addr1.address, amount: "40", signer: 2 });
+        await expect(hre.run("t3:mint", { ...addresses, to: addr1.address, amount: "11", signer: 2 }))
+            .to.be.rejectedWith("Mint exceeds minter allowance");
+
+        await t3Token.connect(addr1).approve(addr2.address, toTokenAmount(15));
+        const redeemed = await hre.run("t3:redeem", { ...addresses, from: addr1.address, amount: "15", signer: 2 });
+        expect(redeemed).to.include({ minter: addr2.address, account: addr1.address, outstanding: toTokenAmount(25) });
+
+        const report = await hre.run("t3:issuance", addresses);
+        expect(report.minters).to.deep.equal([{
+            minter: addr2.address,
+            minted: toTokenAmount(40),
+            redeemed: toTokenAmount(15),
+            outstanding: toTokenAmount(25),
+            allowance: toTokenAmount(50),
+            available: toTokenAmount(25),
+        }]);
+        expect(report.unattributed).to.equal(await t3Token.totalSupply() - toTokenAmount(25));
+    });
+
+    it("t3:request-redemption / t3:redemption: Should escrow, confirm and reject fiat redemptions", async function () {
+        await t3Token.connect(owner).grantRole(await t3Token.MINTER_ROLE(), custodian.address);
+        const requested = await hre.run("t3:request-redemption", { ...addresses, amount: "30", custodian: custodian.address, reference: "RDM-0001" });
+        expect(requested.redemptionId).to.equal(1n);
+        expect(await t3Token.totalRedemptionEscrow()).to.equal(toTokenAmount(30));
+
+        const shown = await hre.run("t3:redemption", { ...addresses, id: "RDM-0001" });
+        expect(shown).to.include({ status: "Requested", holder: owner.address, hash: null });
+        const confirmed = await hre.run("t3:redemption", { ...addresses, id: "1", confirm: true, signer: 4 });
+        expect(confirmed.status).to.equal("Confirmed");
+
+        await hre.run("t3:request-redemption", { ...addresses, amount: "5", custodian: custodian.address, reference: "RDM-0002" });
+        await expect(hre.run("t3:redemption", { ...addresses, id: "RDM-0002", reject: true, signer: 4 }))
+            .to.be.rejectedWith("--reason is required to reject a redemption");
+        const rejected = await hre.run("t3:redemption", { ...addresses, id: "RDM-0002", reject: true, reason: "LIMIT_EXCEEDED", signer: 4 });
+        expect(rejected).to.include({ status: "Rejected", rejectionCode: "LIMIT_EXCEEDED" });
+        await expect(hre.run("t3:redemption", { ...addresses, id: "RDM-0003" })).to.be.rejectedWith("Unknown redemption: RDM-0003");
+    });
+
+    it("t3:freeze / t3:seize / t3:frozen: Should freeze a wallet and seize its balance", async function () {
+        await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        await hre.run("t3:grant-role", { ...addresses, role: "COMPLIANCE", account: owner.address });
+        const recovery = await hre.run("t3:frozen", { ...addresses, recovery: custodian.address });
+        expect(recovery).to.deep.include({ recoveryAddress: custodian.address, wallets: [] });
+
+        const frozen = await hre.run("t3:freeze", { ...addresses, wallet: addr1.address, case: "COURT-2024-117" });
+        expect(frozen.caseReference).to.equal("COURT-2024-117");
+        expect((await hre.run("t3:status", { ...addresses, wallet: addr1.address })).frozen).to.be.true;
+
+        const balance = await t3Token.balanceOf(addr1.address);
+        const seized = await hre.run("t3:seize", { ...addresses, wallet: addr1.address, case: "COURT-2024-117" });
+        expect(seized.amount).to.equal(balance);
+        expect(await t3Token.balanceOf(custodian.address)).to.equal(balance);
+        expect((await hre.run("t3:frozen", addresses)).wallets).to.deep.equal([{ wallet: addr1.address, balance: 0n }]);
+
+        await hre.run("t3:freeze", { ...addresses, wallet: addr1.address, case: "COURT-2024-117", unfreeze: true });
+        expect(await t3Token.isFrozen(addr1.address)).to.be.false;
+    });
+
+    it("t3:grant-role: Should reject unknown contracts and roles", async function () {
+        await expect(hre.run("t3:grant-role", { ...addresses, role: "MINTER", account: addr2.address, contract: "bank" }))
+            .to.be.rejectedWith('--contract must be "token" or "registry"');
+        await expect(hre.run("t3:grant-role", { ...addresses, role: "WIZARD", account: addr2.address }))
+            .to.be.rejectedWith("Unknown role WIZARD on token");
+    });
+
+    it("t3:kyc-policy / t3:kyc-exempt: Should link the registry and enforce the policy", async function () {
+        const result = await hre.run("t3:kyc-policy", { ...addresses, policy: "strict" });
+        expect(result.policy).to.equal("Strict");
+        expect(await t3Token.custodianRegistry()).to.equal(addresses.registry);
+        await expect(hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "1" }))
+            .to.be.rejectedWith("Sender not custodied");
+
+        await hre.run("t3:kyc-exempt", { ...addresses, account: owner.address });
+        await hre.run("t3:kyc-exempt", { ...addresses, account: addr1.address });
+        await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "1" });
+        await hre.run("t3:kyc-exempt", { ...addresses, account: addr1.address, remove: true });
+        expect(await t3Token.kycExempt(addr1.address)).to.be.false;
+    });
+
+    it("t3:fee-schedule: Should show the schedule and set a new version from JSON", async function () {
+        const current = await hre.run("t3:fee-schedule", addresses);
+        expect(current.version).to.equal(1);
+        expect(current.hash).to.equal(null);
+
+        const file = path.join(os.tmpdir(), `t3-fee-schedule-${process.pid}.json`);
+        fs.writeFileSync(file, JSON.stringify({ tiers: [{ upTo: "100", rateBps: 30 }, { upTo: "1000000", rateBps: 10 }], minFee: "0.001", maxFeeBps: 200, split: { treasuryBps: 5000, senderBps: 2500, recipientBps: 2500 } }));
+        try {
+            const result = await hre.run("t3:fee-schedule", { ...addresses, file });
+            expect(result.version).to.equal(2);
+            expect(result.tiers[0]).to.deep.equal({ upTo: toTokenAmount(100), rateBps: 30 });
+            expect(result.minFee).to.equal(toTokenAmount("0.001"));
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+        expect((await hre.run("t3:fee-schedule", { ...addresses, scheduleVersion: 1 })).tiers).to.have.lengthOf(8);
+    });
+
+    it("t3:credit-policy / t3:credits: Should configure, redeem and list credits", async function () {
+        await hre.run("t3:transfer", { ...addresses, to: addr1.address, amount: "25" });
+        const policy = await hre.run("t3:credit-policy", { ...addresses, rate: 5000, max: "10" });
+        expect(policy).to.deep.include({ expiryPeriod: 0, redemptionRateBps: 5000, maxRedemption: toTokenAmount(10) });
+        await t3Token.connect(treasury).approve(addresses.token, toTokenAmount(1));
+
+        const credits = await hre.run("t3:credits", { ...addresses, redeem: "0.5", fromBlock: 0 });
+        expect(credits.wallet).to.equal(owner.address);
+        expect(credits.history.map((entry) => entry.type)).to.include.members(["Granted", "Redeemed"]);
+        expect(credits.history.at(-1).payout).to.equal(toTokenAmount("0.25"));
+        expect((await hre.run("t3:credit-policy", addresses)).expiryPeriod).to.equal(0);
+    });
+
+    it("t3:settle-cycle: Should report the netting and clear the cycle", async function () {
+        await t3Token.recordInterbankLiability(addr1.address, addr2.address, toTokenAmount(100));
+        await t3Token.recordInterbankLiability(addr2.address, addr1.address, toTokenAmount(40));
+
+        const report = await hre.run("t3:settle-cycle", { ...addresses, dryRun: true });
+        expect(report.settlement).to.equal(null);
+        expect(report.obligations).to.deep.equal([{ from: addr1.address, to: addr2.address, amount: toTokenAmount(60) }]);
+
+        const result = await hre.run("t3:settle-cycle", { ...addresses, id: "2026-W42" });
+        expect(result.settlement.settlementId).to.equal("2026-W42");
+        expect(result.settlement.grossAmount).to.equal(toTokenAmount(140));
+        expect(await t3Token.interbankLiability(addr1.address, addr2.address)).to.equal(0);
+        expect((await hre.run("t3:settle-cycle", addresses)).liabilities).to.deep.equal([]);
+    });
+
+    it("registry:register / registry:kyc: Should register and update KYC", async function () {
+        await hre.run("t3:grant-role", { ...addresses, role: "CUSTODIAN", account: custodian.address, contract: "registry" });
+        expect(await registry.custodianCount()).to.equal(1);
+
+        const custodianSigner = 4;
+        await hre.run("registry:register", { ...addresses, wallet: addr1.address, signer: custodianSigner });
+        expect(await registry.getCustodian(addr1.address)).to.equal(custodian.address);
+        expect(await registry.isKYCValid(addr1.address)).to.be.true;
+
+        const expires = (await time.latest()) + 10;
+        await hre.run("registry:kyc", { ...addresses, wallet: addr1.address, expires: String(expires), signer: custodianSigner });
+        await time.increase(20);
+        expect(await registry.isKYCValid(addr1.address)).to.be.false;
+    });
+});